@@ -1,37 +1,95 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useMemo } from 'react'
 import './App.css'
-import { MapContainer, TileLayer, GeoJSON, useMap, Popup } from 'react-leaflet'
+import { MapContainer, GeoJSON, Pane, useMap } from 'react-leaflet'
 import L from 'leaflet'
 import 'leaflet/dist/leaflet.css'
-import { Input, Button, Upload, Space, Card, message, Typography, Select } from 'antd'
-import { UploadOutlined } from '@ant-design/icons'
-import toGeoJSON from '@mapbox/togeojson'
+import { Input, Button, Upload, Space, Card, message, Typography, Select, Alert } from 'antd'
+import {
+  UploadOutlined,
+  TableOutlined,
+  PrinterOutlined,
+  DownloadOutlined,
+  PlusOutlined,
+  AimOutlined,
+  GlobalOutlined,
+  MessageOutlined,
+} from '@ant-design/icons'
+import { CSV_ENCODINGS } from './lib/csv'
+import { parseCsvFile, importGeometryInWorker } from './lib/backgroundParse'
+import { GEOMETRY_FILE_ACCEPT, GEOMETRY_FORMATS } from './lib/geometryImport'
+import { DEFAULT_JOIN_CONFIG, FEATURE_KEY_NAME, cachedJoinReport, listFeatureKeySources } from './lib/join'
+import { DEFAULT_CLASSIFICATION } from './lib/classify'
+import { cachedLayerStyle, buildLegendEntries } from './lib/layerStyle'
+import { EMPTY_TABLE, createLayer, layerNameFromFile, combineLayerFeatures, moveLayer } from './lib/layers'
+import { resolveLayers } from './lib/computedColumns'
+import { createInputCache } from './lib/inputCache'
+import JoinConfigPanel from './components/JoinConfigPanel'
+import JoinReportPanel from './components/JoinReportPanel'
+import LayerManager from './components/LayerManager'
+import FeatureLayer from './components/FeatureLayer'
+import ClassificationControls from './components/ClassificationControls'
+import MapLegend from './components/MapLegend'
+import CrsPromptModal from './components/CrsPromptModal'
+import ComputedColumnsModal from './components/ComputedColumnsModal'
+import PopupSettingsModal from './components/PopupSettingsModal'
+import TaskProgressModal from './components/TaskProgressModal'
+import AttributeTablePanel from './components/AttributeTablePanel'
+import FeatureFilterPanel from './components/FeatureFilterPanel'
+import MapExportModal from './components/MapExportModal'
+import DataExportModal from './components/DataExportModal'
+import GeometryEditor from './components/GeometryEditor'
+import NewFeatureModal from './components/NewFeatureModal'
+import MeasureControl from './components/MeasureControl'
+import SelectionTools from './components/SelectionTools'
+import SpatialAnalysisModal from './components/SpatialAnalysisModal'
+import PlaceSearch from './components/PlaceSearch'
+import KmlFolderTree from './components/KmlFolderTree'
+import { folderFeatures } from './lib/kmlFolders'
+import { detectTimeColumn, listTimeColumns, buildTimeIndex, periodKey, periodRowIndexes } from './lib/timeSeries'
+import TimeSlider from './components/TimeSlider'
+import { featuresInShape, combineSelection, bufferFeatures, featuresInAreas } from './lib/spatial'
+import TileSourceLayer from './components/TileSourceLayer'
+import TileSourcesModal from './components/TileSourcesModal'
+import { BUILT_IN_TILE_SOURCES, DEFAULT_BASEMAP_ID, isLocalSource, withPlainAttribution } from './lib/tileSources'
+import { listTileSources, saveTileSource, deleteTileSource, listTileCaches, clearTileCache } from './lib/tileStore'
+import { closeArchive } from './lib/tileArchives'
+import { GEOMETRY_COLUMNS } from './lib/geometryMetrics'
+import {
+  EMPTY_EDIT_HISTORY,
+  nextFeatureId,
+  usedFeatureKeys,
+  addFeature,
+  replaceFeatureGeometry,
+  replaceWithParts,
+  removeFeature,
+  splitGeometry,
+  explodeGeometry,
+  recordEdit,
+  forgetLayerEdits,
+} from './lib/featureEditing'
+import { DATA_EXPORT_FORMATS, joinedFeatures, toJoinedGeoJSON, toJoinedKml, toJoinedCsv } from './lib/dataExport'
+import { downloadFile } from './lib/download'
+import ProjectMenu from './components/ProjectMenu'
+import { serializeProject, restoreProject, parseProjectFile, projectFileName } from './lib/project'
+import { saveRecentProject, loadRecentProject } from './lib/projectStore'
+import { readViewHash, writeViewHash } from './lib/urlState'
+import { exportMapPng, exportMapPdf } from './lib/mapExport'
+import { CRS_OPTIONS, reprojectGeoJSON } from './lib/crs'
 
 // Debrecen coordinates (default)
 const DEFAULT_CENTER = [47.5316, 21.6273]
 
-// Simple purple gradient based on value range
-function getColorForValue(value, min, max) {
-  if (
-    !Number.isFinite(value) ||
-    !Number.isFinite(min) ||
-    !Number.isFinite(max) ||
-    min === max
-  ) {
-    return '#7c3aed' // default mid purple
-  }
-
-  const t = (value - min) / (max - min)
-  // light purple -> deep purple
-  const start = { r: 237, g: 233, b: 254 } // #ede9fe
-  const end = { r: 88, g: 28, b: 135 } // #581c87
+// Data layer panes stack above Leaflet's overlay pane (400) and below markers (600)
+const LAYER_PANE_BASE_Z = 410
+// Buffer areas sit above the data layers and below the editing pane
+const BUFFER_PANE_Z = 580
+const BUFFER_STYLE = { color: '#7c3aed', weight: 2, dashArray: '6,4', fillColor: '#7c3aed', fillOpacity: 0.08 }
 
-  const r = Math.round(start.r + (end.r - start.r) * t)
-  const g = Math.round(start.g + (end.g - start.g) * t)
-  const b = Math.round(start.b + (end.b - start.b) * t)
+const NO_COLUMNS = []
+const NO_SELECTION = []
 
-  return `rgb(${r}, ${g}, ${b})`
-}
+// Numeric and time columns of a table, scanned once per table and join key
+const tableColumnKinds = createInputCache()
 
 // Component to update map center when coordinates change
 function MapUpdater({ center }) {
@@ -92,57 +150,155 @@ function BoundsFitter({ geojson }) {
   return null
 }
 
-// Map tile themes - free options for better readability
-const MAP_THEMES = {
-  positron: {
-    name: 'Positron (Light)',
-    url: 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png',
-    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>',
-  },
-  darkMatter: {
-    name: 'Dark Matter',
-    url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
-    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>',
-  },
-  voyager: {
-    name: 'Voyager',
-    url: 'https://{s}.basemaps.cartocdn.com/rastertiles/voyager/{z}/{x}/{y}{r}.png',
-    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>',
-  },
-  osm: {
-    name: 'OpenStreetMap',
-    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
-    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
-  },
-}
+const CSV_DELIMITER_OPTIONS = [
+  { value: 'auto', label: 'Auto delimiter' },
+  { value: ',', label: 'Comma (,)' },
+  { value: ';', label: 'Semicolon (;)' },
+  { value: '\t', label: 'Tab' },
+]
 
 function App() {
-  const [center, setCenter] = useState(DEFAULT_CENTER)
-  const [lat, setLat] = useState(DEFAULT_CENTER[0].toString())
-  const [lng, setLng] = useState(DEFAULT_CENTER[1].toString())
-  const [zoom, setZoom] = useState(13)
-  const [zoomInput, setZoomInput] = useState('13')
-  const [kmlData, setKmlData] = useState(null)
-  const [csvRows, setCsvRows] = useState([])
-  const [csvColumns, setCsvColumns] = useState([]) // Store all column names except 'id'
-  const [selectedMetric, setSelectedMetric] = useState('revenue')
-  const [selectedPopupColumns, setSelectedPopupColumns] = useState([]) // Columns to show in popup
-  const [mapTheme, setMapTheme] = useState('positron')
-  // Store feature index to ID mapping for reliable matching
-  const [featureIdMap, setFeatureIdMap] = useState(new Map())
-
-  // Debug: log when kmlData or csvRows change
-  useEffect(() => {
-    if (kmlData && csvRows.length > 0) {
-      console.log('KML Features:', kmlData.features.map(f => ({
-        name: f.properties?.name || f.properties?.Name,
-        id: f.id || f.properties?.id,
-        hasId: !!f.id,
-        hasPropertiesId: !!f.properties?.id
-      })))
-      console.log('CSV Rows:', csvRows.map(r => r.id))
-    }
-  }, [kmlData, csvRows])
+  // View state shared through the URL hash, read once on load
+  const [initialView] = useState(() => readViewHash(window.location.hash))
+  const [center, setCenter] = useState(initialView.center || DEFAULT_CENTER)
+  const [lat, setLat] = useState((initialView.center || DEFAULT_CENTER)[0].toString())
+  const [lng, setLng] = useState((initialView.center || DEFAULT_CENTER)[1].toString())
+  const [zoom, setZoom] = useState(initialView.zoom ?? 13)
+  const [zoomInput, setZoomInput] = useState(String(initialView.zoom ?? 13))
+  // Loaded data layers in draw order (first is drawn at the bottom)
+  const [layers, setLayers] = useState([])
+  const [activeLayerId, setActiveLayerId] = useState(null)
+  const [geometryCrs, setGeometryCrs] = useState('auto') // Source CRS override for geometry uploads
+  const [pendingGeometry, setPendingGeometry] = useState(null) // Import waiting for a CRS choice
+  const [csvEncoding, setCsvEncoding] = useState('auto')
+  const [csvDelimiter, setCsvDelimiter] = useState('auto')
+  // Basemap tile source id; custom sources load from the browser after start-up
+  const [mapTheme, setMapTheme] = useState(initialView.theme || DEFAULT_BASEMAP_ID)
+  const [customTileSources, setCustomTileSources] = useState([])
+  const [tileCaches, setTileCaches] = useState({}) // Offline tile cache summaries by source id
+  const [overlays, setOverlays] = useState([]) // Tile overlays: { sourceId, opacity, visible }
+  const [tileSourcesOpen, setTileSourcesOpen] = useState(false)
+  const [projectName, setProjectName] = useState('Untitled project')
+  const [joinReportOpen, setJoinReportOpen] = useState(false)
+  const [computedColumnsOpen, setComputedColumnsOpen] = useState(false)
+  const [popupSettingsOpen, setPopupSettingsOpen] = useState(false)
+  // File being read in the background: { title, done, total, controller }
+  const [fileTask, setFileTask] = useState(null)
+  const [attributeTableOpen, setAttributeTableOpen] = useState(false)
+  // Features selected in the attribute table or on the map: { layerId, featureIndexes }
+  const [selection, setSelection] = useState(null)
+  const [spatialAnalysisOpen, setSpatialAnalysisOpen] = useState(false)
+  const [bufferAreas, setBufferAreas] = useState(null) // Buffer of the last buffer selection: { id, areas }
+  const [popupRequest, setPopupRequest] = useState(null) // Feature to fly to and open: { layerId, featureIndex, seq }
+  const [mapInstance, setMapInstance] = useState(null) // Leaflet map, for exports
+  const [exportOpen, setExportOpen] = useState(false)
+  const [dataExportOpen, setDataExportOpen] = useState(false)
+  // Feature collection the map should zoom to (a layer, a feature or everything)
+  const [focusTarget, setFocusTarget] = useState(null)
+  // Legend class being hovered, highlighted on the active layer
+  const [legendHighlight, setLegendHighlight] = useState(null)
+  // Geometry edits of all layers, as collections before and after each edit
+  const [editHistory, setEditHistory] = useState(EMPTY_EDIT_HISTORY)
+  const [drawnGeometry, setDrawnGeometry] = useState(null) // Drawn feature waiting for its key
+
+  const updateLayer = (layerId, patch) => {
+    setLayers((prev) =>
+      prev.map((layer) =>
+        layer.id === layerId
+          ? { ...layer, ...(typeof patch === 'function' ? patch(layer) : patch) }
+          : layer,
+      ),
+    )
+  }
+
+  // Layers as displayed: each table extended with its geometry, point-in-polygon
+  // and computed columns, which are re-evaluated whenever any layer changes
+  const resolvedLayers = useMemo(() => resolveLayers(layers), [layers])
+
+  // The active layer is the one the table, join and styling controls act on
+  const activeLayer = resolvedLayers.find((layer) => layer.id === activeLayerId) || null
+  const kmlData = activeLayer?.geojson || null
+  const csvTable = activeLayer?.csv || EMPTY_TABLE
+  const csvRows = csvTable.rows
+  const csvHeader = csvTable.header // All CSV column names, including the join key
+  const csvErrors = csvTable.errors // Malformed rows reported by the parser
+  const joinConfig = activeLayer?.joinConfig || DEFAULT_JOIN_CONFIG // How features are matched to CSV rows
+  const selectedMetric = activeLayer?.selectedMetric || ''
+  const selectedPopupColumns = activeLayer?.selectedPopupColumns || NO_COLUMNS // Columns to show in popup
+  const classification = activeLayer?.classification || DEFAULT_CLASSIFICATION // Class breaks and color ramp
+
+  const setJoinConfig = (next) => updateLayer(activeLayerId, { joinConfig: next })
+  const setSelectedMetric = (next) => updateLayer(activeLayerId, { selectedMetric: next })
+  const setSelectedPopupColumns = (next) => updateLayer(activeLayerId, { selectedPopupColumns: next })
+  const setClassification = (next) => updateLayer(activeLayerId, { classification: next })
+  const setFeatureFilter = (next) => updateLayer(activeLayerId, { filter: next })
+  // Switching the time column shows its latest period
+  const setTimeColumn = (column) =>
+    updateLayer(activeLayerId, (layer) => ({
+      timeSeries: column
+        ? { column, period: buildTimeIndex(layer.csv.rows, layer.joinConfig, column).periods.at(-1) }
+        : null,
+    }))
+  const setTimePeriod = (period) =>
+    updateLayer(activeLayerId, (layer) => ({ timeSeries: { ...layer.timeSeries, period } }))
+  const metricUnits = activeLayer?.columnUnits[selectedMetric] || ''
+  const setMetricUnits = (units) =>
+    updateLayer(activeLayerId, (layer) => ({
+      columnUnits: { ...layer.columnUnits, [layer.selectedMetric]: units },
+    }))
+
+  // Scale and class membership for each layer, shared by the map and legend
+  const layerStyles = useMemo(
+    () => new Map(resolvedLayers.map((layer) => [layer.id, cachedLayerStyle(layer)])),
+    [resolvedLayers],
+  )
+  const activeLayerStyle = activeLayer ? layerStyles.get(activeLayer.id) : null
+
+  const computedColumns = activeLayer?.computedColumns || NO_COLUMNS
+  // Drop references to computed columns that no longer exist
+  const setComputedColumns = (next) =>
+    updateLayer(activeLayerId, (layer) => {
+      const removed = layer.computedColumns
+        .map((column) => column.name)
+        .filter((name) => !next.some((column) => column.name === name))
+      return {
+        computedColumns: next,
+        selectedMetric: removed.includes(layer.selectedMetric) ? '' : layer.selectedMetric,
+        selectedPopupColumns: layer.selectedPopupColumns.filter((col) => !removed.includes(col)),
+      }
+    })
+
+  const geometryColumns = activeLayer?.geometryColumns || NO_COLUMNS
+  // Geometry columns bring their units; references to removed ones are dropped
+  const setGeometryColumns = (next) =>
+    updateLayer(activeLayerId, (layer) => {
+      const removed = layer.geometryColumns.filter((metric) => !next.includes(metric))
+      return {
+        geometryColumns: next,
+        columnUnits: {
+          ...Object.fromEntries(next.map((metric) => [metric, GEOMETRY_COLUMNS[metric].units])),
+          ...layer.columnUnits,
+        },
+        selectedMetric: removed.includes(layer.selectedMetric) ? '' : layer.selectedMetric || next[0] || '',
+        selectedPopupColumns: layer.selectedPopupColumns.filter((col) => !removed.includes(col)),
+      }
+    })
+
+  // Drop references to point-in-polygon columns that no longer exist
+  const setSpatialAggregates = (next) =>
+    updateLayer(activeLayerId, (layer) => {
+      const removed = layer.spatialAggregates
+        .map((aggregate) => aggregate.name)
+        .filter((name) => !next.some((aggregate) => aggregate.name === name))
+      return {
+        spatialAggregates: next,
+        selectedMetric: removed.includes(layer.selectedMetric) ? '' : layer.selectedMetric,
+        selectedPopupColumns: layer.selectedPopupColumns.filter((col) => !removed.includes(col)),
+      }
+    })
+
+  // Columns other than the join key are available for coloring and popups
+  const csvColumns = csvHeader.filter((col) => col !== joinConfig.csvKey)
 
   const handleSetCenter = () => {
     const latNum = parseFloat(lat)
@@ -184,203 +340,570 @@ function App() {
     message.success('Zoom level updated')
   }
 
-  const handleKmlUpload = (file) => {
-    const reader = new FileReader()
-    reader.onload = (e) => {
-      try {
-        const kmlText = e.target.result
-        // Use the browser's built-in DOMParser to parse the KML XML string
-        const parser = new DOMParser()
-        const kml = parser.parseFromString(kmlText, 'text/xml')
-        const geojson = toGeoJSON.kml(kml)
-        
-        // Extract Placemark IDs and names from the KML XML
-        const placemarks = Array.from(kml.querySelectorAll('Placemark'))
-        const placemarkData = placemarks.map((placemark) => {
-          const id = placemark.getAttribute('id')
-          const nameEl = placemark.querySelector('name')
-          const name = nameEl ? nameEl.textContent : ''
-          return { id, name }
-        }).filter(p => p.id) // Only keep placemarks with IDs
-        
-        // Create a map of name -> id for fallback matching
-        const nameToIdMap = new Map()
-        placemarkData.forEach(p => {
-          if (p.name && p.id) {
-            nameToIdMap.set(p.name.trim(), p.id)
-          }
-        })
-        
-        // Create a map of feature index to ID for reliable matching
-        const idMap = new Map()
-        
-        // Add IDs to GeoJSON features
-        if (geojson.features && geojson.features.length > 0) {
-          geojson.features.forEach((feature, index) => {
-            // Try to get ID from placemark at same index first
-            let id = placemarkData[index]?.id
-            
-            // If no ID by index, try matching by name
-            if (!id) {
-              const featureName = (feature.properties?.name || feature.properties?.Name || '').trim()
-              id = nameToIdMap.get(featureName)
-            }
-            
-            // Store ID in multiple places for maximum compatibility
-            if (id) {
-              feature.id = id
-              if (!feature.properties) {
-                feature.properties = {}
-              }
-              feature.properties.id = id
-              feature.properties.placemarkId = id // Extra backup
-              // Store in our map using feature index as key
-              idMap.set(index, id)
-            }
-            
-            // Also try to preserve any existing ID
-            if (!feature.id && feature.properties?.id) {
-              feature.id = feature.properties.id
-              idMap.set(index, feature.properties.id)
-            }
-          })
-          
-          // Store the ID mapping
-          setFeatureIdMap(idMap)
-          
-          // Debug: log the IDs we extracted
-          console.log('Extracted Placemark data:', placemarkData)
-          console.log('Feature ID Map:', Array.from(idMap.entries()))
-          console.log('GeoJSON features with IDs:', geojson.features.map((f, idx) => ({
-            index: idx,
-            name: f.properties?.name || f.properties?.Name,
-            id: f.id || f.properties?.id,
-            propertiesId: f.properties?.id,
-            mappedId: idMap.get(idx)
-          })))
+  // Reproject to WGS84 and add the collection as a new layer on top
+  const finishGeometryImport = ({ geojson, format, attributes, folders, hiddenFolders, fileName }, crs) => {
+    try {
+      reprojectGeoJSON(geojson, crs)
+    } catch (error) {
+      console.error('Error reprojecting geometry:', error)
+      message.error(`Failed to reproject from ${crs}: ${error.message}`)
+      return
+    }
+    const layer = createLayer({ name: layerNameFromFile(fileName), geojson, format, attributes, folders, hiddenFolders })
+    setLayers((prev) => [...prev, layer])
+    setActiveLayerId(layer.id)
+    setFocusTarget(geojson)
+    message.success(`${GEOMETRY_FORMATS[format]} file loaded successfully (${geojson.features.length} features)`)
+  }
+
+  // Read a file in the background behind the progress dialog. Resolves as
+  // the task does; cancelling rejects with an AbortError.
+  const runFileTask = (title, task) => {
+    const controller = new AbortController()
+    const isCurrent = (prev) => prev?.controller === controller
+    setFileTask({ title, done: 0, total: 0, controller })
+    return task({
+      signal: controller.signal,
+      onProgress: (done, total) => setFileTask((prev) => (isCurrent(prev) ? { ...prev, done, total } : prev)),
+    }).finally(() => setFileTask((prev) => (isCurrent(prev) ? null : prev)))
+  }
+
+  const handleGeometryUpload = (file) => {
+    // The worker reprojects too, unless the CRS has to be asked for
+    runFileTask(`Reading ${file.name}`, (control) => importGeometryInWorker(file, { crs: geometryCrs }, control))
+      .then((result) => {
+        const { geojson, format, crs } = result
+        if (geojson.features.length === 0) {
+          message.warning(`${GEOMETRY_FORMATS[format]} file contains no features`)
+          return
         }
-        
-        if (geojson.features && geojson.features.length > 0) {
-          setKmlData(geojson)
-          message.success('KML file loaded successfully')
+        if (crs) {
+          finishGeometryImport({ ...result, fileName: file.name }, crs)
         } else {
-          message.warning('KML file contains no features')
+          setPendingGeometry({ ...result, fileName: file.name })
         }
-      } catch (error) {
-        console.error('Error parsing KML:', error)
-        message.error('Failed to parse KML file. Please check the file format.')
-      }
-    }
-    reader.readAsText(file)
+      })
+      .catch((error) => {
+        if (error.name === 'AbortError') {
+          message.info(`Import of ${file.name} cancelled`)
+          return
+        }
+        console.error('Error importing geometry:', error)
+        message.error(`Failed to import geometry file: ${error.message}`)
+      })
     return false // Prevent default upload behavior
   }
 
+  // Attach a CSV table to the active layer
   const handleCsvUpload = (file) => {
-    const reader = new FileReader()
-    reader.onload = (e) => {
-      try {
-        const text = e.target.result
-        const lines = text.trim().split(/\r?\n/)
-        if (lines.length < 2) {
+    const layerId = activeLayerId
+    const options = { encoding: csvEncoding, delimiter: csvDelimiter, textColumns: [joinConfig.csvKey] }
+    runFileTask(`Reading ${file.name}`, (control) => parseCsvFile(file, options, control))
+      .then(({ header, rows, lines, errors }) => {
+        if (header.length === 0 || (rows.length === 0 && errors.length === 0)) {
+          updateLayer(layerId, (layer) => ({ csv: { ...layer.csv, errors } }))
           message.warning('CSV file appears to be empty')
           return
         }
 
-        const header = lines[0].split(',').map((h) => h.trim())
-        const idIndex = header.indexOf('id')
-
-        if (idIndex === -1) {
-          message.error('CSV must contain an "id" column to match with KML data')
-          return
+        // Keep the current join key when the new file has it, else prefer 'id'
+        let csvKey = joinConfig.csvKey
+        if (!header.includes(csvKey)) {
+          csvKey = header.includes('id') ? 'id' : header[0]
         }
 
-        // Get all columns except 'id'
-        const otherColumns = header.filter((col, idx) => idx !== idIndex)
-        setCsvColumns(otherColumns)
-
-        // Helper function to check if a value is numeric
-        const isNumeric = (value) => {
-          const num = Number(value)
-          return !isNaN(num) && isFinite(num) && value !== ''
+        // Long-format tables repeat each key once per period; a table with
+        // repeated keys but no time column joins its last row per key
+        const timeColumn = detectTimeColumn(header, rows, { ...joinConfig, csvKey })
+        const timeSeries = timeColumn
+          ? { column: timeColumn, period: buildTimeIndex(rows, { ...joinConfig, csvKey }, timeColumn).periods.at(-1) }
+          : null
+        // A long-format table may repeat a key once per period, not within one
+        const keys = rows.map((row) =>
+          timeColumn ? JSON.stringify([row[csvKey], periodKey(row[timeColumn])]) : row[csvKey],
+        )
+        if (new Set(keys).size < keys.length) {
+          message.warning(
+            timeColumn
+              ? `The CSV repeats join keys in column "${csvKey}" within a period; only the last row per key and period is used`
+              : `The CSV repeats join keys in column "${csvKey}"; only the last row per key is used`,
+          )
         }
 
-        const rows = lines.slice(1).map((line) => {
-          const cols = line.split(',').map((c) => c.trim())
-          const row = {
-            id: cols[idIndex],
-          }
-          
-          // Dynamically add all other columns
-          otherColumns.forEach((colName, idx) => {
-            const colIndex = header.indexOf(colName)
-            if (colIndex !== -1) {
-              const value = cols[colIndex] || ''
-              // Try to convert to number if it's numeric, otherwise keep as string
-              row[colName] = isNumeric(value) ? Number(value) : value
-            }
-          })
-          
-          return row
-        })
+        // Get all columns except the join key and the time column
+        const otherColumns = header.filter((col) => col !== csvKey && col !== timeColumn)
 
         // Find numeric columns for color-by selector
         const numericColumns = otherColumns.filter(col => {
           return rows.some(row => typeof row[col] === 'number' && !isNaN(row[col]))
         })
 
-        setCsvRows(rows)
-        // Set default metric to first numeric column, or first column if no numeric columns
-        const defaultMetric = numericColumns.length > 0 ? numericColumns[0] : (otherColumns[0] || '')
-        setSelectedMetric(defaultMetric)
-        // Set default popup columns to all columns
-        setSelectedPopupColumns(otherColumns)
-        
-        // Debug: log CSV structure
-        console.log('CSV loaded:', {
-          columns: otherColumns,
-          numericColumns,
-          sampleRow: rows[0],
-          totalRows: rows.length
-        })
-        message.success(`CSV file loaded successfully (${rows.length} rows, ${otherColumns.length} columns)`)
-      } catch (error) {
+        // Prefer the metric of a shared link, then the first numeric column,
+        // then the first column
+        const defaultMetric = otherColumns.includes(initialView.metric)
+          ? initialView.metric
+          : numericColumns.length > 0 ? numericColumns[0] : (otherColumns[0] || '')
+        updateLayer(layerId, (layer) => ({
+          csv: { header, rows, lines, errors },
+          joinConfig: { ...layer.joinConfig, csvKey },
+          selectedMetric: defaultMetric,
+          timeSeries,
+          // Set default popup columns to all columns, keeping the file's own
+          // attributes that were already shown
+          selectedPopupColumns: [
+            ...otherColumns,
+            ...layer.selectedPopupColumns.filter(
+              (col) => layer.featureAttributes.includes(col) && !otherColumns.includes(col),
+            ),
+          ],
+        }))
+
+        if (errors.length > 0) {
+          message.warning(`CSV loaded with ${errors.length} malformed row(s) skipped (${rows.length} rows, ${otherColumns.length} columns)`)
+        } else {
+          message.success(`CSV file loaded successfully (${rows.length} rows, ${otherColumns.length} columns)`)
+        }
+      })
+      .catch((error) => {
+        if (error.name === 'AbortError') {
+          message.info(`Import of ${file.name} cancelled`)
+          return
+        }
         console.error('Error parsing CSV:', error)
         message.error('Failed to parse CSV file. Please check the file format.')
+      })
+    return false // Prevent default upload behavior
+  }
+
+  // A long-format table is reported for the period the map shows
+  const timeSeries = activeLayer?.timeSeries
+  const joinReport = cachedJoinReport(kmlData, csvRows, joinConfig, {
+    rowIndexes: timeSeries ? periodRowIndexes(csvRows, timeSeries) : null,
+    lines: csvTable.lines,
+  })
+
+  const selectedIndexes = selection?.layerId === activeLayerId ? selection.featureIndexes : NO_SELECTION
+  // The editing tools act on a single selected feature
+  const selectedFeatureIndex = selectedIndexes.length === 1 ? selectedIndexes[0] : null
+
+  const selectFeatures = (layerId, featureIndexes) => {
+    setSelection(featureIndexes.length > 0 ? { layerId, featureIndexes } : null)
+  }
+
+  // Select a feature of the active layer and zoom to it
+  const handleSelectFeature = (featureIndex) => {
+    const feature = kmlData?.features?.[featureIndex]
+    if (feature) {
+      selectFeatures(activeLayerId, [featureIndex])
+      setFocusTarget({ type: 'FeatureCollection', features: [feature] })
+    }
+  }
+
+  // Features of the active layer passing its attribute filter
+  const filteredFeatureCount = kmlData
+    ? kmlData.features.filter((feature) => !activeLayerStyle.classify(feature).filteredOut).length
+    : 0
+
+  // Write the active layer joined with its table in the chosen format
+  const handleExportData = ({ format, scope }) => {
+    const entries = joinedFeatures(activeLayer, activeLayerStyle, { scope, selectedIndexes })
+    const content =
+      format === 'kml'
+        ? toJoinedKml(entries, activeLayer, activeLayerStyle)
+        : format === 'csv'
+          ? toJoinedCsv(entries, activeLayer, csvColumns)
+          : toJoinedGeoJSON(entries)
+    const { extension, type } = DATA_EXPORT_FORMATS[format]
+    downloadFile(content, `${activeLayer.name}-joined.${extension}`, type)
+    setDataExportOpen(false)
+    message.success(`Exported ${entries.length} feature(s) as ${DATA_EXPORT_FORMATS[format].label}`)
+  }
+
+  // A feature clicked on the map becomes the selection without moving the map;
+  // with Shift held it is added to or removed from the selection instead
+  const handleFeatureClick = (layerId, featureIndex, additive = false) => {
+    setActiveLayerId(layerId)
+    const current = selection?.layerId === layerId ? selection.featureIndexes : []
+    if (!additive) {
+      selectFeatures(layerId, [featureIndex])
+    } else if (current.includes(featureIndex)) {
+      selectFeatures(layerId, current.filter((idx) => idx !== featureIndex))
+    } else {
+      selectFeatures(layerId, [...current, featureIndex])
+    }
+  }
+
+  // A feature found by the place search: its layer is shown and activated, and
+  // the feature selected with its popup open
+  const handleShowFeature = (layerId, featureIndex) => {
+    if (!layers.find((layer) => layer.id === layerId)?.visible) {
+      updateLayer(layerId, { visible: true })
+    }
+    setActiveLayerId(layerId)
+    selectFeatures(layerId, [featureIndex])
+    setPopupRequest((prev) => ({ layerId, featureIndex, seq: (prev?.seq ?? 0) + 1 }))
+  }
+
+  // Select the active layer's features touched by a shape drawn on the map.
+  // Features hidden by the filter or their folder are left out.
+  const handleSelectShape = (shape, mode) => {
+    const found = featuresInShape(kmlData.features, shape).filter(
+      (idx) => !activeLayerStyle.isHidden(kmlData.features[idx]),
+    )
+    const next = combineSelection(selectedIndexes, found, mode)
+    selectFeatures(activeLayerId, next)
+    message.info(`${next.length} feature(s) selected`)
+  }
+
+  const handleClearSelection = () => {
+    setSelection(null)
+    setBufferAreas(null)
+  }
+
+  // Buffer the selected features and select what lies within the buffer on
+  // the target layer, which becomes the active layer
+  const handleBufferSelection = ({ distance, targetLayerId }) => {
+    const target = resolvedLayers.find((layer) => layer.id === targetLayerId)
+    const areas = bufferFeatures(
+      selectedIndexes.map((idx) => kmlData.features[idx]),
+      distance,
+    )
+    const found = featuresInAreas(target.geojson?.features || [], areas).filter(
+      (idx) => targetLayerId !== activeLayerId || !selectedIndexes.includes(idx),
+    )
+    setBufferAreas((prev) => ({ id: (prev?.id ?? 0) + 1, areas }))
+    setActiveLayerId(targetLayerId)
+    selectFeatures(targetLayerId, found)
+    setSpatialAnalysisOpen(false)
+    message.success(`${found.length} feature(s) of ${target.name} within ${distance} m`)
+  }
+
+  // Replace the active layer's features, keeping the previous collection for undo
+  const applyEdit = (label, geojson, selectIndex = null) => {
+    const layerId = activeLayerId
+    setEditHistory((prev) => recordEdit(prev, { layerId, label, before: kmlData, after: geojson }))
+    updateLayer(layerId, { geojson })
+    selectFeatures(layerId, selectIndex != null ? [selectIndex] : [])
+  }
+
+  const handleAddDrawnFeature = ({ id, name }) => {
+    applyEdit('Add feature', addFeature(kmlData, drawnGeometry, { id, name }, joinConfig.featureKey), kmlData.features.length)
+    setDrawnGeometry(null)
+  }
+
+  const handleReshapeFeature = (geometry) => {
+    applyEdit('Edit vertices', replaceFeatureGeometry(kmlData, selectedFeatureIndex, geometry), selectedFeatureIndex)
+  }
+
+  // A null cutting line splits a multi-part feature into its parts
+  const handleSplitFeature = (cut) => {
+    const { geometry } = kmlData.features[selectedFeatureIndex]
+    let parts
+    try {
+      parts = cut ? splitGeometry(geometry, cut) : explodeGeometry(geometry)
+    } catch (error) {
+      message.error(`Failed to split the feature: ${error.message}`)
+      return
+    }
+    applyEdit('Split feature', replaceWithParts(kmlData, selectedFeatureIndex, parts, joinConfig.featureKey), selectedFeatureIndex)
+    message.success(`Feature split into ${parts.length} parts`)
+  }
+
+  const handleDeleteFeature = () => {
+    applyEdit('Delete feature', removeFeature(kmlData, selectedFeatureIndex))
+  }
+
+  // Undo and redo restore a whole collection and activate its layer
+  const handleUndo = () => {
+    const edit = editHistory.undo[editHistory.undo.length - 1]
+    if (!edit) return
+    updateLayer(edit.layerId, { geojson: edit.before })
+    setEditHistory({ undo: editHistory.undo.slice(0, -1), redo: [...editHistory.redo, edit] })
+    setActiveLayerId(edit.layerId)
+    setSelection(null)
+    message.info(`Undone: ${edit.label}`)
+  }
+
+  const handleRedo = () => {
+    const edit = editHistory.redo[editHistory.redo.length - 1]
+    if (!edit) return
+    updateLayer(edit.layerId, { geojson: edit.after })
+    setEditHistory({ undo: [...editHistory.undo, edit], redo: editHistory.redo.slice(0, -1) })
+    setActiveLayerId(edit.layerId)
+    setSelection(null)
+    message.info(`Redone: ${edit.label}`)
+  }
+
+  // An empty layer to draw new features into
+  const handleAddEmptyLayer = () => {
+    const layer = createLayer({ name: 'New layer', geojson: { type: 'FeatureCollection', features: [] }, format: 'geojson' })
+    setLayers((prev) => [...prev, layer])
+    setActiveLayerId(layer.id)
+  }
+
+  const handleFitLayer = (layerId) => {
+    const layer = layers.find((l) => l.id === layerId)
+    if (layer) {
+      setFocusTarget(combineLayerFeatures([layer]))
+    }
+  }
+
+  const handleRemoveLayer = (layerId) => {
+    const remaining = layers.filter((layer) => layer.id !== layerId)
+    setLayers(remaining)
+    setEditHistory((prev) => forgetLayerEdits(prev, layerId))
+    if (selection?.layerId === layerId) {
+      setSelection(null)
+    }
+    if (layerId === activeLayerId) {
+      setActiveLayerId(remaining.length > 0 ? remaining[remaining.length - 1].id : null)
+    }
+  }
+
+  // Basemaps and overlays: the built-in themes and the sources stored in this browser
+  const tileSources = [...BUILT_IN_TILE_SOURCES, ...customTileSources]
+  const basemap = tileSources.find((source) => source.id === mapTheme) || BUILT_IN_TILE_SOURCES[0]
+  const visibleOverlays = overlays
+    .filter((overlay) => overlay.visible)
+    .map((overlay) => ({ ...overlay, source: tileSources.find((source) => source.id === overlay.sourceId) }))
+    .filter((overlay) => overlay.source)
+
+  const reloadTileCaches = () =>
+    listTileCaches()
+      .then((caches) => setTileCaches(Object.fromEntries(caches.map((cache) => [cache.sourceId, cache]))))
+      .catch((error) => console.error('Error reading the tile cache:', error))
+
+  useEffect(() => {
+    listTileSources()
+      .then((sources) => setCustomTileSources(sources.map(withPlainAttribution)))
+      .catch((error) => console.error('Error reading tile sources:', error))
+    reloadTileCaches()
+  }, [])
+
+  const handleAddTileSource = (source) => {
+    saveTileSource(source)
+      .then(() => {
+        setCustomTileSources((prev) => [...prev, source])
+        message.success(`Tile source "${source.name}" added`)
+      })
+      .catch((error) => {
+        console.error('Error storing tile source:', error)
+        message.error(`Failed to store the tile source: ${error.message}`)
+      })
+  }
+
+  const handleDeleteTileSource = (sourceId) => {
+    deleteTileSource(sourceId)
+      .then(() => {
+        closeArchive(sourceId)
+        setCustomTileSources((prev) => prev.filter((source) => source.id !== sourceId))
+        setOverlays((prev) => prev.filter((overlay) => overlay.sourceId !== sourceId))
+        if (mapTheme === sourceId) {
+          setMapTheme(DEFAULT_BASEMAP_ID)
+        }
+        return reloadTileCaches()
+      })
+      .catch((error) => {
+        console.error('Error removing tile source:', error)
+        message.error(`Failed to remove the tile source: ${error.message}`)
+      })
+  }
+
+  const handleClearTileCache = (sourceId) => {
+    clearTileCache(sourceId)
+      .then(reloadTileCaches)
+      .catch((error) => {
+        console.error('Error clearing the tile cache:', error)
+        message.error(`Failed to clear the cached tiles: ${error.message}`)
+      })
+  }
+
+  // Sources a project refers to are added to this browser; local files cannot
+  // travel with a project, so missing ones are reported
+  const addProjectTileSources = (sources) => {
+    const missing = sources.filter((source) => !tileSources.some((known) => known.id === source.id))
+    const remote = missing.filter((source) => !isLocalSource(source)).map(withPlainAttribution)
+    if (remote.length > 0) {
+      Promise.all(remote.map(saveTileSource)).catch((error) => console.error('Error storing tile sources:', error))
+      setCustomTileSources((prev) => [...prev, ...remote])
+    }
+    const unavailable = missing.filter(isLocalSource)
+    if (unavailable.length > 0) {
+      message.warning(`Tile files not stored in this browser: ${unavailable.map((source) => source.name).join(', ')}`)
+    }
+  }
+
+  // Keep the shareable view in the URL hash as the map moves
+  useEffect(() => {
+    if (!mapInstance) {
+      return undefined
+    }
+    const writeHash = () => {
+      const { lat: viewLat, lng: viewLng } = mapInstance.getCenter()
+      const hash = writeViewHash({
+        center: [viewLat, viewLng],
+        zoom: mapInstance.getZoom(),
+        theme: mapTheme,
+        metric: selectedMetric,
+      })
+      window.history.replaceState(null, '', hash)
+    }
+    writeHash()
+    mapInstance.on('moveend', writeHash)
+    return () => {
+      mapInstance.off('moveend', writeHash)
+    }
+  }, [mapInstance, mapTheme, selectedMetric])
+
+  // A pasted link applies its view without reloading the page, and its metric
+  // when the active layer's table has that column
+  useEffect(() => {
+    const handleHashChange = () => {
+      const view = readViewHash(window.location.hash)
+      if (view.center) {
+        setCenter(view.center)
+        setLat(view.center[0].toString())
+        setLng(view.center[1].toString())
+        setZoom(view.zoom)
+        setZoomInput(String(view.zoom))
+      }
+      if (view.theme) {
+        setMapTheme(view.theme)
+      }
+      if (view.metric) {
+        setLayers((prev) => {
+          const active = resolveLayers(prev).find((layer) => layer.id === activeLayerId)
+          if (!active || active.joinConfig.csvKey === view.metric || !active.csv.header.includes(view.metric)) {
+            return prev
+          }
+          return prev.map((layer) => (layer.id === activeLayerId ? { ...layer, selectedMetric: view.metric } : layer))
+        })
       }
     }
-    reader.readAsText(file)
-    return false
+    window.addEventListener('hashchange', handleHashChange)
+    return () => window.removeEventListener('hashchange', handleHashChange)
+  }, [activeLayerId])
+
+  const handleSaveProject = (name) => {
+    const mapCenter = mapInstance ? mapInstance.getCenter() : { lat: center[0], lng: center[1] }
+    const project = serializeProject({
+      name,
+      layers,
+      activeLayerId,
+      mapTheme,
+      overlays,
+      tileSources,
+      view: { center: [mapCenter.lat, mapCenter.lng], zoom: mapInstance ? mapInstance.getZoom() : zoom },
+    })
+    downloadFile(JSON.stringify(project), projectFileName(name), 'application/json')
+    setProjectName(name)
+    // The download is what matters; a failed local copy only loses the recent entry
+    return saveRecentProject(project).catch((error) => {
+      console.error('Error storing recent project:', error)
+      message.warning('Project downloaded, but it could not be added to recent projects')
+    })
   }
 
-  // Create a map of CSV IDs to rows for faster lookup
-  const csvIdMap = new Map()
-  csvRows.forEach((row) => {
-    csvIdMap.set(row.id, row)
-  })
+  const applyProject = (project) => {
+    setLayers(project.layers)
+    setActiveLayerId(project.activeLayerId)
+    setProjectName(project.name)
+    setSelection(null)
+    setBufferAreas(null)
+    setLegendHighlight(null)
+    setEditHistory(EMPTY_EDIT_HISTORY)
+    if (project.mapTheme) {
+      setMapTheme(project.mapTheme)
+    }
+    setOverlays(project.overlays)
+    addProjectTileSources(project.tileSources)
+    if (project.view?.center) {
+      setCenter(project.view.center)
+      setLat(project.view.center[0].toString())
+      setLng(project.view.center[1].toString())
+      setZoom(project.view.zoom)
+      setZoomInput(String(project.view.zoom))
+    }
+    message.success(`Project "${project.name}" loaded (${project.layers.length} layer(s))`)
+  }
 
-  // Calculate metric values for color scaling (only for numeric columns)
-  const metricValues =
-    csvRows.length > 0 && selectedMetric
-      ? csvRows
-          .map((row) => {
-            const value = row[selectedMetric]
-            return typeof value === 'number' ? value : Number(value)
-          })
-          .filter((v) => Number.isFinite(v))
-      : []
-
-  const metricMin =
-    metricValues.length > 0 ? Math.min(...metricValues) : null
-  const metricMax =
-    metricValues.length > 0 ? Math.max(...metricValues) : null
+  const handleOpenProjectFile = (file) => {
+    file
+      .text()
+      .then((text) => {
+        const project = parseProjectFile(text)
+        applyProject(project)
+        return saveRecentProject(JSON.parse(text)).catch((error) => {
+          console.error('Error storing recent project:', error)
+        })
+      })
+      .catch((error) => {
+        console.error('Error opening project:', error)
+        message.error(`Failed to open project: ${error.message}`)
+      })
+    return false // Prevent default upload behavior
+  }
+
+  const handleOpenRecentProject = (name) => {
+    loadRecentProject(name)
+      .then((document) => applyProject(restoreProject(document)))
+      .catch((error) => {
+        console.error('Error opening project:', error)
+        message.error(`Failed to open project: ${error.message}`)
+      })
+  }
+
+  // Render the view with the on-screen styling and legend into a file
+  const handleExportMap = ({ format, title, ...settings }) => {
+    const exporter = format === 'pdf' ? exportMapPdf : exportMapPng
+    const fileName = (title || 'map').replace(/[\\/:*?"<>|]+/g, '_')
+    return exporter(mapInstance, {
+      ...settings,
+      title,
+      fileName,
+      basemap,
+      overlays: visibleOverlays,
+      tileCaches,
+      layers: resolvedLayers.filter((layer) => layer.visible),
+      layerStyles,
+      legend:
+        activeLayer && activeLayerStyle.active
+          ? {
+              title: selectedMetric,
+              units: activeLayerStyle.categorical ? '' : metricUnits,
+              entries: buildLegendEntries(activeLayer, activeLayerStyle),
+            }
+          : null,
+    })
+      .then(({ failedTiles }) => {
+        if (failedTiles > 0) {
+          message.warning(`Map exported, but ${failedTiles} basemap tile(s) could not be loaded`)
+        } else {
+          message.success('Map exported')
+        }
+      })
+      .catch((error) => {
+        console.error('Error exporting map:', error)
+        message.error(`Failed to export the map: ${error.message}`)
+      })
+  }
 
   return (
     <div className="map-page">
       <Card className="controls-card">
         <Space orientation="vertical" size="middle" style={{ width: '100%' }}>
-          <Typography.Title level={4} style={{ margin: 0 }}>
-            Map controls
-          </Typography.Title>
+          <Space style={{ width: '100%', justifyContent: 'space-between' }}>
+            <Typography.Title level={4} style={{ margin: 0 }}>
+              Map controls
+            </Typography.Title>
+            <ProjectMenu
+              projectName={projectName}
+              canSave={layers.length > 0}
+              onSave={handleSaveProject}
+              onOpenFile={handleOpenProjectFile}
+              onOpenRecent={handleOpenRecentProject}
+            />
+          </Space>
           
           <Space wrap>
             <div>
@@ -423,62 +946,226 @@ function App() {
           
           <Space>
             <Upload
-              accept=".kml"
-              beforeUpload={handleKmlUpload}
+              accept={GEOMETRY_FILE_ACCEPT}
+              beforeUpload={handleGeometryUpload}
               showUploadList={false}
-              disabled={csvRows.length === 0}
             >
               <Button 
                 icon={<UploadOutlined />} 
-                disabled={csvRows.length === 0}
-                title={csvRows.length === 0 ? 'Please upload CSV file first' : 'Upload KML file'}
+                title="KML, KMZ, GeoJSON, zipped Shapefile or GPX"
               >
-                Upload KML file
+                Add geometry layer
               </Button>
             </Upload>
+
+            <Button icon={<PlusOutlined />} onClick={handleAddEmptyLayer} title="Empty layer to draw features into">
+              New layer
+            </Button>
             
-            {kmlData && (
-              <Button onClick={() => setKmlData(null)}>
-                Clear KML
-              </Button>
-            )}
+            <Select
+              value={geometryCrs}
+              onChange={setGeometryCrs}
+              style={{ width: 260 }}
+              title="Source coordinate system"
+              options={[{ value: 'auto', label: 'CRS: from file' }, ...CRS_OPTIONS]}
+            />
           </Space>
 
+          {layers.length > 0 && (
+            <LayerManager
+              layers={layers}
+              activeLayerId={activeLayerId}
+              onActivate={setActiveLayerId}
+              onUpdate={updateLayer}
+              onMove={(layerId, offset) => setLayers((prev) => moveLayer(prev, layerId, offset))}
+              onRemove={handleRemoveLayer}
+              onFit={handleFitLayer}
+              onFitAll={() => setFocusTarget(combineLayerFeatures(layers))}
+            />
+          )}
+
+          {activeLayer?.kmlFolders?.children.length > 0 && (
+            <KmlFolderTree
+              key={activeLayerId}
+              tree={activeLayer.kmlFolders}
+              features={kmlData.features}
+              hiddenFolders={activeLayer.hiddenFolders}
+              onChangeHidden={(hiddenFolders) => updateLayer(activeLayerId, { hiddenFolders })}
+              onFit={(folderId) =>
+                setFocusTarget({
+                  type: 'FeatureCollection',
+                  features: folderFeatures(activeLayer.kmlFolders, folderId, kmlData.features),
+                })
+              }
+            />
+          )}
+
+          {csvHeader.length > 0 && (
+            <Space wrap>
+              <JoinConfigPanel
+                joinConfig={joinConfig}
+                onChange={setJoinConfig}
+                csvHeader={csvHeader}
+                geojson={kmlData}
+              />
+              {kmlData && (
+                <Button onClick={() => setJoinReportOpen(true)}>
+                  Join report ({joinReport.matchedFeatures.length}/{joinReport.featureCount} matched)
+                </Button>
+              )}
+            </Space>
+          )}
+
           <Space>
             <Upload
               accept=".csv"
               beforeUpload={handleCsvUpload}
               showUploadList={false}
+              disabled={!activeLayer}
             >
-              <Button icon={<UploadOutlined />}>Upload CSV file</Button>
+              <Button
+                icon={<UploadOutlined />}
+                disabled={!activeLayer}
+                title={activeLayer ? `Attach a table to ${activeLayer.name}` : 'Please add a geometry layer first'}
+              >
+                Upload CSV file
+              </Button>
             </Upload>
 
+            <Button
+              icon={<TableOutlined />}
+              disabled={!activeLayer}
+              onClick={() => setAttributeTableOpen(true)}
+            >
+              Attribute table
+            </Button>
+
+            <Button
+              icon={<DownloadOutlined />}
+              disabled={!activeLayer}
+              onClick={() => setDataExportOpen(true)}
+            >
+              Export data
+            </Button>
+
+            <Button
+              icon={<AimOutlined />}
+              disabled={!activeLayer}
+              onClick={() => setSpatialAnalysisOpen(true)}
+            >
+              Spatial analysis
+            </Button>
+
+            <Button
+              icon={<MessageOutlined />}
+              disabled={!activeLayer}
+              onClick={() => setPopupSettingsOpen(true)}
+            >
+              Popups and labels
+            </Button>
+
+            <Select
+              mode="multiple"
+              value={geometryColumns}
+              onChange={setGeometryColumns}
+              disabled={!activeLayer}
+              style={{ width: 220 }}
+              placeholder="Geometry columns"
+              title="Area, perimeter and centroid of each feature as table columns"
+              maxTagCount="responsive"
+              options={Object.entries(GEOMETRY_COLUMNS).map(([value, { label }]) => ({ value, label }))}
+            />
+
+            <Select
+              value={csvEncoding}
+              onChange={setCsvEncoding}
+              style={{ width: 150 }}
+              title="CSV encoding"
+              options={Object.entries(CSV_ENCODINGS).map(([value, label]) => ({ value, label }))}
+            />
+            <Select
+              value={csvDelimiter}
+              onChange={setCsvDelimiter}
+              style={{ width: 130 }}
+              title="CSV delimiter"
+              options={CSV_DELIMITER_OPTIONS}
+            />
+
             {csvRows.length > 0 && csvColumns.length > 0 && (() => {
-              // Find numeric columns for color-by selector
-              const numericColumns = csvColumns.filter(col => {
-                return csvRows.some(row => typeof row[col] === 'number' && !isNaN(row[col]))
+              // Numeric columns get graduated colors, text columns categories
+              const { numericColumns, timeColumns } = tableColumnKinds(csvTable, [joinConfig.csvKey], () => ({
+                numericColumns: csvColumns.filter(col => {
+                  return csvRows.some(row => typeof row[col] === 'number' && !isNaN(row[col]))
+                }),
+                timeColumns: listTimeColumns(csvHeader, csvRows, joinConfig.csvKey),
+              }))
+              const textColumns = csvColumns.filter(col => !numericColumns.includes(col))
+              const metricIsText = Boolean(selectedMetric) && !numericColumns.includes(selectedMetric)
+              const columnOption = (col) => ({
+                value: col,
+                label: col.charAt(0).toUpperCase() + col.slice(1).replace(/_/g, ' '),
               })
               
               return (
                 <>
-                  {/* Color by selector - single numeric column */}
-                  {numericColumns.length > 0 && (
-                    <Space>
-                      <Typography.Text type="secondary">
-                        Color by
-                      </Typography.Text>
-                      <Select
-                        value={selectedMetric}
-                        onChange={setSelectedMetric}
-                        style={{ width: 180 }}
-                        options={numericColumns.map(col => ({
-                          value: col,
-                          label: col.charAt(0).toUpperCase() + col.slice(1).replace(/_/g, ' '),
-                        }))}
+                  {/* Color by selector - single column */}
+                  <Space wrap>
+                    <Button onClick={() => setComputedColumnsOpen(true)}>
+                      Computed columns{computedColumns.length > 0 ? ` (${computedColumns.length})` : ''}
+                    </Button>
+                    <Typography.Text type="secondary">
+                      Color by
+                    </Typography.Text>
+                    <Select
+                      value={selectedMetric}
+                      onChange={setSelectedMetric}
+                      style={{ width: 180 }}
+                      options={[
+                        { label: 'Numeric', options: numericColumns.map(columnOption) },
+                        { label: 'Text', options: textColumns.map(columnOption) },
+                      ].filter(group => group.options.length > 0)}
+                    />
+                    {!metricIsText && (
+                      <Input
+                        value={metricUnits}
+                        onChange={(e) => setMetricUnits(e.target.value)}
+                        placeholder="Units"
+                        style={{ width: 90 }}
+                        title="Units shown in the legend"
                       />
-                    </Space>
-                  )}
+                    )}
+                    <ClassificationControls
+                      key={activeLayerId}
+                      classification={classification}
+                      onChange={setClassification}
+                      textOnly={metricIsText}
+                      categories={activeLayerStyle?.categorical ? activeLayerStyle.scale.categories : []}
+                    />
+                    <Typography.Text type="secondary">
+                      Time
+                    </Typography.Text>
+                    <Select
+                      value={activeLayer.timeSeries?.column || ''}
+                      onChange={setTimeColumn}
+                      style={{ width: 150 }}
+                      title="Column telling the periods of a long-format table apart"
+                      options={[
+                        { value: '', label: 'None' },
+                        ...timeColumns.map(columnOption),
+                      ]}
+                    />
+                  </Space>
                   
+                  <FeatureFilterPanel
+                    filter={activeLayer.filter}
+                    onChange={setFeatureFilter}
+                    columns={csvColumns}
+                    numericColumns={numericColumns}
+                    rows={csvRows}
+                    matchCount={filteredFeatureCount}
+                    featureCount={kmlData.features.length}
+                  />
+
                   {/* Popup columns selector - multiple columns */}
                   <Space>
                     <Typography.Text type="secondary">
@@ -506,226 +1193,250 @@ function App() {
                 Map theme
               </Typography.Text>
               <Select
-                value={mapTheme}
+                value={basemap.id}
                 onChange={setMapTheme}
                 style={{ width: 180 }}
-                options={Object.entries(MAP_THEMES).map(([key, theme]) => ({
-                  value: key,
-                  label: theme.name,
-                }))}
+                options={tileSources.map((source) => ({ value: source.id, label: source.name }))}
               />
+              <Button icon={<GlobalOutlined />} onClick={() => setTileSourcesOpen(true)}>
+                Basemaps and overlays{overlays.length > 0 && ` (${overlays.length})`}
+              </Button>
             </Space>
+            <Button icon={<PrinterOutlined />} onClick={() => setExportOpen(true)} disabled={!mapInstance}>
+              Export map
+            </Button>
           </Space>
+
+          {csvErrors.length > 0 && (
+            <Alert
+              type="warning"
+              showIcon
+              closable={{
+                onClose: () => updateLayer(activeLayerId, (layer) => ({ csv: { ...layer.csv, errors: [] } })),
+              }}
+              title={`${csvErrors.length} malformed CSV row(s) were skipped`}
+              description={
+                <div style={{ maxHeight: 120, overflowY: 'auto', fontSize: 12 }}>
+                  {csvErrors.map((err, idx) => (
+                    <div key={idx}>
+                      Line {err.line}: {err.message}
+                    </div>
+                  ))}
+                </div>
+              }
+            />
+          )}
         </Space>
       </Card>
       
       <MapContainer
+        ref={setMapInstance}
         className="map-container"
         center={center}
         zoom={zoom}
         scrollWheelZoom
       >
-        {csvRows.length > 0 && (
-          <div
-            style={{
-              position: 'absolute',
-              top: 12,
-              right: 12,
-              zIndex: 1000,
-              background: 'rgba(17, 24, 39, 0.9)',
-              color: '#f9fafb',
-              padding: '6px 10px',
-              borderRadius: 6,
-              fontSize: 12,
-              boxShadow: '0 4px 10px rgba(0,0,0,0.25)',
-            }}
-          >
-            <div style={{ fontWeight: 500, marginBottom: 2 }}>
-              Color scheme
-            </div>
-            <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
-              <span style={{ textTransform: 'capitalize' }}>
-                {selectedMetric}
-              </span>
-              <span style={{ opacity: 0.8 }}>· purple scale</span>
-            </div>
-          </div>
+        {activeLayer && activeLayerStyle.active && (
+          <MapLegend
+            title={[selectedMetric, activeLayer.timeSeries?.period].filter(Boolean).join(', ')}
+            units={activeLayerStyle.categorical ? '' : metricUnits}
+            entries={buildLegendEntries(activeLayer, activeLayerStyle)}
+            onHighlight={setLegendHighlight}
+          />
         )}
         <MapUpdater center={center} />
         <ZoomUpdater zoom={zoom} />
-        {kmlData && <BoundsFitter geojson={kmlData} />}
-        <TileLayer
-          attribution={MAP_THEMES[mapTheme].attribution}
-          url={MAP_THEMES[mapTheme].url}
-        />
-        {kmlData && (
-          <GeoJSON
-            data={kmlData}
-            style={(feature) => {
-              // Try multiple ways to get the ID - check properties first as it's most reliable
-              const featureId =
-                feature?.properties?.id ||
-                feature?.properties?.placemarkId ||
-                feature?.properties?.Id ||
-                feature?.properties?.ID ||
-                feature?.id
-
-              // Use the map for faster lookup
-              const csvRow = featureId ? csvIdMap.get(featureId) : null
-
-              let fillColor =
-                feature?.properties?.fill || '#3388ff'
-              let strokeColor =
-                feature?.properties?.stroke || '#3388ff'
-
-              if (
-                csvRow &&
-                metricMin != null &&
-                metricMax != null
-              ) {
-                const value = Number(csvRow[selectedMetric])
-                const color = getColorForValue(
-                  value,
-                  metricMin,
-                  metricMax,
-                )
-                fillColor = color
-                strokeColor = color
-              }
-
-              return {
-                color: strokeColor,
-                weight: feature?.properties?.['stroke-width'] || 3,
-                opacity: feature?.properties?.['stroke-opacity'] || 0.8,
-                fillColor,
-                fillOpacity: feature?.properties?.['fill-opacity'] || 0.2,
-              }
-            }}
-            onEachFeature={(feature, layer) => {
-              // Try multiple ways to get the ID - check properties first as it's most reliable
-              const featureId =
-                feature?.properties?.id ||
-                feature?.properties?.placemarkId ||
-                feature?.properties?.Id ||
-                feature?.properties?.ID ||
-                feature?.id
-
-              // Use the map for faster lookup
-              const csvRow = featureId ? csvIdMap.get(featureId) : null
-
-              // Debug logging
-              if (csvRows.length > 0) {
-                console.log('onEachFeature:', {
-                  featureId,
-                  featureName: feature?.properties?.name || feature?.properties?.Name,
-                  hasCsvRow: !!csvRow,
-                  allFeatureProps: Object.keys(feature?.properties || {}),
-                  csvIds: Array.from(csvIdMap.keys())
-                })
-              }
-              
-              if (featureId && csvRows.length > 0 && !csvRow) {
-                console.warn('⚠️ No CSV match found:', {
-                  featureId,
-                  featureName: feature?.properties?.name || feature?.properties?.Name,
-                  availableIds: Array.from(csvIdMap.keys()),
-                  featureProperties: feature?.properties
-                })
-              }
-
-              const featureName =
-                feature?.properties?.name || feature?.properties?.Name || 'Unnamed'
-
-              if (csvRow) {
-                // Format numbers with thousand separators
-                const formatNumber = (num) => {
-                  if (typeof num === 'number' && !isNaN(num)) {
-                    return num.toLocaleString('en-US')
-                  }
-                  return num
-                }
-
-                // Format column name for display
-                const formatColumnName = (colName) => {
-                  return colName.charAt(0).toUpperCase() + colName.slice(1).replace(/_/g, ' ')
-                }
-
-                // Build dynamic content for selected columns only
-                const columnContent = selectedPopupColumns
-                  .filter(col => csvColumns.includes(col)) // Only include valid columns
-                  .map(col => {
-                    const value = csvRow[col]
-                    if (value === undefined || value === null || value === '') {
-                      return ''
-                    }
-                    
-                    const isNumeric = typeof value === 'number' && !isNaN(value)
-                    const displayValue = isNumeric ? formatNumber(value) : value
-                    const prefix = isNumeric && (col.toLowerCase().includes('revenue') || col.toLowerCase().includes('cost') || col.toLowerCase().includes('price') || col.toLowerCase().includes('amount')) ? '$' : ''
-                    
-                    return `
-                      <div style="display: flex; justify-content: space-between; margin-bottom: 6px;">
-                        <span style="color: #6b7280; font-size: 12px;">${formatColumnName(col)}:</span>
-                        <span style="color: #111827; font-weight: 500; font-size: 12px;">${prefix}${displayValue}</span>
-                      </div>
-                    `
-                  })
-                  .filter(html => html !== '')
-                  .join('')
-
-                layer.bindPopup(
-                  `<div style="font-family: system-ui, -apple-system, sans-serif; min-width: 200px;">
-                    <div style="font-weight: 600; font-size: 14px; margin-bottom: 8px; color: #1f2937;">
-                      ${featureName}
-                    </div>
-                    <div style="border-top: 1px solid #e5e7eb; padding-top: 8px;">
-                      <div style="display: flex; justify-content: space-between; margin-bottom: 6px;">
-                        <span style="color: #6b7280; font-size: 12px;">ID:</span>
-                        <span style="color: #111827; font-weight: 500; font-size: 12px;">${csvRow.id}</span>
-                      </div>
-                      ${columnContent}
-                    </div>
-                  </div>`,
-                  {
-                    className: 'custom-popup',
-                  }
-                )
-              } else {
-                // Show basic info if no CSV data, including the ID for debugging
-                layer.bindPopup(
-                  `<div style="font-family: system-ui, -apple-system, sans-serif; min-width: 200px;">
-                    <div style="font-weight: 600; font-size: 14px; margin-bottom: 8px; color: #1f2937;">
-                      ${featureName}
-                    </div>
-                    <div style="border-top: 1px solid #e5e7eb; padding-top: 8px;">
-                      ${featureId ? `
-                        <div style="display: flex; justify-content: space-between; margin-bottom: 6px;">
-                          <span style="color: #6b7280; font-size: 12px;">Feature ID:</span>
-                          <span style="color: #111827; font-weight: 500; font-size: 12px; font-family: monospace;">${featureId}</span>
-                        </div>
-                      ` : ''}
-                      <div style="color: #dc2626; font-size: 12px; margin-top: ${featureId ? '6px' : '0'};">
-                        No CSV data found for this ID
-                      </div>
-                      ${csvRows.length > 0 ? `
-                        <div style="margin-top: 8px; padding-top: 8px; border-top: 1px solid #e5e7eb;">
-                          <div style="color: #6b7280; font-size: 11px; margin-bottom: 4px;">Available CSV IDs:</div>
-                          <div style="color: #111827; font-size: 11px; font-family: monospace; max-height: 100px; overflow-y: auto;">
-                            ${csvRows.map(row => row.id).join(', ')}
-                          </div>
-                        </div>
-                      ` : ''}
-                    </div>
-                  </div>`,
-                  {
-                    className: 'custom-popup',
-                  }
-                )
-              }
-            }}
+        {focusTarget && <BoundsFitter geojson={focusTarget} />}
+        <TileSourceLayer source={basemap} cached={Boolean(tileCaches[basemap.id])} zIndex={0} />
+        {visibleOverlays.map(({ source, opacity }, idx) => (
+          <TileSourceLayer
+            key={source.id}
+            source={source}
+            opacity={opacity}
+            zIndex={idx + 1}
+            cached={Boolean(tileCaches[source.id])}
+          />
+        ))}
+        <PlaceSearch layers={layers} onSelectFeature={handleShowFeature} />
+        <MeasureControl />
+        {activeLayer?.visible && activeLayerStyle.time?.periods.length > 0 && (
+          <TimeSlider
+            periods={activeLayerStyle.time.periods}
+            period={activeLayer.timeSeries.period}
+            onChange={setTimePeriod}
+          />
+        )}
+        {activeLayer?.visible && (
+          <SelectionTools
+            selectedCount={selectedIndexes.length}
+            onSelectShape={handleSelectShape}
+            onClear={handleClearSelection}
+          />
+        )}
+        {activeLayer?.visible && (
+          <GeometryEditor
+            key={activeLayerId}
+            feature={selectedFeatureIndex != null ? kmlData.features[selectedFeatureIndex] : null}
+            canUndo={editHistory.undo.length > 0}
+            canRedo={editHistory.redo.length > 0}
+            onCreate={setDrawnGeometry}
+            onReshape={handleReshapeFeature}
+            onSplit={handleSplitFeature}
+            onDelete={handleDeleteFeature}
+            onUndo={handleUndo}
+            onRedo={handleRedo}
           />
         )}
+        {resolvedLayers.filter((layer) => layer.visible).map((layer) => (
+          <FeatureLayer
+            key={layer.id}
+            layer={layer}
+            layerStyle={layerStyles.get(layer.id)}
+            zIndex={LAYER_PANE_BASE_Z + resolvedLayers.indexOf(layer)}
+            highlightClass={layer.id === activeLayerId ? legendHighlight : null}
+            selectedIndexes={selection?.layerId === layer.id ? selection.featureIndexes : NO_SELECTION}
+            onFeatureClick={(featureIndex, additive) => handleFeatureClick(layer.id, featureIndex, additive)}
+            popupRequest={popupRequest?.layerId === layer.id ? popupRequest : null}
+            onPopupHandled={() => setPopupRequest(null)}
+          />
+        ))}
+        {bufferAreas && (
+          <Pane name="spatial-buffer" style={{ zIndex: BUFFER_PANE_Z }}>
+            <GeoJSON key={bufferAreas.id} data={bufferAreas.areas} style={BUFFER_STYLE} interactive={false} />
+          </Pane>
+        )}
       </MapContainer>
+
+      <TileSourcesModal
+        open={tileSourcesOpen}
+        sources={tileSources}
+        caches={tileCaches}
+        overlays={overlays}
+        basemapId={basemap.id}
+        map={mapInstance}
+        onAddSource={handleAddTileSource}
+        onDeleteSource={handleDeleteTileSource}
+        onChangeOverlays={setOverlays}
+        onCacheChanged={reloadTileCaches}
+        onClearCache={handleClearTileCache}
+        onClose={() => setTileSourcesOpen(false)}
+      />
+
+      {spatialAnalysisOpen && activeLayer && (
+        <SpatialAnalysisModal
+          open
+          layer={activeLayer}
+          layers={resolvedLayers}
+          selectedCount={selectedIndexes.length}
+          onChangeAggregates={setSpatialAggregates}
+          onBuffer={handleBufferSelection}
+          onClose={() => setSpatialAnalysisOpen(false)}
+        />
+      )}
+
+      {activeLayer && (
+        <ComputedColumnsModal
+          key={activeLayerId}
+          open={computedColumnsOpen}
+          computedColumns={computedColumns}
+          tableHeader={csvHeader.filter((col) => !computedColumns.some((column) => column.name === col))}
+          computedErrors={csvTable.computedErrors || {}}
+          onChange={setComputedColumns}
+          onClose={() => setComputedColumnsOpen(false)}
+        />
+      )}
+
+      {popupSettingsOpen && activeLayer && (
+        <PopupSettingsModal
+          open
+          layer={activeLayer}
+          // Templates and labels may also use the features' own properties
+          columns={[
+            ...new Set([
+              ...csvHeader,
+              ...kmlData.features.flatMap((feature) => Object.keys(feature.properties || {})),
+            ]),
+          ]}
+          sampleRow={{ ...kmlData.features[0]?.properties, ...csvRows[0] }}
+          onChange={(patch) => updateLayer(activeLayerId, patch)}
+          onClose={() => setPopupSettingsOpen(false)}
+        />
+      )}
+
+      {activeLayer && (
+        <AttributeTablePanel
+          key={activeLayerId}
+          open={attributeTableOpen}
+          onClose={() => setAttributeTableOpen(false)}
+          layer={activeLayer}
+          layerStyle={activeLayerStyle}
+          columns={csvColumns}
+          selectedIndexes={selectedIndexes}
+          onSelectRow={handleSelectFeature}
+          onSelectionChange={(featureIndexes) => selectFeatures(activeLayerId, featureIndexes)}
+        />
+      )}
+
+      {dataExportOpen && activeLayer && (
+        <DataExportModal
+          open
+          counts={{
+            all: kmlData.features.length,
+            filtered: filteredFeatureCount,
+            selected: selectedIndexes.length,
+          }}
+          onExport={handleExportData}
+          onClose={() => setDataExportOpen(false)}
+        />
+      )}
+
+      {exportOpen && (
+        <MapExportModal
+          open
+          defaultTitle={activeLayer ? [activeLayer.name, selectedMetric].filter(Boolean).join(': ') : ''}
+          onExport={handleExportMap}
+          onClose={() => setExportOpen(false)}
+        />
+      )}
+
+      {drawnGeometry && activeLayer && (
+        <NewFeatureModal
+          defaultId={nextFeatureId(kmlData.features, joinConfig.featureKey)}
+          keyLabel={
+            listFeatureKeySources(kmlData).find((source) => source.value === joinConfig.featureKey)?.label ||
+            'Feature key'
+          }
+          keyIsName={joinConfig.featureKey === FEATURE_KEY_NAME}
+          suggestions={joinReport.unmatchedRows
+            .map((entry) => csvRows[entry.rowIndex][joinConfig.csvKey])
+            .filter((key) => key != null && key !== '')
+            .map(String)}
+          takenKeys={usedFeatureKeys(kmlData.features, joinConfig.featureKey)}
+          onConfirm={handleAddDrawnFeature}
+          onCancel={() => setDrawnGeometry(null)}
+        />
+      )}
+
+      <TaskProgressModal task={fileTask} onCancel={() => fileTask?.controller.abort()} />
+
+      {pendingGeometry && (
+        <CrsPromptModal
+          pending={pendingGeometry}
+          onConfirm={(crs) => {
+            finishGeometryImport(pendingGeometry, crs)
+            setPendingGeometry(null)
+          }}
+          onCancel={() => setPendingGeometry(null)}
+        />
+      )}
+
+      <JoinReportPanel
+        open={joinReportOpen}
+        onClose={() => setJoinReportOpen(false)}
+        report={joinReport}
+        period={timeSeries?.period}
+        onSelectFeature={handleSelectFeature}
+      />
     </div>
   )
 }
@@ -0,0 +1,214 @@
+import { useState, useRef, useEffect } from 'react'
+import { Drawer, Table, Input, Button, Space, Tag, Typography, Switch } from 'antd'
+import { FilterOutlined, VerticalAlignBottomOutlined, VerticalRightOutlined } from '@ant-design/icons'
+import { MATCH_STATUS, cachedAttributeRows, queryAttributeRows } from '../lib/attributeTable'
+
+const PAGE_SIZE_OPTIONS = [20, 50, 100, 500]
+const NO_ROWS = []
+
+const formatCell = (value) =>
+  typeof value === 'number' && !isNaN(value) ? value.toLocaleString('en-US') : value
+
+// Every feature of the active layer with its joined CSV row. Clicking a row
+// selects and zooms to its feature, the checkboxes build a multiple selection,
+// and features selected on the map are paged and scrolled to here. The panel
+// docks at the bottom or on the right.
+function AttributeTablePanel({
+  open,
+  onClose,
+  layer,
+  layerStyle,
+  columns,
+  selectedIndexes,
+  onSelectRow,
+  onSelectionChange,
+}) {
+  const [dock, setDock] = useState('bottom')
+  const [search, setSearch] = useState('')
+  const [filters, setFilters] = useState({})
+  const [statuses, setStatuses] = useState([])
+  const [sorter, setSorter] = useState(null)
+  const [pagination, setPagination] = useState({ current: 1, pageSize: PAGE_SIZE_OPTIONS[0] })
+  const [selectedOnly, setSelectedOnly] = useState(false)
+  const wrapperRef = useRef(null)
+
+  const selected = new Set(selectedIndexes)
+  // Nothing is built while the drawer is closed
+  const rows = open ? cachedAttributeRows(layer, layerStyle, columns) : NO_ROWS
+  const queriedRows = queryAttributeRows(rows, { search, filters, statuses, sorter })
+  const visibleRows = selectedOnly ? queriedRows.filter((row) => selected.has(row.featureIndex)) : queriedRows
+
+  // Move to the page holding the first selected feature when the selection
+  // changes elsewhere, unless the current page already shows one
+  const [syncedSelection, setSyncedSelection] = useState(null)
+  if (selectedIndexes !== syncedSelection) {
+    setSyncedSelection(selectedIndexes)
+    const pageStart = (pagination.current - 1) * pagination.pageSize
+    const onPage = visibleRows
+      .slice(pageStart, pageStart + pagination.pageSize)
+      .some((row) => selected.has(row.featureIndex))
+    const position = visibleRows.findIndex((row) => selected.has(row.featureIndex))
+    if (!onPage && position !== -1) {
+      setPagination((prev) => ({ ...prev, current: Math.floor(position / prev.pageSize) + 1 }))
+    }
+  }
+
+  // Scroll to the most recently selected feature on the page
+  const lastSelected = selectedIndexes[selectedIndexes.length - 1]
+  useEffect(() => {
+    if (open && lastSelected != null) {
+      wrapperRef.current
+        ?.querySelector(`[data-row-key="${lastSelected}"]`)
+        ?.scrollIntoView({ block: 'nearest' })
+    }
+  }, [open, lastSelected, pagination])
+
+  const updateFilter = (field, text) => {
+    setFilters((prev) => ({ ...prev, [field]: text }))
+    setPagination((prev) => ({ ...prev, current: 1 }))
+  }
+
+  // Free-text filter typed into the column header dropdown
+  const columnFilterProps = (field) => ({
+    filteredValue: filters[field] ? [filters[field]] : null,
+    filterIcon: (filtered) => <FilterOutlined style={{ color: filtered ? '#7c3aed' : undefined }} />,
+    filterDropdown: ({ close }) => (
+      <div style={{ padding: 8 }} onKeyDown={(e) => e.stopPropagation()}>
+        <Input
+          autoFocus
+          allowClear
+          value={filters[field] || ''}
+          onChange={(e) => updateFilter(field, e.target.value)}
+          onPressEnter={close}
+          placeholder="Text, >100, <=5 or 10..20"
+          style={{ width: 220 }}
+        />
+      </div>
+    ),
+  })
+
+  const sortableColumn = (field, title) => ({
+    key: field,
+    dataIndex: field,
+    title,
+    sorter: true,
+    sortOrder: sorter?.field === field ? sorter.order : null,
+    ellipsis: true,
+    ...columnFilterProps(field),
+  })
+
+  const tableColumns = [
+    { ...sortableColumn('name', 'Name'), fixed: 'left', width: 180 },
+    { ...sortableColumn('featureKey', 'Key'), width: 140 },
+    {
+      key: 'status',
+      dataIndex: 'status',
+      title: 'Match',
+      width: 120,
+      sorter: true,
+      sortOrder: sorter?.field === 'status' ? sorter.order : null,
+      filters: Object.entries(MATCH_STATUS).map(([value, text]) => ({ value, text })),
+      filteredValue: statuses.length > 0 ? statuses : null,
+      render: (status) => (
+        <Tag color={status === 'matched' ? 'green' : 'red'}>{MATCH_STATUS[status]}</Tag>
+      ),
+    },
+    ...columns.map((col) => ({
+      ...sortableColumn(`csv:${col}`, col),
+      width: 140,
+      render: formatCell,
+    })),
+  ]
+
+  const toggleDock = () => setDock((prev) => (prev === 'bottom' ? 'right' : 'bottom'))
+
+  return (
+    <Drawer
+      title={`Attribute table: ${layer.name}`}
+      placement={dock}
+      size={dock === 'bottom' ? 380 : 720}
+      resizable
+      mask={false}
+      open={open}
+      onClose={onClose}
+      extra={
+        <Space>
+          <Input.Search
+            allowClear
+            placeholder="Search"
+            value={search}
+            onChange={(e) => {
+              setSearch(e.target.value)
+              setPagination((prev) => ({ ...prev, current: 1 }))
+            }}
+            style={{ width: 200 }}
+          />
+          <Button
+            icon={dock === 'bottom' ? <VerticalRightOutlined /> : <VerticalAlignBottomOutlined />}
+            onClick={toggleDock}
+            title={dock === 'bottom' ? 'Dock on the right' : 'Dock at the bottom'}
+          />
+        </Space>
+      }
+    >
+      <div ref={wrapperRef}>
+        <Space size="middle">
+          <Typography.Text type="secondary">
+            {visibleRows.length === rows.length
+              ? `${rows.length} features`
+              : `${visibleRows.length} of ${rows.length} features`}
+            {selectedIndexes.length > 0 && `, ${selectedIndexes.length} selected`}
+          </Typography.Text>
+          <Space size={4}>
+            <Switch
+              size="small"
+              checked={selectedOnly}
+              onChange={(checked) => {
+                setSelectedOnly(checked)
+                setPagination((prev) => ({ ...prev, current: 1 }))
+              }}
+            />
+            <Typography.Text>Selected only</Typography.Text>
+          </Space>
+        </Space>
+        <Table
+          size="small"
+          rowKey="featureIndex"
+          columns={tableColumns}
+          dataSource={visibleRows}
+          scroll={{ x: 'max-content' }}
+          pagination={{
+            ...pagination,
+            total: visibleRows.length,
+            showSizeChanger: true,
+            pageSizeOptions: PAGE_SIZE_OPTIONS,
+          }}
+          rowSelection={{
+            selectedRowKeys: selectedIndexes,
+            // Keep selected features that the search or filters currently hide
+            preserveSelectedRowKeys: true,
+            onChange: (keys) => onSelectionChange(keys),
+          }}
+          onRow={(record) => ({
+            onClick: () => onSelectRow(record.featureIndex),
+            style: { cursor: 'pointer' },
+          })}
+          onChange={(nextPagination, tableFilters, nextSorter, { action }) => {
+            if (action === 'paginate') {
+              setPagination({ current: nextPagination.current, pageSize: nextPagination.pageSize })
+            }
+            if (action === 'filter') {
+              setStatuses(tableFilters.status || [])
+              setPagination((prev) => ({ ...prev, current: 1 }))
+            }
+            if (action === 'sort') {
+              setSorter(nextSorter.order ? { field: nextSorter.field, order: nextSorter.order } : null)
+            }
+          }}
+        />
+      </div>
+    </Drawer>
+  )
+}
+
+export default AttributeTablePanel
@@ -0,0 +1,165 @@
+import { useState } from 'react'
+import { Space, Select, InputNumber, Input, Checkbox, Typography, ColorPicker } from 'antd'
+import { CLASSIFICATION_METHODS } from '../lib/classify'
+import { PALETTES, PALETTE_OPTIONS, QUALITATIVE_PALETTE_OPTIONS, getRampColors } from '../lib/palettes'
+
+// Small strip of ramp colors shown next to each palette option
+function RampPreview({ palette, reverse }) {
+  return (
+    <span style={{ display: 'inline-flex', verticalAlign: 'middle', marginRight: 6 }}>
+      {(PALETTES[palette]?.type === 'qualitative'
+        ? PALETTES[palette].colors
+        : getRampColors(palette, 7, reverse)
+      ).map((color, idx) => (
+        <span key={idx} style={{ width: 10, height: 12, background: color }} />
+      ))}
+    </span>
+  )
+}
+
+// Manual breaks are typed as a list; both `;` and spaces separate values so a
+// decimal comma can be used
+function parseBreaks(text) {
+  return text
+    .split(/[;\s]+/)
+    .map((part) => Number(part.replace(',', '.')))
+    .filter((n) => Number.isFinite(n))
+}
+
+function paletteSelectOptions(groups, reverse) {
+  return groups.map((group) => ({
+    ...group,
+    options: group.options.map((option) => ({
+      ...option,
+      label: (
+        <span>
+          <RampPreview palette={option.value} reverse={reverse} />
+          {option.label}
+        </span>
+      ),
+    })),
+  }))
+}
+
+// Classification method, class count and color ramp for the Color by metric.
+// Text columns are only offered the categorical method; `categories` are the
+// values currently shown so their colors can be overridden one by one.
+function ClassificationControls({ classification, onChange, textOnly = false, categories = [] }) {
+  const [breaksText, setBreaksText] = useState(classification.manualBreaks.join('; '))
+  const update = (patch) => onChange({ ...classification, ...patch })
+  const method = textOnly ? 'categorical' : classification.method
+  const isClassed = method !== 'continuous' && method !== 'categorical'
+
+  if (method === 'categorical') {
+    return (
+      <Space orientation="vertical" style={{ width: '100%' }}>
+        <Space wrap>
+          <Space>
+            <Typography.Text type="secondary">Classes</Typography.Text>
+            <Select
+              value={method}
+              onChange={(next) => update({ method: next })}
+              disabled={textOnly}
+              style={{ width: 190 }}
+              options={Object.entries(CLASSIFICATION_METHODS).map(([value, label]) => ({ value, label }))}
+            />
+          </Space>
+          <Space>
+            <Typography.Text type="secondary">Max categories</Typography.Text>
+            <InputNumber
+              min={1}
+              max={24}
+              value={classification.maxCategories}
+              onChange={(maxCategories) => maxCategories && update({ maxCategories })}
+              style={{ width: 70 }}
+              title="Less frequent values are grouped as Other"
+            />
+          </Space>
+          <Space>
+            <Typography.Text type="secondary">Palette</Typography.Text>
+            <Select
+              value={classification.categoryPalette}
+              onChange={(categoryPalette) => update({ categoryPalette, categoryColors: {} })}
+              style={{ width: 260 }}
+              options={paletteSelectOptions(QUALITATIVE_PALETTE_OPTIONS, false)}
+            />
+          </Space>
+        </Space>
+        {categories.length > 0 && (
+          <Space wrap size={[12, 4]}>
+            {categories.map((category) => (
+              <Space key={category.value} size={4}>
+                <ColorPicker
+                  size="small"
+                  value={category.color}
+                  disabledAlpha
+                  onChangeComplete={(color) =>
+                    update({
+                      categoryColors: {
+                        ...classification.categoryColors,
+                        [category.value]: color.toHexString(),
+                      },
+                    })
+                  }
+                />
+                <Typography.Text>{category.value}</Typography.Text>
+              </Space>
+            ))}
+          </Space>
+        )}
+      </Space>
+    )
+  }
+
+  return (
+    <Space wrap>
+      <Space>
+        <Typography.Text type="secondary">Classes</Typography.Text>
+        <Select
+          value={classification.method}
+          onChange={(method) => update({ method })}
+          style={{ width: 190 }}
+          options={Object.entries(CLASSIFICATION_METHODS).map(([value, label]) => ({ value, label }))}
+        />
+      </Space>
+      {isClassed && classification.method !== 'manual' && (
+        <InputNumber
+          min={2}
+          max={9}
+          value={classification.classCount}
+          onChange={(classCount) => classCount && update({ classCount })}
+          style={{ width: 70 }}
+          title="Number of classes"
+        />
+      )}
+      {classification.method === 'manual' && (
+        <Input
+          value={breaksText}
+          onChange={(e) => {
+            setBreaksText(e.target.value)
+            update({ manualBreaks: parseBreaks(e.target.value) })
+          }}
+          placeholder="Breaks, e.g. 100000; 200000"
+          style={{ width: 220 }}
+        />
+      )}
+      <Space>
+        <Typography.Text type="secondary">Palette</Typography.Text>
+        <Select
+          value={classification.palette}
+          onChange={(palette) => update({ palette })}
+          style={{ width: 300 }}
+          options={paletteSelectOptions(PALETTE_OPTIONS, classification.reverse)}
+        />
+      </Space>
+      <Checkbox
+        checked={classification.reverse}
+        onChange={(e) => update({ reverse: e.target.checked })}
+      >
+        Reverse
+      </Checkbox>
+    </Space>
+  )
+}
+
+export default ClassificationControls
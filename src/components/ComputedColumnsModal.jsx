@@ -0,0 +1,147 @@
+import { useState } from 'react'
+import { Modal, Input, Button, Space, Typography, Tag, List, Alert, Collapse } from 'antd'
+import { DeleteOutlined, EditOutlined } from '@ant-design/icons'
+import { EXPRESSION_FUNCTIONS } from '../lib/expression'
+import { validateComputedColumn } from '../lib/computedColumns'
+
+const EMPTY_DRAFT = { index: null, name: '', expression: '' }
+
+// Bare names work for simple identifiers, anything else needs brackets
+const columnReference = (name) => (/^[\p{L}_][\p{L}\p{N}_]*$/u.test(name) ? name : `[${name}]`)
+
+// Formula editor for the active layer's computed columns. `tableHeader` holds
+// the uploaded CSV columns; each formula may also use the computed columns
+// listed before it.
+function ComputedColumnsModal({ open, computedColumns, tableHeader, computedErrors, onChange, onClose }) {
+  const [draft, setDraft] = useState(EMPTY_DRAFT)
+
+  const precedingColumns = [
+    ...tableHeader,
+    ...computedColumns
+      .slice(0, draft.index ?? computedColumns.length)
+      .map((column) => column.name),
+  ]
+  const draftError =
+    draft.name || draft.expression ? validateComputedColumn(draft, precedingColumns) : null
+
+  const insert = (text) => setDraft((prev) => ({ ...prev, expression: `${prev.expression}${text}` }))
+
+  const save = () => {
+    const column = { name: draft.name.trim(), expression: draft.expression }
+    onChange(
+      draft.index == null
+        ? [...computedColumns, column]
+        : computedColumns.map((existing, idx) => (idx === draft.index ? column : existing)),
+    )
+    setDraft(EMPTY_DRAFT)
+  }
+
+  return (
+    <Modal open={open} title="Computed columns" footer={null} onCancel={onClose} width={720}>
+      <Space orientation="vertical" size="middle" style={{ width: '100%' }}>
+        {computedColumns.length > 0 && (
+          <List
+            size="small"
+            bordered
+            dataSource={computedColumns}
+            renderItem={(column, idx) => (
+              <List.Item
+                actions={[
+                  <Button
+                    key="edit"
+                    size="small"
+                    icon={<EditOutlined />}
+                    onClick={() => setDraft({ index: idx, ...column })}
+                    title="Edit"
+                  />,
+                  <Button
+                    key="remove"
+                    size="small"
+                    danger
+                    icon={<DeleteOutlined />}
+                    onClick={() => {
+                      onChange(computedColumns.filter((_, i) => i !== idx))
+                      if (draft.index === idx) setDraft(EMPTY_DRAFT)
+                    }}
+                    title="Remove"
+                  />,
+                ]}
+              >
+                <Space orientation="vertical" size={0}>
+                  <Typography.Text strong>{column.name}</Typography.Text>
+                  <Typography.Text code>{column.expression}</Typography.Text>
+                  {computedErrors[column.name] && (
+                    <Typography.Text type="danger">{computedErrors[column.name]}</Typography.Text>
+                  )}
+                </Space>
+              </List.Item>
+            )}
+          />
+        )}
+
+        <Space orientation="vertical" style={{ width: '100%' }}>
+          <Typography.Text type="secondary">
+            {draft.index == null ? 'New column' : `Editing ${computedColumns[draft.index]?.name}`}
+          </Typography.Text>
+          <Input
+            value={draft.name}
+            onChange={(e) => setDraft((prev) => ({ ...prev, name: e.target.value }))}
+            placeholder="Column name, e.g. profit"
+          />
+          <Input.TextArea
+            value={draft.expression}
+            onChange={(e) => setDraft((prev) => ({ ...prev, expression: e.target.value }))}
+            placeholder="Formula, e.g. revenue - cost"
+            autoSize={{ minRows: 2, maxRows: 6 }}
+            style={{ fontFamily: 'monospace' }}
+          />
+          <div>
+            {precedingColumns.map((name) => (
+              <Tag key={name} style={{ cursor: 'pointer' }} onClick={() => insert(columnReference(name))}>
+                {name}
+              </Tag>
+            ))}
+          </div>
+          {draftError && <Alert type="error" showIcon title={draftError} />}
+          <Space>
+            <Button type="primary" disabled={Boolean(draftError) || !draft.expression} onClick={save}>
+              {draft.index == null ? 'Add column' : 'Save column'}
+            </Button>
+            {draft.index != null && <Button onClick={() => setDraft(EMPTY_DRAFT)}>Cancel edit</Button>}
+          </Space>
+        </Space>
+
+        <Collapse
+          size="small"
+          items={[
+            {
+              key: 'help',
+              label: 'Formula reference',
+              children: (
+                <Space orientation="vertical" size={2}>
+                  <Typography.Text>
+                    Operators: <Typography.Text code>+ - * / % ^</Typography.Text>,{' '}
+                    <Typography.Text code>{'= != < <= > >='}</Typography.Text>,{' '}
+                    <Typography.Text code>and or not</Typography.Text>,{' '}
+                    <Typography.Text code>condition ? a : b</Typography.Text>. Put column
+                    names with spaces in brackets: <Typography.Text code>[Revenue 2024]</Typography.Text>.
+                  </Typography.Text>
+                  {Object.entries(EXPRESSION_FUNCTIONS).map(([name, fn]) => (
+                    <Typography.Text key={name}>
+                      <Typography.Text code style={{ cursor: 'pointer' }} onClick={() => insert(`${name}(`)}>
+                        {fn.signature}
+                      </Typography.Text>{' '}
+                      <Typography.Text type="secondary">{fn.description}</Typography.Text>
+                    </Typography.Text>
+                  ))}
+                </Space>
+              ),
+            },
+          ]}
+        />
+      </Space>
+    </Modal>
+  )
+}
+
+export default ComputedColumnsModal
@@ -0,0 +1,27 @@
+import { useState } from 'react'
+import { Modal, Select, Typography } from 'antd'
+import { CRS_OPTIONS } from '../lib/crs'
+
+// Asks for the source CRS of a file that does not declare one
+function CrsPromptModal({ pending, onConfirm, onCancel }) {
+  const [crs, setCrs] = useState(pending.suggestedCrs || 'EPSG:23700')
+
+  return (
+    <Modal
+      open
+      title="Choose the coordinate system"
+      okText="Reproject and load"
+      onOk={() => onConfirm(crs)}
+      onCancel={onCancel}
+    >
+      <Typography.Paragraph>
+        <strong>{pending.fileName}</strong> does not declare its coordinate reference
+        system and its coordinates are not longitude/latitude. Pick the system the
+        data was exported in.
+      </Typography.Paragraph>
+      <Select value={crs} onChange={setCrs} style={{ width: '100%' }} options={CRS_OPTIONS} />
+    </Modal>
+  )
+}
+
+export default CrsPromptModal
@@ -0,0 +1,45 @@
+import { useState } from 'react'
+import { Modal, Segmented, Radio, Space, Typography } from 'antd'
+import { DATA_EXPORT_FORMATS, EXPORT_SCOPES } from '../lib/dataExport'
+
+// Choice of file format and which features of the active layer to export.
+// `counts` holds the number of features in each scope.
+function DataExportModal({ open, counts, onExport, onClose }) {
+  const [format, setFormat] = useState('geojson')
+  const [scope, setScope] = useState('all')
+
+  return (
+    <Modal
+      open={open}
+      title="Export joined data"
+      okText="Export"
+      okButtonProps={{ disabled: counts[scope] === 0 }}
+      onOk={() => onExport({ format, scope })}
+      onCancel={onClose}
+    >
+      <Space orientation="vertical" size="middle" style={{ width: '100%' }}>
+        <Segmented
+          value={format}
+          onChange={setFormat}
+          options={Object.entries(DATA_EXPORT_FORMATS).map(([value, { label }]) => ({ value, label }))}
+        />
+        <Typography.Text type="secondary">
+          {format === 'geojson' && 'Features with the CSV columns merged into their properties.'}
+          {format === 'kml' && 'Placemarks with the CSV columns as ExtendedData and the current map colors as styles.'}
+          {format === 'csv' && 'One row per feature with centroid, area, match status and the CSV columns.'}
+        </Typography.Text>
+        <Radio.Group value={scope} onChange={(e) => setScope(e.target.value)}>
+          <Space orientation="vertical">
+            {Object.entries(EXPORT_SCOPES).map(([value, label]) => (
+              <Radio key={value} value={value} disabled={counts[value] === 0}>
+                {label} ({counts[value]})
+              </Radio>
+            ))}
+          </Space>
+        </Radio.Group>
+      </Space>
+    </Modal>
+  )
+}
+
+export default DataExportModal
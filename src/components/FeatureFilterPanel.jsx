@@ -0,0 +1,225 @@
+import { Space, Select, InputNumber, AutoComplete, Button, Segmented, Checkbox, Typography } from 'antd'
+import { PlusOutlined, DeleteOutlined, FilterOutlined } from '@ant-design/icons'
+import {
+  FILTER_MODES,
+  NUMERIC_OPERATORS,
+  TEXT_OPERATORS,
+  createCondition,
+  createGroup,
+  countConditions,
+  updateFilterNode,
+} from '../lib/featureFilter'
+
+const MAX_SUGGESTIONS = 50
+
+const toOptions = (operators) =>
+  Object.entries(operators).map(([value, label]) => ({ value, label }))
+
+function ConditionRow({ condition, columns, numericColumns, rows, onUpdate, onRemove }) {
+  const numeric = numericColumns.includes(condition.column)
+  const update = (patch) => onUpdate((node) => ({ ...node, ...patch }))
+  const needsValue = condition.operator !== 'empty' && condition.operator !== 'notEmpty'
+
+  // Distinct values of a text column, offered while typing
+  const suggestions = numeric
+    ? []
+    : [...new Set(rows.map((row) => row[condition.column]).filter((v) => v !== '' && v != null))]
+        .slice(0, MAX_SUGGESTIONS)
+        .map((value) => ({ value: String(value) }))
+
+  return (
+    <Space wrap>
+      <Select
+        value={condition.column || undefined}
+        placeholder="Column"
+        onChange={(column) => {
+          const nextNumeric = numericColumns.includes(column)
+          // Keep the operator only when it still applies to the new column type
+          const keep = nextNumeric === numeric && condition.column
+          update({
+            column,
+            ...(keep ? {} : { operator: nextNumeric ? 'between' : 'equals', value: null, valueTo: null }),
+          })
+        }}
+        style={{ width: 160 }}
+        options={columns.map((col) => ({ value: col, label: col }))}
+        showSearch
+      />
+      <Select
+        value={condition.operator}
+        onChange={(operator) => update({ operator })}
+        style={{ width: 140 }}
+        options={toOptions(numeric ? NUMERIC_OPERATORS : TEXT_OPERATORS)}
+      />
+      {needsValue && numeric && condition.operator === 'between' && (
+        <>
+          <InputNumber
+            value={condition.value}
+            onChange={(value) => update({ value })}
+            placeholder="min"
+            style={{ width: 110 }}
+          />
+          <Typography.Text type="secondary">and</Typography.Text>
+          <InputNumber
+            value={condition.valueTo}
+            onChange={(valueTo) => update({ valueTo })}
+            placeholder="max"
+            style={{ width: 110 }}
+          />
+        </>
+      )}
+      {needsValue && numeric && condition.operator !== 'between' && (
+        <InputNumber
+          value={condition.value}
+          onChange={(value) => update({ value })}
+          placeholder="value"
+          style={{ width: 130 }}
+        />
+      )}
+      {needsValue && !numeric && (
+        <AutoComplete
+          value={condition.value ?? ''}
+          onChange={(value) => update({ value })}
+          options={suggestions}
+          filterOption={(input, option) => option.value.toLowerCase().includes(input.toLowerCase())}
+          placeholder="value"
+          style={{ width: 200 }}
+        />
+      )}
+      <Button size="small" icon={<DeleteOutlined />} onClick={onRemove} title="Remove condition" />
+    </Space>
+  )
+}
+
+function FilterGroup({ group, depth, onChangeNode, ...conditionProps }) {
+  const { columns, numericColumns } = conditionProps
+
+  const addCondition = () => {
+    const column = columns[0] || ''
+    onChangeNode(group.id, (node) => ({
+      ...node,
+      children: [...node.children, createCondition(column, numericColumns.includes(column))],
+    }))
+  }
+
+  return (
+    <Space
+      orientation="vertical"
+      size="small"
+      style={
+        depth > 0
+          ? { borderLeft: '3px solid #ddd6fe', paddingLeft: 10, width: '100%' }
+          : { width: '100%' }
+      }
+    >
+      <Space wrap>
+        <Typography.Text type="secondary">Match</Typography.Text>
+        <Segmented
+          size="small"
+          value={group.combinator}
+          onChange={(combinator) => onChangeNode(group.id, (node) => ({ ...node, combinator }))}
+          options={[
+            { value: 'and', label: 'all (AND)' },
+            { value: 'or', label: 'any (OR)' },
+          ]}
+        />
+        {depth > 0 && (
+          <Button
+            size="small"
+            icon={<DeleteOutlined />}
+            onClick={() => onChangeNode(group.id, () => null)}
+            title="Remove group"
+          />
+        )}
+      </Space>
+      {group.children.map((node) =>
+        node.type === 'group' ? (
+          <FilterGroup
+            key={node.id}
+            group={node}
+            depth={depth + 1}
+            onChangeNode={onChangeNode}
+            {...conditionProps}
+          />
+        ) : (
+          <ConditionRow
+            key={node.id}
+            condition={node}
+            onUpdate={(update) => onChangeNode(node.id, update)}
+            onRemove={() => onChangeNode(node.id, () => null)}
+            {...conditionProps}
+          />
+        ),
+      )}
+      <Space>
+        <Button size="small" icon={<PlusOutlined />} onClick={addCondition}>
+          Condition
+        </Button>
+        {depth === 0 && (
+          <Button
+            size="small"
+            icon={<PlusOutlined />}
+            onClick={() =>
+              onChangeNode(group.id, (node) => ({
+                ...node,
+                children: [...node.children, createGroup(node.combinator === 'and' ? 'or' : 'and')],
+              }))
+            }
+          >
+            Group
+          </Button>
+        )}
+      </Space>
+    </Space>
+  )
+}
+
+// Filter builder for the active layer: conditions on the joined CSV columns,
+// combined in AND/OR groups, and how non-matching features are shown
+function FeatureFilterPanel({ filter, onChange, columns, numericColumns, rows, matchCount, featureCount }) {
+  const update = (patch) => onChange({ ...filter, ...patch })
+  const changeNode = (nodeId, nodeUpdate) =>
+    update({ root: updateFilterNode(filter.root, nodeId, nodeUpdate) })
+  const conditionCount = countConditions(filter.root)
+
+  return (
+    <Space orientation="vertical" size="small" style={{ width: '100%' }}>
+      <Space wrap>
+        <FilterOutlined />
+        <Typography.Text type="secondary">Filter</Typography.Text>
+        <Segmented
+          size="small"
+          value={filter.mode}
+          onChange={(mode) => update({ mode })}
+          options={toOptions(FILTER_MODES)}
+        />
+        <Checkbox
+          checked={filter.scaleToFiltered}
+          onChange={(e) => update({ scaleToFiltered: e.target.checked })}
+        >
+          Scale colors to filtered features
+        </Checkbox>
+        {conditionCount > 0 && (
+          <>
+            <Typography.Text type="secondary">
+              {matchCount} of {featureCount} features match
+            </Typography.Text>
+            <Button size="small" onClick={() => update({ root: createGroup('and') })}>
+              Clear
+            </Button>
+          </>
+        )}
+      </Space>
+      <FilterGroup
+        group={filter.root}
+        depth={0}
+        onChangeNode={changeNode}
+        columns={columns}
+        numericColumns={numericColumns}
+        rows={rows}
+      />
+    </Space>
+  )
+}
+
+export default FeatureFilterPanel
@@ -0,0 +1,363 @@
+import { useRef, useEffect, useState } from 'react'
+import { GeoJSON, Pane, useMap } from 'react-leaflet'
+import L from 'leaflet'
+import { getFeatureKey } from '../lib/join'
+import { featurePathStyle } from '../lib/layerStyle'
+import { sparklineSvg } from '../lib/timeSeries'
+import { formatLayerValue } from '../lib/columnFormat'
+import { escapeHtml, renderPopupTemplate } from '../lib/popupTemplate'
+import { describeGeometry } from '../lib/geometryMetrics'
+import { geometryAtZoom } from '../lib/simplify'
+
+// Edits replace a layer's collection rather than changing it in place, so the
+// collection's identity tells whether the features need to be rebuilt
+const collectionIds = new WeakMap()
+let nextCollectionId = 1
+
+function collectionId(geojson) {
+  if (!collectionIds.has(geojson)) {
+    collectionIds.set(geojson, nextCollectionId++)
+  }
+  return collectionIds.get(geojson)
+}
+
+// Index of each feature in its collection
+const collectionIndexes = new WeakMap()
+
+function featureIndexesOf(geojson) {
+  if (!collectionIndexes.has(geojson)) {
+    collectionIndexes.set(geojson, new Map(geojson.features.map((feature, idx) => [feature, idx])))
+  }
+  return collectionIndexes.get(geojson)
+}
+
+// In performance mode (see createLayer) features are drawn on a canvas, which
+// copes with tens of thousands of polygons where SVG elements do not, and
+// lines and polygons show their geometry simplified for the zoom level
+const PERFORMANCE_POINT_RADIUS = 5
+
+// Nesting of Leaflet's lat/lng arrays by geometry type, as L.GeoJSON builds them
+const LATLNG_DEPTHS = { LineString: 0, MultiLineString: 1, Polygon: 1, MultiPolygon: 2 }
+
+// One data layer on the map: its features styled and joined with its own
+// table. Each layer renders into its own pane so `zIndex` sets the draw order.
+// `highlightClass` emphasises the features of one legend class and
+// `selectedIndexes` outlines the features selected in the attribute table or
+// on the map. Clicks report the feature index and whether Shift was held, and
+// hovering shows a KML feature's highlight style.
+// A new `popupRequest` ({ featureIndex, seq }) flies to that feature and
+// opens its popup, then reports back through `onPopupHandled`; so does a
+// request for a feature that is not drawn, such as one hidden by the filter.
+function FeatureLayer({
+  layer,
+  layerStyle,
+  zIndex,
+  highlightClass = null,
+  selectedIndexes = [],
+  onFeatureClick,
+  popupRequest = null,
+  onPopupHandled,
+}) {
+  const map = useMap()
+  const {
+    id,
+    geojson,
+    joinConfig,
+    selectedMetric,
+    selectedPopupColumns,
+    popupTemplate,
+    featureLabel,
+    performanceMode,
+  } = layer
+  const csvRows = layer.csv.rows
+  const csvColumns = layer.csv.header.filter((col) => col !== joinConfig.csvKey)
+  const featureIndexes = featureIndexesOf(geojson)
+  const selected = new Set(selectedIndexes)
+
+  // The pane only reads its style on creation, so reordering updates it directly
+  const paneRef = useRef(null)
+  useEffect(() => {
+    if (paneRef.current) {
+      paneRef.current.style.zIndex = zIndex
+    }
+  }, [zIndex])
+
+  const pathStyle = (feature, hovered = false) =>
+    featurePathStyle(feature, layer, layerStyle, {
+      highlightClass,
+      selected: selected.has(featureIndexes.get(feature)),
+      hovered,
+    })
+
+  // Click and hover handlers are bound once per feature, so they call the
+  // latest callback and style
+  const onFeatureClickRef = useRef(onFeatureClick)
+  const pathStyleRef = useRef(pathStyle)
+  useEffect(() => {
+    onFeatureClickRef.current = onFeatureClick
+    pathStyleRef.current = pathStyle
+  })
+
+  // Leaflet layers of the features by index, refilled whenever they are rebuilt
+  const featureLayersRef = useRef(new Map())
+  const onPopupHandledRef = useRef(onPopupHandled)
+  useEffect(() => {
+    onPopupHandledRef.current = onPopupHandled
+  })
+  useEffect(() => {
+    if (!popupRequest) {
+      return undefined
+    }
+    const featureLayer = featureLayersRef.current.get(popupRequest.featureIndex)
+    if (!featureLayer || !map.hasLayer(featureLayer)) {
+      onPopupHandledRef.current?.()
+      return undefined
+    }
+    const openPopup = () => {
+      featureLayer.openPopup()
+      onPopupHandledRef.current?.()
+    }
+    map.once('moveend', openPopup)
+    if (featureLayer.getBounds) {
+      map.flyToBounds(featureLayer.getBounds(), { maxZoom: 17, padding: [40, 40] })
+    } else {
+      map.flyTo(featureLayer.getLatLng(), Math.max(map.getZoom(), 15))
+    }
+    return () => map.off('moveend', openPopup)
+  }, [map, popupRequest])
+
+  // Popup and label content is built each time it opens, so it follows the
+  // shown period of a time series and format changes without rebuilding the
+  // features. Every table or file value is escaped on the way in.
+  const period = layer.timeSeries?.period
+
+  // A label and value line of the popup
+  const popupRow = (label, value, valueStyle = '') => `
+    <div style="display: flex; justify-content: space-between; gap: 12px; margin-bottom: 6px;">
+      <span style="color: #6b7280; font-size: 12px;">${escapeHtml(label)}:</span>
+      <span style="color: #111827; font-weight: 500; font-size: 12px; ${valueStyle}">${escapeHtml(value)}</span>
+    </div>
+  `
+
+  // A feature's formatted value of a column, from its table row or else from
+  // its own properties such as KML attributes
+  const displayValue = (feature, row, column) =>
+    formatLayerValue(layer, column, row && Object.hasOwn(row, column) ? row[column] : feature.properties?.[column])
+  const popupHtml = (feature) => {
+    const featureId = getFeatureKey(feature, joinConfig.featureKey)
+    const csvRow = layerStyle.classify(feature).row
+
+    const featureName =
+      feature?.properties?.name || feature?.properties?.Name || 'Unnamed'
+
+    // Format column name for display
+    const formatColumnName = (colName) => {
+      return colName.charAt(0).toUpperCase() + colName.slice(1).replace(/_/g, ' ')
+    }
+
+    // Geodesic measurements of the feature itself, whether joined or not
+    const measurementContent = describeGeometry(feature.geometry)
+      .map(([label, value]) => popupRow(label, value))
+      .join('')
+    const measurementBlock = measurementContent
+      ? `<div style="border-top: 1px solid #e5e7eb; padding-top: 8px; margin-top: 6px;">${measurementContent}</div>`
+      : ''
+
+    // A time series shows the period and the metric's history as a sparkline
+    const timeBlock = layerStyle.time
+      ? `<div style="border-top: 1px solid #e5e7eb; padding-top: 8px; margin-top: 6px;">
+          ${popupRow('Period', period)}
+          ${sparklineSvg(
+            layerStyle.history(feature).map((row) => {
+              const value = row?.[selectedMetric]
+              return value === '' || value == null ? NaN : Number(value)
+            }),
+            layerStyle.time.periods.indexOf(period),
+          )}
+        </div>`
+      : ''
+
+    if (popupTemplate.trim()) {
+      return `<div style="font-family: system-ui, -apple-system, sans-serif; min-width: 200px;">
+          <div style="color: #111827; font-size: 12px; line-height: 1.5;">
+            ${renderPopupTemplate(popupTemplate, (column) => displayValue(feature, csvRow, column))}
+          </div>
+          ${timeBlock}
+          ${measurementBlock}
+        </div>`
+    }
+
+    if (csvRow) {
+      // Build dynamic content for selected columns only
+      const columnContent = selectedPopupColumns
+        .filter(col => csvColumns.includes(col)) // Only include valid columns
+        .map(col => {
+          const value = formatLayerValue(layer, col, csvRow[col])
+          return value ? popupRow(formatColumnName(col), value) : ''
+        })
+        .join('')
+
+      return `<div style="font-family: system-ui, -apple-system, sans-serif; min-width: 200px;">
+          <div style="font-weight: 600; font-size: 14px; margin-bottom: 8px; color: #1f2937;">
+            ${escapeHtml(featureName)}
+          </div>
+          <div style="border-top: 1px solid #e5e7eb; padding-top: 8px;">
+            ${popupRow(formatColumnName(joinConfig.csvKey), csvRow[joinConfig.csvKey])}
+            ${columnContent}
+          </div>
+          ${timeBlock}
+          ${measurementBlock}
+        </div>`
+    } else {
+      // Show basic info if no CSV data, including the ID for debugging
+      return `<div style="font-family: system-ui, -apple-system, sans-serif; min-width: 200px;">
+          <div style="font-weight: 600; font-size: 14px; margin-bottom: 8px; color: #1f2937;">
+            ${escapeHtml(featureName)}
+          </div>
+          <div style="border-top: 1px solid #e5e7eb; padding-top: 8px;">
+            ${featureId ? popupRow('Feature ID', featureId, 'font-family: monospace;') : ''}
+            <div style="color: #dc2626; font-size: 12px; margin-top: ${featureId ? '6px' : '0'};">
+              No CSV data found for this key${period ? ` in ${escapeHtml(period)}` : ''}
+            </div>
+            ${csvRows.length > 0 ? `
+              <div style="color: #6b7280; font-size: 11px; margin-top: 6px;">
+                See the join report for near-miss keys
+              </div>
+            ` : ''}
+          </div>
+          ${timeBlock}
+          ${measurementBlock}
+        </div>`
+    }
+  }
+
+  // Text of the hover or permanent label
+  const labelHtml = (feature) =>
+    escapeHtml(displayValue(feature, layerStyle.classify(feature).row, featureLabel.column))
+
+  const popupHtmlRef = useRef(popupHtml)
+  const labelHtmlRef = useRef(labelHtml)
+  useEffect(() => {
+    popupHtmlRef.current = popupHtml
+    labelHtmlRef.current = labelHtml
+    featureLayersRef.current.forEach((featureLayer) => {
+      if (featureLayer.isPopupOpen()) {
+        featureLayer.getPopup().update()
+      }
+      if (featureLayer.isTooltipOpen()) {
+        featureLayer.getTooltip().update()
+      }
+    })
+  })
+
+  // Features and their popups, labels and handlers are bound once per build;
+  // popups and handlers read the latest settings, so only a new collection,
+  // other label options or a change of renderer rebuild them
+  const buildKey = JSON.stringify({
+    collection: collectionId(geojson),
+    featureLabel,
+    performanceMode,
+  })
+
+  const geoJsonRef = useRef(null)
+  // One canvas per layer, in the layer's pane. Markers are DOM elements each,
+  // so points are drawn as circles on it as well.
+  const [renderer] = useState(() => L.canvas({ pane: `data-${id}` }))
+  const performanceOptions = {
+    renderer,
+    pointToLayer: (feature, latlng) => L.circleMarker(latlng, { renderer, radius: PERFORMANCE_POINT_RADIUS }),
+  }
+  useEffect(() => {
+    if (!performanceMode) {
+      return undefined
+    }
+    return () => renderer.remove()
+  }, [renderer, performanceMode])
+
+  // Each zoom level draws the geometry simplified for it (see simplify.js), so
+  // zoomed out only a fraction of a large layer's positions is projected
+  useEffect(() => {
+    if (!performanceMode) {
+      return undefined
+    }
+    const shown = new WeakMap()
+    const simplify = () => {
+      const zoom = Math.round(map.getZoom())
+      featureLayersRef.current.forEach((featureLayer) => {
+        const geometry = featureLayer.feature?.geometry
+        if (!featureLayer.setLatLngs || !(geometry?.type in LATLNG_DEPTHS)) {
+          return
+        }
+        const drawn = geometryAtZoom(geometry, zoom)
+        if (shown.get(featureLayer) !== drawn) {
+          shown.set(featureLayer, drawn)
+          featureLayer.setLatLngs(L.GeoJSON.coordsToLatLngs(drawn.coordinates, LATLNG_DEPTHS[geometry.type]))
+        }
+      })
+    }
+    simplify()
+    map.on('zoomend', simplify)
+    return () => map.off('zoomend', simplify)
+  }, [map, performanceMode, buildKey])
+
+  // Styles are applied to the existing features rather than by rebuilding
+  // them; the style function itself reads the latest settings
+  const [style] = useState(() => (feature) => pathStyleRef.current(feature))
+  useEffect(() => {
+    geoJsonRef.current?.setStyle(style)
+  }, [style, layerStyle, layer.opacity, layer.originalStyle, highlightClass, selectedIndexes])
+
+  // Hidden features (see buildLayerStyle) are taken off the map and put back
+  // in place. Entries left over from an earlier build are skipped.
+  useEffect(() => {
+    const group = geoJsonRef.current
+    if (!group) {
+      return
+    }
+    featureLayersRef.current.forEach((featureLayer, featureIndex) => {
+      const feature = geojson.features[featureIndex]
+      if (featureLayer.feature !== feature) {
+        return
+      }
+      const hidden = layerStyle.isHidden(feature)
+      if (hidden && group.hasLayer(featureLayer)) {
+        group.removeLayer(featureLayer)
+      } else if (!hidden && !group.hasLayer(featureLayer)) {
+        group.addLayer(featureLayer)
+        group.resetStyle(featureLayer)
+      }
+    })
+  }, [geojson, layerStyle, buildKey])
+
+  return (
+    <Pane name={`data-${id}`} ref={paneRef} style={{ zIndex }}>
+      <GeoJSON
+        key={buildKey}
+        ref={geoJsonRef}
+        data={geojson}
+        style={style}
+        {...(performanceMode ? performanceOptions : {})}
+        onEachFeature={(feature, layer) => {
+          const featureIndex = featureIndexes.get(feature)
+          featureLayersRef.current.set(featureIndex, layer)
+          layer.on('click', (e) => onFeatureClickRef.current?.(featureIndex, e.originalEvent.shiftKey))
+          if (feature.kmlStyle?.highlight && layer.setStyle) {
+            layer.on('mouseover', () => layer.setStyle(pathStyleRef.current(feature, true)))
+            layer.on('mouseout', () => layer.setStyle(pathStyleRef.current(feature)))
+          }
+
+          layer.bindPopup(() => popupHtmlRef.current(feature), { className: 'custom-popup' })
+          if (featureLabel.column) {
+            layer.bindTooltip(() => labelHtmlRef.current(feature), {
+              permanent: featureLabel.permanent,
+              direction: featureLabel.permanent ? 'center' : 'top',
+              className: 'feature-label',
+            })
+          }
+        }}
+      />
+    </Pane>
+  )
+}
+
+export default FeatureLayer
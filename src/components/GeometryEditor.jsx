@@ -0,0 +1,258 @@
+import { useEffect, useRef, useState } from 'react'
+import { createPortal } from 'react-dom'
+import { useMap } from 'react-leaflet'
+import L from 'leaflet'
+import '../lib/leafletGlobal'
+import '@geoman-io/leaflet-geoman-free'
+import '@geoman-io/leaflet-geoman-free/dist/leaflet-geoman.css'
+import { Button, Space, Typography } from 'antd'
+import {
+  BorderOutlined,
+  LineOutlined,
+  EnvironmentOutlined,
+  EditOutlined,
+  ScissorOutlined,
+  DeleteOutlined,
+  UndoOutlined,
+  RedoOutlined,
+  CheckOutlined,
+  CloseOutlined,
+} from '@ant-design/icons'
+import { isMultiPart } from '../lib/featureEditing'
+
+// Geoman shapes drawn by each tool; a split is drawn as a cutting line
+const DRAW_SHAPES = { polygon: 'Polygon', line: 'Line', point: 'CircleMarker', split: 'Line' }
+
+const TOOL_HINTS = {
+  polygon: 'Click to add vertices; click the first vertex to finish.',
+  line: 'Click to add vertices; click the last vertex to finish.',
+  point: 'Click to place the point.',
+  split: 'Draw a line across the selected feature; click its last vertex to split.',
+  reshape: 'Drag a vertex to move it, drag a midpoint to add one, right-click a vertex to remove it.',
+}
+
+// Edited and drawn shapes sit above the data layers and below the vertex handles
+const EDIT_PANE = 'geometry-editing'
+const EDIT_PANE_Z = 590
+const EDIT_STYLE = { color: '#f59e0b', weight: 3, fillColor: '#f59e0b', fillOpacity: 0.15 }
+
+const isTyping = (target) => Boolean(target.closest?.('input, textarea, [contenteditable="true"]'))
+
+// Drawing and editing tools for the active layer, as a Leaflet control.
+// `feature` is the selected feature the reshape, split and delete tools act
+// on. Ctrl+Z and Ctrl+Y (or Ctrl+Shift+Z) undo and redo, Escape cancels.
+function GeometryEditor({ feature, canUndo, canRedo, onCreate, onReshape, onSplit, onDelete, onUndo, onRedo }) {
+  const map = useMap()
+  const [container] = useState(() => L.DomUtil.create('div', 'map-tool-panel'))
+  const [tool, setTool] = useState(null)
+  const editLayerRef = useRef(null)
+
+  // Drawing handlers are bound once per tool, so they call the latest callbacks
+  const callbacksRef = useRef({ onCreate, onSplit, onUndo, onRedo })
+  useEffect(() => {
+    callbacksRef.current = { onCreate, onSplit, onUndo, onRedo }
+  })
+
+  useEffect(() => {
+    L.DomEvent.disableClickPropagation(container)
+    L.DomEvent.disableScrollPropagation(container)
+    const control = L.control({ position: 'topleft' })
+    control.onAdd = () => container
+    control.addTo(map)
+
+    if (!map.getPane(EDIT_PANE)) {
+      map.createPane(EDIT_PANE).style.zIndex = EDIT_PANE_Z
+    }
+    map.pm.setGlobalOptions({
+      panes: { layerPane: EDIT_PANE, vertexPane: 'markerPane', markerPane: 'markerPane' },
+      allowSelfIntersection: false,
+      snappable: true,
+    })
+    return () => {
+      control.remove()
+    }
+  }, [map, container])
+
+  // Data layers ignore the pointer while a tool is active, so their popups
+  // and selection stay out of the way of drawing
+  useEffect(() => {
+    if (!tool) {
+      return undefined
+    }
+    const mapContainer = map.getContainer()
+    mapContainer.classList.add('geometry-editing')
+    return () => mapContainer.classList.remove('geometry-editing')
+  }, [map, tool])
+
+  useEffect(() => {
+    const shape = DRAW_SHAPES[tool]
+    if (!shape) {
+      return undefined
+    }
+    const handleCreate = ({ layer }) => {
+      const { geometry } = layer.toGeoJSON(false)
+      layer.remove()
+      setTool(null)
+      if (tool === 'split') {
+        callbacksRef.current.onSplit(geometry.coordinates)
+      } else {
+        callbacksRef.current.onCreate(geometry)
+      }
+    }
+    // Finishing, or another control starting to draw, ends the draw mode
+    let drawing = true
+    const handleToggle = ({ enabled }) => {
+      if (!enabled) {
+        drawing = false
+        setTool(null)
+      }
+    }
+    map.on('pm:create', handleCreate)
+    // Styles are passed on every start as the measure control draws the same shapes
+    map.pm.enableDraw(shape, {
+      continueDrawing: false,
+      pathOptions: EDIT_STYLE,
+      templineStyle: EDIT_STYLE,
+      hintlineStyle: { ...EDIT_STYLE, dashArray: '5,5' },
+    })
+    map.on('pm:globaldrawmodetoggled', handleToggle)
+    return () => {
+      map.off('pm:create', handleCreate)
+      map.off('pm:globaldrawmodetoggled', handleToggle)
+      if (drawing) {
+        map.pm.disableDraw()
+      }
+    }
+  }, [map, tool])
+
+  // Vertex editing works on a copy of the feature, committed with Finish
+  useEffect(() => {
+    if (tool !== 'reshape' || !feature) {
+      return undefined
+    }
+    const editLayer = L.geoJSON(feature, {
+      pane: EDIT_PANE,
+      style: EDIT_STYLE,
+      pointToLayer: (_, latlng) => L.circleMarker(latlng, { ...EDIT_STYLE, pane: EDIT_PANE }),
+    }).addTo(map)
+    editLayer.eachLayer((layer) => layer.pm.enable({ draggable: true }))
+    editLayerRef.current = editLayer
+    return () => {
+      editLayer.eachLayer((layer) => layer.pm.disable())
+      editLayer.remove()
+      editLayerRef.current = null
+    }
+  }, [map, tool, feature])
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (isTyping(e.target)) {
+        return
+      }
+      if (e.key === 'Escape') {
+        setTool(null)
+        return
+      }
+      if (tool || !(e.ctrlKey || e.metaKey)) {
+        return
+      }
+      const key = e.key.toLowerCase()
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault()
+        callbacksRef.current.onUndo()
+      } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+        e.preventDefault()
+        callbacksRef.current.onRedo()
+      }
+    }
+    document.addEventListener('keydown', handleKeyDown)
+    return () => document.removeEventListener('keydown', handleKeyDown)
+  }, [tool])
+
+  const finishReshape = () => {
+    const [edited] = editLayerRef.current.getLayers()
+    onReshape(edited.toGeoJSON(false).geometry)
+    setTool(null)
+  }
+
+  // Multi-part features are split into their parts without a cutting line
+  const startSplit = () => {
+    if (isMultiPart(feature.geometry)) {
+      onSplit(null)
+    } else {
+      setTool('split')
+    }
+  }
+
+  const toolButton = (name, icon, title) => (
+    <Button
+      size="small"
+      icon={icon}
+      title={title}
+      type={tool === name ? 'primary' : 'default'}
+      onClick={() => setTool(tool === name ? null : name)}
+    />
+  )
+
+  const canSplit =
+    Boolean(feature?.geometry) &&
+    (isMultiPart(feature.geometry) || ['Polygon', 'LineString'].includes(feature.geometry.type))
+
+  return createPortal(
+    <Space orientation="vertical" size={4}>
+      <Space size={4}>
+        {toolButton('polygon', <BorderOutlined />, 'Draw a polygon')}
+        {toolButton('line', <LineOutlined />, 'Draw a line')}
+        {toolButton('point', <EnvironmentOutlined />, 'Place a point')}
+      </Space>
+      <Space size={4}>
+        <Button
+          size="small"
+          icon={<EditOutlined />}
+          title="Edit the vertices of the selected feature"
+          type={tool === 'reshape' ? 'primary' : 'default'}
+          disabled={!feature?.geometry || feature.geometry.type === 'GeometryCollection'}
+          onClick={() => setTool(tool === 'reshape' ? null : 'reshape')}
+        />
+        <Button
+          size="small"
+          icon={<ScissorOutlined />}
+          title="Split the selected feature along a line, or into its parts"
+          type={tool === 'split' ? 'primary' : 'default'}
+          disabled={!canSplit}
+          onClick={() => (tool === 'split' ? setTool(null) : startSplit())}
+        />
+        <Button
+          size="small"
+          icon={<DeleteOutlined />}
+          title="Delete the selected feature"
+          danger
+          disabled={!feature || Boolean(tool)}
+          onClick={onDelete}
+        />
+      </Space>
+      <Space size={4}>
+        <Button size="small" icon={<UndoOutlined />} title="Undo (Ctrl+Z)" disabled={!canUndo || Boolean(tool)} onClick={onUndo} />
+        <Button size="small" icon={<RedoOutlined />} title="Redo (Ctrl+Y)" disabled={!canRedo || Boolean(tool)} onClick={onRedo} />
+      </Space>
+      {tool && (
+        <div className="map-tool-hint">
+          <Typography.Text style={{ fontSize: 12 }}>{TOOL_HINTS[tool]}</Typography.Text>
+          <Space size={4} style={{ marginTop: 4 }}>
+            {tool === 'reshape' && (
+              <Button size="small" type="primary" icon={<CheckOutlined />} onClick={finishReshape}>
+                Finish
+              </Button>
+            )}
+            <Button size="small" icon={<CloseOutlined />} onClick={() => setTool(null)}>
+              Cancel
+            </Button>
+          </Space>
+        </div>
+      )}
+    </Space>,
+    container,
+  )
+}
+
+export default GeometryEditor
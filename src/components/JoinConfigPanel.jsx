@@ -0,0 +1,50 @@
+import { Space, Select, Checkbox, Typography } from 'antd'
+import { listFeatureKeySources } from '../lib/join'
+
+// Controls for choosing how KML features are matched to CSV rows
+function JoinConfigPanel({ joinConfig, onChange, csvHeader, geojson }) {
+  const update = (patch) => onChange({ ...joinConfig, ...patch })
+
+  return (
+    <Space wrap>
+      <Space>
+        <Typography.Text type="secondary">CSV key</Typography.Text>
+        <Select
+          value={joinConfig.csvKey}
+          onChange={(csvKey) => update({ csvKey })}
+          style={{ width: 160 }}
+          options={csvHeader.map((col) => ({ value: col, label: col }))}
+        />
+      </Space>
+      <Space>
+        <Typography.Text type="secondary">KML key</Typography.Text>
+        <Select
+          value={joinConfig.featureKey}
+          onChange={(featureKey) => update({ featureKey })}
+          style={{ width: 200 }}
+          options={listFeatureKeySources(geojson)}
+        />
+      </Space>
+      <Checkbox
+        checked={joinConfig.trim}
+        onChange={(e) => update({ trim: e.target.checked })}
+      >
+        Trim
+      </Checkbox>
+      <Checkbox
+        checked={joinConfig.caseFold}
+        onChange={(e) => update({ caseFold: e.target.checked })}
+      >
+        Ignore case
+      </Checkbox>
+      <Checkbox
+        checked={joinConfig.stripLeadingZeros}
+        onChange={(e) => update({ stripLeadingZeros: e.target.checked })}
+      >
+        Strip leading zeros
+      </Checkbox>
+    </Space>
+  )
+}
+
+export default JoinConfigPanel
@@ -0,0 +1,172 @@
+import { Drawer, Button, Collapse, List, Statistic, Space, Tag, Typography, Empty } from 'antd'
+import { DownloadOutlined } from '@ant-design/icons'
+import { joinReportToRows } from '../lib/join'
+import { formatCsv } from '../lib/csv'
+import { downloadFile } from '../lib/download'
+
+const REPORT_COLUMNS = ['category', 'key', 'feature_index', 'feature_name', 'csv_line', 'suggestions']
+
+// A CSV row by its line in the file, or by its position for tables read
+// before lines were recorded
+const rowLabel = (entry) => (entry.line != null ? `Line ${entry.line}` : `Row ${entry.rowIndex + 1}`)
+
+function Suggestions({ suggestions }) {
+  if (suggestions.length === 0) {
+    return null
+  }
+  return (
+    <Typography.Text type="secondary" style={{ fontSize: 12 }}>
+      Did you mean{' '}
+      {suggestions.map((s) => (
+        <Tag key={s.key} style={{ fontFamily: 'monospace' }}>{s.key}</Tag>
+      ))}
+    </Typography.Text>
+  )
+}
+
+// Side panel listing the outcome of the KML <-> CSV join. For a long-format
+// table the report covers the rows of `period`, the one the map shows.
+function JoinReportPanel({ open, onClose, report, period, onSelectFeature }) {
+  // Lets a CSV row without a feature jump to its closest unmatched feature
+  const featureIndexByKey = new Map(
+    report.unmatchedFeatures.map((e) => [e.key, e.featureIndex]),
+  )
+
+  const handleExport = () => {
+    downloadFile(
+      formatCsv(REPORT_COLUMNS, joinReportToRows(report)),
+      'join-report.csv',
+      'text/csv;charset=utf-8',
+    )
+  }
+
+  const featureItem = (entry, extra) => (
+    <List.Item
+      style={{ cursor: 'pointer' }}
+      onClick={() => onSelectFeature(entry.featureIndex)}
+    >
+      <List.Item.Meta
+        title={entry.name}
+        description={
+          <Space orientation="vertical" size={0}>
+            <span style={{ fontFamily: 'monospace' }}>{entry.key ?? '(no key)'}</span>
+            {extra}
+          </Space>
+        }
+      />
+    </List.Item>
+  )
+
+  const items = [
+    {
+      key: 'unmatchedFeatures',
+      label: `KML features without a CSV row (${report.unmatchedFeatures.length})`,
+      children: (
+        <List
+          size="small"
+          dataSource={report.unmatchedFeatures}
+          locale={{ emptyText: 'Every feature has a CSV row' }}
+          renderItem={(entry) => featureItem(entry, <Suggestions suggestions={entry.suggestions} />)}
+        />
+      ),
+    },
+    {
+      key: 'unmatchedRows',
+      label: `CSV rows without a feature (${report.unmatchedRows.length})`,
+      children: (
+        <List
+          size="small"
+          dataSource={report.unmatchedRows}
+          locale={{ emptyText: 'Every CSV row has a feature' }}
+          renderItem={(entry) => {
+            const nearest = entry.suggestions.find((s) => featureIndexByKey.has(s.key))
+            return (
+              <List.Item
+                style={{ cursor: nearest ? 'pointer' : 'default' }}
+                onClick={() => nearest && onSelectFeature(featureIndexByKey.get(nearest.key))}
+              >
+                <List.Item.Meta
+                  title={rowLabel(entry)}
+                  description={
+                    <Space orientation="vertical" size={0}>
+                      <span style={{ fontFamily: 'monospace' }}>{entry.key ?? '(no key)'}</span>
+                      <Suggestions suggestions={entry.suggestions} />
+                    </Space>
+                  }
+                />
+              </List.Item>
+            )
+          }}
+        />
+      ),
+    },
+    {
+      key: 'duplicateFeatureKeys',
+      label: `Duplicate KML keys (${report.duplicateFeatureKeys.length})`,
+      children: (
+        <List
+          size="small"
+          dataSource={report.duplicateFeatureKeys.flatMap((group) => group.items)}
+          locale={{ emptyText: 'No duplicates' }}
+          renderItem={(entry) => featureItem(entry)}
+        />
+      ),
+    },
+    {
+      key: 'duplicateRowKeys',
+      label: `Duplicate CSV keys (${report.duplicateRowKeys.length})`,
+      children: (
+        <List
+          size="small"
+          dataSource={report.duplicateRowKeys}
+          locale={{ emptyText: 'No duplicates' }}
+          renderItem={(group) => (
+            <List.Item>
+              <List.Item.Meta
+                title={<span style={{ fontFamily: 'monospace' }}>{group.key}</span>}
+                description={group.items.map(rowLabel).join(', ')}
+              />
+            </List.Item>
+          )}
+        />
+      ),
+    },
+  ]
+
+  return (
+    <Drawer
+      title="Join report"
+      placement="right"
+      mask={false}
+      open={open}
+      onClose={onClose}
+      extra={
+        <Button icon={<DownloadOutlined />} onClick={handleExport}>
+          Export CSV
+        </Button>
+      }
+    >
+      {report.featureCount === 0 && report.rowCount === 0 ? (
+        <Empty description="Load a CSV and a KML file to see the join report" />
+      ) : (
+        <Space orientation="vertical" size="middle" style={{ width: '100%' }}>
+          <Space size="large" wrap>
+            <Statistic
+              title="Matched features"
+              value={report.matchedFeatures.length}
+              suffix={`/ ${report.featureCount}`}
+            />
+            <Statistic
+              title={period ? `Matched CSV rows in ${period}` : 'Matched CSV rows'}
+              value={report.rowCount - report.unmatchedRows.length}
+              suffix={`/ ${report.rowCount}`}
+            />
+          </Space>
+          <Collapse items={items} defaultActiveKey={['unmatchedFeatures', 'unmatchedRows']} />
+        </Space>
+      )}
+    </Drawer>
+  )
+}
+
+export default JoinReportPanel
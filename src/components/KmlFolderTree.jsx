@@ -0,0 +1,55 @@
+import { Button, Tooltip, Tree, Typography } from 'antd'
+import { ExpandOutlined } from '@ant-design/icons'
+import { folderFeatureCounts, listFolderIds } from '../lib/kmlFolders'
+
+// Folders of a KML layer as a collapsible tree. Each folder has its own
+// visibility checkbox (a hidden folder hides everything inside it), its
+// feature count and a button fitting the map to its features.
+function KmlFolderTree({ tree, features, hiddenFolders, onChangeHidden, onFit }) {
+  const counts = folderFeatureCounts(tree, features)
+  const folderIds = listFolderIds(tree)
+
+  const toTreeNode = (folder) => ({
+    key: folder.id,
+    title: folder.name,
+    children: folder.children.map(toTreeNode),
+  })
+
+  return (
+    <div>
+      <Typography.Text type="secondary">Folders</Typography.Text>
+      <Tree
+        checkable
+        checkStrictly
+        selectable={false}
+        blockNode
+        defaultExpandAll
+        treeData={[toTreeNode(tree)]}
+        checkedKeys={folderIds.filter((id) => !hiddenFolders.includes(id))}
+        onCheck={({ checked }) => onChangeHidden(folderIds.filter((id) => !checked.includes(id)))}
+        titleRender={(node) => (
+          <span style={{ display: 'inline-flex', alignItems: 'center', gap: 8 }}>
+            <span>{node.title}</span>
+            <Typography.Text type="secondary" style={{ fontSize: 12 }}>
+              {counts.get(node.key) || 0}
+            </Typography.Text>
+            <Tooltip title="Fit to folder">
+              <Button
+                size="small"
+                type="text"
+                icon={<ExpandOutlined />}
+                disabled={!counts.get(node.key)}
+                onClick={(e) => {
+                  e.stopPropagation()
+                  onFit(node.key)
+                }}
+              />
+            </Tooltip>
+          </span>
+        )}
+      />
+    </div>
+  )
+}
+
+export default KmlFolderTree
@@ -0,0 +1,168 @@
+import { List, Button, Checkbox, Slider, Space, Tooltip, Typography } from 'antd'
+import {
+  ArrowUpOutlined,
+  ArrowDownOutlined,
+  BgColorsOutlined,
+  DeleteOutlined,
+  ExpandOutlined,
+  ThunderboltOutlined,
+} from '@ant-design/icons'
+
+// List of loaded layers, topmost first, with visibility, opacity, styling,
+// order and removal controls. Clicking a layer makes it the one the other
+// controls edit.
+function LayerManager({
+  layers,
+  activeLayerId,
+  onActivate,
+  onUpdate,
+  onMove,
+  onRemove,
+  onFit,
+  onFitAll,
+}) {
+  // Show the top of the draw order first, as map applications usually do
+  const ordered = [...layers].reverse()
+
+  return (
+    <div>
+      <Space style={{ marginBottom: 4 }}>
+        <Typography.Text type="secondary">Layers</Typography.Text>
+        <Button size="small" icon={<ExpandOutlined />} onClick={onFitAll}>
+          Fit all
+        </Button>
+      </Space>
+      <List
+        size="small"
+        bordered
+        dataSource={ordered}
+        renderItem={(layer, position) => {
+          const isActive = layer.id === activeLayerId
+          return (
+            <List.Item
+              style={{
+                background: isActive ? 'rgba(124, 58, 237, 0.08)' : undefined,
+                cursor: 'pointer',
+              }}
+              onClick={() => onActivate(layer.id)}
+              actions={[
+                <Tooltip key="up" title="Move up">
+                  <Button
+                    size="small"
+                    type="text"
+                    icon={<ArrowUpOutlined />}
+                    disabled={position === 0}
+                    onClick={(e) => {
+                      e.stopPropagation()
+                      onMove(layer.id, 1)
+                    }}
+                  />
+                </Tooltip>,
+                <Tooltip key="down" title="Move down">
+                  <Button
+                    size="small"
+                    type="text"
+                    icon={<ArrowDownOutlined />}
+                    disabled={position === ordered.length - 1}
+                    onClick={(e) => {
+                      e.stopPropagation()
+                      onMove(layer.id, -1)
+                    }}
+                  />
+                </Tooltip>,
+                <Tooltip
+                  key="style"
+                  title={layer.originalStyle ? 'Original styling from the file' : 'Uniform styling'}
+                >
+                  <Button
+                    size="small"
+                    type={layer.originalStyle ? 'link' : 'text'}
+                    icon={<BgColorsOutlined />}
+                    onClick={(e) => {
+                      e.stopPropagation()
+                      onUpdate(layer.id, { originalStyle: !layer.originalStyle })
+                    }}
+                  />
+                </Tooltip>,
+                <Tooltip
+                  key="performance"
+                  title={
+                    layer.performanceMode
+                      ? 'Performance mode: drawn on a canvas and simplified per zoom level'
+                      : 'Performance mode off'
+                  }
+                >
+                  <Button
+                    size="small"
+                    type={layer.performanceMode ? 'link' : 'text'}
+                    icon={<ThunderboltOutlined />}
+                    onClick={(e) => {
+                      e.stopPropagation()
+                      onUpdate(layer.id, { performanceMode: !layer.performanceMode })
+                    }}
+                  />
+                </Tooltip>,
+                <Tooltip key="fit" title="Fit to layer">
+                  <Button
+                    size="small"
+                    type="text"
+                    icon={<ExpandOutlined />}
+                    onClick={(e) => {
+                      e.stopPropagation()
+                      onFit(layer.id)
+                    }}
+                  />
+                </Tooltip>,
+                <Tooltip key="remove" title="Remove layer">
+                  <Button
+                    size="small"
+                    type="text"
+                    danger
+                    icon={<DeleteOutlined />}
+                    onClick={(e) => {
+                      e.stopPropagation()
+                      onRemove(layer.id)
+                    }}
+                  />
+                </Tooltip>,
+              ]}
+            >
+              <Space onClick={(e) => e.stopPropagation()}>
+                <Checkbox
+                  checked={layer.visible}
+                  onChange={(e) => onUpdate(layer.id, { visible: e.target.checked })}
+                />
+                <Typography.Text
+                  strong={isActive}
+                  editable={{
+                    onChange: (name) => onUpdate(layer.id, { name: name || layer.name }),
+                  }}
+                  style={{ width: 160 }}
+                  ellipsis
+                  onClick={() => onActivate(layer.id)}
+                >
+                  {layer.name}
+                </Typography.Text>
+                <Typography.Text type="secondary" style={{ fontSize: 12 }}>
+                  {layer.geojson.features.length} features
+                  {layer.csv.rows.length > 0 ? ` · ${layer.csv.rows.length} rows` : ''}
+                </Typography.Text>
+                <Slider
+                  min={0}
+                  max={1}
+                  step={0.05}
+                  value={layer.opacity}
+                  onChange={(opacity) => onUpdate(layer.id, { opacity })}
+                  style={{ width: 100 }}
+                  tooltip={{ formatter: (v) => `${Math.round(v * 100)}%` }}
+                />
+              </Space>
+            </List.Item>
+          )
+        }}
+      />
+    </div>
+  )
+}
+
+export default LayerManager
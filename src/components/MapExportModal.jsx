@@ -0,0 +1,81 @@
+import { useState } from 'react'
+import { Modal, Input, Select, Segmented, Space, Typography } from 'antd'
+import { PAPER_SIZES, EXPORT_DPI_OPTIONS } from '../lib/mapExport'
+
+// Settings for exporting the current map view as an image or a PDF page.
+// `onExport` returns a promise; the dialog stays open while it runs.
+function MapExportModal({ open, defaultTitle, onExport, onClose }) {
+  const [format, setFormat] = useState('png')
+  const [title, setTitle] = useState(defaultTitle)
+  const [paper, setPaper] = useState('a4')
+  const [orientation, setOrientation] = useState('landscape')
+  const [dpi, setDpi] = useState(150)
+  const [exporting, setExporting] = useState(false)
+
+  const handleOk = () => {
+    setExporting(true)
+    onExport({ format, title: title.trim(), paper, orientation, dpi })
+      .then(onClose)
+      .finally(() => setExporting(false))
+  }
+
+  return (
+    <Modal
+      open={open}
+      title="Export map"
+      okText="Export"
+      onOk={handleOk}
+      confirmLoading={exporting}
+      onCancel={onClose}
+    >
+      <Space orientation="vertical" size="middle" style={{ width: '100%' }}>
+        <Segmented
+          value={format}
+          onChange={setFormat}
+          options={[
+            { value: 'png', label: 'PNG image' },
+            { value: 'pdf', label: 'PDF page' },
+          ]}
+        />
+        <div>
+          <Typography.Text type="secondary">Title</Typography.Text>
+          <Input value={title} onChange={(e) => setTitle(e.target.value)} placeholder="Map title (optional)" />
+        </div>
+        <Space wrap>
+          {format === 'pdf' && (
+            <>
+              <Select
+                value={paper}
+                onChange={setPaper}
+                style={{ width: 90 }}
+                options={Object.entries(PAPER_SIZES).map(([value, size]) => ({ value, label: size.label }))}
+              />
+              <Select
+                value={orientation}
+                onChange={setOrientation}
+                style={{ width: 130 }}
+                options={[
+                  { value: 'landscape', label: 'Landscape' },
+                  { value: 'portrait', label: 'Portrait' },
+                ]}
+              />
+            </>
+          )}
+          <Select
+            value={dpi}
+            onChange={setDpi}
+            style={{ width: 110 }}
+            options={EXPORT_DPI_OPTIONS.map((value) => ({ value, label: `${value} DPI` }))}
+          />
+        </Space>
+        <Typography.Text type="secondary">
+          {format === 'pdf'
+            ? 'The current view is centred on the page and scaled to fill it.'
+            : 'The image covers the current view at the chosen resolution.'}
+        </Typography.Text>
+      </Space>
+    </Modal>
+  )
+}
+
+export default MapExportModal
@@ -0,0 +1,100 @@
+import { useEffect, useState } from 'react'
+import { createPortal } from 'react-dom'
+import { useMap } from 'react-leaflet'
+import L from 'leaflet'
+import { formatMetricValue } from '../lib/layerStyle'
+
+const swatchStyle = (background) => ({
+  display: 'inline-block',
+  width: 14,
+  height: 14,
+  borderRadius: 3,
+  background,
+  border: '1px solid rgba(255,255,255,0.35)',
+  flexShrink: 0,
+})
+
+function LegendRow({ entry, onHighlight, children }) {
+  return (
+    <div
+      className="map-legend-row"
+      onMouseEnter={() => onHighlight(entry.key)}
+      onMouseLeave={() => onHighlight(null)}
+    >
+      {children}
+      <span className="map-legend-count">{entry.count}</span>
+    </div>
+  )
+}
+
+// Leaflet control listing the classes of the active layer's metric with their
+// bounds and feature counts. Hovering a row highlights its features.
+function MapLegend({ title, units, entries, onHighlight }) {
+  const map = useMap()
+  // Detached element the control mounts; React renders the rows into it
+  const [container] = useState(() => L.DomUtil.create('div', 'map-legend'))
+
+  useEffect(() => {
+    L.DomEvent.disableClickPropagation(container)
+    L.DomEvent.disableScrollPropagation(container)
+    const control = L.control({ position: 'bottomright' })
+    control.onAdd = () => container
+    control.addTo(map)
+    return () => {
+      control.remove()
+    }
+  }, [map, container])
+
+  return createPortal(
+    <>
+      <div className="map-legend-title">
+        {title}
+        {units ? <span className="map-legend-units"> ({units})</span> : null}
+      </div>
+      {entries.map((entry) => {
+        if (entry.kind === 'ramp') {
+          return (
+            <LegendRow key={entry.key} entry={entry} onHighlight={onHighlight}>
+              <span
+                style={{
+                  ...swatchStyle(`linear-gradient(to right, ${entry.colors.join(', ')})`),
+                  width: 60,
+                }}
+              />
+              <span className="map-legend-label">
+                {formatMetricValue(entry.min, units)} – {formatMetricValue(entry.max, units)}
+              </span>
+            </LegendRow>
+          )
+        }
+        if (entry.kind === 'category') {
+          return (
+            <LegendRow key={entry.key} entry={entry} onHighlight={onHighlight}>
+              <span style={swatchStyle(entry.color)} />
+              <span className="map-legend-label">{entry.label}</span>
+            </LegendRow>
+          )
+        }
+        if (entry.kind === 'noData') {
+          return (
+            <LegendRow key={entry.key} entry={entry} onHighlight={onHighlight}>
+              <span style={swatchStyle(entry.color)} />
+              <span className="map-legend-label">No data</span>
+            </LegendRow>
+          )
+        }
+        return (
+          <LegendRow key={entry.key} entry={entry} onHighlight={onHighlight}>
+            <span style={swatchStyle(entry.color)} />
+            <span className="map-legend-label">
+              {formatMetricValue(entry.min, units)} – {formatMetricValue(entry.max, units)}
+            </span>
+          </LegendRow>
+        )
+      })}
+    </>,
+    container,
+  )
+}
+
+export default MapLegend
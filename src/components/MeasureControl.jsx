@@ -0,0 +1,156 @@
+import { useEffect, useRef, useState } from 'react'
+import { createPortal } from 'react-dom'
+import { useMap } from 'react-leaflet'
+import L from 'leaflet'
+import '../lib/leafletGlobal'
+import '@geoman-io/leaflet-geoman-free'
+import { Button, Space, Typography } from 'antd'
+import { ColumnWidthOutlined, GatewayOutlined, ClearOutlined, CloseOutlined } from '@ant-design/icons'
+import { geometryArea, geometryLength } from '../lib/geometry'
+import { formatArea, formatLength } from '../lib/geometryMetrics'
+
+const MEASURE_SHAPES = { distance: 'Line', area: 'Polygon' }
+const MEASURE_HINTS = {
+  distance: 'Click to add points; click the last point to finish.',
+  area: 'Click to add corners; click the first corner to close the area.',
+}
+const MEASURE_STYLE = { color: '#2563eb', weight: 3, dashArray: '6,6', fillColor: '#2563eb', fillOpacity: 0.1 }
+
+const toPosition = (latlng) => [latlng.lng, latlng.lat]
+
+// Text for a measured path; for areas the ring is closed back to its start
+function measurement(tool, latlngs) {
+  const positions = latlngs.map(toPosition)
+  if (tool === 'distance') {
+    return positions.length > 1 ? formatLength(geometryLength({ type: 'LineString', coordinates: positions })) : ''
+  }
+  if (positions.length < 3) {
+    return ''
+  }
+  const polygon = { type: 'Polygon', coordinates: [[...positions, positions[0]]] }
+  return `${formatArea(geometryArea(polygon))}, perimeter ${formatLength(geometryLength(polygon))}`
+}
+
+// Geodesic distance and area measurement as a Leaflet control. The running
+// value follows the cursor while drawing; finished measurements stay on the
+// map, labelled, until cleared.
+function MeasureControl() {
+  const map = useMap()
+  const [container] = useState(() => L.DomUtil.create('div', 'map-tool-panel'))
+  const [tool, setTool] = useState(null)
+  const [reading, setReading] = useState('')
+  const [resultCount, setResultCount] = useState(0)
+  const resultsRef = useRef(null)
+
+  useEffect(() => {
+    L.DomEvent.disableClickPropagation(container)
+    L.DomEvent.disableScrollPropagation(container)
+    const control = L.control({ position: 'topleft' })
+    control.onAdd = () => container
+    control.addTo(map)
+    const results = L.layerGroup().addTo(map)
+    resultsRef.current = results
+    return () => {
+      results.remove()
+      control.remove()
+    }
+  }, [map, container])
+
+  useEffect(() => {
+    const shape = MEASURE_SHAPES[tool]
+    if (!shape) {
+      return undefined
+    }
+    let workingLayer = null
+    let drawing = true
+    const mapContainer = map.getContainer()
+    mapContainer.classList.add('map-measuring')
+
+    const handleDrawStart = (e) => {
+      workingLayer = e.workingLayer
+    }
+    const handleMouseMove = (e) => {
+      if (workingLayer) {
+        setReading(measurement(tool, [...workingLayer.getLatLngs(), e.latlng]))
+      }
+    }
+    const handleCreate = ({ layer }) => {
+      const text = measurement(tool, tool === 'area' ? layer.getLatLngs()[0] : layer.getLatLngs())
+      layer.bindTooltip(text, { permanent: true, direction: 'center', className: 'measure-tooltip' })
+      resultsRef.current.addLayer(layer)
+      setResultCount((count) => count + 1)
+      setTool(null)
+    }
+    // Finishing, or another control starting to draw, ends the measurement
+    const handleToggle = ({ enabled }) => {
+      if (!enabled) {
+        drawing = false
+        setTool(null)
+      }
+    }
+
+    map.on('pm:drawstart', handleDrawStart)
+    map.on('pm:create', handleCreate)
+    map.on('mousemove', handleMouseMove)
+    map.pm.enableDraw(shape, {
+      continueDrawing: false,
+      pathOptions: MEASURE_STYLE,
+      templineStyle: MEASURE_STYLE,
+      hintlineStyle: { ...MEASURE_STYLE, dashArray: '2,6' },
+    })
+    map.on('pm:globaldrawmodetoggled', handleToggle)
+    return () => {
+      map.off('pm:drawstart', handleDrawStart)
+      map.off('pm:create', handleCreate)
+      map.off('mousemove', handleMouseMove)
+      map.off('pm:globaldrawmodetoggled', handleToggle)
+      if (drawing) {
+        map.pm.disableDraw()
+      }
+      mapContainer.classList.remove('map-measuring')
+      setReading('')
+    }
+  }, [map, tool])
+
+  const toolButton = (name, icon, title) => (
+    <Button
+      size="small"
+      icon={icon}
+      title={title}
+      type={tool === name ? 'primary' : 'default'}
+      onClick={() => setTool(tool === name ? null : name)}
+    />
+  )
+
+  return createPortal(
+    <Space orientation="vertical" size={4}>
+      <Space size={4}>
+        {toolButton('distance', <ColumnWidthOutlined />, 'Measure a distance')}
+        {toolButton('area', <GatewayOutlined />, 'Measure an area')}
+        <Button
+          size="small"
+          icon={<ClearOutlined />}
+          title="Clear measurements"
+          disabled={resultCount === 0}
+          onClick={() => {
+            resultsRef.current.clearLayers()
+            setResultCount(0)
+          }}
+        />
+      </Space>
+      {tool && (
+        <div className="map-tool-hint">
+          <Typography.Text style={{ fontSize: 12 }}>
+            {reading || MEASURE_HINTS[tool]}
+          </Typography.Text>
+          <Button size="small" icon={<CloseOutlined />} style={{ marginTop: 4 }} onClick={() => setTool(null)}>
+            Cancel
+          </Button>
+        </div>
+      )}
+    </Space>,
+    container,
+  )
+}
+
+export default MeasureControl
@@ -0,0 +1,48 @@
+import { useState } from 'react'
+import { Modal, AutoComplete, Input, Space, Typography } from 'antd'
+
+// Key and name of a newly drawn feature. The key is written to the layer's
+// join key source, so it joins CSV rows like the imported features; the keys
+// of rows without a feature are offered first. When the key source is the
+// name, the key doubles as the name.
+function NewFeatureModal({ defaultId, keyLabel, keyIsName, suggestions, takenKeys, onConfirm, onCancel }) {
+  const [id, setId] = useState(defaultId)
+  const [name, setName] = useState('')
+
+  const trimmedId = id.trim()
+  const taken = takenKeys.has(trimmedId)
+
+  return (
+    <Modal
+      open
+      title="New feature"
+      okText="Add feature"
+      okButtonProps={{ disabled: !trimmedId || taken }}
+      onOk={() => onConfirm({ id: trimmedId, name: keyIsName ? trimmedId : name.trim() })}
+      onCancel={onCancel}
+    >
+      <Space orientation="vertical" style={{ width: '100%' }}>
+        <Typography.Text type="secondary">{keyLabel}</Typography.Text>
+        <AutoComplete
+          value={id}
+          onChange={setId}
+          status={taken ? 'error' : undefined}
+          style={{ width: '100%' }}
+          options={suggestions
+            .filter((key) => key.toLowerCase().includes(trimmedId.toLowerCase()))
+            .slice(0, 50)
+            .map((key) => ({ value: key, label: `${key} (CSV row without a feature)` }))}
+        />
+        {taken && <Typography.Text type="danger">Another feature already uses this key</Typography.Text>}
+        {!keyIsName && (
+          <>
+            <Typography.Text type="secondary">Name</Typography.Text>
+            <Input value={name} onChange={(e) => setName(e.target.value)} placeholder="Optional" />
+          </>
+        )}
+      </Space>
+    </Modal>
+  )
+}
+
+export default NewFeatureModal
@@ -0,0 +1,245 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { createPortal } from 'react-dom'
+import { useMap } from 'react-leaflet'
+import L from 'leaflet'
+import { AutoComplete, Button, Input, Popover, Select, Space, Typography, message } from 'antd'
+import { SearchOutlined, SettingOutlined } from '@ant-design/icons'
+import {
+  GEOCODER_PROVIDERS,
+  DEFAULT_NOMINATIM_URL,
+  coordinateGeocoder,
+  createGazetteer,
+  loadGeocoderSettings,
+  saveGeocoderSettings,
+} from '../lib/geocoding'
+import { formatDecimal, formatDms } from '../lib/coordinates'
+
+const MARKER_STYLE = { radius: 8, color: '#ffffff', weight: 2, fillColor: '#dc2626', fillOpacity: 1 }
+
+// Popup of a searched place, built from nodes as the geocoder's text is not trusted
+function placePopupContent({ label, description, lat, lng }) {
+  const content = document.createElement('div')
+  const line = (className, text) => {
+    const element = L.DomUtil.create('div', className, content)
+    element.textContent = text
+  }
+  line('place-popup-title', label)
+  if (description && description !== label) {
+    line('place-popup-description', description)
+  }
+  line('place-popup-coordinates', formatDecimal(lat, lng))
+  line('place-popup-coordinates', formatDms(lat, lng))
+  return content
+}
+
+// Search box for places, features of the loaded layers and coordinates, as a
+// Leaflet control. Coordinates and features are matched while typing; the
+// remote geocoder is only asked on Enter or the search button, as Nominatim's
+// usage policy rules out search-as-you-type. Features are handed to
+// `onSelectFeature`, other places get a marker with a popup.
+function PlaceSearch({ layers, onSelectFeature }) {
+  const map = useMap()
+  const [container] = useState(() => L.DomUtil.create('div', 'map-tool-panel'))
+  const [settings, setSettings] = useState(loadGeocoderSettings)
+  const [query, setQuery] = useState('')
+  const [results, setResults] = useState([])
+  const [searching, setSearching] = useState(false)
+  const [place, setPlace] = useState(null) // Chosen place that is not a feature
+  const searchRef = useRef({ seq: 0, controller: null })
+
+  const gazetteer = useMemo(() => createGazetteer(layers), [layers])
+
+  useEffect(() => {
+    L.DomEvent.disableClickPropagation(container)
+    L.DomEvent.disableScrollPropagation(container)
+    const control = L.control({ position: 'topright' })
+    control.onAdd = () => container
+    control.addTo(map)
+    return () => {
+      control.remove()
+    }
+  }, [map, container])
+
+  useEffect(() => {
+    if (!place) {
+      return undefined
+    }
+    const marker = L.circleMarker([place.lat, place.lng], MARKER_STYLE)
+      .bindPopup(placePopupContent(place))
+      .addTo(map)
+    const openPopup = () => marker.openPopup()
+    map.once('moveend', openPopup)
+    if (place.bounds) {
+      map.flyToBounds(place.bounds, { maxZoom: 17, padding: [40, 40] })
+    } else {
+      map.flyTo([place.lat, place.lng], Math.max(map.getZoom(), 15))
+    }
+    return () => {
+      map.off('moveend', openPopup)
+      marker.remove()
+    }
+  }, [map, place])
+
+  // Cancel a pending search, returning the number of the next one
+  const startSearch = () => {
+    const search = searchRef.current
+    search.controller?.abort()
+    search.controller = null
+    search.seq += 1
+    return search.seq
+  }
+
+  const searchOffline = (text) =>
+    Promise.all([coordinateGeocoder, gazetteer].map((geocoder) => geocoder.search(text))).then((lists) => lists.flat())
+
+  const handleType = (text) => {
+    setQuery(text)
+    setSearching(false)
+    const seq = startSearch()
+    searchOffline(text).then((found) => {
+      if (seq === searchRef.current.seq) {
+        setResults(found)
+      }
+    })
+  }
+
+  const handleSearch = () => {
+    const text = query.trim()
+    if (!text) {
+      return
+    }
+    const seq = startSearch()
+    const remote = GEOCODER_PROVIDERS[settings.provider]?.create(settings)
+    const controller = new AbortController()
+    searchRef.current.controller = controller
+    setSearching(Boolean(remote))
+    const remoteSearch = remote
+      ? remote.search(text, { signal: controller.signal }).catch((error) => {
+          if (error.name !== 'AbortError') {
+            console.error('Error searching places:', error)
+            message.error(`Place search failed: ${error.message}`)
+          }
+          return []
+        })
+      : Promise.resolve([])
+    Promise.all([searchOffline(text), remoteSearch]).then(([offline, online]) => {
+      if (seq !== searchRef.current.seq) {
+        return
+      }
+      setSearching(false)
+      setResults([...offline, ...online])
+      if (offline.length + online.length === 0) {
+        message.info(`Nothing found for "${text}"`)
+      }
+    })
+  }
+
+  const handleSelect = (id) => {
+    const result = results.find((candidate) => candidate.id === id)
+    if (!result) {
+      return
+    }
+    setQuery(result.label)
+    if (result.layerId != null) {
+      setPlace(null)
+      onSelectFeature(result.layerId, result.featureIndex)
+    } else {
+      // A copy, so choosing the same place again flies back to it
+      setPlace({ ...result })
+    }
+  }
+
+  const handleClear = () => {
+    startSearch()
+    setQuery('')
+    setResults([])
+    setSearching(false)
+    setPlace(null)
+  }
+
+  const updateSettings = (patch) => {
+    const next = { ...settings, ...patch }
+    setSettings(next)
+    saveGeocoderSettings(next)
+  }
+
+  const settingsContent = (
+    <Space orientation="vertical" size={8} style={{ width: 280 }}>
+      <div>
+        <Typography.Text type="secondary" style={{ fontSize: 12 }}>
+          Geocoder
+        </Typography.Text>
+        <Select
+          style={{ width: '100%' }}
+          value={settings.provider}
+          onChange={(provider) => updateSettings({ provider })}
+          options={Object.entries(GEOCODER_PROVIDERS).map(([value, { label }]) => ({ value, label }))}
+        />
+      </div>
+      {settings.provider === 'nominatim' && (
+        <>
+          <div>
+            <Typography.Text type="secondary" style={{ fontSize: 12 }}>
+              Service URL
+            </Typography.Text>
+            <Input
+              value={settings.url}
+              placeholder={DEFAULT_NOMINATIM_URL}
+              onChange={(e) => updateSettings({ url: e.target.value.trim() })}
+            />
+          </div>
+          <div>
+            <Typography.Text type="secondary" style={{ fontSize: 12 }}>
+              Countries (ISO codes, comma separated)
+            </Typography.Text>
+            <Input
+              value={settings.countryCodes}
+              placeholder="e.g. hu,sk"
+              onChange={(e) => updateSettings({ countryCodes: e.target.value.replace(/\s+/g, '').toLowerCase() })}
+            />
+          </div>
+        </>
+      )}
+    </Space>
+  )
+
+  return createPortal(
+    <Space size={4}>
+      <AutoComplete
+        style={{ width: 260 }}
+        value={query}
+        placeholder="Place, feature or coordinates"
+        allowClear
+        defaultActiveFirstOption={false}
+        popupMatchSelectWidth={320}
+        options={results.map((result) => ({
+          value: result.id,
+          label: (
+            <div>
+              <div>{result.label}</div>
+              <Typography.Text type="secondary" style={{ fontSize: 12 }} ellipsis>
+                {result.description}
+              </Typography.Text>
+            </div>
+          ),
+        }))}
+        onSearch={handleType}
+        onSelect={handleSelect}
+        onClear={handleClear}
+        onKeyDown={(e) => {
+          // An Enter that picks a highlighted option has its default prevented
+          if (e.key === 'Enter' && !e.defaultPrevented) {
+            handleSearch()
+          }
+        }}
+      />
+      <Button icon={<SearchOutlined />} title="Search" loading={searching} onClick={handleSearch} />
+      <Popover trigger="click" placement="bottomRight" title="Place search" content={settingsContent}>
+        <Button icon={<SettingOutlined />} title="Place search settings" />
+      </Popover>
+    </Space>,
+    container,
+  )
+}
+
+export default PlaceSearch
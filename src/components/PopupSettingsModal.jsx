@@ -0,0 +1,165 @@
+import { Modal, Input, InputNumber, Select, Checkbox, Segmented, Space, Tag, Typography, Alert, List } from 'antd'
+import {
+  COLUMN_FORMAT_TYPES,
+  CURRENCIES,
+  DATE_FORMATS,
+  DEFAULT_COLUMN_FORMAT,
+  formatColumnValue,
+} from '../lib/columnFormat'
+import { placeholderFor, templateColumns } from '../lib/popupTemplate'
+
+const toOptions = (entries) => Object.entries(entries).map(([value, label]) => ({ value, label }))
+
+// Types whose values can carry units
+const UNIT_TYPES = ['auto', 'number']
+
+function ColumnFormatRow({ column, format, units, sampleValue, onChange, onChangeUnits }) {
+  const update = (patch) => onChange({ ...format, ...patch })
+  const preview = formatColumnValue(sampleValue, format, units)
+
+  return (
+    <List.Item>
+      <Space orientation="vertical" size={4} style={{ width: '100%' }}>
+        <Space style={{ justifyContent: 'space-between', width: '100%' }}>
+          <Typography.Text strong>{column}</Typography.Text>
+          {preview && <Typography.Text type="secondary">{preview}</Typography.Text>}
+        </Space>
+        <Space wrap>
+          <Select
+            value={format.type}
+            onChange={(type) => update({ type })}
+            style={{ width: 130 }}
+            options={toOptions(COLUMN_FORMAT_TYPES)}
+          />
+          {['number', 'currency', 'percent'].includes(format.type) && (
+            <InputNumber
+              value={format.decimals}
+              onChange={(decimals) => update({ decimals })}
+              min={0}
+              max={6}
+              placeholder="Decimals"
+              style={{ width: 100 }}
+            />
+          )}
+          {format.type === 'currency' && (
+            <Select
+              value={format.currency}
+              onChange={(currency) => update({ currency })}
+              style={{ width: 200 }}
+              options={Object.entries(CURRENCIES).map(([value, { label }]) => ({ value, label }))}
+            />
+          )}
+          {format.type === 'percent' && (
+            <Checkbox checked={format.fraction} onChange={(e) => update({ fraction: e.target.checked })}>
+              Values are fractions (0.25 = 25%)
+            </Checkbox>
+          )}
+          {format.type === 'date' && (
+            <Select
+              value={format.dateFormat}
+              onChange={(dateFormat) => update({ dateFormat })}
+              style={{ width: 150 }}
+              options={Object.entries(DATE_FORMATS).map(([value, { label }]) => ({ value, label }))}
+            />
+          )}
+          {UNIT_TYPES.includes(format.type) && (
+            <Input
+              value={units}
+              onChange={(e) => onChangeUnits(e.target.value)}
+              placeholder="Units"
+              style={{ width: 90 }}
+            />
+          )}
+        </Space>
+      </Space>
+    </List.Item>
+  )
+}
+
+// Popup and label settings of the active layer: an optional popup template
+// with `{column}` placeholders, the column shown as a hover or permanent
+// label, and how each column's values are formatted. Changes apply at once.
+// `sampleRow` provides the example values next to the formats.
+function PopupSettingsModal({ open, layer, columns, sampleRow, onChange, onClose }) {
+  const { popupTemplate, featureLabel, columnFormats, columnUnits } = layer
+  const unknownColumns = [...new Set(templateColumns(popupTemplate))].filter((col) => !columns.includes(col))
+
+  return (
+    <Modal open={open} title="Popups and labels" footer={null} onCancel={onClose} width={720}>
+      <Space orientation="vertical" size="middle" style={{ width: '100%' }}>
+        <Space orientation="vertical" style={{ width: '100%' }}>
+          <Typography.Text type="secondary">
+            Popup template. Leave it empty to list the columns chosen under Show in popup.
+          </Typography.Text>
+          <Input.TextArea
+            value={popupTemplate}
+            onChange={(e) => onChange({ popupTemplate: e.target.value })}
+            placeholder={'{name}\nPopulation: {population}\nIncome: {income}'}
+            autoSize={{ minRows: 3, maxRows: 10 }}
+            style={{ fontFamily: 'monospace' }}
+          />
+          <div>
+            {columns.map((col) => (
+              <Tag
+                key={col}
+                style={{ cursor: 'pointer' }}
+                onClick={() => onChange({ popupTemplate: `${popupTemplate}${placeholderFor(col)}` })}
+              >
+                {col}
+              </Tag>
+            ))}
+          </div>
+          {unknownColumns.length > 0 && (
+            <Alert
+              type="warning"
+              showIcon
+              title={`Not a column of this layer, left blank: ${unknownColumns.join(', ')}`}
+            />
+          )}
+        </Space>
+
+        <Space wrap>
+          <Typography.Text type="secondary">Label</Typography.Text>
+          <Select
+            value={featureLabel.column}
+            onChange={(column) => onChange({ featureLabel: { ...featureLabel, column } })}
+            style={{ width: 200 }}
+            options={[{ value: '', label: 'None' }, ...columns.map((col) => ({ value: col, label: col }))]}
+            showSearch
+          />
+          <Segmented
+            value={featureLabel.permanent ? 'permanent' : 'hover'}
+            onChange={(value) => onChange({ featureLabel: { ...featureLabel, permanent: value === 'permanent' } })}
+            disabled={!featureLabel.column}
+            options={[
+              { value: 'hover', label: 'On hover' },
+              { value: 'permanent', label: 'Always' },
+            ]}
+          />
+        </Space>
+
+        <Space orientation="vertical" style={{ width: '100%' }}>
+          <Typography.Text type="secondary">Column formats</Typography.Text>
+          <List
+            size="small"
+            bordered
+            dataSource={columns}
+            style={{ maxHeight: 360, overflowY: 'auto' }}
+            renderItem={(column) => (
+              <ColumnFormatRow
+                column={column}
+                format={{ ...DEFAULT_COLUMN_FORMAT, ...columnFormats[column] }}
+                units={columnUnits[column] || ''}
+                sampleValue={sampleRow?.[column]}
+                onChange={(format) => onChange({ columnFormats: { ...columnFormats, [column]: format } })}
+                onChangeUnits={(units) => onChange({ columnUnits: { ...columnUnits, [column]: units } })}
+              />
+            )}
+          />
+        </Space>
+      </Space>
+    </Modal>
+  )
+}
+
+export default PopupSettingsModal
@@ -0,0 +1,95 @@
+import { useState } from 'react'
+import { Dropdown, Button, Modal, Input, Upload, message } from 'antd'
+import { FolderOpenOutlined, SaveOutlined, HistoryOutlined, DeleteOutlined } from '@ant-design/icons'
+import { PROJECT_FILE_ACCEPT } from '../lib/project'
+import { listRecentProjects, deleteRecentProject } from '../lib/projectStore'
+
+const formatSavedAt = (savedAt) => new Date(savedAt).toLocaleString()
+
+// Save the current map as a project file, open one, or reopen a recent one
+function ProjectMenu({ projectName, canSave, onSave, onOpenFile, onOpenRecent }) {
+  const [recent, setRecent] = useState([])
+  const [saveName, setSaveName] = useState(null) // Name being edited in the save dialog
+
+  const refreshRecent = () =>
+    listRecentProjects()
+      .then(setRecent)
+      .catch((error) => {
+        console.error('Error listing recent projects:', error)
+        setRecent([])
+      })
+
+  const items = [
+    {
+      key: 'save',
+      icon: <SaveOutlined />,
+      label: 'Save project…',
+      disabled: !canSave,
+      onClick: () => setSaveName(projectName),
+    },
+    {
+      key: 'open',
+      icon: <FolderOpenOutlined />,
+      label: (
+        <Upload accept={PROJECT_FILE_ACCEPT} showUploadList={false} beforeUpload={(file) => onOpenFile(file)}>
+          Open project file…
+        </Upload>
+      ),
+    },
+    {
+      key: 'recent',
+      icon: <HistoryOutlined />,
+      label: 'Recent projects',
+      disabled: recent.length === 0,
+      children: recent.map((project) => ({
+        key: `recent:${project.name}`,
+        label: (
+          <span style={{ display: 'flex', justifyContent: 'space-between', gap: 16 }}>
+            <span>
+              {project.name}{' '}
+              <span style={{ color: '#9ca3af', fontSize: 12 }}>
+                {project.layerCount} layer(s), {formatSavedAt(project.savedAt)}
+              </span>
+            </span>
+            <DeleteOutlined
+              title="Forget this project"
+              onClick={(e) => {
+                e.stopPropagation()
+                deleteRecentProject(project.name).then(refreshRecent)
+              }}
+            />
+          </span>
+        ),
+        onClick: () => onOpenRecent(project.name),
+      })),
+    },
+  ]
+
+  return (
+    <>
+      <Dropdown menu={{ items }} onOpenChange={(open) => open && refreshRecent()} trigger={['click']}>
+        <Button icon={<FolderOpenOutlined />}>Project</Button>
+      </Dropdown>
+      <Modal
+        open={saveName != null}
+        title="Save project"
+        okText="Save and download"
+        okButtonProps={{ disabled: !saveName?.trim() }}
+        onOk={() => {
+          onSave(saveName.trim())
+            .then(() => setSaveName(null))
+            .catch((error) => message.error(`Failed to save the project: ${error.message}`))
+        }}
+        onCancel={() => setSaveName(null)}
+      >
+        <Input
+          value={saveName ?? ''}
+          onChange={(e) => setSaveName(e.target.value)}
+          placeholder="Project name"
+        />
+      </Modal>
+    </>
+  )
+}
+
+export default ProjectMenu
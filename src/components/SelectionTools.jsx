@@ -0,0 +1,184 @@
+import { useEffect, useRef, useState } from 'react'
+import { createPortal } from 'react-dom'
+import { useMap } from 'react-leaflet'
+import L from 'leaflet'
+import '../lib/leafletGlobal'
+import '@geoman-io/leaflet-geoman-free'
+import { Button, Segmented, Space, Typography } from 'antd'
+import { BorderOuterOutlined, HighlightOutlined, RadiusSettingOutlined, CloseCircleOutlined, CloseOutlined } from '@ant-design/icons'
+import { SELECTION_MODES } from '../lib/spatial'
+
+const DRAW_SHAPES = { rectangle: 'Rectangle', radius: 'Circle' }
+
+const TOOL_HINTS = {
+  rectangle: 'Click two corners of the rectangle.',
+  lasso: 'Hold the mouse button and draw around the features.',
+  radius: 'Click the centre, then click at the radius.',
+}
+
+const SELECT_STYLE = { color: '#7c3aed', weight: 2, dashArray: '4,4', fillColor: '#7c3aed', fillOpacity: 0.08 }
+
+const toPosition = (latlng) => [latlng.lng, latlng.lat]
+
+// Rectangle, lasso and radius selection of the active layer's features, as a
+// Leaflet control. The drawn shape is passed to `onSelectShape` with the
+// selection mode (new, add or remove) and then discarded.
+function SelectionTools({ selectedCount, onSelectShape, onClear }) {
+  const map = useMap()
+  const [container] = useState(() => L.DomUtil.create('div', 'map-tool-panel'))
+  const [tool, setTool] = useState(null)
+  const [mode, setMode] = useState('replace')
+
+  // Map handlers are bound once per tool, so they read the latest mode and callback
+  const latestRef = useRef({ mode, onSelectShape })
+  useEffect(() => {
+    latestRef.current = { mode, onSelectShape }
+  })
+
+  useEffect(() => {
+    L.DomEvent.disableClickPropagation(container)
+    L.DomEvent.disableScrollPropagation(container)
+    const control = L.control({ position: 'topleft' })
+    control.onAdd = () => container
+    control.addTo(map)
+    return () => {
+      control.remove()
+    }
+  }, [map, container])
+
+  useEffect(() => {
+    if (!tool) {
+      return undefined
+    }
+    const mapContainer = map.getContainer()
+    mapContainer.classList.add('map-selecting')
+    return () => mapContainer.classList.remove('map-selecting')
+  }, [map, tool])
+
+  useEffect(() => {
+    const shape = DRAW_SHAPES[tool]
+    if (!shape) {
+      return undefined
+    }
+    const handleCreate = ({ layer }) => {
+      layer.remove()
+      setTool(null)
+      const { mode: currentMode, onSelectShape: select } = latestRef.current
+      if (tool === 'radius') {
+        select({ type: 'circle', center: toPosition(layer.getLatLng()), radius: layer.getRadius() }, currentMode)
+      } else {
+        select({ type: 'polygon', rings: layer.toGeoJSON(false).geometry.coordinates }, currentMode)
+      }
+    }
+    // Finishing, or another control starting to draw, ends the selection
+    let drawing = true
+    const handleToggle = ({ enabled }) => {
+      if (!enabled) {
+        drawing = false
+        setTool(null)
+      }
+    }
+    map.on('pm:create', handleCreate)
+    map.pm.enableDraw(shape, {
+      continueDrawing: false,
+      pathOptions: SELECT_STYLE,
+      templineStyle: SELECT_STYLE,
+      hintlineStyle: SELECT_STYLE,
+    })
+    map.on('pm:globaldrawmodetoggled', handleToggle)
+    return () => {
+      map.off('pm:create', handleCreate)
+      map.off('pm:globaldrawmodetoggled', handleToggle)
+      if (drawing) {
+        map.pm.disableDraw()
+      }
+    }
+  }, [map, tool])
+
+  // The lasso is drawn freehand while the mouse button is held down
+  useEffect(() => {
+    if (tool !== 'lasso') {
+      return undefined
+    }
+    let path = null
+    let trail = null
+    const handleDown = (e) => {
+      path = [e.latlng]
+      trail = L.polyline(path, SELECT_STYLE).addTo(map)
+    }
+    const handleMove = (e) => {
+      if (path) {
+        path.push(e.latlng)
+        trail.setLatLngs(path)
+      }
+    }
+    const handleUp = () => {
+      if (!path) {
+        return
+      }
+      const ring = path.map(toPosition)
+      trail.remove()
+      path = null
+      setTool(null)
+      if (ring.length >= 3) {
+        const { mode: currentMode, onSelectShape: select } = latestRef.current
+        select({ type: 'polygon', rings: [[...ring, ring[0]]] }, currentMode)
+      }
+    }
+    map.dragging.disable()
+    map.on('mousedown', handleDown)
+    map.on('mousemove', handleMove)
+    map.on('mouseup', handleUp)
+    return () => {
+      map.off('mousedown', handleDown)
+      map.off('mousemove', handleMove)
+      map.off('mouseup', handleUp)
+      trail?.remove()
+      map.dragging.enable()
+    }
+  }, [map, tool])
+
+  const toolButton = (name, icon, title) => (
+    <Button
+      size="small"
+      icon={icon}
+      title={title}
+      type={tool === name ? 'primary' : 'default'}
+      onClick={() => setTool(tool === name ? null : name)}
+    />
+  )
+
+  return createPortal(
+    <Space orientation="vertical" size={4}>
+      <Space size={4}>
+        {toolButton('rectangle', <BorderOuterOutlined />, 'Select by rectangle')}
+        {toolButton('lasso', <HighlightOutlined />, 'Select by lasso')}
+        {toolButton('radius', <RadiusSettingOutlined />, 'Select within a radius')}
+        <Button
+          size="small"
+          icon={<CloseCircleOutlined />}
+          title="Clear the selection"
+          disabled={selectedCount === 0}
+          onClick={onClear}
+        />
+      </Space>
+      <Segmented
+        size="small"
+        value={mode}
+        onChange={setMode}
+        options={Object.entries(SELECTION_MODES).map(([value, label]) => ({ value, label }))}
+      />
+      {tool && (
+        <div className="map-tool-hint">
+          <Typography.Text style={{ fontSize: 12 }}>{TOOL_HINTS[tool]}</Typography.Text>
+          <Button size="small" icon={<CloseOutlined />} style={{ marginTop: 4 }} onClick={() => setTool(null)}>
+            Cancel
+          </Button>
+        </div>
+      )}
+    </Space>,
+    container,
+  )
+}
+
+export default SelectionTools
@@ -0,0 +1,186 @@
+import { useState } from 'react'
+import { Modal, Tabs, Input, InputNumber, Select, Checkbox, Button, Space, Typography, List, Alert } from 'antd'
+import { DeleteOutlined } from '@ant-design/icons'
+import { AGGREGATE_STATS } from '../lib/spatial'
+import { geometryParts } from '../lib/geometry'
+
+const hasGeometry = (layer, kind) =>
+  (layer.geojson?.features || []).some((feature) => geometryParts(feature.geometry)[kind].length > 0)
+
+// Column name prefix suggested for a source layer
+const namePrefix = (layer) => layer.name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '_').replace(/^_+|_+$/g, '') || 'points'
+
+// Names of the columns an aggregation adds; the count does not use the value column
+const aggregateName = (prefix, column, stat) => (stat === 'count' ? `${prefix}_count` : `${prefix}_${column}_${stat}`)
+
+// Point-in-polygon columns of the active layer and buffer selection from the
+// selected features. Aggregations add columns to the active (polygon) layer
+// that count, sum or average the points of a source layer inside each
+// polygon. A buffer around the selected features selects the features of a
+// target layer within it.
+function SpatialAnalysisModal({ open, layer, layers, selectedCount, onChangeAggregates, onBuffer, onClose }) {
+  const pointLayers = layers.filter((candidate) => hasGeometry(candidate, 'points'))
+  const aggregates = layer.spatialAggregates
+
+  const [sourceLayerId, setSourceLayerId] = useState(pointLayers[0]?.id ?? null)
+  const [column, setColumn] = useState(null)
+  const [stats, setStats] = useState(['count'])
+  const [prefix, setPrefix] = useState(pointLayers[0] ? namePrefix(pointLayers[0]) : 'points')
+  const [distance, setDistance] = useState(100)
+  const [targetLayerId, setTargetLayerId] = useState(layer.id)
+
+  const source = pointLayers.find((candidate) => candidate.id === sourceLayerId) || null
+  const sourceColumns = source ? source.csv.header.filter((col) => col !== source.joinConfig.csvKey) : []
+  const needsColumn = stats.some((stat) => stat !== 'count')
+  const names = stats.map((stat) => aggregateName(prefix.trim(), column, stat))
+
+  let draftError = null
+  if (!prefix.trim()) {
+    draftError = 'The columns need a name prefix'
+  } else if (needsColumn && !column) {
+    draftError = 'Choose the value column to sum or average'
+  } else {
+    const taken = names.find((name) => layer.csv.header.includes(name))
+    if (taken) {
+      draftError = `A column named "${taken}" already exists`
+    }
+  }
+
+  const changeSource = (id) => {
+    const next = pointLayers.find((candidate) => candidate.id === id)
+    setSourceLayerId(id)
+    setColumn(null)
+    setPrefix(namePrefix(next))
+  }
+
+  const addAggregates = () => {
+    onChangeAggregates([
+      ...aggregates,
+      ...stats.map((stat, idx) => ({ name: names[idx], sourceLayerId, column: stat === 'count' ? null : column, stat })),
+    ])
+  }
+
+  const layerName = (id) => layers.find((candidate) => candidate.id === id)?.name || '(removed layer)'
+
+  const aggregateTab = hasGeometry(layer, 'polygons') ? (
+    <Space orientation="vertical" size="middle" style={{ width: '100%' }}>
+      {aggregates.length > 0 && (
+        <List
+          size="small"
+          bordered
+          dataSource={aggregates}
+          renderItem={(aggregate, idx) => (
+            <List.Item
+              actions={[
+                <Button
+                  key="remove"
+                  size="small"
+                  danger
+                  icon={<DeleteOutlined />}
+                  onClick={() => onChangeAggregates(aggregates.filter((_, i) => i !== idx))}
+                  title="Remove"
+                />,
+              ]}
+            >
+              <Space orientation="vertical" size={0}>
+                <Typography.Text strong>{aggregate.name}</Typography.Text>
+                <Typography.Text type="secondary">
+                  {AGGREGATE_STATS[aggregate.stat]} of {aggregate.column ? `${aggregate.column} of ` : ''}
+                  points of {layerName(aggregate.sourceLayerId)}
+                </Typography.Text>
+              </Space>
+            </List.Item>
+          )}
+        />
+      )}
+
+      {pointLayers.length === 0 ? (
+        <Alert type="info" showIcon title="No layer has point features to aggregate" />
+      ) : (
+        <Space orientation="vertical" style={{ width: '100%' }}>
+          <Typography.Text type="secondary">Points inside each polygon of {layer.name}</Typography.Text>
+          <Space wrap>
+            <Select
+              value={sourceLayerId}
+              onChange={changeSource}
+              style={{ width: 200 }}
+              title="Point layer"
+              options={pointLayers.map((candidate) => ({ value: candidate.id, label: candidate.name }))}
+            />
+            <Select
+              value={column}
+              onChange={setColumn}
+              allowClear
+              disabled={!needsColumn}
+              style={{ width: 200 }}
+              placeholder="Value column"
+              options={sourceColumns.map((col) => ({ value: col, label: col }))}
+            />
+          </Space>
+          <Checkbox.Group
+            value={stats}
+            onChange={setStats}
+            options={Object.entries(AGGREGATE_STATS).map(([value, label]) => ({ value, label }))}
+          />
+          <Space>
+            <Typography.Text>Column prefix</Typography.Text>
+            <Input value={prefix} onChange={(e) => setPrefix(e.target.value)} style={{ width: 220 }} />
+          </Space>
+          {stats.length > 0 && !draftError && (
+            <Typography.Text type="secondary">Adds {names.join(', ')}</Typography.Text>
+          )}
+          {draftError && <Alert type="error" showIcon title={draftError} />}
+          <Button type="primary" disabled={Boolean(draftError) || stats.length === 0} onClick={addAggregates}>
+            Add columns
+          </Button>
+        </Space>
+      )}
+    </Space>
+  ) : (
+    <Alert type="info" showIcon title={`${layer.name} has no polygons to aggregate points into`} />
+  )
+
+  const bufferTab = (
+    <Space orientation="vertical" size="middle" style={{ width: '100%' }}>
+      {selectedCount === 0 && (
+        <Alert type="info" showIcon title={`Select features of ${layer.name} on the map or in the attribute table first`} />
+      )}
+      <Space wrap>
+        <Typography.Text>
+          Buffer the {selectedCount} selected feature(s) by
+        </Typography.Text>
+        <InputNumber value={distance} onChange={setDistance} min={0} suffix="m" style={{ width: 140 }} />
+      </Space>
+      <Space wrap>
+        <Typography.Text>and select the features of</Typography.Text>
+        <Select
+          value={targetLayerId}
+          onChange={setTargetLayerId}
+          style={{ width: 200 }}
+          options={layers.map((candidate) => ({ value: candidate.id, label: candidate.name }))}
+        />
+        <Typography.Text>within it</Typography.Text>
+      </Space>
+      <Button
+        type="primary"
+        disabled={selectedCount === 0 || !(distance >= 0) || !targetLayerId}
+        onClick={() => onBuffer({ distance, targetLayerId })}
+      >
+        Select within buffer
+      </Button>
+    </Space>
+  )
+
+  return (
+    <Modal open={open} title="Spatial analysis" footer={null} onCancel={onClose} width={640}>
+      <Tabs
+        items={[
+          { key: 'aggregate', label: 'Points in polygons', children: aggregateTab },
+          { key: 'buffer', label: 'Buffer', children: bufferTab },
+        ]}
+      />
+    </Modal>
+  )
+}
+
+export default SpatialAnalysisModal
@@ -0,0 +1,23 @@
+import { Modal, Progress, Button, Typography } from 'antd'
+
+// Progress of a file being read in the background, with a way to stop it.
+// `task` is `{ title, done, total }` while one runs, else null.
+function TaskProgressModal({ task, onCancel }) {
+  const percent = task?.total ? Math.round((task.done / task.total) * 100) : 0
+
+  return (
+    <Modal
+      open={Boolean(task)}
+      title={task?.title}
+      closable={false}
+      maskClosable={false}
+      keyboard={false}
+      footer={<Button onClick={onCancel}>Cancel</Button>}
+    >
+      <Progress percent={percent} status="active" />
+      <Typography.Text type="secondary">Large files can take a while to read.</Typography.Text>
+    </Modal>
+  )
+}
+
+export default TaskProgressModal
@@ -0,0 +1,29 @@
+import { useEffect, useRef } from 'react'
+import { useMap } from 'react-leaflet'
+import { createTileLayer } from '../lib/tileLayers'
+
+// A basemap or overlay tile source on the map. The layer is rebuilt when the
+// source or its cache changes; opacity and stacking are updated in place.
+function TileSourceLayer({ source, opacity = 1, zIndex = 1, cached = false }) {
+  const map = useMap()
+  const layerRef = useRef(null)
+
+  useEffect(() => {
+    const layer = createTileLayer(source, { cached })
+    layerRef.current = layer
+    layer.addTo(map)
+    return () => {
+      layer.remove()
+      layerRef.current = null
+    }
+  }, [map, source, cached])
+
+  useEffect(() => {
+    layerRef.current?.setOpacity(opacity)
+    layerRef.current?.setZIndex(zIndex)
+  }, [source, cached, opacity, zIndex])
+
+  return null
+}
+
+export default TileSourceLayer
@@ -0,0 +1,456 @@
+import { useRef, useState } from 'react'
+import {
+  Modal,
+  Tabs,
+  Segmented,
+  Input,
+  InputNumber,
+  Select,
+  Switch,
+  Slider,
+  Upload,
+  Button,
+  Space,
+  Typography,
+  List,
+  Tag,
+  Alert,
+  Progress,
+  message,
+} from 'antd'
+import { DeleteOutlined, UploadOutlined, CloudDownloadOutlined, PlusOutlined } from '@ant-design/icons'
+import {
+  TILE_SOURCE_TYPES,
+  DEFAULT_TILE_SOURCE,
+  MAX_SOURCE_ZOOM,
+  createTileSource,
+  htmlToText,
+  validateTileSource,
+  isLocalSource,
+  isBuiltInSource,
+  countTiles,
+} from '../lib/tileSources'
+import { openTileArchive } from '../lib/tileArchives'
+import { cacheTiles, MAX_CACHED_TILES } from '../lib/tileStore'
+
+const WMS_VERSIONS = ['1.1.1', '1.3.0']
+const WMS_FORMATS = ['image/png', 'image/jpeg']
+
+const URL_PLACEHOLDERS = {
+  xyz: 'https://{s}.example.com/tiles/{z}/{x}/{y}.png',
+  tms: 'https://example.com/tms/{z}/{x}/{y}.png',
+  wms: 'https://example.com/geoserver/wms',
+}
+
+// Custom basemap and overlay sources, overlays with their opacity, and the
+// offline cache. `caches` holds the cached area summary by source id; `map`
+// is the Leaflet map whose view is cached.
+function TileSourcesModal({
+  open,
+  sources,
+  caches,
+  overlays,
+  basemapId,
+  map,
+  onAddSource,
+  onDeleteSource,
+  onChangeOverlays,
+  onCacheChanged,
+  onClearCache,
+  onClose,
+}) {
+  const [draft, setDraft] = useState(DEFAULT_TILE_SOURCE)
+  const [reading, setReading] = useState(false)
+  const [overlayId, setOverlayId] = useState(null)
+  const [cacheSourceId, setCacheSourceId] = useState(null)
+  const [cacheMaxZoom, setCacheMaxZoom] = useState(null)
+  const [download, setDownload] = useState(null) // { sourceId, done, total }
+  const abortRef = useRef(null)
+
+  const customSources = sources.filter((source) => !isBuiltInSource(source.id))
+  const sourceName = (id) => sources.find((source) => source.id === id)?.name || '(removed source)'
+  const draftError = validateTileSource(draft)
+  const local = isLocalSource(draft)
+
+  const updateDraft = (patch) => setDraft((prev) => ({ ...prev, ...patch }))
+  const updateWms = (patch) => setDraft((prev) => ({ ...prev, wms: { ...prev.wms, ...patch } }))
+
+  // Prefill the name and zoom range from the archive's own metadata
+  const handleArchive = (file) => {
+    setReading(true)
+    openTileArchive(file, draft.type)
+      .then((archive) => {
+        const { info } = archive
+        archive.close()
+        updateDraft({
+          file,
+          fileName: file.name,
+          name: draft.name || info.name || file.name.replace(/\.[^.]+$/, ''),
+          // Archive metadata may carry HTML; the source keeps plain text
+          attribution: draft.attribution || htmlToText(info.attribution),
+          minZoom: info.minZoom,
+          maxZoom: info.maxZoom,
+          bounds: info.bounds,
+        })
+      })
+      .catch((error) => {
+        console.error('Error reading tile archive:', error)
+        message.error(`Failed to read ${file.name}: ${error.message}`)
+      })
+      .finally(() => setReading(false))
+    return false
+  }
+
+  const addSource = () => {
+    const { file, fileName, bounds, ...fields } = draft
+    const source = createTileSource(
+      local
+        ? { ...fields, url: '', subdomains: '', file, fileName, bounds }
+        : { ...fields, name: fields.name.trim(), url: fields.url.trim() },
+    )
+    onAddSource(source)
+    setDraft({ ...DEFAULT_TILE_SOURCE, type: draft.type })
+  }
+
+  // Offline cache of the current view
+  const cacheSource = sources.find((source) => source.id === cacheSourceId && !isLocalSource(source)) || null
+  const viewZoom = map ? Math.round(map.getZoom()) : 0
+  const maxZoom = cacheMaxZoom ?? Math.min(viewZoom + 2, cacheSource?.maxZoom ?? MAX_SOURCE_ZOOM)
+  const viewBounds = () => {
+    const bounds = map.getBounds()
+    return [
+      [bounds.getSouth(), bounds.getWest()],
+      [bounds.getNorth(), bounds.getEast()],
+    ]
+  }
+  const tileCount = map && cacheSource && maxZoom >= viewZoom ? countTiles(viewBounds(), viewZoom, maxZoom) : 0
+
+  const startDownload = () => {
+    const controller = new AbortController()
+    abortRef.current = controller
+    setDownload({ sourceId: cacheSource.id, done: 0, total: tileCount })
+    cacheTiles(cacheSource, viewBounds(), viewZoom, maxZoom, {
+      signal: controller.signal,
+      onProgress: (done, total) => setDownload((prev) => prev && { ...prev, done, total }),
+    })
+      .then((failed) => {
+        if (failed > 0) {
+          message.warning(`${failed} tile(s) could not be downloaded; the server may not allow it`)
+        } else {
+          message.success(`${cacheSource.name} is available offline for this area`)
+        }
+      })
+      .catch((error) => {
+        if (error.name !== 'AbortError') {
+          console.error('Error caching tiles:', error)
+          message.error(`Failed to cache tiles: ${error.message}`)
+        }
+      })
+      .finally(() => {
+        abortRef.current = null
+        setDownload(null)
+        onCacheChanged()
+      })
+  }
+
+  const sourcesTab = (
+    <Space orientation="vertical" size="middle" style={{ width: '100%' }}>
+      {customSources.length > 0 && (
+        <List
+          size="small"
+          bordered
+          dataSource={customSources}
+          renderItem={(source) => (
+            <List.Item
+              actions={[
+                <Button
+                  key="remove"
+                  size="small"
+                  danger
+                  icon={<DeleteOutlined />}
+                  disabled={download?.sourceId === source.id}
+                  onClick={() => onDeleteSource(source.id)}
+                  title="Remove"
+                />,
+              ]}
+            >
+              <Space orientation="vertical" size={0}>
+                <Space size={4}>
+                  <Typography.Text strong>{source.name}</Typography.Text>
+                  <Tag>{TILE_SOURCE_TYPES[source.type]}</Tag>
+                  {caches[source.id] && <Tag color="green">{caches[source.id].tileCount} tiles offline</Tag>}
+                </Space>
+                <Typography.Text type="secondary" ellipsis style={{ maxWidth: 480 }}>
+                  {isLocalSource(source) ? source.fileName : source.url}
+                </Typography.Text>
+              </Space>
+            </List.Item>
+          )}
+        />
+      )}
+
+      <Space orientation="vertical" style={{ width: '100%' }}>
+        <Typography.Text type="secondary">New source</Typography.Text>
+        <Segmented
+          value={draft.type}
+          onChange={(type) => setDraft({ ...DEFAULT_TILE_SOURCE, type })}
+          options={Object.entries(TILE_SOURCE_TYPES).map(([value, label]) => ({ value, label }))}
+        />
+        {local ? (
+          <Upload accept={`.${draft.type}`} beforeUpload={handleArchive} showUploadList={false}>
+            <Button icon={<UploadOutlined />} loading={reading}>
+              {draft.fileName || `Choose a .${draft.type} file`}
+            </Button>
+          </Upload>
+        ) : (
+          <Input
+            value={draft.url}
+            onChange={(e) => updateDraft({ url: e.target.value })}
+            placeholder={URL_PLACEHOLDERS[draft.type]}
+          />
+        )}
+        <Input value={draft.name} onChange={(e) => updateDraft({ name: e.target.value })} placeholder="Name" />
+        <Input
+          value={draft.attribution}
+          onChange={(e) => updateDraft({ attribution: e.target.value })}
+          placeholder="Attribution, e.g. © Land Office"
+        />
+        <Space wrap>
+          <Typography.Text>Zoom</Typography.Text>
+          <InputNumber
+            value={draft.minZoom}
+            onChange={(value) => updateDraft({ minZoom: value })}
+            min={0}
+            max={MAX_SOURCE_ZOOM}
+            precision={0}
+            style={{ width: 80 }}
+          />
+          <Typography.Text>to</Typography.Text>
+          <InputNumber
+            value={draft.maxZoom}
+            onChange={(value) => updateDraft({ maxZoom: value })}
+            min={0}
+            max={MAX_SOURCE_ZOOM}
+            precision={0}
+            style={{ width: 80 }}
+          />
+          {(draft.type === 'xyz' || draft.type === 'tms') && (
+            <>
+              <Typography.Text>Subdomains</Typography.Text>
+              <Input
+                value={draft.subdomains}
+                onChange={(e) => updateDraft({ subdomains: e.target.value.trim() })}
+                placeholder="abc"
+                style={{ width: 100 }}
+              />
+            </>
+          )}
+        </Space>
+        {draft.type === 'wms' && (
+          <Space wrap>
+            <Input
+              value={draft.wms.layers}
+              onChange={(e) => updateWms({ layers: e.target.value })}
+              placeholder="Layers, e.g. parcels,buildings"
+              style={{ width: 240 }}
+            />
+            <Input
+              value={draft.wms.styles}
+              onChange={(e) => updateWms({ styles: e.target.value })}
+              placeholder="Styles (optional)"
+              style={{ width: 160 }}
+            />
+            <Select
+              value={draft.wms.format}
+              onChange={(format) => updateWms({ format })}
+              options={WMS_FORMATS.map((value) => ({ value, label: value }))}
+              style={{ width: 120 }}
+            />
+            <Select
+              value={draft.wms.version}
+              onChange={(version) => updateWms({ version })}
+              options={WMS_VERSIONS.map((value) => ({ value, label: `WMS ${value}` }))}
+              style={{ width: 120 }}
+            />
+            <Space size={4}>
+              <Switch size="small" checked={draft.wms.transparent} onChange={(transparent) => updateWms({ transparent })} />
+              <Typography.Text>Transparent</Typography.Text>
+            </Space>
+          </Space>
+        )}
+        {local && (
+          <Typography.Text type="secondary">
+            The file is kept in this browser, so the basemap also works offline.
+          </Typography.Text>
+        )}
+        {draftError && (draft.name || draft.url || draft.file) && <Alert type="error" showIcon title={draftError} />}
+        <Button type="primary" icon={<PlusOutlined />} disabled={Boolean(draftError)} onClick={addSource}>
+          Add source
+        </Button>
+      </Space>
+    </Space>
+  )
+
+  const overlaysTab = (
+    <Space orientation="vertical" size="middle" style={{ width: '100%' }}>
+      {overlays.length > 0 ? (
+        <List
+          size="small"
+          bordered
+          dataSource={overlays}
+          renderItem={(overlay, idx) => {
+            const update = (patch) =>
+              onChangeOverlays(overlays.map((entry, i) => (i === idx ? { ...entry, ...patch } : entry)))
+            return (
+              <List.Item
+                actions={[
+                  <Button
+                    key="remove"
+                    size="small"
+                    danger
+                    icon={<DeleteOutlined />}
+                    onClick={() => onChangeOverlays(overlays.filter((_, i) => i !== idx))}
+                    title="Remove"
+                  />,
+                ]}
+              >
+                <Space style={{ width: '100%' }}>
+                  <Switch size="small" checked={overlay.visible} onChange={(visible) => update({ visible })} />
+                  <Typography.Text style={{ width: 180 }} ellipsis>
+                    {sourceName(overlay.sourceId)}
+                  </Typography.Text>
+                  <Slider
+                    min={0}
+                    max={1}
+                    step={0.05}
+                    value={overlay.opacity}
+                    onChange={(opacity) => update({ opacity })}
+                    tooltip={{ formatter: (value) => `${Math.round(value * 100)}%` }}
+                    style={{ width: 160 }}
+                  />
+                </Space>
+              </List.Item>
+            )
+          }}
+        />
+      ) : (
+        <Typography.Text type="secondary">
+          Overlays are drawn on top of the basemap and below the data layers, e.g. a cadastral WMS.
+        </Typography.Text>
+      )}
+      <Space>
+        <Select
+          value={overlayId}
+          onChange={setOverlayId}
+          placeholder="Source to overlay"
+          style={{ width: 260 }}
+          options={sources
+            .filter((source) => source.id !== basemapId && !overlays.some((overlay) => overlay.sourceId === source.id))
+            .map((source) => ({ value: source.id, label: source.name }))}
+        />
+        <Button
+          icon={<PlusOutlined />}
+          disabled={!overlayId}
+          onClick={() => {
+            onChangeOverlays([...overlays, { sourceId: overlayId, opacity: 0.7, visible: true }])
+            setOverlayId(null)
+          }}
+        >
+          Add overlay
+        </Button>
+      </Space>
+    </Space>
+  )
+
+  const cacheTab = (
+    <Space orientation="vertical" size="middle" style={{ width: '100%' }}>
+      <Typography.Text type="secondary">
+        Download the tiles of the current view for use without a connection. Local MBTiles and PMTiles
+        sources are always available offline.
+      </Typography.Text>
+      <Space wrap>
+        <Select
+          value={cacheSourceId}
+          onChange={(id) => {
+            setCacheSourceId(id)
+            setCacheMaxZoom(null)
+          }}
+          placeholder="Source"
+          style={{ width: 240 }}
+          options={sources
+            .filter((source) => !isLocalSource(source))
+            .map((source) => ({ value: source.id, label: source.name }))}
+        />
+        <Typography.Text>Zoom {viewZoom} to</Typography.Text>
+        <InputNumber
+          value={maxZoom}
+          onChange={setCacheMaxZoom}
+          min={viewZoom}
+          max={cacheSource?.maxZoom ?? MAX_SOURCE_ZOOM}
+          precision={0}
+          style={{ width: 80 }}
+        />
+      </Space>
+      {cacheSource && (
+        <Typography.Text type={tileCount > MAX_CACHED_TILES ? 'danger' : 'secondary'}>
+          {tileCount} tile(s) to download{tileCount > MAX_CACHED_TILES && `, more than the limit of ${MAX_CACHED_TILES}`}
+        </Typography.Text>
+      )}
+      {download ? (
+        <Space style={{ width: '100%' }}>
+          <Progress percent={Math.round((download.done / Math.max(1, download.total)) * 100)} style={{ width: 360 }} />
+          <Button onClick={() => abortRef.current?.abort()}>Cancel</Button>
+        </Space>
+      ) : (
+        <Button
+          type="primary"
+          icon={<CloudDownloadOutlined />}
+          disabled={!cacheSource || tileCount === 0 || tileCount > MAX_CACHED_TILES}
+          onClick={startDownload}
+        >
+          Download tiles
+        </Button>
+      )}
+      {Object.keys(caches).length > 0 && (
+        <List
+          size="small"
+          bordered
+          dataSource={Object.values(caches)}
+          renderItem={(cache) => (
+            <List.Item
+              actions={[
+                <Button
+                  key="clear"
+                  size="small"
+                  danger
+                  icon={<DeleteOutlined />}
+                  disabled={download?.sourceId === cache.sourceId}
+                  onClick={() => onClearCache(cache.sourceId)}
+                  title="Clear cached tiles"
+                />,
+              ]}
+            >
+              <Typography.Text>
+                {sourceName(cache.sourceId)}: {cache.tileCount} tiles, zoom {cache.minZoom}–{cache.maxZoom}
+              </Typography.Text>
+            </List.Item>
+          )}
+        />
+      )}
+    </Space>
+  )
+
+  return (
+    <Modal open={open} title="Basemaps and overlays" footer={null} onCancel={onClose} width={720}>
+      <Tabs
+        items={[
+          { key: 'sources', label: 'Tile sources', children: sourcesTab },
+          { key: 'overlays', label: `Overlays (${overlays.length})`, children: overlaysTab },
+          { key: 'offline', label: 'Offline cache', children: cacheTab },
+        ]}
+      />
+    </Modal>
+  )
+}
+
+export default TileSourcesModal
@@ -0,0 +1,74 @@
+import { useEffect, useRef, useState } from 'react'
+import { createPortal } from 'react-dom'
+import { useMap } from 'react-leaflet'
+import L from 'leaflet'
+import { Button, Slider, Typography } from 'antd'
+import { CaretRightOutlined, PauseOutlined } from '@ant-design/icons'
+
+// Time between periods while playing, in milliseconds
+const PLAY_INTERVAL = 1000
+
+// Leaflet control choosing the period of a time-series layer, with play and
+// pause. Playing steps through the periods and starts over after the last.
+function TimeSlider({ periods, period, onChange }) {
+  const map = useMap()
+  const [container] = useState(() => L.DomUtil.create('div', 'map-tool-panel time-slider'))
+  const [playing, setPlaying] = useState(false)
+  // The interval reads the current period and handler without restarting
+  const latestRef = useRef({ periods, period, onChange })
+
+  useEffect(() => {
+    latestRef.current = { periods, period, onChange }
+  })
+
+  useEffect(() => {
+    L.DomEvent.disableClickPropagation(container)
+    L.DomEvent.disableScrollPropagation(container)
+    const control = L.control({ position: 'bottomleft' })
+    control.onAdd = () => container
+    control.addTo(map)
+    return () => {
+      control.remove()
+    }
+  }, [map, container])
+
+  useEffect(() => {
+    if (!playing) {
+      return undefined
+    }
+    const timer = setInterval(() => {
+      const { periods, period, onChange } = latestRef.current
+      onChange(periods[(periods.indexOf(period) + 1) % periods.length])
+    }, PLAY_INTERVAL)
+    return () => clearInterval(timer)
+  }, [playing])
+
+  const index = Math.max(periods.indexOf(period), 0)
+
+  return createPortal(
+    <div className="time-slider-row">
+      <Button
+        size="small"
+        type="text"
+        icon={playing ? <PauseOutlined /> : <CaretRightOutlined />}
+        onClick={() => setPlaying((value) => !value)}
+        title={playing ? 'Pause' : 'Play'}
+        disabled={periods.length < 2}
+      />
+      <Slider
+        className="time-slider-track"
+        min={0}
+        max={Math.max(periods.length - 1, 0)}
+        value={index}
+        onChange={(value) => onChange(periods[value])}
+        tooltip={{ formatter: (value) => periods[value] }}
+      />
+      <Typography.Text strong className="time-slider-label">
+        {periods[index]}
+      </Typography.Text>
+    </div>,
+    container,
+  )
+}
+
+export default TimeSlider
@@ -0,0 +1,131 @@
+// Rows of the attribute table: one per feature of a layer, joined with its
+// table row, plus the searching, filtering and sorting applied to them.
+import { createInputCache } from './inputCache'
+import { getFeatureKey } from './join'
+
+export const MATCH_STATUS = {
+  matched: 'Matched',
+  unmatched: 'No CSV row',
+}
+
+export function featureName(feature) {
+  return feature?.properties?.name || feature?.properties?.Name || 'Unnamed'
+}
+
+// `columns` are the table columns to copy from the joined row
+export function buildAttributeRows(layer, layerStyle, columns) {
+  const { joinConfig } = layer
+  return (layer.geojson?.features || []).map((feature, featureIndex) => {
+    const { row } = layerStyle.classify(feature)
+    const entry = {
+      key: featureIndex,
+      featureIndex,
+      name: featureName(feature),
+      featureKey: getFeatureKey(feature, joinConfig.featureKey) ?? '',
+      status: row ? 'matched' : 'unmatched',
+    }
+    columns.forEach((col) => {
+      entry[`csv:${col}`] = row ? row[col] : ''
+    })
+    return entry
+  })
+}
+
+const attributeRows = createInputCache()
+
+// The rows for a layer's style, rebuilt only when the style, features, key
+// or columns change
+export function cachedAttributeRows(layer, layerStyle, columns) {
+  return attributeRows(layerStyle, [layer.geojson, layer.joinConfig.featureKey, columns.join('\n')], () =>
+    buildAttributeRows(layer, layerStyle, columns),
+  )
+}
+
+// A column filter is either a comparison (`>100`, `<= 5`, `=3`), a range
+// (`10..20`) for numbers, or text that the value must contain
+export function matchesColumnFilter(value, filter) {
+  const text = filter.trim()
+  if (text === '') {
+    return true
+  }
+  const range = /^(-?[\d.]+)\s*\.\.\s*(-?[\d.]+)$/.exec(text)
+  const comparison = /^(<=|>=|<>|!=|<|>|=)\s*(-?[\d.]+)$/.exec(text)
+  if ((range || comparison) && value !== '' && value != null) {
+    const number = Number(value)
+    if (!Number.isFinite(number)) {
+      return false
+    }
+    if (range) {
+      return number >= Number(range[1]) && number <= Number(range[2])
+    }
+    const target = Number(comparison[2])
+    switch (comparison[1]) {
+      case '<':
+        return number < target
+      case '<=':
+        return number <= target
+      case '>':
+        return number > target
+      case '>=':
+        return number >= target
+      case '=':
+        return number === target
+      default:
+        return number !== target
+    }
+  }
+  if (range || comparison) {
+    return false
+  }
+  return String(value ?? '').toLowerCase().includes(text.toLowerCase())
+}
+
+function compareValues(a, b) {
+  const emptyA = a === '' || a == null
+  const emptyB = b === '' || b == null
+  if (emptyA || emptyB) {
+    return emptyA === emptyB ? 0 : emptyA ? 1 : -1 // Empty cells sort last
+  }
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a - b
+  }
+  return String(a).localeCompare(String(b), undefined, { numeric: true })
+}
+
+// Text search looks at the name, key and table values, not the bookkeeping fields
+function searchableValues(row) {
+  return Object.entries(row)
+    .filter(([field]) => field === 'name' || field === 'featureKey' || field.startsWith('csv:'))
+    .map(([, value]) => value)
+}
+
+// Rows left after the search box, column filters and match status filter, in
+// the chosen order. `sorter` is `{ field, order }` with order 'ascend' or
+// 'descend'; `statuses` lists the match statuses to keep (all when empty).
+export function queryAttributeRows(rows, { search = '', filters = {}, statuses = [], sorter = null }) {
+  const needle = search.trim().toLowerCase()
+  const activeFilters = Object.entries(filters).filter(([, text]) => text && text.trim() !== '')
+
+  let result = rows.filter((row) => {
+    if (statuses.length > 0 && !statuses.includes(row.status)) {
+      return false
+    }
+    if (needle && !searchableValues(row).some((value) => String(value ?? '').toLowerCase().includes(needle))) {
+      return false
+    }
+    return activeFilters.every(([field, text]) => matchesColumnFilter(row[field], text))
+  })
+
+  if (sorter?.field && sorter.order) {
+    const direction = sorter.order === 'descend' ? -1 : 1
+    result = [...result].sort((a, b) => {
+      const order = compareValues(a[sorter.field], b[sorter.field])
+      // Empty cells stay last in both directions
+      if (a[sorter.field] === '' || a[sorter.field] == null || b[sorter.field] === '' || b[sorter.field] == null) {
+        return order
+      }
+      return order * direction
+    })
+  }
+  return result
+}
@@ -0,0 +1,48 @@
+// Files are read in a Web Worker (see parseWorker.js) so large tables and
+// cadastres do not freeze the page. Each call gets its own worker, which is
+// stopped when the task ends or is cancelled.
+
+// Parse a CSV file; resolves to what parseCsvBuffer returns
+export const parseCsvFile = (file, options, control) => runParseTask('csv', file, options, control)
+
+// Import a geometry file; resolves to what importGeometryFileToWgs84 returns
+export const importGeometryInWorker = (file, options, control) => runParseTask('geometry', file, options, control)
+
+// `onProgress` receives (done, total) from the task; aborting `signal` stops
+// the worker and rejects with an AbortError
+function runParseTask(task, file, options = {}, { onProgress, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./parseWorker.js', import.meta.url), { type: 'module' })
+    const finish = () => {
+      worker.terminate()
+      signal?.removeEventListener('abort', cancel)
+    }
+    const cancel = () => {
+      finish()
+      reject(new DOMException('Reading the file was cancelled', 'AbortError'))
+    }
+    if (signal?.aborted) {
+      cancel()
+      return
+    }
+    signal?.addEventListener('abort', cancel)
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        onProgress?.(data.done, data.total)
+        return
+      }
+      finish()
+      if (data.type === 'result') {
+        resolve(data.result)
+      } else {
+        reject(new Error(data.message))
+      }
+    }
+    worker.onerror = (event) => {
+      finish()
+      reject(new Error(event.message || 'The file reader stopped unexpectedly'))
+    }
+    worker.postMessage({ task, file, options })
+  })
+}
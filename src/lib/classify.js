@@ -0,0 +1,302 @@
+// Choropleth classification: turns the values of the Color by metric into
+// class breaks and maps each value to a color from the chosen ramp.
+import {
+  DEFAULT_PALETTE,
+  DEFAULT_QUALITATIVE_PALETTE,
+  PALETTES,
+  categoryColor,
+  getRampColors,
+  interpolatePalette,
+} from './palettes'
+
+export const CLASSIFICATION_METHODS = {
+  continuous: 'Continuous',
+  equalInterval: 'Equal interval',
+  quantile: 'Quantile',
+  jenks: 'Natural breaks (Jenks)',
+  stdDev: 'Standard deviation',
+  manual: 'Manual breaks',
+  categorical: 'Categories (unique values)',
+}
+
+export const DEFAULT_CLASSIFICATION = {
+  method: 'continuous',
+  classCount: 5,
+  manualBreaks: [],
+  palette: DEFAULT_PALETTE,
+  reverse: false,
+  // Categorical rendering
+  maxCategories: 8,
+  categoryPalette: DEFAULT_QUALITATIVE_PALETTE,
+  categoryColors: {},
+}
+
+// Bucket for the values beyond `maxCategories`
+export const OTHER_CATEGORY = '__other__'
+export const OTHER_CATEGORY_COLOR = '#d1d5db'
+
+// Used when a value cannot be placed on the scale
+export const FALLBACK_COLOR = '#7c3aed'
+
+// Above this many values Jenks runs on an evenly spaced sample of the sorted
+// values; the full algorithm is quadratic in the number of values.
+const JENKS_SAMPLE_SIZE = 1000
+
+function equalIntervalBreaks(sorted, classCount) {
+  const min = sorted[0]
+  const max = sorted[sorted.length - 1]
+  const step = (max - min) / classCount
+  return Array.from({ length: classCount + 1 }, (_, i) => (i === classCount ? max : min + step * i))
+}
+
+function quantileBreaks(sorted, classCount) {
+  const breaks = [sorted[0]]
+  for (let i = 1; i < classCount; i++) {
+    const pos = (sorted.length - 1) * (i / classCount)
+    const lower = Math.floor(pos)
+    const frac = pos - lower
+    const upper = Math.min(sorted.length - 1, lower + 1)
+    breaks.push(sorted[lower] + (sorted[upper] - sorted[lower]) * frac)
+  }
+  breaks.push(sorted[sorted.length - 1])
+  return breaks
+}
+
+// Fisher-Jenks natural breaks: minimises the within-class sum of squared
+// deviations by dynamic programming.
+function jenksBreaks(sortedInput, classCount) {
+  let sorted = sortedInput
+  if (sorted.length > JENKS_SAMPLE_SIZE) {
+    const step = (sorted.length - 1) / (JENKS_SAMPLE_SIZE - 1)
+    sorted = Array.from({ length: JENKS_SAMPLE_SIZE }, (_, i) => sortedInput[Math.round(i * step)])
+  }
+  const n = sorted.length
+  // More classes than distinct values would leave some of them empty
+  const k = Math.min(classCount, new Set(sorted).size)
+
+  const lowerLimits = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(0))
+  const variance = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(Infinity))
+  for (let j = 1; j <= k; j++) {
+    lowerLimits[1][j] = 1
+    variance[1][j] = 0
+  }
+
+  for (let l = 2; l <= n; l++) {
+    let sum = 0
+    let sumSquares = 0
+    let w = 0
+    let v = 0
+    for (let m = 1; m <= l; m++) {
+      const lowerIndex = l - m + 1
+      const val = sorted[lowerIndex - 1]
+      w++
+      sum += val
+      sumSquares += val * val
+      v = sumSquares - (sum * sum) / w
+      const i4 = lowerIndex - 1
+      if (i4 !== 0) {
+        for (let j = 2; j <= k; j++) {
+          if (variance[l][j] >= v + variance[i4][j - 1]) {
+            lowerLimits[l][j] = lowerIndex
+            variance[l][j] = v + variance[i4][j - 1]
+          }
+        }
+      }
+    }
+    lowerLimits[l][1] = 1
+    variance[l][1] = v
+  }
+
+  // Walk down from the top class, recording the upper value of each class so
+  // breaks stay upper-inclusive; a class holding one value keeps its break
+  const uppers = [sorted[n - 1]]
+  let idx = n
+  for (let j = k; j > 1; j--) {
+    const below = lowerLimits[idx][j] - 1
+    if (below < 1) {
+      break
+    }
+    uppers.unshift(sorted[below - 1])
+    idx = below
+  }
+  return [sorted[0], ...uppers]
+}
+
+// Classes one standard deviation wide, centred on the mean. The outermost
+// classes are open-ended and run to the data minimum and maximum.
+function stdDevBreaks(sorted, classCount) {
+  const mean = sorted.reduce((sum, v) => sum + v, 0) / sorted.length
+  const sd = Math.sqrt(sorted.reduce((sum, v) => sum + (v - mean) ** 2, 0) / sorted.length)
+  const min = sorted[0]
+  const max = sorted[sorted.length - 1]
+  if (sd === 0) {
+    return [min, max]
+  }
+  const inner = []
+  const half = classCount / 2
+  for (let i = 1; i < classCount; i++) {
+    inner.push(mean + (i - half) * sd)
+  }
+  return [min, ...inner.filter((b) => b > min && b < max), max]
+}
+
+function manualBreaks(sorted, manual) {
+  const min = sorted[0]
+  const max = sorted[sorted.length - 1]
+  const inner = Array.from(new Set(manual))
+    .filter((b) => Number.isFinite(b) && b > min && b < max)
+    .sort((a, b) => a - b)
+  return [min, ...inner, max]
+}
+
+// Class breaks `[min, b1, …, max]` for the values. Returns null when there is
+// nothing to classify.
+export function computeBreaks(values, { method, classCount, manualBreaks: manual = [] }) {
+  const sorted = values.filter((v) => Number.isFinite(v)).sort((a, b) => a - b)
+  if (sorted.length === 0) {
+    return null
+  }
+  const count = Math.max(1, Math.round(classCount) || 1)
+
+  let breaks
+  switch (method) {
+    case 'quantile':
+      breaks = quantileBreaks(sorted, count)
+      break
+    case 'jenks':
+      breaks = jenksBreaks(sorted, count)
+      break
+    case 'stdDev':
+      breaks = stdDevBreaks(sorted, count)
+      break
+    case 'manual':
+      breaks = manualBreaks(sorted, manual)
+      break
+    case 'equalInterval':
+    case 'continuous':
+    default:
+      breaks = equalIntervalBreaks(sorted, count)
+  }
+
+  // Duplicate breaks (quantiles of repeated values) would create empty classes.
+  // A second break equal to the minimum is kept, though: the first class
+  // includes the minimum, so it then holds that value alone.
+  const max = breaks[breaks.length - 1]
+  const distinct = [breaks[0]]
+  breaks.slice(1).forEach((b) => {
+    const last = distinct[distinct.length - 1]
+    if (b > last || (distinct.length === 1 && b === last && b < max)) {
+      distinct.push(b)
+    }
+  })
+  return distinct.length > 1 ? distinct : [breaks[0], max]
+}
+
+// Index of the class a value falls into; the upper bound of each class is
+// inclusive except for the first, which also includes the minimum.
+export function classIndex(value, breaks) {
+  for (let i = 1; i < breaks.length - 1; i++) {
+    if (value <= breaks[i]) {
+      return i - 1
+    }
+  }
+  return Math.max(0, breaks.length - 2)
+}
+
+// Build the color scale for a set of metric values. `colorFor(value)` returns
+// the fill color and `classOf(value)` the class index; `breaks` and `colors`
+// describe the classes (a continuous scale has its min/max as breaks and the
+// two ramp ends as colors).
+export function buildColorScale(values, classification) {
+  const { method, palette, reverse } = { ...DEFAULT_CLASSIFICATION, ...classification }
+  const breaks = computeBreaks(values, { ...DEFAULT_CLASSIFICATION, ...classification })
+
+  if (!breaks) {
+    return { method, breaks: [], colors: [], colorFor: () => FALLBACK_COLOR, classOf: () => 0 }
+  }
+
+  const min = breaks[0]
+  const max = breaks[breaks.length - 1]
+
+  if (method === 'continuous') {
+    return {
+      method,
+      breaks: [min, max],
+      colors: [interpolatePalette(palette, 0, reverse), interpolatePalette(palette, 1, reverse)],
+      colorFor: (value) => {
+        if (!Number.isFinite(value) || min === max) {
+          return FALLBACK_COLOR
+        }
+        return interpolatePalette(palette, (value - min) / (max - min), reverse)
+      },
+      classOf: () => 0,
+    }
+  }
+
+  const colors = getRampColors(palette, Math.max(1, breaks.length - 1), reverse)
+  return {
+    method,
+    breaks,
+    colors,
+    colorFor: (value) => (Number.isFinite(value) ? colors[classIndex(value, breaks)] : FALLBACK_COLOR),
+    classOf: (value) => classIndex(value, breaks),
+  }
+}
+
+// Text form of a cell for categorical rendering; empty cells have no category
+export function categoryOf(value) {
+  if (value === undefined || value === null) {
+    return null
+  }
+  const text = String(value).trim()
+  return text === '' ? null : text
+}
+
+// One color per distinct value. The most frequent values get their own class
+// (ties keep first-seen order); the rest share the "other" bucket. Colors come
+// from the palette unless overridden in `categoryColors`.
+export function buildCategoryScale(rawValues, classification) {
+  const { maxCategories, categoryColors, categoryPalette, reverse } = {
+    ...DEFAULT_CLASSIFICATION,
+    ...classification,
+  }
+  const palette = PALETTES[categoryPalette] ? categoryPalette : DEFAULT_QUALITATIVE_PALETTE
+
+  const frequencies = new Map()
+  rawValues.forEach((raw) => {
+    const category = categoryOf(raw)
+    if (category != null) {
+      frequencies.set(category, (frequencies.get(category) || 0) + 1)
+    }
+  })
+
+  const ranked = Array.from(frequencies.entries())
+    .map(([value, count], order) => ({ value, count, order }))
+    .sort((a, b) => b.count - a.count || a.order - b.order)
+  const limit = Math.max(1, maxCategories)
+  const kept = ranked.length > limit ? ranked.slice(0, limit - 1) : ranked
+  const otherValues = ranked.slice(kept.length).map((entry) => entry.value)
+
+  const categories = kept.map((entry, idx) => ({
+    value: entry.value,
+    color: categoryColors[entry.value] || categoryColor(palette, idx, kept.length, reverse),
+  }))
+  const colorByValue = new Map(categories.map((c) => [c.value, c.color]))
+
+  return {
+    method: 'categorical',
+    categories,
+    otherValues,
+    breaks: [],
+    colors: categories.map((c) => c.color),
+    colorFor: (raw) => {
+      const category = categoryOf(raw)
+      if (category == null) return FALLBACK_COLOR
+      return colorByValue.get(category) || OTHER_CATEGORY_COLOR
+    },
+    classOf: (raw) => {
+      const category = categoryOf(raw)
+      return colorByValue.has(category) ? category : OTHER_CATEGORY
+    },
+  }
+}
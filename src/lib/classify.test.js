@@ -0,0 +1,70 @@
+import { describe, expect, it } from 'vitest'
+import { buildColorScale, classIndex, computeBreaks } from './classify'
+
+const jenks = (values, classCount) => computeBreaks(values, { method: 'jenks', classCount })
+
+// Number of values in each class of the breaks
+const classSizes = (values, breaks) =>
+  values.reduce((sizes, value) => {
+    sizes[classIndex(value, breaks)]++
+    return sizes
+  }, new Array(breaks.length - 1).fill(0))
+
+describe('computeBreaks', () => {
+  it('returns null without finite values', () => {
+    expect(computeBreaks([NaN, null, undefined], { method: 'quantile', classCount: 5 })).toBeNull()
+  })
+
+  it.each(['equalInterval', 'quantile', 'jenks', 'stdDev'])('gives one class for constant values (%s)', (method) => {
+    expect(computeBreaks([5, 5, 5], { method, classCount: 4 })).toEqual([5, 5])
+  })
+
+  it('never gives undefined breaks with fewer distinct values than classes', () => {
+    const values = [1, 1, 1, 2, 2, 9]
+    const breaks = jenks(values, 5)
+    expect(breaks.every(Number.isFinite)).toBe(true)
+    expect(breaks).toEqual([1, 1, 2, 9])
+    expect(classSizes(values, breaks)).toEqual([3, 2, 1])
+  })
+
+  it('keeps a first class holding only the minimum', () => {
+    const values = [1, 2, 3, 4, 5, 6]
+    const breaks = jenks(values, 5)
+    expect(breaks).toHaveLength(6)
+    expect(classSizes(values, breaks).every((size) => size > 0)).toBe(true)
+  })
+
+  it('finds the natural groups', () => {
+    expect(jenks([1, 2, 3, 10, 11, 12, 50, 51, 52], 3)).toEqual([1, 3, 12, 52])
+  })
+
+  it('drops repeated quantile breaks', () => {
+    const breaks = computeBreaks([1, 1, 1, 1, 1, 1, 2, 3], { method: 'quantile', classCount: 4 })
+    expect(breaks[0]).toBe(1)
+    expect(breaks.at(-1)).toBe(3)
+    expect(new Set(breaks.slice(1)).size).toBe(breaks.length - 1)
+  })
+
+  it('splits the range evenly for equal intervals', () => {
+    expect(computeBreaks([0, 10, 3], { method: 'equalInterval', classCount: 5 })).toEqual([0, 2, 4, 6, 8, 10])
+  })
+})
+
+describe('classIndex', () => {
+  it('treats upper bounds as inclusive and puts the minimum in the first class', () => {
+    const breaks = [0, 10, 20, 30]
+    expect(classIndex(0, breaks)).toBe(0)
+    expect(classIndex(10, breaks)).toBe(0)
+    expect(classIndex(10.5, breaks)).toBe(1)
+    expect(classIndex(30, breaks)).toBe(2)
+  })
+})
+
+describe('buildColorScale', () => {
+  it('colors every value of a low-cardinality metric', () => {
+    const values = [3, 3, 7]
+    const scale = buildColorScale(values, { method: 'jenks', classCount: 5 })
+    expect(scale.colors).toHaveLength(scale.breaks.length - 1)
+    values.forEach((value) => expect(scale.colorFor(value)).toMatch(/^#|^rgb/))
+  })
+})
@@ -0,0 +1,113 @@
+// How table values read in popups and labels. A layer's `columnFormats` maps
+// column names to `{ type, decimals, currency, fraction, dateFormat }`;
+// columns without an entry keep the automatic format. Units come from the
+// layer's `columnUnits`, which the legend shares.
+import { periodKey } from './timeSeries'
+
+export const COLUMN_FORMAT_TYPES = {
+  auto: 'Automatic',
+  number: 'Number',
+  currency: 'Currency',
+  percent: 'Percent',
+  date: 'Date',
+  text: 'Text',
+}
+
+// Amounts are written the way the currency's home country writes them
+export const CURRENCIES = {
+  HUF: { label: 'Hungarian forint (Ft)', locale: 'hu-HU', decimals: 0 },
+  EUR: { label: 'Euro (€)', locale: 'en-IE', decimals: 2 },
+  USD: { label: 'US dollar ($)', locale: 'en-US', decimals: 2 },
+  GBP: { label: 'Pound sterling (£)', locale: 'en-GB', decimals: 2 },
+  CHF: { label: 'Swiss franc (CHF)', locale: 'de-CH', decimals: 2 },
+  PLN: { label: 'Polish złoty (zł)', locale: 'pl-PL', decimals: 2 },
+  CZK: { label: 'Czech koruna (Kč)', locale: 'cs-CZ', decimals: 0 },
+  RON: { label: 'Romanian leu (lei)', locale: 'ro-RO', decimals: 2 },
+}
+
+export const DATE_FORMATS = {
+  iso: { label: '2024-03-15', format: (year, month, day) => `${year}-${month}-${day}` },
+  hungarian: { label: '2024. 03. 15.', format: (year, month, day) => `${year}. ${month}. ${day}.` },
+  dayFirst: { label: '15/03/2024', format: (year, month, day) => `${day}/${month}/${year}` },
+  monthFirst: { label: '03/15/2024', format: (year, month, day) => `${month}/${day}/${year}` },
+  long: {
+    label: '15 March 2024',
+    format: (year, month, day) =>
+      new Date(Date.UTC(year, month - 1, day)).toLocaleDateString('en-GB', {
+        day: 'numeric',
+        month: 'long',
+        year: 'numeric',
+        timeZone: 'UTC',
+      }),
+  },
+}
+
+export const DEFAULT_COLUMN_FORMAT = { type: 'auto', decimals: null, currency: 'HUF', fraction: false, dateFormat: 'iso' }
+
+const isEmpty = (value) => value === '' || value == null
+
+const toNumber = (value) => (typeof value === 'number' ? value : isEmpty(value) ? NaN : Number(value))
+
+const withUnits = (text, units) => (units ? `${text} ${units}` : text)
+
+// Fixed decimals when set, else up to two as elsewhere in the app
+const numberOptions = (decimals, fallbackMax = 2) =>
+  decimals == null
+    ? { maximumFractionDigits: fallbackMax }
+    : { minimumFractionDigits: decimals, maximumFractionDigits: decimals }
+
+// A date as its parts, or null for values that are not a full date
+function dateParts(value) {
+  const key = periodKey(value)
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(key || '')
+  return match ? match.slice(1) : null
+}
+
+// A cell as display text (not HTML-escaped). Values that do not fit the
+// chosen type, such as text in a number column, are shown as they are.
+export function formatColumnValue(value, format = DEFAULT_COLUMN_FORMAT, units = '') {
+  if (isEmpty(value)) {
+    return ''
+  }
+  const { type, decimals, currency, fraction, dateFormat } = { ...DEFAULT_COLUMN_FORMAT, ...format }
+  const number = toNumber(value)
+
+  switch (type) {
+    case 'number':
+      return Number.isFinite(number)
+        ? withUnits(number.toLocaleString('en-US', numberOptions(decimals)), units)
+        : String(value)
+    case 'currency': {
+      if (!Number.isFinite(number)) {
+        return String(value)
+      }
+      const info = CURRENCIES[currency] || CURRENCIES[DEFAULT_COLUMN_FORMAT.currency]
+      const digits = decimals ?? info.decimals
+      return number.toLocaleString(info.locale, {
+        style: 'currency',
+        currency: CURRENCIES[currency] ? currency : DEFAULT_COLUMN_FORMAT.currency,
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits,
+      })
+    }
+    case 'percent':
+      return Number.isFinite(number)
+        ? `${(fraction ? number * 100 : number).toLocaleString('en-US', numberOptions(decimals, 1))}%`
+        : String(value)
+    case 'date': {
+      const parts = dateParts(value)
+      return parts ? (DATE_FORMATS[dateFormat] || DATE_FORMATS.iso).format(...parts) : String(value)
+    }
+    case 'text':
+      return String(value)
+    default:
+      return typeof value === 'number' && Number.isFinite(value)
+        ? withUnits(value.toLocaleString('en-US'), units)
+        : String(value)
+  }
+}
+
+// Shorthand for a layer's column
+export function formatLayerValue(layer, column, value) {
+  return formatColumnValue(value, layer.columnFormats?.[column], layer.columnUnits?.[column])
+}
@@ -0,0 +1,163 @@
+// Computed columns: formulas defined per layer and evaluated against every
+// row of its table, after the geometry metric and point-in-polygon columns
+// the layer asks for. They are derived on the fly, so a new CSV, a changed
+// join or edited geometry is reflected without anything to refresh.
+import { compileExpression } from './expression'
+import { getFeatureKey, normaliseKey } from './join'
+import { geometryMetrics } from './geometryMetrics'
+import { spatialAggregateValues } from './spatial'
+import { createInputCache } from './inputCache'
+
+// Features by normalised join key, so formulas can read the matched geometry
+function buildFeatureIndex(geojson, joinConfig) {
+  const index = new Map()
+  ;(geojson?.features || []).forEach((feature) => {
+    const key = normaliseKey(getFeatureKey(feature, joinConfig.featureKey), joinConfig)
+    if (key != null && !index.has(key)) {
+      index.set(key, feature)
+    }
+  })
+  return index
+}
+
+// Without a CSV, one row per keyed feature holds the geometry metrics and the
+// file's own attributes
+function featureKeyRows(geojson, joinConfig) {
+  const seen = new Set()
+  const rows = []
+  ;(geojson?.features || []).forEach((feature) => {
+    const raw = getFeatureKey(feature, joinConfig.featureKey)
+    const key = normaliseKey(raw, joinConfig)
+    if (key != null && !seen.has(key)) {
+      seen.add(key)
+      rows.push({ [joinConfig.csvKey]: String(raw) })
+    }
+  })
+  return rows
+}
+
+// Check a column definition against the columns that precede it. Returns the
+// error message, or null when the definition is usable.
+export function validateComputedColumn({ name, expression }, availableColumns) {
+  if (!name || !name.trim()) {
+    return 'The column needs a name'
+  }
+  if (availableColumns.includes(name)) {
+    return `A column named "${name}" already exists`
+  }
+  try {
+    compileExpression(expression, { columns: availableColumns })
+    return null
+  } catch (error) {
+    return error.message
+  }
+}
+
+// The layer's table with the file's attributes (KML ExtendedData), geometry
+// metric, point-in-polygon and computed columns appended. Attributes the CSV
+// already has a column for are left out. Geometry columns whose name is taken by the CSV get a
+// `geom_` prefix. `aggregateValues` holds the point-in-polygon values by
+// feature (see spatialAggregateValues). Computed columns are evaluated in
+// order, so a formula may use the ones defined before it. Definitions that
+// do not compile are skipped and reported in `computedErrors` by name.
+export function resolveLayerTable(layer, aggregateValues = null) {
+  const { csv, computedColumns = [], geometryColumns = [], featureAttributes = [], joinConfig, geojson } = layer
+  const aggregates = aggregateValues ? layer.spatialAggregates || [] : []
+  const hasTable = csv.header.length > 0
+  if (
+    (computedColumns.length === 0 || !hasTable) &&
+    geometryColumns.length === 0 &&
+    aggregates.length === 0 &&
+    featureAttributes.length === 0
+  ) {
+    return { ...csv, computedErrors: {} }
+  }
+
+  const featureIndex = buildFeatureIndex(geojson, joinConfig)
+  const header = hasTable ? [...csv.header] : [joinConfig.csvKey]
+  const sourceRows = hasTable ? csv.rows : featureKeyRows(geojson, joinConfig)
+  const attributeColumns = featureAttributes.filter((name) => !header.includes(name))
+  header.push(...attributeColumns)
+  const metricColumns = geometryColumns.map((metric) => {
+    const name = header.includes(metric) ? `geom_${metric}` : metric
+    header.push(name)
+    return { metric, name }
+  })
+  const aggregateColumns = aggregates.map(({ name }) => name).filter((name) => !header.includes(name))
+  header.push(...aggregateColumns)
+  const formulas = []
+  const computedErrors = {}
+  computedColumns.forEach((column) => {
+    const error = validateComputedColumn(column, header)
+    if (error) {
+      computedErrors[column.name] = error
+      return
+    }
+    formulas.push({ name: column.name, evaluate: compileExpression(column.expression).evaluate })
+    header.push(column.name)
+  })
+
+  const rows = sourceRows.map((source) => {
+    const row = { ...source }
+    const feature = featureIndex.get(normaliseKey(source[joinConfig.csvKey], joinConfig)) || null
+    attributeColumns.forEach((name) => {
+      row[name] = feature?.properties?.[name] ?? ''
+    })
+    if (metricColumns.length > 0) {
+      const metrics = feature ? geometryMetrics(feature.geometry) : {}
+      metricColumns.forEach(({ metric, name }) => {
+        row[name] = metrics[metric] ?? ''
+      })
+    }
+    aggregateColumns.forEach((name) => {
+      row[name] = (feature && aggregateValues.get(feature)?.[name]) ?? ''
+    })
+    formulas.forEach(({ name, evaluate }) => {
+      const value = evaluate({ row, feature })
+      row[name] = value == null ? '' : value
+    })
+    return row
+  })
+
+  return { ...csv, header, rows, computedErrors }
+}
+
+const layerTables = createInputCache()
+
+// A layer's table without point-in-polygon columns, evaluated again only
+// when its data or column definitions change
+function cachedLayerTable(layer) {
+  const { csv, joinConfig, computedColumns, geometryColumns, featureAttributes } = layer
+  return layerTables(
+    layer.geojson,
+    [csv, joinConfig, computedColumns, geometryColumns, featureAttributes],
+    () => resolveLayerTable(layer),
+  )
+}
+
+const aggregatedTables = createInputCache()
+
+// A layer's table with its point-in-polygon columns, counted again only when
+// its own table, the definitions or a source layer's features or rows change,
+// and not, say, when a layer's opacity does
+function cachedAggregatedTable(layer, table, resolvedLayers) {
+  const sources = layer.spatialAggregates.flatMap(({ sourceLayerId }) => {
+    const source = resolvedLayers.find((candidate) => candidate.id === sourceLayerId)
+    return source ? [source.geojson, source.csv] : [null, null]
+  })
+  return aggregatedTables(layer.geojson, [table, layer.spatialAggregates, ...sources], () =>
+    resolveLayerTable(layer, spatialAggregateValues(layer, resolvedLayers)),
+  )
+}
+
+// Resolve the tables of all layers. Point-in-polygon columns read the points'
+// rows as resolved without such columns, so layers may aggregate each other
+// (or themselves) without cycles.
+export function resolveLayers(layers) {
+  const resolved = layers.map((layer) => ({ ...layer, csv: cachedLayerTable(layer) }))
+  return resolved.map((layer, idx) =>
+    layers[idx].spatialAggregates?.length > 0
+      ? { ...layer, csv: cachedAggregatedTable(layers[idx], layer.csv, resolved) }
+      : layer,
+  )
+}
@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest'
+import { createLayer } from './layers'
+import { resolveLayers } from './computedColumns'
+
+const point = (lng, lat) => ({ type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: [lng, lat] } })
+const square = {
+  type: 'Feature',
+  properties: { placemarkId: 'sq' },
+  geometry: { type: 'Polygon', coordinates: [[[0, 0], [2, 0], [2, 2], [0, 2], [0, 0]]] },
+}
+
+function setup() {
+  const points = createLayer({ name: 'Points', geojson: { type: 'FeatureCollection', features: [point(1, 1), point(3, 3)] } })
+  const polygons = {
+    ...createLayer({ name: 'Areas', geojson: { type: 'FeatureCollection', features: [square] } }),
+    spatialAggregates: [{ name: 'points', sourceLayerId: points.id, column: '', stat: 'count' }],
+  }
+  return { points, polygons }
+}
+
+describe('resolveLayers', () => {
+  it('counts the points in each polygon', () => {
+    const { points, polygons } = setup()
+    const [, resolved] = resolveLayers([points, polygons])
+    expect(resolved.csv.rows).toEqual([{ id: 'sq', points: 1 }])
+  })
+
+  it('reuses the aggregated table when only display settings change', () => {
+    const { points, polygons } = setup()
+    const [, first] = resolveLayers([points, polygons])
+    const [, second] = resolveLayers([{ ...points, opacity: 0.5 }, { ...polygons, visible: false }])
+    expect(second.csv).toBe(first.csv)
+  })
+
+  it('counts again when the source points change', () => {
+    const { points, polygons } = setup()
+    const [, first] = resolveLayers([points, polygons])
+    const moved = { ...points, geojson: { ...points.geojson, features: [point(1, 1), point(1.5, 1.5)] } }
+    const [, second] = resolveLayers([moved, polygons])
+    expect(second.csv).not.toBe(first.csv)
+    expect(second.csv.rows[0].points).toBe(2)
+  })
+})
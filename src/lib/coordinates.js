@@ -0,0 +1,141 @@
+// Coordinates typed into the place search: decimal degrees, degrees with
+// minutes and seconds (with or without hemisphere letters) and Hungarian EOV
+// (HD72, EPSG:23700) eastings/northings in metres.
+import proj4 from 'proj4'
+import { WGS84 } from './crs'
+
+export const COORDINATE_NOTATIONS = {
+  decimal: 'Decimal degrees',
+  dms: 'Degrees, minutes, seconds',
+  eov: 'EOV (HD72)',
+}
+
+const EOV = 'EPSG:23700'
+// EOV eastings (Y) and northings (X) covering Hungary with a margin
+const EOV_Y_RANGE = [400000, 950000]
+const EOV_X_RANGE = [0, 400000]
+
+const NUMBER = /\d+(?:\.\d+)?/g
+const HEMISPHERE = /[NSEW]/i
+const DMS_SYMBOL = /[°º˚'′’"″”]/
+
+const inRange = (value, [min, max]) => value >= min && value <= max
+
+// One angle: up to three numbers (degrees, minutes, seconds), an optional
+// leading minus and an optional hemisphere letter before or after
+function parseAngle(text) {
+  const numbers = (text.match(NUMBER) || []).map(Number)
+  if (numbers.length === 0 || numbers.length > 3) {
+    return null
+  }
+  const [degrees, minutes = 0, seconds = 0] = numbers
+  if (minutes >= 60 || seconds >= 60 || (numbers.length > 1 && !Number.isInteger(degrees))) {
+    return null
+  }
+  const hemisphere = (text.match(HEMISPHERE)?.[0] || '').toUpperCase()
+  const negative = /^\s*-/.test(text) || hemisphere === 'S' || hemisphere === 'W'
+  const value = degrees + minutes / 60 + seconds / 3600
+  return { value: negative ? -value : value, hemisphere, sexagesimal: numbers.length > 1 }
+}
+
+// Split a coordinate pair into its two angles
+function splitPair(text) {
+  const letters = [...text.matchAll(/[NSEW]/gi)]
+  if (letters.length === 2) {
+    // "N 47 31 E 21 37" has the letters in front, "47 31 N 21 37 E" behind
+    const splitAt = /^[NSEW]/i.test(text) ? letters[1].index : letters[0].index + 1
+    return [text.slice(0, splitAt), text.slice(splitAt)]
+  }
+  if (letters.length > 0) {
+    return null
+  }
+  const separated = text.split(/\s*[,;/]\s*/)
+  if (separated.length === 2) {
+    return separated
+  }
+  const tokens = text.split(/\s+/)
+  // With symbols the second angle starts at the second number marked with °
+  const degreeTokens = tokens.map((token, idx) => (/[°º˚]/.test(token) ? idx : -1)).filter((idx) => idx !== -1)
+  if (degreeTokens.length === 2) {
+    return [tokens.slice(0, degreeTokens[1]).join(' '), tokens.slice(degreeTokens[1]).join(' ')]
+  }
+  if (tokens.length === 2 || tokens.length === 4 || tokens.length === 6) {
+    const half = tokens.length / 2
+    return [tokens.slice(0, half).join(' '), tokens.slice(half).join(' ')]
+  }
+  return null
+}
+
+function parseEov(text) {
+  const labelled = (axis) => Number(new RegExp(`\\b${axis}\\s*[=:]\\s*(\\d+(?:\\.\\d+)?)`, 'i').exec(text)?.[1])
+  let y = labelled('Y')
+  let x = labelled('X')
+  if (!Number.isFinite(x) || !Number.isFinite(y)) {
+    const numbers = (text.match(NUMBER) || []).map(Number)
+    if (numbers.length !== 2) {
+      return null
+    }
+    // Either order: the easting is the larger, 400 km and above
+    ;[y, x] = inRange(numbers[0], EOV_Y_RANGE) ? numbers : [numbers[1], numbers[0]]
+  }
+  if (!inRange(y, EOV_Y_RANGE) || !inRange(x, EOV_X_RANGE)) {
+    return null
+  }
+  const [lng, lat] = proj4(EOV, WGS84).forward([y, x])
+  return { lat, lng, notation: 'eov' }
+}
+
+// Read a position from free text. Returns { lat, lng, notation } or null
+// when the text is not a coordinate pair.
+export function parseCoordinates(input) {
+  let text = (input || '').trim().replace(/^EOV\s*:?\s*/i, '')
+  if (!text || /[a-df-mo-rt-vx-z]{2,}/i.test(text.replace(/\b[XY]\s*[=:]/gi, ''))) {
+    return null
+  }
+  // Decimal commas, as in "47,5316 21,6273"
+  if (/^-?\d+,\d+\s+-?\d+,\d+$/.test(text)) {
+    text = text.replace(/,/g, '.')
+  }
+  if (/\b[XY]\s*[=:]/i.test(text) || (text.match(NUMBER) || []).some((n) => Number(n) > 1000)) {
+    return parseEov(text)
+  }
+
+  const parts = splitPair(text)
+  if (!parts) {
+    return null
+  }
+  const [first, second] = parts.map(parseAngle)
+  if (!first || !second) {
+    return null
+  }
+  const isLatitude = (angle) => angle.hemisphere === 'N' || angle.hemisphere === 'S'
+  const isLongitude = (angle) => angle.hemisphere === 'E' || angle.hemisphere === 'W'
+  let lat = first.value
+  let lng = second.value
+  if (isLongitude(first) || isLatitude(second) || (!first.hemisphere && Math.abs(lat) > 90 && Math.abs(lng) <= 90)) {
+    ;[lat, lng] = [lng, lat]
+  }
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return null
+  }
+  const notation = first.sexagesimal || second.sexagesimal || DMS_SYMBOL.test(text.replace(/[°º˚]/g, '')) ? 'dms' : 'decimal'
+  return { lat, lng, notation }
+}
+
+function formatDmsAngle(value, positive, negative) {
+  // Rounded to tenths of a second first, so 59.95″ carries over to the minute
+  const tenths = Math.round(Math.abs(value) * 36000)
+  const degrees = Math.floor(tenths / 36000)
+  const minutes = Math.floor((tenths % 36000) / 600)
+  const seconds = (tenths % 600) / 10
+  return `${degrees}°${String(minutes).padStart(2, '0')}′${seconds.toFixed(1).padStart(4, '0')}″${value < 0 ? negative : positive}`
+}
+
+// "47°31′53.8″N 21°37′38.3″E"
+export function formatDms(lat, lng) {
+  return `${formatDmsAngle(lat, 'N', 'S')} ${formatDmsAngle(lng, 'E', 'W')}`
+}
+
+export function formatDecimal(lat, lng) {
+  return `${lat.toFixed(5)}, ${lng.toFixed(5)}`
+}
@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest'
+import { formatDecimal, formatDms, parseCoordinates } from './coordinates'
+
+describe('parseCoordinates', () => {
+  it('reads decimal degrees with points or commas', () => {
+    expect(parseCoordinates('47.5316, 21.6273')).toEqual({ lat: 47.5316, lng: 21.6273, notation: 'decimal' })
+    expect(parseCoordinates('47,5316 21,6273')).toEqual({ lat: 47.5316, lng: 21.6273, notation: 'decimal' })
+  })
+
+  it('reads degrees, minutes and seconds with hemisphere letters', () => {
+    const position = parseCoordinates('47°31′53.8″N 21°37′38.3″E')
+    expect(position.notation).toBe('dms')
+    expect(position.lat).toBeCloseTo(47.531611, 5)
+    expect(position.lng).toBeCloseTo(21.627306, 5)
+  })
+
+  it('swaps the angles when the hemisphere letters say so', () => {
+    const position = parseCoordinates('E 21 37 38 N 47 31 54')
+    expect(position.lat).toBeCloseTo(47.5317, 3)
+    expect(position.lng).toBeCloseTo(21.6272, 3)
+  })
+
+  it('makes southern and western angles negative', () => {
+    const position = parseCoordinates('33 52 S 151 12 E')
+    expect(position.lat).toBeCloseTo(-33.8667, 3)
+    expect(position.lng).toBeCloseTo(151.2, 3)
+  })
+
+  it('reads EOV eastings and northings in either order', () => {
+    const labelled = parseCoordinates('Y=650000 X=240000')
+    const reversed = parseCoordinates('240000 650000')
+    expect(labelled.notation).toBe('eov')
+    expect(labelled.lat).toBeGreaterThan(47)
+    expect(labelled.lat).toBeLessThan(48)
+    expect(labelled.lng).toBeGreaterThan(18.5)
+    expect(labelled.lng).toBeLessThan(19.5)
+    expect(reversed.lat).toBeCloseTo(labelled.lat, 8)
+    expect(reversed.lng).toBeCloseTo(labelled.lng, 8)
+  })
+
+  it.each(['Budapest', '', '47.5', '95 200', '47 61 00 N 21 00 00 E'])('rejects %j', (text) => {
+    expect(parseCoordinates(text)).toBeNull()
+  })
+})
+
+describe('formatting', () => {
+  it('writes degrees, minutes and seconds', () => {
+    expect(formatDms(47.531611, -21.627306)).toBe('47°31′53.8″N 21°37′38.3″W')
+  })
+
+  it('carries rounded seconds over to the minute', () => {
+    expect(formatDms(47 + 59.99 / 3600, 0)).toBe('47°01′00.0″N 0°00′00.0″E')
+  })
+
+  it('writes decimal degrees with five decimals', () => {
+    expect(formatDecimal(47.5316, 21.6273)).toBe('47.53160, 21.62730')
+  })
+})
@@ -0,0 +1,171 @@
+// Coordinate reference systems: recognising what a file declares and
+// reprojecting geometries to WGS84 before they reach Leaflet.
+import proj4 from 'proj4'
+
+export const WGS84 = 'EPSG:4326'
+
+export const BUILT_IN_CRS = {
+  'EPSG:4326': {
+    name: 'WGS 84 (longitude/latitude)',
+    proj4: '+proj=longlat +datum=WGS84 +no_defs',
+  },
+  'EPSG:23700': {
+    name: 'HD72 / EOV',
+    proj4:
+      '+proj=somerc +lat_0=47.14439372222222 +lon_0=19.04857177777778 +k_0=0.99993 ' +
+      '+x_0=650000 +y_0=200000 +ellps=GRS67 +towgs84=52.17,-71.82,-14.9,0,0,0,0 +units=m +no_defs',
+  },
+  'EPSG:32634': {
+    name: 'WGS 84 / UTM zone 34N',
+    proj4: '+proj=utm +zone=34 +datum=WGS84 +units=m +no_defs',
+  },
+  'EPSG:3857': {
+    name: 'WGS 84 / Pseudo-Mercator (Web Mercator)',
+    proj4:
+      '+proj=merc +a=6378137 +b=6378137 +lat_ts=0 +lon_0=0 +x_0=0 +y_0=0 +k=1 ' +
+      '+units=m +nadgrids=@null +wktext +no_defs',
+  },
+}
+
+Object.entries(BUILT_IN_CRS).forEach(([code, crs]) => {
+  proj4.defs(code, crs.proj4)
+})
+
+export const CRS_OPTIONS = Object.entries(BUILT_IN_CRS).map(([code, crs]) => ({
+  value: code,
+  label: `${crs.name} (${code})`,
+}))
+
+// Patterns that identify a built-in CRS inside ESRI/OGC WKT or a URN
+const WKT_HINTS = [
+  { code: 'EPSG:23700', pattern: /PROJCS\["[^"]*EOV|Egyseges_Orszagos|AUTHORITY\["EPSG",\s*"23700"\]/i },
+  { code: 'EPSG:32634', pattern: /UTM[ _]zone[ _]34N|AUTHORITY\["EPSG",\s*"32634"\]/i },
+  { code: 'EPSG:3857', pattern: /Pseudo[ _-]?Mercator|Web[ _]Mercator|AUTHORITY\["EPSG",\s*"3857"\]/i },
+]
+
+// Resolve a Shapefile .prj (WKT). Known systems map to the built-in
+// definitions (which carry the datum shift); anything else is registered
+// from the WKT itself. Returns a proj4 code or null.
+export function crsFromPrj(wkt) {
+  const text = (wkt || '').trim()
+  if (!text) {
+    return null
+  }
+  const hint = WKT_HINTS.find((h) => h.pattern.test(text))
+  if (hint) {
+    return hint.code
+  }
+  if (/^GEOGCS\[/i.test(text) && /WGS[ _]?(19)?84/i.test(text)) {
+    return WGS84
+  }
+  try {
+    const code = `PRJ:${text.length}:${hashString(text)}`
+    proj4.defs(code, text)
+    return code
+  } catch {
+    return null
+  }
+}
+
+// Read the legacy GeoJSON `crs` member (named CRS only). CRS84 and EPSG:4326
+// both mean plain longitude/latitude.
+export function crsFromGeoJSON(json) {
+  const name = json?.crs?.properties?.name
+  if (!name) {
+    return null
+  }
+  if (/CRS84$/i.test(name)) {
+    return WGS84
+  }
+  const match = /EPSG:{1,2}(\d+)/i.exec(name)
+  if (!match) {
+    return null
+  }
+  const code = `EPSG:${match[1]}`
+  return proj4.defs(code) ? code : null
+}
+
+function hashString(text) {
+  let hash = 0
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) | 0
+  }
+  return (hash >>> 0).toString(16)
+}
+
+function forEachPosition(coords, fn) {
+  if (typeof coords[0] === 'number') {
+    fn(coords)
+  } else {
+    coords.forEach((c) => forEachPosition(c, fn))
+  }
+}
+
+// Rebuilds the arrays so positions shared between rings are not moved twice
+function mapPositions(coords, fn) {
+  if (typeof coords[0] === 'number') {
+    return fn(coords)
+  }
+  return coords.map((c) => mapPositions(c, fn))
+}
+
+function forEachGeometry(geojson, fn) {
+  geojson.features.forEach((feature) => {
+    const visit = (geometry) => {
+      if (!geometry) return
+      if (geometry.type === 'GeometryCollection') {
+        geometry.geometries.forEach(visit)
+      } else {
+        fn(geometry)
+      }
+    }
+    visit(feature.geometry)
+  })
+}
+
+// True when every coordinate fits the longitude/latitude range
+export function looksGeographic(geojson) {
+  let geographic = true
+  forEachGeometry(geojson, (geometry) => {
+    forEachPosition(geometry.coordinates, ([x, y]) => {
+      if (Math.abs(x) > 180 || Math.abs(y) > 90) geographic = false
+    })
+  })
+  return geographic
+}
+
+// Best guess for undeclared projected data, used to preselect the CRS prompt.
+// EOV eastings start at 400 km and northings stay below 400 km, which sets it
+// apart from UTM 34N (northings above 5000 km in Hungary).
+export function guessProjectedCrs(geojson) {
+  let sample = null
+  forEachGeometry(geojson, (geometry) => {
+    if (!sample) forEachPosition(geometry.coordinates, (pos) => { sample = sample || pos })
+  })
+  if (!sample) {
+    return null
+  }
+  const [x, y] = sample
+  if (x >= 400000 && x <= 950000 && y >= 0 && y <= 400000) return 'EPSG:23700'
+  if (x >= 100000 && x <= 900000 && y >= 4000000 && y <= 6000000) return 'EPSG:32634'
+  if (Math.abs(x) <= 20037508.35 && Math.abs(y) <= 20048966.1) return 'EPSG:3857'
+  return null
+}
+
+// Reproject every geometry of the collection from `fromCrs` to WGS84. The
+// collection is updated in place; extra ordinates (elevation) are kept.
+export function reprojectGeoJSON(geojson, fromCrs) {
+  if (!fromCrs || fromCrs === WGS84) {
+    return geojson
+  }
+  const transform = proj4(fromCrs, WGS84)
+  forEachGeometry(geojson, (geometry) => {
+    geometry.coordinates = mapPositions(geometry.coordinates, (pos) => {
+      const [lng, lat] = transform.forward([pos[0], pos[1]])
+      return [lng, lat, ...pos.slice(2)]
+    })
+  })
+  delete geojson.bbox
+  delete geojson.crs
+  return geojson
+}
@@ -0,0 +1,158 @@
+import { describe, expect, it } from 'vitest'
+import proj4 from 'proj4'
+import { BUILT_IN_CRS, WGS84, crsFromGeoJSON, crsFromPrj, guessProjectedCrs, looksGeographic, reprojectGeoJSON } from './crs'
+
+const GCS_WGS84 =
+  'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],' +
+  'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]'
+
+// .prj files as ESRI software writes them, one for each built-in CRS
+const PRJ = {
+  'EPSG:4326': GCS_WGS84,
+  'EPSG:23700':
+    'PROJCS["HD72_EOV",GEOGCS["GCS_HD72",DATUM["D_Hungarian_1972",SPHEROID["GRS_1967",6378160.0,298.247167427]],' +
+    'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]],PROJECTION["Hotine_Oblique_Mercator_Azimuth_Center"],' +
+    'PARAMETER["False_Easting",650000.0],PARAMETER["False_Northing",200000.0],PARAMETER["Scale_Factor",0.99993],' +
+    'PARAMETER["Azimuth",90.0],PARAMETER["Longitude_Of_Center",19.04857177777778],' +
+    'PARAMETER["Latitude_Of_Center",47.14439372222222],UNIT["Meter",1.0]]',
+  'EPSG:32634':
+    `PROJCS["WGS_1984_UTM_Zone_34N",${GCS_WGS84},PROJECTION["Transverse_Mercator"],PARAMETER["False_Easting",500000.0],` +
+    'PARAMETER["False_Northing",0.0],PARAMETER["Central_Meridian",21.0],PARAMETER["Scale_Factor",0.9996],' +
+    'PARAMETER["Latitude_Of_Origin",0.0],UNIT["Meter",1.0]]',
+  'EPSG:3857':
+    `PROJCS["WGS_1984_Web_Mercator_Auxiliary_Sphere",${GCS_WGS84},PROJECTION["Mercator_Auxiliary_Sphere"],` +
+    'PARAMETER["False_Easting",0.0],PARAMETER["False_Northing",0.0],PARAMETER["Central_Meridian",0.0],' +
+    'PARAMETER["Standard_Parallel_1",0.0],PARAMETER["Auxiliary_Sphere_Type",0.0],UNIT["Meter",1.0]]',
+}
+
+const collection = (...coordinates) => ({
+  type: 'FeatureCollection',
+  features: coordinates.map((position) => ({ type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: position } })),
+})
+
+const reprojected = (position, crs) => reprojectGeoJSON(collection(position), crs).features[0].geometry.coordinates
+
+describe('crsFromPrj', () => {
+  it('recognises a .prj for each built-in CRS', () => {
+    expect(Object.keys(PRJ).sort()).toEqual(Object.keys(BUILT_IN_CRS).sort())
+    Object.entries(PRJ).forEach(([code, wkt]) => {
+      expect(crsFromPrj(wkt)).toBe(code)
+    })
+  })
+
+  it('recognises OGC WKT by its EPSG authority', () => {
+    expect(crsFromPrj('PROJCS["HD72 / EOV",GEOGCS["HD72"],AUTHORITY["EPSG","23700"]]')).toBe('EPSG:23700')
+    expect(crsFromPrj('PROJCS["WGS 84 / UTM zone 34N",AUTHORITY["EPSG", "32634"]]')).toBe('EPSG:32634')
+  })
+
+  it('registers other systems from the WKT itself', () => {
+    const zone33 = PRJ['EPSG:32634'].replace('Zone_34N', 'Zone_33N').replace('"Central_Meridian",21.0', '"Central_Meridian",15.0')
+    const code = crsFromPrj(zone33)
+    expect(code).toMatch(/^PRJ:/)
+    expect(crsFromPrj(zone33)).toBe(code)
+    const [lng, lat] = proj4(code, WGS84, [500000, 5264000])
+    expect(lng).toBeCloseTo(15, 6)
+    expect(lat).toBeCloseTo(47.5294, 3)
+  })
+
+  it('returns null for empty or unreadable files', () => {
+    expect(crsFromPrj('')).toBeNull()
+    expect(crsFromPrj(undefined)).toBeNull()
+    expect(crsFromPrj('not a projection')).toBeNull()
+  })
+})
+
+describe('crsFromGeoJSON', () => {
+  const named = (name) => ({ type: 'FeatureCollection', crs: { type: 'name', properties: { name } }, features: [] })
+
+  it('reads named CRS in URN and short form', () => {
+    expect(crsFromGeoJSON(named('urn:ogc:def:crs:OGC:1.3:CRS84'))).toBe(WGS84)
+    expect(crsFromGeoJSON(named('urn:ogc:def:crs:EPSG::23700'))).toBe('EPSG:23700')
+    expect(crsFromGeoJSON(named('EPSG:3857'))).toBe('EPSG:3857')
+  })
+
+  it('returns null without a crs member or for unknown codes', () => {
+    expect(crsFromGeoJSON({ type: 'FeatureCollection', features: [] })).toBeNull()
+    expect(crsFromGeoJSON(named('urn:ogc:def:crs:EPSG::999999'))).toBeNull()
+    expect(crsFromGeoJSON(named('local grid'))).toBeNull()
+  })
+})
+
+describe('reprojectGeoJSON', () => {
+  it('moves the EOV origin next to its WGS84 position', () => {
+    // The false origin lies at 47.1444° N, 19.0486° E on HD72; the datum
+    // shift to WGS84 moves it about 85 m west and 30 m south
+    const [lng, lat] = reprojected([650000, 200000], 'EPSG:23700')
+    expect(lng).toBeCloseTo(19.047452, 5)
+    expect(lat).toBeCloseTo(47.144125, 5)
+  })
+
+  it('reprojects a point in Budapest from EOV and back', () => {
+    const [lng, lat, elevation] = reprojected([650000, 240000, 120], 'EPSG:23700')
+    expect(lng).toBeCloseTo(19.047445, 5)
+    expect(lat).toBeCloseTo(47.503932, 5)
+    expect(elevation).toBe(120)
+    const [y, x] = proj4(WGS84, 'EPSG:23700', [lng, lat])
+    expect(y).toBeCloseTo(650000, 2)
+    expect(x).toBeCloseTo(240000, 2)
+  })
+
+  it('puts UTM 34N eastings of 500 km on the 21° meridian', () => {
+    expect(reprojected([500000, 0], 'EPSG:32634')).toEqual([21, 0])
+    const [lng, lat] = reprojected([500000, 5264000], 'EPSG:32634')
+    expect(lng).toBeCloseTo(21, 9)
+    expect(lat).toBeCloseTo(47.529426, 5)
+  })
+
+  it('inverts Web Mercator', () => {
+    // x = R·λ and y = R·ln(tan(π/4 + φ/2)) with R = 6378137
+    const x = 6378137 * ((19 * Math.PI) / 180)
+    const y = 6378137 * Math.log(Math.tan(Math.PI / 4 + (47.5 * Math.PI) / 360))
+    const [lng, lat] = reprojected([x, y], 'EPSG:3857')
+    expect(lng).toBeCloseTo(19, 9)
+    expect(lat).toBeCloseTo(47.5, 9)
+  })
+
+  it('moves shared positions once and drops the bbox and crs members', () => {
+    const shared = [650000, 200000]
+    const geojson = {
+      ...collection(shared),
+      bbox: [650000, 200000, 650000, 200000],
+      crs: { type: 'name', properties: { name: 'EPSG:23700' } },
+    }
+    geojson.features.push({
+      type: 'Feature',
+      properties: {},
+      geometry: { type: 'GeometryCollection', geometries: [{ type: 'LineString', coordinates: [shared, shared] }] },
+    })
+    reprojectGeoJSON(geojson, 'EPSG:23700')
+    expect(geojson.features[1].geometry.geometries[0].coordinates).toEqual([
+      geojson.features[0].geometry.coordinates,
+      geojson.features[0].geometry.coordinates,
+    ])
+    expect(geojson.features[0].geometry.coordinates[0]).toBeCloseTo(19.047452, 5)
+    expect(geojson).not.toHaveProperty('bbox')
+    expect(geojson).not.toHaveProperty('crs')
+  })
+
+  it('leaves WGS84 data alone', () => {
+    const geojson = collection([19.04, 47.5])
+    expect(reprojectGeoJSON(geojson, WGS84)).toBe(geojson)
+    expect(geojson.features[0].geometry.coordinates).toEqual([19.04, 47.5])
+  })
+})
+
+describe('looksGeographic and guessProjectedCrs', () => {
+  it('tells longitude/latitude from projected coordinates', () => {
+    expect(looksGeographic(collection([19.04, 47.5], [-180, -90]))).toBe(true)
+    expect(looksGeographic(collection([19.04, 47.5], [650000, 240000]))).toBe(false)
+  })
+
+  it('guesses EOV, UTM 34N or Web Mercator from the first position', () => {
+    expect(guessProjectedCrs(collection([650000, 240000]))).toBe('EPSG:23700')
+    expect(guessProjectedCrs(collection([500000, 5264000]))).toBe('EPSG:32634')
+    expect(guessProjectedCrs(collection([2115070, 6024072]))).toBe('EPSG:3857')
+    expect(guessProjectedCrs(collection([1e9, 1e9]))).toBeNull()
+    expect(guessProjectedCrs(collection())).toBeNull()
+  })
+})
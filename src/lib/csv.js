@@ -0,0 +1,314 @@
+// CSV import helpers: decoding, delimiter detection, RFC 4180 parsing and
+// locale-aware number conversion. Everything here is free of React so it can
+// be reused by any loader.
+
+export const CSV_DELIMITERS = [',', ';', '\t']
+
+export const CSV_ENCODINGS = {
+  auto: 'Auto-detect',
+  'utf-8': 'UTF-8',
+  'windows-1250': 'Windows-1250 (Central European)',
+}
+
+// Decode raw file bytes. A BOM always wins; otherwise strict UTF-8 is tried
+// first and Windows-1250 is the fallback for legacy Hungarian exports.
+export function decodeCsvBuffer(buffer, encoding = 'auto') {
+  const bytes = new Uint8Array(buffer)
+
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+    return { text: new TextDecoder('utf-8').decode(bytes.subarray(3)), encoding: 'utf-8' }
+  }
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+    return { text: new TextDecoder('utf-16le').decode(bytes.subarray(2)), encoding: 'utf-16le' }
+  }
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    return { text: new TextDecoder('utf-16be').decode(bytes.subarray(2)), encoding: 'utf-16be' }
+  }
+
+  if (encoding !== 'auto') {
+    return { text: new TextDecoder(encoding).decode(bytes), encoding }
+  }
+
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'utf-8' }
+  } catch {
+    return { text: new TextDecoder('windows-1250').decode(bytes), encoding: 'windows-1250' }
+  }
+}
+
+// Count delimiter candidates per line outside of quotes and pick the one that
+// splits the first lines most consistently into more than one column.
+export function detectDelimiter(text, sampleLines = 10) {
+  let best = ','
+  let bestScore = 0
+
+  CSV_DELIMITERS.forEach((delimiter) => {
+    const counts = []
+    let count = 0
+    let inQuotes = false
+
+    for (let i = 0; i < text.length && counts.length < sampleLines; i++) {
+      const char = text[i]
+      if (char === '"') {
+        inQuotes = !inQuotes
+      } else if (!inQuotes && char === delimiter) {
+        count++
+      } else if (!inQuotes && char === '\n') {
+        counts.push(count)
+        count = 0
+      }
+    }
+    if (count > 0 || counts.length === 0) {
+      counts.push(count)
+    }
+
+    const first = counts[0]
+    if (!first) {
+      return
+    }
+    const consistent = counts.filter((c) => c === first).length
+    const score = first * (consistent / counts.length)
+    if (score > bestScore) {
+      best = delimiter
+      bestScore = score
+    }
+  })
+
+  return best
+}
+
+// Characters between progress reports while tokenizing
+const PROGRESS_STEP = 1 << 18
+
+// RFC 4180 tokenizer. Returns the raw records with the physical line number
+// each one starts on, plus the problems found along the way. Records with
+// structural problems are reported and left out instead of being guessed at.
+// `onProgress` receives (characters read, total characters) as it goes.
+export function parseCsv(text, delimiter = detectDelimiter(text), { onProgress } = {}) {
+  const records = []
+  const errors = []
+
+  let fields = []
+  let field = ''
+  let quoted = false
+  let inQuotes = false
+  let afterQuote = false
+  let broken = null
+  let line = 1
+  let recordLine = 1
+
+  const endField = () => {
+    fields.push(quoted ? field : field.trim())
+    field = ''
+    quoted = false
+    afterQuote = false
+  }
+
+  const endRecord = () => {
+    endField()
+    const isBlank = fields.length === 1 && fields[0] === '' && !broken
+    if (broken) {
+      errors.push({ line: recordLine, message: broken })
+    } else if (!isBlank) {
+      records.push({ fields, line: recordLine })
+    }
+    fields = []
+    broken = null
+  }
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (onProgress && i % PROGRESS_STEP === 0) {
+      onProgress(i, text.length)
+    }
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"'
+          i++
+        } else {
+          inQuotes = false
+          afterQuote = true
+        }
+      } else {
+        if (char === '\n') {
+          line++
+        }
+        field += char
+      }
+      continue
+    }
+
+    if (char === delimiter) {
+      endField()
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++
+      }
+      endRecord()
+      line++
+      recordLine = line
+    } else if (char === '"') {
+      if (field.trim() === '' && !quoted) {
+        field = ''
+        quoted = true
+        inQuotes = true
+      } else if (!broken) {
+        broken = 'Unexpected quote inside an unquoted field'
+      }
+    } else if (afterQuote) {
+      if (char.trim() !== '' && !broken) {
+        broken = 'Unexpected characters after a closing quote'
+      }
+    } else {
+      field += char
+    }
+  }
+
+  if (inQuotes) {
+    errors.push({ line: recordLine, message: 'Unterminated quoted field' })
+  } else if (field !== '' || fields.length > 0 || quoted) {
+    endRecord()
+  }
+
+  return { records, errors, delimiter }
+}
+
+const DECIMAL_COMMA_HINT = /^[+-]?\d[\d .\u00a0]*,\d{1,2}$|^[+-]?\d+,\d{4,}$|^[+-]?\d{1,3}(\.\d{3})+,\d+$/
+const DECIMAL_POINT_HINT = /^[+-]?\d[\d,]*\.\d{1,2}$|^[+-]?\d+\.\d{4,}$|^[+-]?\d{1,3}(,\d{3})+\.\d+$/
+
+// Guess the decimal separator from the cell values. Unambiguous samples decide;
+// otherwise a `;` delimited file is assumed to come from a comma locale.
+export function detectDecimalSeparator(values, delimiter) {
+  let comma = 0
+  let point = 0
+  values.forEach((value) => {
+    if (DECIMAL_COMMA_HINT.test(value)) comma++
+    else if (DECIMAL_POINT_HINT.test(value)) point++
+  })
+  if (comma !== point) {
+    return comma > point ? ',' : '.'
+  }
+  return delimiter === ',' ? '.' : ','
+}
+
+// Convert a cell to a number using the given decimal separator, accepting the
+// usual thousands groupings (space, non-breaking space, the other separator).
+// Returns null when the cell is not a number.
+export function parseLocaleNumber(value, decimalSeparator = '.') {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null
+  }
+  const text = String(value ?? '').trim()
+  if (text === '') {
+    return null
+  }
+
+  const group = decimalSeparator === ',' ? '[ .\\u00a0\\u202f]' : '[ ,\\u00a0\\u202f]'
+  const dec = decimalSeparator === ',' ? ',' : '\\.'
+  const pattern = new RegExp(`^[+-]?(\\d+|\\d{1,3}(${group}\\d{3})+)(${dec}\\d+)?([eE][+-]?\\d+)?$|^[+-]?${dec}\\d+$`)
+  if (!pattern.test(text)) {
+    return null
+  }
+
+  const normalised = text
+    .replace(new RegExp(group, 'g'), '')
+    .replace(decimalSeparator, '.')
+  const num = Number(normalised)
+  return Number.isFinite(num) ? num : null
+}
+
+// Zero-padded codes such as postal or settlement codes ("00123"); converting
+// them to numbers would lose the zeros a join key needs
+const ZERO_PADDED = /^[+-]?0\d/
+
+// Full pipeline from raw bytes to header + typed row objects. Columns listed in
+// `textColumns` (identifiers such as `id`) are never converted to numbers, nor
+// are columns holding any zero-padded value, so every column can serve as a
+// join key. `lines` holds the line of the file each row starts on.
+// `onProgress` reports the tokenizer's progress, see parseCsv.
+export function parseCsvBuffer(
+  buffer,
+  { encoding = 'auto', delimiter = 'auto', textColumns = [], onProgress } = {},
+) {
+  const decoded = decodeCsvBuffer(buffer, encoding)
+  const chosenDelimiter = delimiter === 'auto' ? detectDelimiter(decoded.text) : delimiter
+  const { records, errors } = parseCsv(decoded.text, chosenDelimiter, { onProgress })
+
+  if (records.length === 0) {
+    return { header: [], rows: [], lines: [], errors, delimiter: chosenDelimiter, encoding: decoded.encoding }
+  }
+
+  const [headerRecord, ...dataRecords] = records
+  const header = headerRecord.fields.map((h) => h.trim())
+  const validRecords = []
+
+  dataRecords.forEach((record) => {
+    if (record.fields.length !== header.length) {
+      errors.push({
+        line: record.line,
+        message: `Expected ${header.length} fields but found ${record.fields.length}`,
+      })
+      return
+    }
+    validRecords.push(record)
+  })
+
+  const decimalSeparator = detectDecimalSeparator(
+    validRecords.flatMap((record) => record.fields),
+    chosenDelimiter,
+  )
+
+  const keepText = header.map(
+    (colName, idx) =>
+      textColumns.includes(colName) || validRecords.some((record) => ZERO_PADDED.test(record.fields[idx].trim())),
+  )
+
+  const rows = validRecords.map((record) => {
+    const row = {}
+    header.forEach((colName, idx) => {
+      const value = record.fields[idx]
+      if (keepText[idx]) {
+        row[colName] = value
+        return
+      }
+      const num = parseLocaleNumber(value, decimalSeparator)
+      row[colName] = num != null ? num : value
+    })
+    return row
+  })
+
+  errors.sort((a, b) => a.line - b.line)
+
+  return {
+    header,
+    rows,
+    lines: validRecords.map((record) => record.line),
+    errors,
+    delimiter: chosenDelimiter,
+    encoding: decoded.encoding,
+    decimalSeparator,
+  }
+}
+
+// Quote a value for CSV output when it contains the delimiter, quotes or newlines
+function formatCsvField(value, delimiter) {
+  if (value === undefined || value === null) {
+    return ''
+  }
+  const text = String(value)
+  if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`
+  }
+  return text
+}
+
+// Serialise row objects to RFC 4180 CSV using the given column order
+export function formatCsv(columns, rows, delimiter = ',') {
+  const lines = [
+    columns.map((col) => formatCsvField(col, delimiter)).join(delimiter),
+    ...rows.map((row) => columns.map((col) => formatCsvField(row[col], delimiter)).join(delimiter)),
+  ]
+  return lines.join('\r\n') + '\r\n'
+}
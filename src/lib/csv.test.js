@@ -0,0 +1,109 @@
+import { describe, expect, it } from 'vitest'
+import {
+  decodeCsvBuffer,
+  detectDecimalSeparator,
+  detectDelimiter,
+  formatCsv,
+  parseCsv,
+  parseCsvBuffer,
+  parseLocaleNumber,
+} from './csv'
+
+const encode = (text) => new TextEncoder().encode(text).buffer
+
+describe('decodeCsvBuffer', () => {
+  it('drops a UTF-8 byte order mark', () => {
+    const bytes = new Uint8Array([0xef, 0xbb, 0xbf, ...new TextEncoder().encode('név')])
+    expect(decodeCsvBuffer(bytes.buffer)).toEqual({ text: 'név', encoding: 'utf-8' })
+  })
+
+  it('falls back to Windows-1250 for bytes that are not UTF-8', () => {
+    // "Győr" in Windows-1250
+    const bytes = new Uint8Array([0x47, 0x79, 0xf5, 0x72])
+    expect(decodeCsvBuffer(bytes.buffer)).toEqual({ text: 'Győr', encoding: 'windows-1250' })
+  })
+})
+
+describe('detectDelimiter', () => {
+  it('picks the delimiter that splits the lines consistently', () => {
+    expect(detectDelimiter('a;b;c\n1,5;2;3\n')).toBe(';')
+    expect(detectDelimiter('a\tb\n1\t2\n')).toBe('\t')
+    expect(detectDelimiter('"x;y",b\n1,2\n')).toBe(',')
+  })
+})
+
+describe('parseCsv', () => {
+  it('reads quoted fields with delimiters, doubled quotes and line breaks', () => {
+    const { records, errors } = parseCsv('a,b\n"1,5","say ""hi""\nthere"\n', ',')
+    expect(errors).toEqual([])
+    expect(records.map((record) => record.fields)).toEqual([
+      ['a', 'b'],
+      ['1,5', 'say "hi"\nthere'],
+    ])
+  })
+
+  it('reports broken quoting with its line and skips blank lines', () => {
+    const { records, errors } = parseCsv('a,b\n\n1,x"y\n2,"open\n', ',')
+    expect(records.map((record) => record.fields)).toEqual([['a', 'b']])
+    expect(errors.map((error) => error.line)).toEqual([3, 4])
+  })
+})
+
+describe('numbers', () => {
+  it('detects the decimal separator from unambiguous values', () => {
+    expect(detectDecimalSeparator(['1,25', '3', '4,5'], ',')).toBe(',')
+    expect(detectDecimalSeparator(['1.25', '1,234.5'], ';')).toBe('.')
+    expect(detectDecimalSeparator(['1', '2'], ';')).toBe(',')
+  })
+
+  it('reads locale numbers with thousands groups', () => {
+    expect(parseLocaleNumber('1 234,5', ',')).toBe(1234.5)
+    expect(parseLocaleNumber('1.234.567', ',')).toBe(1234567)
+    expect(parseLocaleNumber('1,234.5', '.')).toBe(1234.5)
+    expect(parseLocaleNumber('-2.5e3', '.')).toBe(-2500)
+    expect(parseLocaleNumber('12 kg', '.')).toBeNull()
+    expect(parseLocaleNumber('', '.')).toBeNull()
+  })
+})
+
+describe('parseCsvBuffer', () => {
+  it('types cells by the detected locale and reports rows of the wrong width', () => {
+    const { header, rows, errors, delimiter, decimalSeparator } = parseCsvBuffer(
+      encode('id;value;name\n1;1 234,5;Szeged\n2;7\n3;0,5;Pécs\n'),
+    )
+    expect(delimiter).toBe(';')
+    expect(decimalSeparator).toBe(',')
+    expect(header).toEqual(['id', 'value', 'name'])
+    expect(rows).toEqual([
+      { id: 1, value: 1234.5, name: 'Szeged' },
+      { id: 3, value: 0.5, name: 'Pécs' },
+    ])
+    expect(errors).toEqual([{ line: 3, message: 'Expected 3 fields but found 2' }])
+  })
+
+  it('keeps zero-padded columns as text whichever column is the key', () => {
+    const { rows } = parseCsvBuffer(encode('id,code,value\n1,00123,5\n2,04567,6\n'), { textColumns: ['id'] })
+    expect(rows).toEqual([
+      { id: '1', code: '00123', value: 5 },
+      { id: '2', code: '04567', value: 6 },
+    ])
+  })
+
+  it('still reads decimals below one as numbers', () => {
+    const { rows } = parseCsvBuffer(encode('id;share\na;0,25\nb;0\n'))
+    expect(rows.map((row) => row.share)).toEqual([0.25, 0])
+  })
+
+  it('records the line each row starts on', () => {
+    const { rows, lines, errors } = parseCsvBuffer(encode('id,note\na,"two\nlines"\nb,too,many\nc,ok\n'))
+    expect(rows.map((row) => row.id)).toEqual(['a', 'c'])
+    expect(lines).toEqual([2, 5])
+    expect(errors.map((error) => error.line)).toEqual([4])
+  })
+})
+
+describe('formatCsv', () => {
+  it('quotes fields that need it and ends lines with CRLF', () => {
+    expect(formatCsv(['a', 'b'], [{ a: 'x,y', b: 'say "hi"' }])).toBe('a,b\r\n"x,y","say ""hi"""\r\n')
+  })
+})
@@ -0,0 +1,169 @@
+// Exports of a layer joined with its table: GeoJSON with the CSV columns in
+// the properties, KML with ExtendedData and the on-screen colors as
+// per-placemark styles, and a flat CSV with centroid, area and match status.
+import { featurePathStyle } from './layerStyle'
+import { featureName } from './attributeTable'
+import { getFeatureKey } from './join'
+import { geometryArea, geometryCentroid } from './geometry'
+import { formatCsv } from './csv'
+
+export const DATA_EXPORT_FORMATS = {
+  geojson: { label: 'GeoJSON', extension: 'geojson', type: 'application/geo+json' },
+  kml: { label: 'KML', extension: 'kml', type: 'application/vnd.google-earth.kml+xml' },
+  csv: { label: 'CSV', extension: 'csv', type: 'text/csv;charset=utf-8' },
+}
+
+export const EXPORT_SCOPES = {
+  all: 'All features',
+  filtered: 'Features passing the filter',
+  selected: 'Selected features',
+}
+
+// Features of the layer in the chosen scope, each with its joined row.
+// `selectedIndexes` lists the selected feature indexes.
+export function joinedFeatures(layer, layerStyle, { scope = 'all', selectedIndexes = [] } = {}) {
+  const selected = new Set(selectedIndexes)
+  return (layer.geojson?.features || [])
+    .map((feature, featureIndex) => ({ feature, featureIndex, ...layerStyle.classify(feature) }))
+    .filter(({ featureIndex, filteredOut }) => {
+      if (scope === 'filtered') return !filteredOut
+      if (scope === 'selected') return selected.has(featureIndex)
+      return true
+    })
+}
+
+// Table values win over feature properties of the same name
+function mergedProperties(feature, row) {
+  return row ? { ...feature.properties, ...row } : { ...feature.properties }
+}
+
+export function toJoinedGeoJSON(entries) {
+  return JSON.stringify(
+    {
+      type: 'FeatureCollection',
+      features: entries.map(({ feature, row }) => ({
+        type: 'Feature',
+        ...(feature.id != null ? { id: feature.id } : {}),
+        properties: mergedProperties(feature, row),
+        geometry: feature.geometry,
+      })),
+    },
+    null,
+    2,
+  )
+}
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+
+// KML colors are aabbggrr hex
+export function kmlColor(hex, opacity = 1) {
+  const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '')
+  const [r, g, b] = match ? match.slice(1) : ['33', '88', 'ff']
+  const alpha = Math.round(Math.min(1, Math.max(0, opacity)) * 255)
+    .toString(16)
+    .padStart(2, '0')
+  return `${alpha}${b}${g}${r}`.toLowerCase()
+}
+
+const kmlCoordinates = (positions) => positions.map((p) => p.slice(0, 3).join(',')).join(' ')
+
+function kmlGeometry(geometry) {
+  if (!geometry) {
+    return ''
+  }
+  const ring = (positions, idx) => {
+    const boundary = idx === 0 ? 'outerBoundaryIs' : 'innerBoundaryIs'
+    return `<${boundary}><LinearRing><coordinates>${kmlCoordinates(positions)}</coordinates></LinearRing></${boundary}>`
+  }
+  const polygon = (rings) => `<Polygon>${rings.map(ring).join('')}</Polygon>`
+  const line = (positions) => `<LineString><coordinates>${kmlCoordinates(positions)}</coordinates></LineString>`
+  const point = (position) => `<Point><coordinates>${kmlCoordinates([position])}</coordinates></Point>`
+  const multi = (parts) => `<MultiGeometry>${parts.join('')}</MultiGeometry>`
+
+  switch (geometry.type) {
+    case 'Point':
+      return point(geometry.coordinates)
+    case 'MultiPoint':
+      return multi(geometry.coordinates.map(point))
+    case 'LineString':
+      return line(geometry.coordinates)
+    case 'MultiLineString':
+      return multi(geometry.coordinates.map(line))
+    case 'Polygon':
+      return polygon(geometry.coordinates)
+    case 'MultiPolygon':
+      return multi(geometry.coordinates.map(polygon))
+    case 'GeometryCollection':
+      return multi(geometry.geometries.map(kmlGeometry))
+    default:
+      return ''
+  }
+}
+
+// Placemarks keep their original id so the file can be joined again
+export function toJoinedKml(entries, layer, layerStyle) {
+  const placemarks = entries.map(({ feature, row }) => {
+    const style = featurePathStyle(feature, layer, layerStyle)
+    const placemarkId = feature.properties?.placemarkId ?? feature.id
+    const data = Object.entries(mergedProperties(feature, row))
+      .filter(([name, value]) => name !== 'placemarkId' && value !== undefined && value !== null && typeof value !== 'object')
+      .map(([name, value]) => `<Data name="${escapeXml(name)}"><value>${escapeXml(value)}</value></Data>`)
+      .join('')
+    return [
+      `<Placemark${placemarkId != null ? ` id="${escapeXml(placemarkId)}"` : ''}>`,
+      `<name>${escapeXml(featureName(feature))}</name>`,
+      '<Style>',
+      `<LineStyle><color>${kmlColor(style.color, style.opacity)}</color><width>${style.weight}</width></LineStyle>`,
+      `<PolyStyle><color>${kmlColor(style.fillColor, style.fillOpacity)}</color></PolyStyle>`,
+      `<IconStyle><color>${kmlColor(style.fillColor)}</color></IconStyle>`,
+      '</Style>',
+      `<ExtendedData>${data}</ExtendedData>`,
+      kmlGeometry(feature.geometry),
+      '</Placemark>',
+    ].join('')
+  })
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    `<Document><name>${escapeXml(layer.name)}</name>`,
+    ...placemarks,
+    '</Document>',
+    '</kml>',
+  ].join('\n')
+}
+
+const CSV_FEATURE_COLUMNS = ['feature_index', 'name', 'feature_key', 'match_status', 'centroid_lat', 'centroid_lng', 'area_m2']
+
+// One row per feature; `columns` are the table columns to append, prefixed
+// only where they clash with the feature columns. Geometry columns the
+// feature columns already hold are not repeated.
+export function toJoinedCsv(entries, layer, tableColumns) {
+  const geometryColumns = layer.geometryColumns || []
+  const columns = tableColumns.filter((col) => !(geometryColumns.includes(col) && CSV_FEATURE_COLUMNS.includes(col)))
+  const outputName = (col) => (CSV_FEATURE_COLUMNS.includes(col) ? `csv_${col}` : col)
+  const rows = entries.map(({ feature, featureIndex, row }) => {
+    const centroid = geometryCentroid(feature.geometry)
+    const area = geometryArea(feature.geometry)
+    const values = {
+      feature_index: featureIndex,
+      name: featureName(feature),
+      feature_key: getFeatureKey(feature, layer.joinConfig.featureKey) ?? '',
+      match_status: row ? 'matched' : 'unmatched',
+      centroid_lat: centroid ? Number(centroid[1].toFixed(7)) : '',
+      centroid_lng: centroid ? Number(centroid[0].toFixed(7)) : '',
+      area_m2: area > 0 ? Math.round(area * 100) / 100 : '',
+    }
+    columns.forEach((col) => {
+      values[outputName(col)] = row ? row[col] : ''
+    })
+    return values
+  })
+  return formatCsv([...CSV_FEATURE_COLUMNS, ...columns.map(outputName)], rows)
+}
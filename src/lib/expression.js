@@ -0,0 +1,478 @@
+// A small formula language for computed columns. Formulas are parsed into a
+// tree and evaluated by walking it, so nothing typed by the user is ever run
+// as JavaScript.
+//
+//   revenue - cost
+//   if(cost > 0, (revenue - cost) / cost * 100, null)
+//   [Revenue 2024] / area_ha()
+//
+// Columns are referenced by name, or in square brackets when the name has
+// spaces or punctuation. Missing and non-numeric values are null; arithmetic
+// on null, division by zero and other non-finite results give null.
+import { geometryArea, geometryLength } from './geometry'
+
+const OPERATORS = ['<=', '>=', '<>', '!=', '==', '&&', '||', '+', '-', '*', '/', '%', '^', '(', ')', ',', '<', '>', '=', '!', '?', ':']
+const KEYWORDS = { and: '&&', or: '||', not: '!' }
+const COMPARISONS = ['=', '==', '!=', '<>', '<', '<=', '>', '>=']
+
+function syntaxError(message, position) {
+  return new Error(`${message} at character ${position + 1}`)
+}
+
+function tokenize(source) {
+  const tokens = []
+  let i = 0
+  while (i < source.length) {
+    const ch = source[i]
+    if (/\s/.test(ch)) {
+      i++
+      continue
+    }
+    const start = i
+    if (/[0-9.]/.test(ch)) {
+      const match = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(source.slice(i))
+      if (!match) {
+        throw syntaxError('Invalid number', start)
+      }
+      tokens.push({ type: 'number', value: Number(match[0]), position: start })
+      i += match[0].length
+      continue
+    }
+    if (ch === '"' || ch === "'") {
+      let value = ''
+      i++
+      while (i < source.length && source[i] !== ch) {
+        // A backslash escapes the next character
+        if (source[i] === '\\' && i + 1 < source.length) {
+          value += source[i + 1]
+          i += 2
+          continue
+        }
+        value += source[i++]
+      }
+      if (i >= source.length) {
+        throw syntaxError('Unterminated string', start)
+      }
+      i++
+      tokens.push({ type: 'string', value, position: start })
+      continue
+    }
+    if (ch === '[') {
+      const end = source.indexOf(']', i)
+      if (end === -1) {
+        throw syntaxError('Missing ] after column name', start)
+      }
+      tokens.push({ type: 'column', value: source.slice(i + 1, end), position: start })
+      i = end + 1
+      continue
+    }
+    const word = /^[\p{L}_][\p{L}\p{N}_]*/u.exec(source.slice(i))
+    if (word) {
+      const lower = word[0].toLowerCase()
+      if (Object.hasOwn(KEYWORDS, lower)) {
+        tokens.push({ type: 'operator', value: KEYWORDS[lower], position: start })
+      } else {
+        tokens.push({ type: 'identifier', value: word[0], position: start })
+      }
+      i += word[0].length
+      continue
+    }
+    const operator = OPERATORS.find((op) => source.startsWith(op, i))
+    if (!operator) {
+      throw syntaxError(`Unexpected character "${ch}"`, start)
+    }
+    tokens.push({ type: 'operator', value: operator, position: start })
+    i += operator.length
+  }
+  tokens.push({ type: 'end', position: source.length })
+  return tokens
+}
+
+// Recursive descent parser; precedence from loosest to tightest is
+// ?:, or, and, not, comparisons, + -, * / %, unary minus, ^
+function parse(source) {
+  const tokens = tokenize(source)
+  let pos = 0
+
+  const peek = () => tokens[pos]
+  const isOperator = (...values) => peek().type === 'operator' && values.includes(peek().value)
+  const expect = (value) => {
+    if (!isOperator(value)) {
+      throw syntaxError(`Expected "${value}"`, peek().position)
+    }
+    pos++
+  }
+
+  const parseConditional = () => {
+    const test = parseOr()
+    if (isOperator('?')) {
+      pos++
+      const consequent = parseConditional()
+      expect(':')
+      const alternate = parseConditional()
+      return { type: 'call', name: 'if', args: [test, consequent, alternate] }
+    }
+    return test
+  }
+
+  const parseLogical = (op, next) => () => {
+    let left = next()
+    while (isOperator(op)) {
+      pos++
+      left = { type: 'logical', op, left, right: next() }
+    }
+    return left
+  }
+
+  const parseNot = () => {
+    if (isOperator('!')) {
+      pos++
+      return { type: 'unary', op: '!', argument: parseNot() }
+    }
+    return parseComparison()
+  }
+
+  const parseComparison = () => {
+    const left = parseAdditive()
+    if (isOperator(...COMPARISONS)) {
+      const op = tokens[pos++].value
+      return { type: 'binary', op, left, right: parseAdditive() }
+    }
+    return left
+  }
+
+  const parseBinary = (ops, next) => () => {
+    let left = next()
+    while (isOperator(...ops)) {
+      const op = tokens[pos++].value
+      left = { type: 'binary', op, left, right: next() }
+    }
+    return left
+  }
+
+  const parseUnary = () => {
+    if (isOperator('-', '+')) {
+      const op = tokens[pos++].value
+      return { type: 'unary', op, argument: parseUnary() }
+    }
+    return parsePower()
+  }
+
+  const parsePower = () => {
+    const base = parsePrimary()
+    if (isOperator('^')) {
+      pos++
+      return { type: 'binary', op: '^', left: base, right: parseUnary() }
+    }
+    return base
+  }
+
+  const parsePrimary = () => {
+    const token = peek()
+    if (token.type === 'number' || token.type === 'string') {
+      pos++
+      return { type: 'literal', value: token.value }
+    }
+    if (token.type === 'column') {
+      pos++
+      return { type: 'column', name: token.value, position: token.position }
+    }
+    if (token.type === 'identifier') {
+      pos++
+      const lower = token.value.toLowerCase()
+      if (isOperator('(')) {
+        pos++
+        const args = []
+        if (!isOperator(')')) {
+          args.push(parseConditional())
+          while (isOperator(',')) {
+            pos++
+            args.push(parseConditional())
+          }
+        }
+        expect(')')
+        return { type: 'call', name: lower, args, position: token.position }
+      }
+      if (lower === 'true' || lower === 'false') {
+        return { type: 'literal', value: lower === 'true' }
+      }
+      if (lower === 'null') {
+        return { type: 'literal', value: null }
+      }
+      return { type: 'column', name: token.value, position: token.position }
+    }
+    if (isOperator('(')) {
+      pos++
+      const inner = parseConditional()
+      expect(')')
+      return inner
+    }
+    throw syntaxError(token.type === 'end' ? 'Unexpected end of formula' : 'Unexpected token', token.position)
+  }
+
+  const parseAnd = parseLogical('&&', parseNot)
+  const parseOr = parseLogical('||', parseAnd)
+  const parseMultiplicative = parseBinary(['*', '/', '%'], parseUnary)
+  const parseAdditive = parseBinary(['+', '-'], parseMultiplicative)
+
+  if (peek().type === 'end') {
+    throw new Error('The formula is empty')
+  }
+  const tree = parseConditional()
+  if (peek().type !== 'end') {
+    throw syntaxError('Unexpected token', peek().position)
+  }
+  return tree
+}
+
+// Numeric view of a value: numeric text counts, anything else is null
+function toNumber(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null
+  }
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0
+  }
+  if (typeof value === 'string' && value.trim() !== '') {
+    const number = Number(value)
+    return Number.isFinite(number) ? number : null
+  }
+  return null
+}
+
+const finite = (value) => (Number.isFinite(value) ? value : null)
+const isTruthy = (value) => value != null && value !== false && value !== 0 && value !== ''
+const toText = (value) => (value == null ? '' : String(value))
+
+// Numeric function of fixed arguments; any null argument gives null
+const numeric = (fn) => (...args) => {
+  const numbers = args.map(toNumber)
+  return numbers.includes(null) ? null : finite(fn(...numbers))
+}
+
+const areaOf = (context) => (context.feature ? geometryArea(context.feature.geometry) : null)
+const lengthOf = (context) => (context.feature ? geometryLength(context.feature.geometry) : null)
+
+// Functions available in formulas. `lazy` functions receive thunks so only
+// the branch that is needed gets evaluated; `geometry` ones read the feature.
+export const EXPRESSION_FUNCTIONS = {
+  if: {
+    signature: 'if(condition, then, else)',
+    description: 'then when the condition holds, else otherwise',
+    arity: [2, 3],
+    lazy: true,
+    fn: (test, consequent, alternate) => (isTruthy(test()) ? consequent() : alternate ? alternate() : null),
+  },
+  coalesce: {
+    signature: 'coalesce(a, b, ...)',
+    description: 'First value that is not null',
+    arity: [1, Infinity],
+    lazy: true,
+    fn: (...args) => {
+      for (const arg of args) {
+        const value = arg()
+        if (value != null && value !== '') return value
+      }
+      return null
+    },
+  },
+  isnull: {
+    signature: 'isnull(value)',
+    description: 'True when the value is missing or empty',
+    arity: [1, 1],
+    fn: (value) => value == null || value === '',
+  },
+  abs: { signature: 'abs(x)', description: 'Absolute value', arity: [1, 1], fn: numeric(Math.abs) },
+  round: {
+    signature: 'round(x, digits)',
+    description: 'Round to the given number of decimals (default 0)',
+    arity: [1, 2],
+    fn: numeric((x, digits = 0) => {
+      const factor = 10 ** Math.round(digits)
+      return Math.round(x * factor) / factor
+    }),
+  },
+  floor: { signature: 'floor(x)', description: 'Round down', arity: [1, 1], fn: numeric(Math.floor) },
+  ceil: { signature: 'ceil(x)', description: 'Round up', arity: [1, 1], fn: numeric(Math.ceil) },
+  sqrt: { signature: 'sqrt(x)', description: 'Square root', arity: [1, 1], fn: numeric(Math.sqrt) },
+  pow: { signature: 'pow(x, y)', description: 'x to the power of y', arity: [2, 2], fn: numeric(Math.pow) },
+  exp: { signature: 'exp(x)', description: 'e to the power of x', arity: [1, 1], fn: numeric(Math.exp) },
+  ln: { signature: 'ln(x)', description: 'Natural logarithm', arity: [1, 1], fn: numeric(Math.log) },
+  log10: { signature: 'log10(x)', description: 'Base 10 logarithm', arity: [1, 1], fn: numeric(Math.log10) },
+  min: {
+    signature: 'min(a, b, ...)',
+    description: 'Smallest of the values, ignoring nulls',
+    arity: [1, Infinity],
+    fn: (...args) => {
+      const numbers = args.map(toNumber).filter((n) => n != null)
+      return numbers.length > 0 ? Math.min(...numbers) : null
+    },
+  },
+  max: {
+    signature: 'max(a, b, ...)',
+    description: 'Largest of the values, ignoring nulls',
+    arity: [1, Infinity],
+    fn: (...args) => {
+      const numbers = args.map(toNumber).filter((n) => n != null)
+      return numbers.length > 0 ? Math.max(...numbers) : null
+    },
+  },
+  number: { signature: 'number(x)', description: 'Value as a number, null if not numeric', arity: [1, 1], fn: toNumber },
+  text: { signature: 'text(x)', description: 'Value as text', arity: [1, 1], fn: toText },
+  concat: {
+    signature: 'concat(a, b, ...)',
+    description: 'Join values as text',
+    arity: [1, Infinity],
+    fn: (...args) => args.map(toText).join(''),
+  },
+  upper: { signature: 'upper(text)', description: 'Upper case', arity: [1, 1], fn: (v) => toText(v).toUpperCase() },
+  lower: { signature: 'lower(text)', description: 'Lower case', arity: [1, 1], fn: (v) => toText(v).toLowerCase() },
+  len: { signature: 'len(text)', description: 'Number of characters', arity: [1, 1], fn: (v) => toText(v).length },
+  area: {
+    signature: 'area()',
+    description: 'Area of the matched feature in square metres',
+    arity: [0, 0],
+    geometry: true,
+    fn: areaOf,
+  },
+  area_ha: {
+    signature: 'area_ha()',
+    description: 'Area of the matched feature in hectares',
+    arity: [0, 0],
+    geometry: true,
+    fn: (context) => {
+      const area = areaOf(context)
+      return area == null ? null : area / 10000
+    },
+  },
+  length: {
+    signature: 'length()',
+    description: 'Length (or perimeter) of the matched feature in metres',
+    arity: [0, 0],
+    geometry: true,
+    fn: lengthOf,
+  },
+}
+
+function compare(op, a, b) {
+  const x = toNumber(a)
+  const y = toNumber(b)
+  const numeric = x != null && y != null
+  const left = numeric ? x : toText(a)
+  const right = numeric ? y : toText(b)
+  switch (op) {
+    case '=':
+    case '==':
+      return left === right
+    case '!=':
+    case '<>':
+      return left !== right
+    case '<':
+      return left < right
+    case '<=':
+      return left <= right
+    case '>':
+      return left > right
+    default:
+      return left >= right
+  }
+}
+
+const ARITHMETIC = {
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => (b === 0 ? null : a / b),
+  '%': (a, b) => (b === 0 ? null : a % b),
+  '^': (a, b) => a ** b,
+}
+
+// Turn the tree into nested closures taking { row, feature }
+function compileNode(node, references) {
+  switch (node.type) {
+    case 'literal':
+      return () => node.value
+    case 'column': {
+      references.add(node.name)
+      return (context) => {
+        const value = context.row && Object.hasOwn(context.row, node.name) ? context.row[node.name] : undefined
+        return value === undefined || value === '' ? null : value
+      }
+    }
+    case 'unary': {
+      const argument = compileNode(node.argument, references)
+      if (node.op === '!') {
+        return (context) => !isTruthy(argument(context))
+      }
+      return (context) => {
+        const value = toNumber(argument(context))
+        return value == null ? null : node.op === '-' ? -value : value
+      }
+    }
+    case 'logical': {
+      const left = compileNode(node.left, references)
+      const right = compileNode(node.right, references)
+      return node.op === '&&'
+        ? (context) => isTruthy(left(context)) && isTruthy(right(context))
+        : (context) => isTruthy(left(context)) || isTruthy(right(context))
+    }
+    case 'binary': {
+      const left = compileNode(node.left, references)
+      const right = compileNode(node.right, references)
+      if (COMPARISONS.includes(node.op)) {
+        return (context) => {
+          const a = left(context)
+          const b = right(context)
+          return a == null || b == null ? null : compare(node.op, a, b)
+        }
+      }
+      const apply = ARITHMETIC[node.op]
+      return (context) => {
+        const a = toNumber(left(context))
+        const b = toNumber(right(context))
+        return a == null || b == null ? null : finite(apply(a, b))
+      }
+    }
+    case 'call': {
+      // Own properties only, so names such as "constructor" stay unknown
+      const definition = Object.hasOwn(EXPRESSION_FUNCTIONS, node.name) ? EXPRESSION_FUNCTIONS[node.name] : null
+      if (!definition) {
+        throw syntaxError(`Unknown function "${node.name}"`, node.position ?? 0)
+      }
+      const [minArgs, maxArgs] = definition.arity
+      if (node.args.length < minArgs || node.args.length > maxArgs) {
+        throw syntaxError(`${definition.signature} takes ${minArgs === maxArgs ? minArgs : `${minArgs} to ${maxArgs}`} argument(s)`, node.position ?? 0)
+      }
+      const args = node.args.map((arg) => compileNode(arg, references))
+      if (definition.geometry) {
+        return (context) => definition.fn(context)
+      }
+      if (definition.lazy) {
+        return (context) => definition.fn(...args.map((arg) => () => arg(context)))
+      }
+      return (context) => definition.fn(...args.map((arg) => arg(context)))
+    }
+    default:
+      throw new Error(`Unsupported expression node: ${node.type}`)
+  }
+}
+
+// Parse and check a formula. `columns` lists the names it may reference;
+// unknown names are reported rather than silently evaluating to null.
+export function compileExpression(source, { columns } = {}) {
+  const references = new Set()
+  const evaluate = compileNode(parse(source), references)
+  if (columns) {
+    const unknown = [...references].filter((name) => !columns.includes(name))
+    if (unknown.length > 0) {
+      throw new Error(`Unknown column${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`)
+    }
+  }
+  return {
+    references: [...references],
+    evaluate: (context) => {
+      const value = evaluate(context)
+      return typeof value === 'number' ? finite(value) : value
+    },
+  }
+}
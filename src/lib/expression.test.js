@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest'
+import { compileExpression } from './expression'
+
+const evaluate = (source, row = {}, options) => compileExpression(source, options).evaluate({ row, feature: null })
+
+describe('compileExpression', () => {
+  it('evaluates arithmetic with precedence', () => {
+    expect(evaluate('revenue - cost * 2', { revenue: 10, cost: 3 })).toBe(4)
+    expect(evaluate('2 ^ 3 + 1')).toBe(9)
+  })
+
+  it('reads bracketed column names', () => {
+    expect(evaluate('[Revenue 2024] / 2', { 'Revenue 2024': 8 })).toBe(4)
+  })
+
+  it('gives null for missing values and division by zero', () => {
+    expect(evaluate('a + 1', { a: '' })).toBeNull()
+    expect(evaluate('a / b', { a: 1, b: 0 })).toBeNull()
+  })
+
+  it('evaluates only the branch of if() that is needed', () => {
+    expect(evaluate('if(cost > 0, revenue / cost, null)', { revenue: 6, cost: 0 })).toBeNull()
+    expect(evaluate('if(cost > 0, revenue / cost, null)', { revenue: 6, cost: 3 })).toBe(2)
+  })
+
+  it('accepts keyword operators', () => {
+    expect(evaluate('a > 1 and not b', { a: 2, b: 0 })).toBe(true)
+  })
+
+  it.each(['constructor', 'toString', '__proto__', 'hasOwnProperty'])('reports %s() as an unknown function', (name) => {
+    expect(() => compileExpression(`${name}(1)`)).toThrow(new RegExp(`Unknown function "${name}"`, 'i'))
+  })
+
+  it('does not read inherited properties as columns', () => {
+    expect(evaluate('constructor')).toBeNull()
+    expect(evaluate('toString', {})).toBeNull()
+  })
+
+  it('reports unknown columns', () => {
+    expect(() => compileExpression('a + b', { columns: ['a'] })).toThrow('Unknown column: b')
+  })
+
+  it('reports syntax errors with their position', () => {
+    expect(() => compileExpression('(1 + 2')).toThrow(/at character/)
+  })
+})
@@ -0,0 +1,251 @@
+// Editing of a layer's features: drawn features with joinable ids, geometry
+// replacement, splitting and deletion. Edits never change a collection in
+// place, so the previous collection can be kept for undo.
+import { FEATURE_KEY_PLACEMARK_ID, featureKeyProperties, getFeatureKey } from './join'
+import { pointInRing } from './geometry'
+
+export const EMPTY_EDIT_HISTORY = { undo: [], redo: [] }
+const MAX_UNDO_STEPS = 50
+
+// Keys of the features under the chosen key source, as strings
+export function usedFeatureKeys(features, featureKey) {
+  return new Set(
+    features
+      .map((feature) => getFeatureKey(feature, featureKey))
+      .filter((key) => key != null && key !== '')
+      .map(String),
+  )
+}
+
+// A free key following the most common "prefix + number" pattern of the
+// existing keys, keeping its zero padding: P-0098, P-0099 -> P-0100
+export function nextFeatureId(features, featureKey) {
+  const keys = usedFeatureKeys(features, featureKey)
+  const patterns = new Map()
+  keys.forEach((key) => {
+    const match = /^(.*?)(\d{1,15})$/.exec(key)
+    if (!match) return
+    const [, prefix, digits] = match
+    const pattern = patterns.get(prefix) || { count: 0, max: 0, width: 0 }
+    pattern.count += 1
+    pattern.max = Math.max(pattern.max, Number(digits))
+    pattern.width = Math.max(pattern.width, digits.length)
+    patterns.set(prefix, pattern)
+  })
+  const [prefix, pattern] = Array.from(patterns.entries()).sort((a, b) => b[1].count - a[1].count)[0] || [
+    'new-',
+    { max: 0, width: 1 },
+  ]
+  let number = pattern.max + 1
+  let candidate = `${prefix}${String(number).padStart(pattern.width, '0')}`
+  while (keys.has(candidate)) {
+    number += 1
+    candidate = `${prefix}${String(number).padStart(pattern.width, '0')}`
+  }
+  return candidate
+}
+
+// A feature whose key under the layer's key source is `id`
+function keyedFeature(geometry, properties, featureKey, id) {
+  return {
+    type: 'Feature',
+    ...(featureKey === FEATURE_KEY_PLACEMARK_ID ? { id } : {}),
+    properties: { ...properties, ...featureKeyProperties(featureKey, id) },
+    geometry,
+  }
+}
+
+export function addFeature(geojson, geometry, { id, name }, featureKey) {
+  const feature = keyedFeature(geometry, name ? { name } : {}, featureKey, id)
+  return { ...geojson, features: [...geojson.features, feature] }
+}
+
+export function replaceFeatureGeometry(geojson, featureIndex, geometry) {
+  return {
+    ...geojson,
+    features: geojson.features.map((feature, idx) => (idx === featureIndex ? { ...feature, geometry } : feature)),
+  }
+}
+
+export function removeFeature(geojson, featureIndex) {
+  return { ...geojson, features: geojson.features.filter((_, idx) => idx !== featureIndex) }
+}
+
+// Replace a feature by the given parts. The first part keeps the feature's
+// key; the others are appended with keys derived from it (123 -> 123-2) and
+// stay in the original's KML folder with its style.
+export function replaceWithParts(geojson, featureIndex, geometries, featureKey) {
+  const original = geojson.features[featureIndex]
+  const keys = usedFeatureKeys(geojson.features, featureKey)
+  const baseKey = getFeatureKey(original, featureKey)
+  const extra = []
+  let suffix = 2
+  geometries.slice(1).forEach((geometry) => {
+    let key
+    if (baseKey == null || baseKey === '') {
+      key = nextFeatureId([...geojson.features, ...extra], featureKey)
+    } else {
+      while (keys.has(`${baseKey}-${suffix}`)) suffix += 1
+      key = `${baseKey}-${suffix}`
+      keys.add(key)
+    }
+    const { kmlFolder, kmlStyle } = original
+    extra.push({ ...keyedFeature(geometry, original.properties, featureKey, key), kmlFolder, kmlStyle })
+  })
+  return {
+    ...geojson,
+    features: [
+      ...geojson.features.map((feature, idx) => (idx === featureIndex ? { ...feature, geometry: geometries[0] } : feature)),
+      ...extra,
+    ],
+  }
+}
+
+export function isMultiPart(geometry) {
+  if (!geometry) return false
+  if (geometry.type === 'GeometryCollection') return geometry.geometries.length > 1
+  return geometry.type.startsWith('Multi') && geometry.coordinates.length > 1
+}
+
+// The parts of a multi-part geometry as single geometries
+export function explodeGeometry(geometry) {
+  if (geometry.type === 'GeometryCollection') {
+    return geometry.geometries
+  }
+  const type = geometry.type.replace(/^Multi/, '')
+  return geometry.coordinates.map((coordinates) => ({ type, coordinates }))
+}
+
+const samePosition = (a, b) => Math.abs(a[0] - b[0]) < 1e-12 && Math.abs(a[1] - b[1]) < 1e-12
+
+const dropRepeats = (positions) => positions.filter((p, idx) => idx === 0 || !samePosition(p, positions[idx - 1]))
+
+// Where segments p1-p2 and q1-q2 cross, with the fraction along each
+function segmentIntersection(p1, p2, q1, q2) {
+  const r = [p2[0] - p1[0], p2[1] - p1[1]]
+  const s = [q2[0] - q1[0], q2[1] - q1[1]]
+  const denominator = r[0] * s[1] - r[1] * s[0]
+  if (denominator === 0) {
+    return null // Parallel or collinear
+  }
+  const qp = [q1[0] - p1[0], q1[1] - p1[1]]
+  const t = (qp[0] * s[1] - qp[1] * s[0]) / denominator
+  const u = (qp[0] * r[1] - qp[1] * r[0]) / denominator
+  if (t < 0 || t > 1 || u < 0 || u > 1) {
+    return null
+  }
+  return { t, u, point: [p1[0] + t * r[0], p1[1] + t * r[1]] }
+}
+
+// Crossings of a path with the cutting line, each with its position along
+// both (segment index plus fraction). A crossing exactly at a vertex is
+// found on both adjacent segments and kept once.
+function crossings(path, cut) {
+  const hits = []
+  for (let i = 0; i < path.length - 1; i++) {
+    for (let j = 0; j < cut.length - 1; j++) {
+      const hit = segmentIntersection(path[i], path[i + 1], cut[j], cut[j + 1])
+      if (hit && !hits.some((other) => samePosition(other.point, hit.point))) {
+        hits.push({ point: hit.point, pathIndex: i, pathPos: i + hit.t, cutPos: j + hit.u })
+      }
+    }
+  }
+  return hits.sort((a, b) => a.pathPos - b.pathPos)
+}
+
+function splitLineString(positions, cut) {
+  const hits = crossings(positions, cut).filter((hit) => hit.pathPos > 0 && hit.pathPos < positions.length - 1)
+  if (hits.length === 0) {
+    throw new Error('The cutting line does not cross the line')
+  }
+  const pieces = []
+  let current = [positions[0]]
+  let next = 0
+  for (let i = 0; i < positions.length - 1; i++) {
+    while (next < hits.length && hits[next].pathIndex === i) {
+      current.push(hits[next].point)
+      pieces.push(current)
+      current = [hits[next].point]
+      next += 1
+    }
+    current.push(positions[i + 1])
+  }
+  pieces.push(current)
+  return pieces.map(dropRepeats).filter((piece) => piece.length >= 2)
+}
+
+// Vertices of the cutting line strictly between two positions along it, in
+// the direction from `from` to `to`
+function cutVerticesBetween(cut, from, to) {
+  const vertices = []
+  if (from < to) {
+    for (let k = Math.floor(from) + 1; k < to; k++) vertices.push(cut[k])
+  } else {
+    for (let k = Math.ceil(from) - 1; k > to; k--) vertices.push(cut[k])
+  }
+  return vertices
+}
+
+const closeRing = (positions) => {
+  const ring = dropRepeats(positions)
+  return samePosition(ring[0], ring[ring.length - 1]) ? ring : [...ring, ring[0]]
+}
+
+// Two polygons from one whose outline the cutting line crosses twice
+function splitPolygonRings(rings, cut) {
+  const [outer, ...holes] = rings
+  if (holes.some((hole) => crossings(hole, cut).length > 0)) {
+    throw new Error('The cutting line must not cross a hole of the polygon')
+  }
+  const hits = crossings(outer, cut)
+  if (hits.length !== 2) {
+    throw new Error(`The cutting line must cross the outline exactly twice (it crosses it ${hits.length} time(s))`)
+  }
+  const [a, b] = hits
+  const inner = cutVerticesBetween(cut, a.cutPos, b.cutPos)
+  // A line that leaves the polygon and comes back would cut outside it
+  const firstStep = inner[0] || b.point
+  const probe = [(a.point[0] + firstStep[0]) / 2, (a.point[1] + firstStep[1]) / 2]
+  if (!pointInRing(probe, outer)) {
+    throw new Error('The cutting line must run through the polygon from one side to the other')
+  }
+
+  const open = samePosition(outer[0], outer[outer.length - 1]) ? outer.slice(0, -1) : outer
+  const first = closeRing([
+    a.point,
+    ...open.slice(a.pathIndex + 1, b.pathIndex + 1),
+    b.point,
+    ...[...inner].reverse(),
+  ])
+  const second = closeRing([
+    b.point,
+    ...open.slice(b.pathIndex + 1),
+    ...open.slice(0, a.pathIndex + 1),
+    a.point,
+    ...inner,
+  ])
+  return [first, second].map((ring) => [ring, ...holes.filter((hole) => pointInRing(hole[0], ring))])
+}
+
+// Split a polygon or line along a drawn line ([lng, lat] positions)
+export function splitGeometry(geometry, cut) {
+  switch (geometry?.type) {
+    case 'Polygon':
+      return splitPolygonRings(geometry.coordinates, cut).map((coordinates) => ({ type: 'Polygon', coordinates }))
+    case 'LineString':
+      return splitLineString(geometry.coordinates, cut).map((coordinates) => ({ type: 'LineString', coordinates }))
+    default:
+      throw new Error('Only polygons and lines can be split along a line')
+  }
+}
+
+export function recordEdit(history, edit) {
+  return { undo: [...history.undo, edit].slice(-MAX_UNDO_STEPS), redo: [] }
+}
+
+export function forgetLayerEdits(history, layerId) {
+  return {
+    undo: history.undo.filter((edit) => edit.layerId !== layerId),
+    redo: history.redo.filter((edit) => edit.layerId !== layerId),
+  }
+}
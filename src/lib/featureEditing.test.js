@@ -0,0 +1,155 @@
+import { describe, expect, it } from 'vitest'
+import { FEATURE_KEY_NAME, FEATURE_KEY_PLACEMARK_ID, getFeatureKey, propertyKeySource } from './join'
+import { geometryArea } from './geometry'
+import { nextFeatureId, replaceWithParts, splitGeometry } from './featureEditing'
+
+const square = {
+  type: 'Polygon',
+  coordinates: [
+    [
+      [0, 0],
+      [2, 0],
+      [2, 2],
+      [0, 2],
+      [0, 0],
+    ],
+  ],
+}
+
+const feature = (properties, geometry = square) => ({ type: 'Feature', properties, geometry })
+
+describe('splitGeometry', () => {
+  it('splits a polygon along a line crossing it', () => {
+    const parts = splitGeometry(square, [
+      [1, -1],
+      [1, 3],
+    ])
+    expect(parts).toHaveLength(2)
+    parts.forEach((part) => {
+      const [ring] = part.coordinates
+      expect(ring[0]).toEqual(ring.at(-1))
+      expect(ring.every(([lng]) => lng <= 1) || ring.every(([lng]) => lng >= 1)).toBe(true)
+    })
+    const areas = parts.map((part) => geometryArea(part))
+    expect(areas[0]).toBeCloseTo(areas[1], 0)
+    expect(areas[0] + areas[1]).toBeCloseTo(geometryArea(square), 0)
+  })
+
+  it('keeps a hole with the part it lies in', () => {
+    const hole = [
+      [1.5, 0.5],
+      [1.8, 0.5],
+      [1.8, 0.8],
+      [1.5, 0.5],
+    ]
+    const parts = splitGeometry({ type: 'Polygon', coordinates: [square.coordinates[0], hole] }, [
+      [1, -1],
+      [1, 3],
+    ])
+    expect(parts.map((part) => part.coordinates.length).sort()).toEqual([1, 2])
+  })
+
+  it('splits a line where the cutting line crosses it', () => {
+    const line = {
+      type: 'LineString',
+      coordinates: [
+        [0, 0],
+        [4, 0],
+      ],
+    }
+    expect(
+      splitGeometry(line, [
+        [1, -1],
+        [1, 1],
+      ]),
+    ).toEqual([
+      {
+        type: 'LineString',
+        coordinates: [
+          [0, 0],
+          [1, 0],
+        ],
+      },
+      {
+        type: 'LineString',
+        coordinates: [
+          [1, 0],
+          [4, 0],
+        ],
+      },
+    ])
+  })
+
+  it('refuses a cutting line that misses the feature and leaves it unchanged', () => {
+    const before = structuredClone(square)
+    const miss = [
+      [5, -1],
+      [5, 3],
+    ]
+    expect(() => splitGeometry(square, miss)).toThrow(/exactly twice/)
+    expect(() =>
+      splitGeometry(
+        {
+          type: 'LineString',
+          coordinates: [
+            [0, 0],
+            [4, 0],
+          ],
+        },
+        miss,
+      ),
+    ).toThrow('does not cross')
+    expect(square).toEqual(before)
+  })
+
+  it('refuses points', () => {
+    expect(() => splitGeometry({ type: 'Point', coordinates: [0, 0] }, [])).toThrow(/Only polygons and lines/)
+  })
+})
+
+describe('replaceWithParts', () => {
+  const left = { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]] }
+  const right = { type: 'Polygon', coordinates: [[[1, 0], [2, 0], [2, 1], [1, 0]]] }
+
+  it('keeps the key on the first part and derives keys for the others', () => {
+    const original = { ...feature({ code: 'A1', name: 'Field', area: 12 }), kmlFolder: 'f1', kmlStyle: { fillColor: '#f00' } }
+    const geojson = { type: 'FeatureCollection', features: [original, feature({ code: 'A1-2' })] }
+    const featureKey = propertyKeySource('code')
+    const result = replaceWithParts(geojson, 0, [left, right, right], featureKey)
+
+    expect(geojson.features[0]).toBe(original)
+    expect(result.features[0]).toEqual({ ...original, geometry: left })
+    const added = result.features.slice(2)
+    expect(added.map((part) => getFeatureKey(part, featureKey))).toEqual(['A1-3', 'A1-4'])
+    added.forEach((part) => {
+      expect(part.properties).toMatchObject({ name: 'Field', area: 12 })
+      expect(part.kmlFolder).toBe('f1')
+      expect(part.kmlStyle).toBe(original.kmlStyle)
+      expect(part.geometry).toBe(right)
+    })
+  })
+
+  it('gives placemark id keys a feature id as well', () => {
+    const geojson = { type: 'FeatureCollection', features: [{ ...feature({ placemarkId: 'P-7' }), id: 'P-7' }] }
+    const [, part] = replaceWithParts(geojson, 0, [left, right], FEATURE_KEY_PLACEMARK_ID).features
+    expect(part.id).toBe('P-7-2')
+    expect(part.properties.placemarkId).toBe('P-7-2')
+  })
+
+  it('uses the next free id for features without a key', () => {
+    const geojson = { type: 'FeatureCollection', features: [feature({}), feature({ name: 'n-04' })] }
+    const [, , part] = replaceWithParts(geojson, 0, [left, right], FEATURE_KEY_NAME).features
+    expect(part.properties.name).toBe('n-05')
+  })
+})
+
+describe('nextFeatureId', () => {
+  it('follows the most common pattern and keeps its padding', () => {
+    const features = ['P-0098', 'P-0099', 'X1'].map((name) => feature({ name }))
+    expect(nextFeatureId(features, FEATURE_KEY_NAME)).toBe('P-0100')
+  })
+
+  it('starts a pattern when no key has one', () => {
+    expect(nextFeatureId([feature({ name: 'north' })], FEATURE_KEY_NAME)).toBe('new-1')
+  })
+})
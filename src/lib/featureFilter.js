@@ -0,0 +1,177 @@
+// Attribute filters: conditions on the joined table row, combined in AND/OR
+// groups. Features whose row does not pass are either hidden or dimmed.
+let nextNodeId = 1
+
+export const FILTER_MODES = {
+  dim: 'Dim others',
+  hide: 'Hide others',
+}
+
+export const NUMERIC_OPERATORS = {
+  between: 'between',
+  eq: '=',
+  ne: '≠',
+  gt: '>',
+  gte: '≥',
+  lt: '<',
+  lte: '≤',
+  empty: 'is empty',
+  notEmpty: 'is not empty',
+}
+
+export const TEXT_OPERATORS = {
+  equals: 'equals',
+  notEquals: 'does not equal',
+  contains: 'contains',
+  notContains: 'does not contain',
+  empty: 'is empty',
+  notEmpty: 'is not empty',
+}
+
+// Operators that take no value
+const UNARY_OPERATORS = ['empty', 'notEmpty']
+
+export function createCondition(column = '', numeric = false) {
+  return {
+    id: `condition-${nextNodeId++}`,
+    type: 'condition',
+    column,
+    operator: numeric ? 'between' : 'equals',
+    value: null,
+    valueTo: null,
+  }
+}
+
+export function createGroup(combinator = 'and') {
+  return { id: `group-${nextNodeId++}`, type: 'group', combinator, children: [] }
+}
+
+export const DEFAULT_FEATURE_FILTER = {
+  mode: 'dim',
+  // Compute the color scale and legend over the matching features only
+  scaleToFiltered: false,
+  root: createGroup('and'),
+}
+
+const isEmptyValue = (value) => value === undefined || value === null || String(value).trim() === ''
+
+// Conditions still being filled in are ignored rather than matching nothing
+function isComplete(condition) {
+  if (!condition.column) {
+    return false
+  }
+  if (UNARY_OPERATORS.includes(condition.operator)) {
+    return true
+  }
+  if (condition.operator === 'between') {
+    return condition.value != null || condition.valueTo != null
+  }
+  return !isEmptyValue(condition.value)
+}
+
+function completeNodes(group) {
+  return group.children.filter((node) =>
+    node.type === 'group' ? completeNodes(node).length > 0 : isComplete(node),
+  )
+}
+
+export function isFilterActive(filter) {
+  return Boolean(filter) && completeNodes(filter.root).length > 0
+}
+
+export function countConditions(group) {
+  return group.children.reduce(
+    (sum, node) => sum + (node.type === 'group' ? countConditions(node) : 1),
+    0,
+  )
+}
+
+function testCondition(condition, row) {
+  const raw = row ? row[condition.column] : undefined
+  if (condition.operator === 'empty') {
+    return isEmptyValue(raw)
+  }
+  if (condition.operator === 'notEmpty') {
+    return !isEmptyValue(raw)
+  }
+  if (!row || isEmptyValue(raw)) {
+    return false
+  }
+
+  if (condition.operator in NUMERIC_OPERATORS) {
+    const value = Number(raw)
+    if (!Number.isFinite(value)) {
+      return false
+    }
+    const target = Number(condition.value)
+    switch (condition.operator) {
+      case 'between':
+        return (
+          (condition.value == null || value >= Number(condition.value)) &&
+          (condition.valueTo == null || value <= Number(condition.valueTo))
+        )
+      case 'eq':
+        return value === target
+      case 'ne':
+        return value !== target
+      case 'gt':
+        return value > target
+      case 'gte':
+        return value >= target
+      case 'lt':
+        return value < target
+      default:
+        return value <= target
+    }
+  }
+
+  const text = String(raw).trim().toLocaleLowerCase()
+  const target = String(condition.value).trim().toLocaleLowerCase()
+  switch (condition.operator) {
+    case 'equals':
+      return text === target
+    case 'notEquals':
+      return text !== target
+    case 'contains':
+      return text.includes(target)
+    default:
+      return !text.includes(target)
+  }
+}
+
+// Whether a joined row passes the group; an empty group passes everything
+export function evaluateFilterGroup(group, row) {
+  const nodes = completeNodes(group)
+  if (nodes.length === 0) {
+    return true
+  }
+  const test = (node) => (node.type === 'group' ? evaluateFilterGroup(node, row) : testCondition(node, row))
+  return group.combinator === 'or' ? nodes.some(test) : nodes.every(test)
+}
+
+// Immutable updates of one node anywhere in the tree
+export function updateFilterNode(group, nodeId, update) {
+  if (group.id === nodeId) {
+    return update(group)
+  }
+  return {
+    ...group,
+    children: group.children
+      .map((node) => {
+        if (node.id === nodeId) return update(node)
+        return node.type === 'group' ? updateFilterNode(node, nodeId, update) : node
+      })
+      .filter(Boolean),
+  }
+}
+
+// Copy of a group with fresh node ids, for filters loaded from a project
+export function cloneFilterGroup(group) {
+  return {
+    ...group,
+    id: createGroup().id,
+    children: group.children.map((node) =>
+      node.type === 'group' ? cloneFilterGroup(node) : { ...node, id: createCondition().id },
+    ),
+  }
+}
@@ -0,0 +1,77 @@
+import { describe, expect, it } from 'vitest'
+import {
+  DEFAULT_FEATURE_FILTER,
+  cloneFilterGroup,
+  countConditions,
+  createCondition,
+  createGroup,
+  evaluateFilterGroup,
+  isFilterActive,
+  updateFilterNode,
+} from './featureFilter'
+
+const condition = (column, operator, value, valueTo = null) => ({ ...createCondition(column), operator, value, valueTo })
+const group = (combinator, ...children) => ({ ...createGroup(combinator), children })
+
+describe('isFilterActive', () => {
+  it('ignores an empty filter and conditions still being filled in', () => {
+    expect(isFilterActive(DEFAULT_FEATURE_FILTER)).toBe(false)
+    expect(isFilterActive({ ...DEFAULT_FEATURE_FILTER, root: group('and', createCondition('population')) })).toBe(false)
+    expect(isFilterActive({ ...DEFAULT_FEATURE_FILTER, root: group('and', condition('name', 'empty', null)) })).toBe(true)
+  })
+})
+
+describe('evaluateFilterGroup', () => {
+  const row = { name: 'Szeged', population: 160000, county: '' }
+
+  it('compares numbers', () => {
+    expect(evaluateFilterGroup(group('and', condition('population', 'gt', 100000)), row)).toBe(true)
+    expect(evaluateFilterGroup(group('and', condition('population', 'between', 10, 1000)), row)).toBe(false)
+    expect(evaluateFilterGroup(group('and', condition('population', 'between', 150000, null)), row)).toBe(true)
+  })
+
+  it('compares text without regard to case and surrounding spaces', () => {
+    expect(evaluateFilterGroup(group('and', condition('name', 'equals', ' szeged ')), row)).toBe(true)
+    expect(evaluateFilterGroup(group('and', condition('name', 'contains', 'EG')), row)).toBe(true)
+    expect(evaluateFilterGroup(group('and', condition('name', 'notContains', 'pest')), row)).toBe(true)
+  })
+
+  it('tests empty cells and rows without a match', () => {
+    expect(evaluateFilterGroup(group('and', condition('county', 'empty', null)), row)).toBe(true)
+    expect(evaluateFilterGroup(group('and', condition('population', 'gt', 0)), null)).toBe(false)
+    expect(evaluateFilterGroup(group('and', condition('population', 'empty', null)), null)).toBe(true)
+  })
+
+  it('combines nested AND and OR groups', () => {
+    const filter = group(
+      'and',
+      condition('population', 'gte', 100000),
+      group('or', condition('name', 'equals', 'Debrecen'), condition('name', 'equals', 'Szeged')),
+    )
+    expect(evaluateFilterGroup(filter, row)).toBe(true)
+    expect(evaluateFilterGroup(filter, { ...row, name: 'Pécs' })).toBe(false)
+  })
+
+  it('passes everything when no condition is complete', () => {
+    expect(evaluateFilterGroup(group('or', createCondition('name')), row)).toBe(true)
+  })
+})
+
+describe('filter tree updates', () => {
+  it('updates and removes nested nodes without changing the original', () => {
+    const inner = condition('name', 'equals', 'Szeged')
+    const root = group('and', group('or', inner))
+    const updated = updateFilterNode(root, inner.id, (node) => ({ ...node, value: 'Pécs' }))
+    expect(updated.children[0].children[0].value).toBe('Pécs')
+    expect(inner.value).toBe('Szeged')
+    expect(countConditions(updateFilterNode(root, inner.id, () => null))).toBe(0)
+  })
+
+  it('gives clones fresh ids', () => {
+    const root = group('and', condition('name', 'equals', 'Szeged'))
+    const clone = cloneFilterGroup(root)
+    expect(clone.id).not.toBe(root.id)
+    expect(clone.children[0].id).not.toBe(root.children[0].id)
+    expect(clone.children[0].value).toBe('Szeged')
+  })
+})
@@ -0,0 +1,155 @@
+// Place search. A geocoder is { id, label, search(query, { signal, limit }) }
+// resolving to results of the form
+//   { id, label, description, lat, lng, bounds?, layerId?, featureIndex? }
+// with `bounds` as [[south, west], [north, east]]. Coordinates and the
+// features of the loaded layers are found offline; addresses and place names
+// come from a Nominatim-compatible service, which may be a local stand-in.
+import { parseCoordinates, formatDms, formatDecimal, COORDINATE_NOTATIONS } from './coordinates'
+import { getFeatureKey } from './join'
+import { geometryBounds } from './geometry'
+
+export const DEFAULT_NOMINATIM_URL = 'https://nominatim.openstreetmap.org'
+
+export const GEOCODER_PROVIDERS = {
+  nominatim: { label: 'Nominatim', create: (settings) => createNominatimGeocoder(settings) },
+  offline: { label: 'Offline (loaded layers only)', create: () => null },
+}
+
+export const DEFAULT_GEOCODER_SETTINGS = { provider: 'nominatim', url: DEFAULT_NOMINATIM_URL, countryCodes: '' }
+
+const SETTINGS_KEY = 'react-map:geocoder'
+const MAX_RESULTS = 8
+
+export function loadGeocoderSettings() {
+  try {
+    return { ...DEFAULT_GEOCODER_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) }
+  } catch {
+    return DEFAULT_GEOCODER_SETTINGS
+  }
+}
+
+export function saveGeocoderSettings(settings) {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings))
+  } catch (error) {
+    console.error('Error storing geocoder settings:', error)
+  }
+}
+
+// Case and accent insensitive form for matching names
+export const normaliseSearchText = (text) =>
+  String(text ?? '')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .trim()
+
+export const coordinateGeocoder = {
+  id: 'coordinates',
+  label: 'Coordinates',
+  search: async (query) => {
+    const position = parseCoordinates(query)
+    if (!position) {
+      return []
+    }
+    const { lat, lng, notation } = position
+    return [
+      {
+        id: `coordinates:${lat},${lng}`,
+        label: formatDecimal(lat, lng),
+        description: `${COORDINATE_NOTATIONS[notation]} · ${formatDms(lat, lng)}`,
+        lat,
+        lng,
+      },
+    ]
+  },
+}
+
+// Offline gazetteer of the loaded layers: every feature by its name and by
+// its key (see join.js). Exact matches rank above prefixes, prefixes above
+// matches inside the text.
+export function createGazetteer(layers) {
+  const entries = layers.flatMap((layer) =>
+    (layer.geojson?.features || []).flatMap((feature, featureIndex) => {
+      const bounds = geometryBounds(feature.geometry)
+      if (!bounds) {
+        return []
+      }
+      const name = feature.properties?.name || feature.properties?.Name || ''
+      const key = getFeatureKey(feature, layer.joinConfig.featureKey)
+      const terms = [name, key].filter((term) => term != null && term !== '').map(normaliseSearchText)
+      return [{ layer, featureIndex, bounds, name, key, terms }]
+    }),
+  )
+
+  return {
+    id: 'gazetteer',
+    label: 'Loaded layers',
+    search: async (query, { limit = MAX_RESULTS } = {}) => {
+      const needle = normaliseSearchText(query)
+      if (!needle) {
+        return []
+      }
+      const rank = (terms) =>
+        Math.max(...terms.map((term) => (term === needle ? 3 : term.startsWith(needle) ? 2 : term.includes(needle) ? 1 : 0)))
+      return entries
+        .map((entry) => ({ entry, score: rank(entry.terms) }))
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ entry: { layer, featureIndex, bounds, name, key } }) => ({
+          id: `feature:${layer.id}:${featureIndex}`,
+          label: name || String(key),
+          description: name && key != null && String(key) !== name ? `${layer.name} · ${key}` : layer.name,
+          lat: (bounds[1] + bounds[3]) / 2,
+          lng: (bounds[0] + bounds[2]) / 2,
+          bounds: [
+            [bounds[1], bounds[0]],
+            [bounds[3], bounds[2]],
+          ],
+          layerId: layer.id,
+          featureIndex,
+        }))
+    },
+  }
+}
+
+// Geocoder for a Nominatim-compatible /search endpoint
+export function createNominatimGeocoder({ url, countryCodes = '' } = {}) {
+  const endpoint = `${(url || DEFAULT_NOMINATIM_URL).replace(/\/+$/, '')}/search`
+  return {
+    id: 'nominatim',
+    label: 'Nominatim',
+    search: async (query, { signal, limit = MAX_RESULTS } = {}) => {
+      const params = new URLSearchParams({ q: query, format: 'jsonv2', limit: String(limit) })
+      if (countryCodes) {
+        params.set('countrycodes', countryCodes)
+      }
+      const response = await fetch(`${endpoint}?${params}`, { signal, headers: { Accept: 'application/json' } })
+      if (!response.ok) {
+        throw new Error(`The geocoder answered ${response.status} ${response.statusText}`)
+      }
+      const places = await response.json()
+      if (!Array.isArray(places)) {
+        throw new Error('The geocoder did not return a list of places')
+      }
+      return places.map((place) => {
+        // Nominatim bounding boxes are [south, north, west, east] strings
+        const [south, north, west, east] = (place.boundingbox || []).map(Number)
+        return {
+          id: `nominatim:${place.place_id ?? `${place.lat},${place.lon}`}`,
+          label: place.name || place.display_name,
+          description: place.display_name,
+          lat: Number(place.lat),
+          lng: Number(place.lon),
+          bounds: [south, north, west, east].every(Number.isFinite)
+            ? [
+                [south, west],
+                [north, east],
+              ]
+            : undefined,
+        }
+      })
+    },
+  }
+}
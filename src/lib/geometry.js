@@ -0,0 +1,220 @@
+// Measurements on WGS84 geometries. Areas and lengths are taken on a sphere
+// with the WGS84 equatorial radius, which is well within a percent of the
+// ellipsoidal values at parcel and district scale.
+
+const EARTH_RADIUS = 6378137
+const toRadians = (deg) => (deg * Math.PI) / 180
+
+// Area of a closed ring of [lng, lat] positions in square metres (unsigned)
+function ringArea(ring) {
+  const count = ring.length
+  if (count < 3) {
+    return 0
+  }
+  let total = 0
+  for (let i = 0; i < count; i++) {
+    const lower = ring[i]
+    const middle = ring[(i + 1) % count]
+    const upper = ring[(i + 2) % count]
+    total += (toRadians(upper[0]) - toRadians(lower[0])) * Math.sin(toRadians(middle[1]))
+  }
+  return Math.abs((total * EARTH_RADIUS * EARTH_RADIUS) / 2)
+}
+
+// Outer ring minus holes
+function polygonArea(rings) {
+  return rings.reduce((sum, ring, idx) => sum + (idx === 0 ? ringArea(ring) : -ringArea(ring)), 0)
+}
+
+// Great-circle distance between two [lng, lat] positions in metres
+export function distance(a, b) {
+  const dLat = toRadians(b[1] - a[1])
+  const dLng = toRadians(b[0] - a[0])
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a[1])) * Math.cos(toRadians(b[1])) * Math.sin(dLng / 2) ** 2
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)))
+}
+
+function pathLength(positions) {
+  let total = 0
+  for (let i = 1; i < positions.length; i++) {
+    total += distance(positions[i - 1], positions[i])
+  }
+  return total
+}
+
+// Area in square metres; zero for points and lines
+export function geometryArea(geometry) {
+  if (!geometry) {
+    return 0
+  }
+  switch (geometry.type) {
+    case 'Polygon':
+      return polygonArea(geometry.coordinates)
+    case 'MultiPolygon':
+      return geometry.coordinates.reduce((sum, polygon) => sum + polygonArea(polygon), 0)
+    case 'GeometryCollection':
+      return geometry.geometries.reduce((sum, part) => sum + geometryArea(part), 0)
+    default:
+      return 0
+  }
+}
+
+// Length of lines in metres; for polygons this is the perimeter of all rings
+export function geometryLength(geometry) {
+  if (!geometry) {
+    return 0
+  }
+  switch (geometry.type) {
+    case 'LineString':
+      return pathLength(geometry.coordinates)
+    case 'MultiLineString':
+    case 'Polygon':
+      return geometry.coordinates.reduce((sum, line) => sum + pathLength(line), 0)
+    case 'MultiPolygon':
+      return geometry.coordinates.reduce(
+        (sum, polygon) => sum + polygon.reduce((acc, ring) => acc + pathLength(ring), 0),
+        0,
+      )
+    case 'GeometryCollection':
+      return geometry.geometries.reduce((sum, part) => sum + geometryLength(part), 0)
+    default:
+      return 0
+  }
+}
+
+// Whether a [lng, lat] position lies inside a ring (even-odd rule, planar)
+export function pointInRing(point, ring) {
+  const [x, y] = point
+  let inside = false
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i]
+    const [xj, yj] = ring[j]
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside
+    }
+  }
+  return inside
+}
+
+// Inside the outer ring and outside every hole
+export function pointInPolygon(point, rings) {
+  return rings.length > 0 && pointInRing(point, rings[0]) && !rings.slice(1).some((hole) => pointInRing(point, hole))
+}
+
+// Planar centroid of a ring in degrees, weighted by its signed area
+function ringMoments(ring) {
+  let area = 0
+  let cx = 0
+  let cy = 0
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [x0, y0] = ring[j]
+    const [x1, y1] = ring[i]
+    const cross = x0 * y1 - x1 * y0
+    area += cross
+    cx += (x0 + x1) * cross
+    cy += (y0 + y1) * cross
+  }
+  return { area: area / 2, cx: cx / 6, cy: cy / 6 }
+}
+
+function collectParts(geometry, parts) {
+  if (!geometry) return parts
+  switch (geometry.type) {
+    case 'Point':
+      parts.points.push(geometry.coordinates)
+      break
+    case 'MultiPoint':
+      parts.points.push(...geometry.coordinates)
+      break
+    case 'LineString':
+      parts.lines.push(geometry.coordinates)
+      break
+    case 'MultiLineString':
+      parts.lines.push(...geometry.coordinates)
+      break
+    case 'Polygon':
+      parts.polygons.push(geometry.coordinates)
+      break
+    case 'MultiPolygon':
+      parts.polygons.push(...geometry.coordinates)
+      break
+    case 'GeometryCollection':
+      geometry.geometries.forEach((part) => collectParts(part, parts))
+      break
+    default:
+      break
+  }
+  return parts
+}
+
+// Positions of points, paths of lines and rings of polygons in a geometry
+export function geometryParts(geometry) {
+  return collectParts(geometry, { points: [], lines: [], polygons: [] })
+}
+
+// [minLng, minLat, maxLng, maxLat], or null for an empty geometry
+export function geometryBounds(geometry) {
+  const { points, lines, polygons } = geometryParts(geometry)
+  const positions = [...points, ...lines.flat(), ...polygons.flat(2)]
+  if (positions.length === 0) {
+    return null
+  }
+  return positions.reduce(
+    (bounds, [x, y]) => [Math.min(bounds[0], x), Math.min(bounds[1], y), Math.max(bounds[2], x), Math.max(bounds[3], y)],
+    [Infinity, Infinity, -Infinity, -Infinity],
+  )
+}
+
+// Centroid as [lng, lat]: area-weighted for polygons, length-weighted for
+// lines, the mean for points. Null for empty geometries.
+export function geometryCentroid(geometry) {
+  const { points, lines, polygons } = geometryParts(geometry)
+
+  if (polygons.length > 0) {
+    let area = 0
+    let x = 0
+    let y = 0
+    polygons.forEach((rings) =>
+      rings.forEach((ring, idx) => {
+        const moments = ringMoments(ring)
+        // Holes count against the outer ring whatever their winding
+        const sign = (idx === 0 ? 1 : -1) * Math.sign(moments.area)
+        area += sign * moments.area
+        x += sign * moments.cx
+        y += sign * moments.cy
+      }),
+    )
+    if (area !== 0) {
+      return [x / area, y / area]
+    }
+    lines.push(...polygons.flat())
+  }
+
+  if (lines.length > 0) {
+    let total = 0
+    let x = 0
+    let y = 0
+    lines.forEach((line) => {
+      for (let i = 1; i < line.length; i++) {
+        const length = Math.hypot(line[i][0] - line[i - 1][0], line[i][1] - line[i - 1][1])
+        total += length
+        x += ((line[i][0] + line[i - 1][0]) / 2) * length
+        y += ((line[i][1] + line[i - 1][1]) / 2) * length
+      }
+    })
+    if (total > 0) {
+      return [x / total, y / total]
+    }
+    points.push(...lines.flat())
+  }
+
+  if (points.length > 0) {
+    return [
+      points.reduce((sum, p) => sum + p[0], 0) / points.length,
+      points.reduce((sum, p) => sum + p[1], 0) / points.length,
+    ]
+  }
+  return null
+}
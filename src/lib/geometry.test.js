@@ -0,0 +1,134 @@
+import { describe, expect, it } from 'vitest'
+import {
+  distance,
+  geometryArea,
+  geometryBounds,
+  geometryCentroid,
+  geometryLength,
+  geometryParts,
+  pointInPolygon,
+  pointInRing,
+} from './geometry'
+
+const EARTH_RADIUS = 6378137
+const DEGREE = Math.PI / 180
+
+const ring = (minLng, minLat, maxLng, maxLat) => [
+  [minLng, minLat],
+  [maxLng, minLat],
+  [maxLng, maxLat],
+  [minLng, maxLat],
+  [minLng, minLat],
+]
+
+// 1° square on the equator, and a 4° square with a 1° hole off its centre
+const square = { type: 'Polygon', coordinates: [ring(0, 0, 1, 1)] }
+const holed = { type: 'Polygon', coordinates: [ring(0, 0, 4, 4), ring(2, 2, 3, 3)] }
+
+// Area between the equator and a parallel on the sphere: R² Δλ sin(φ)
+const bandArea = (lngDegrees, latDegrees) => EARTH_RADIUS ** 2 * lngDegrees * DEGREE * Math.sin(latDegrees * DEGREE)
+
+describe('distance', () => {
+  it('measures a degree of the equator and of a meridian as R·π/180', () => {
+    expect(distance([0, 0], [1, 0])).toBeCloseTo(EARTH_RADIUS * DEGREE, 3)
+    expect(distance([19, 47], [19, 48])).toBeCloseTo(EARTH_RADIUS * DEGREE, 3)
+  })
+
+  it('shortens a degree of longitude by the cosine of the latitude', () => {
+    expect(distance([0, 60], [1, 60]) / distance([0, 0], [1, 0])).toBeCloseTo(0.5, 4)
+  })
+})
+
+describe('geometryArea', () => {
+  it('measures a 1° square on the equator', () => {
+    expect(geometryArea(square)).toBeCloseTo(bandArea(1, 1), 0)
+    expect(geometryArea(square) / 1e6).toBeCloseTo(12391.4, 1)
+  })
+
+  it('does not depend on the winding of the ring', () => {
+    const reversed = { type: 'Polygon', coordinates: [[...square.coordinates[0]].reverse()] }
+    expect(geometryArea(reversed)).toBeCloseTo(geometryArea(square), 0)
+  })
+
+  it('subtracts holes', () => {
+    expect(geometryArea(holed)).toBeCloseTo(
+      geometryArea({ type: 'Polygon', coordinates: [holed.coordinates[0]] }) -
+        geometryArea({ type: 'Polygon', coordinates: [holed.coordinates[1]] }),
+      0,
+    )
+  })
+
+  it('adds up multi-part geometries and is zero for points and lines', () => {
+    const multi = { type: 'MultiPolygon', coordinates: [square.coordinates, [ring(0, -1, 1, 0)]] }
+    expect(geometryArea(multi)).toBeCloseTo(2 * bandArea(1, 1), 0)
+    expect(geometryArea({ type: 'GeometryCollection', geometries: [square, multi] })).toBeCloseTo(3 * bandArea(1, 1), 0)
+    expect(geometryArea({ type: 'LineString', coordinates: square.coordinates[0] })).toBe(0)
+    expect(geometryArea(null)).toBe(0)
+  })
+})
+
+describe('geometryLength', () => {
+  it('measures lines and the perimeter of every ring of a polygon', () => {
+    const side = distance([0, 0], [1, 0])
+    expect(geometryLength({ type: 'LineString', coordinates: [[0, 0], [1, 0], [2, 0]] })).toBeCloseTo(2 * side, 3)
+    expect(geometryLength(square)).toBeCloseTo(3 * side + distance([0, 1], [1, 1]), 3)
+    expect(geometryLength(holed)).toBeCloseTo(
+      geometryLength({ type: 'Polygon', coordinates: [holed.coordinates[0]] }) +
+        geometryLength({ type: 'Polygon', coordinates: [holed.coordinates[1]] }),
+      3,
+    )
+    expect(geometryLength({ type: 'Point', coordinates: [0, 0] })).toBe(0)
+  })
+})
+
+describe('geometryCentroid', () => {
+  it('takes the centre of a square', () => {
+    expect(geometryCentroid(square)).toEqual([0.5, 0.5])
+  })
+
+  it('weights by area and moves away from a hole', () => {
+    // (16 · 2 - 1 · 2.5) / 15 on both axes
+    const [lng, lat] = geometryCentroid(holed)
+    expect(lng).toBeCloseTo(29.5 / 15, 10)
+    expect(lat).toBeCloseTo(29.5 / 15, 10)
+  })
+
+  it('weights lines by length and averages points', () => {
+    const line = { type: 'MultiLineString', coordinates: [[[0, 0], [3, 0]], [[0, 3], [0, 4]]] }
+    expect(geometryCentroid(line)).toEqual([(1.5 * 3) / 4, 3.5 / 4])
+    expect(geometryCentroid({ type: 'MultiPoint', coordinates: [[0, 0], [2, 4]] })).toEqual([1, 2])
+    expect(geometryCentroid({ type: 'GeometryCollection', geometries: [] })).toBeNull()
+  })
+})
+
+describe('pointInPolygon', () => {
+  it('excludes points in a hole', () => {
+    expect(pointInPolygon([1, 1], holed.coordinates)).toBe(true)
+    expect(pointInPolygon([2.5, 2.5], holed.coordinates)).toBe(false)
+    expect(pointInPolygon([5, 1], holed.coordinates)).toBe(false)
+  })
+
+  it('gives a point on an edge shared by two squares to exactly one of them', () => {
+    const west = ring(0, 0, 1, 1)
+    const east = ring(1, 0, 2, 1)
+    expect([pointInRing([1, 0.5], west), pointInRing([1, 0.5], east)]).toEqual([false, true])
+  })
+
+  it('gives a corner shared by four squares to exactly one of them', () => {
+    const squares = [ring(0, 0, 1, 1), ring(1, 0, 2, 1), ring(0, 1, 1, 2), ring(1, 1, 2, 2)]
+    expect(squares.filter((candidate) => pointInRing([1, 1], candidate))).toHaveLength(1)
+  })
+})
+
+describe('geometryParts and geometryBounds', () => {
+  it('collects the parts of a collection and their extent', () => {
+    const collection = {
+      type: 'GeometryCollection',
+      geometries: [{ type: 'Point', coordinates: [-3, 5] }, square, { type: 'LineString', coordinates: [[0, 0], [2, -1]] }],
+    }
+    const parts = geometryParts(collection)
+    expect([parts.points.length, parts.lines.length, parts.polygons.length]).toEqual([1, 1, 1])
+    expect(geometryBounds(collection)).toEqual([-3, -1, 2, 5])
+    expect(geometryBounds(null)).toBeNull()
+  })
+})
@@ -0,0 +1,306 @@
+// Geometry import: detects the file format and converts KML, KMZ, GeoJSON,
+// zipped Shapefiles and GPX into the FeatureCollection the map renders.
+import toGeoJSON from '@mapbox/togeojson'
+import JSZip from 'jszip'
+import { read as readShapefile } from 'shapefile'
+import {
+  WGS84,
+  crsFromGeoJSON,
+  crsFromPrj,
+  looksGeographic,
+  guessProjectedCrs,
+  reprojectGeoJSON,
+} from './crs'
+import { parseLocaleNumber } from './csv'
+import { readKmlStyles, placemarkStyle } from './kmlStyle'
+import { readKmlFolders } from './kmlFolders'
+
+export const GEOMETRY_FILE_ACCEPT = '.kml,.kmz,.geojson,.json,.zip,.gpx'
+
+export const GEOMETRY_FORMATS = {
+  kml: 'KML',
+  kmz: 'KMZ',
+  geojson: 'GeoJSON',
+  shapefile: 'Shapefile',
+  gpx: 'GPX',
+}
+
+function isZip(bytes) {
+  return bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04
+}
+
+function extensionOf(name) {
+  const match = /\.([^./\\]+)$/.exec(name || '')
+  return match ? match[1].toLowerCase() : ''
+}
+
+// Work out the format from the file contents, using the extension as a hint
+// only when the contents are ambiguous.
+export async function detectGeometryFormat(fileName, buffer) {
+  const bytes = new Uint8Array(buffer)
+
+  if (isZip(bytes)) {
+    const zip = await JSZip.loadAsync(buffer)
+    const names = Object.keys(zip.files).map((name) => name.toLowerCase())
+    if (names.some((name) => name.endsWith('.shp'))) return 'shapefile'
+    if (names.some((name) => name.endsWith('.kml'))) return 'kmz'
+    throw new Error('The archive contains neither a .kml nor a .shp file')
+  }
+
+  const head = new TextDecoder('utf-8').decode(bytes.subarray(0, 2048)).replace(/^\ufeff/, '').trimStart()
+  if (head.startsWith('{') || head.startsWith('[')) return 'geojson'
+  if (/<gpx[\s>]/.test(head)) return 'gpx'
+  if (/<kml[\s>]/.test(head)) return 'kml'
+
+  const ext = extensionOf(fileName)
+  if (ext === 'geojson' || ext === 'json') return 'geojson'
+  if (ext === 'gpx') return 'gpx'
+  if (ext === 'kml') return 'kml'
+  throw new Error('Unrecognised geometry file format')
+}
+
+function parseXml(text) {
+  const doc = new DOMParser().parseFromString(text, 'text/xml')
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('The file is not well-formed XML')
+  }
+  return doc
+}
+
+// Temporary placemark id prefix, for telling which placemark became which feature
+const PLACEMARK_TAG = '__placemark-'
+
+const KML_NUMERIC_TYPES = ['int', 'uint', 'short', 'ushort', 'float', 'double']
+
+// Field types of the document's <Schema> elements, by schema id
+function readKmlSchemas(kml) {
+  const schemas = new Map()
+  Array.from(kml.getElementsByTagNameNS('*', 'Schema')).forEach((schema) => {
+    const fields = new Map(
+      Array.from(schema.getElementsByTagNameNS('*', 'SimpleField')).map((field) => [
+        field.getAttribute('name'),
+        field.getAttribute('type'),
+      ]),
+    )
+    schemas.set(schema.getAttribute('id') || schema.getAttribute('name'), fields)
+  })
+  return schemas
+}
+
+// A placemark's ExtendedData as [name, value] pairs: <Data> values, numbers
+// where they read as one (keeping codes with leading zeros as text), and
+// <SchemaData> fields converted by the type their schema declares
+function readExtendedData(placemark, schemas) {
+  const extendedData = Array.from(placemark.childNodes).find(
+    (node) => node.nodeType === 1 && node.localName === 'ExtendedData',
+  )
+  if (!extendedData) {
+    return []
+  }
+  const entries = []
+  Array.from(extendedData.getElementsByTagNameNS('*', 'Data')).forEach((data) => {
+    const text = data.getElementsByTagNameNS('*', 'value')[0]?.textContent.trim() ?? ''
+    const number = /^[+-]?0\d/.test(text) ? null : parseLocaleNumber(text)
+    entries.push([data.getAttribute('name'), number ?? text])
+  })
+  Array.from(extendedData.getElementsByTagNameNS('*', 'SchemaData')).forEach((schemaData) => {
+    const fields = schemas.get((schemaData.getAttribute('schemaUrl') || '').replace(/^.*#/, '')) || new Map()
+    Array.from(schemaData.getElementsByTagNameNS('*', 'SimpleData')).forEach((simpleData) => {
+      const name = simpleData.getAttribute('name')
+      const text = simpleData.textContent.trim()
+      const number = KML_NUMERIC_TYPES.includes(fields.get(name)) ? parseLocaleNumber(text) : null
+      entries.push([name, number ?? text])
+    })
+  })
+  return entries.filter(([name]) => name)
+}
+
+// Convert KML text. Placemarks are matched to their features by identity:
+// each is tagged with a temporary id that togeojson carries over. Features
+// keep the placemark's own id (also as the `id` and `placemarkId` properties)
+// and get its resolved style as `kmlStyle` (see kmlStyle.js), its folder as
+// `kmlFolder` (see kmlFolders.js) and its ExtendedData as properties.
+// Returns `{ geojson, attributes, folders, hiddenFolders }`, `attributes`
+// naming the ExtendedData fields in the order they first appear.
+export function kmlToGeoJSON(kmlText) {
+  const kml = parseXml(kmlText)
+  const placemarks = Array.from(kml.getElementsByTagNameNS('*', 'Placemark'))
+  const placemarkIds = placemarks.map((placemark) => placemark.getAttribute('id'))
+  placemarks.forEach((placemark, idx) => placemark.setAttribute('id', `${PLACEMARK_TAG}${idx}`))
+  const geojson = toGeoJSON.kml(kml)
+
+  const styles = readKmlStyles(kml)
+  const schemas = readKmlSchemas(kml)
+  const { tree, folderOf, hidden } = readKmlFolders(kml)
+  const attributes = new Set()
+  geojson.features.forEach((feature) => {
+    const idx = Number(String(feature.id).slice(PLACEMARK_TAG.length))
+    const placemark = placemarks[idx]
+    const id = placemarkIds[idx]
+    delete feature.id
+    feature.properties = feature.properties || {}
+    readExtendedData(placemark, schemas).forEach(([name, value]) => {
+      feature.properties[name] = value
+      attributes.add(name)
+    })
+    // The placemark's own id wins over an ExtendedData field of that name
+    if (id) {
+      feature.id = id
+      feature.properties.id = id
+      feature.properties.placemarkId = id
+    }
+    feature.kmlFolder = folderOf.get(placemark) ?? tree.id
+    const style = placemarkStyle(placemark, styles)
+    if (style) {
+      feature.kmlStyle = style
+    }
+  })
+
+  return { geojson, attributes: [...attributes], folders: tree, hiddenFolders: hidden }
+}
+
+// Accept a FeatureCollection, a single Feature or a bare geometry
+function normaliseGeoJSON(json) {
+  if (json?.type === 'FeatureCollection' && Array.isArray(json.features)) {
+    return json
+  }
+  if (json?.type === 'Feature') {
+    return { type: 'FeatureCollection', features: [json] }
+  }
+  if (json?.type && json.coordinates) {
+    return { type: 'FeatureCollection', features: [{ type: 'Feature', properties: {}, geometry: json }] }
+  }
+  if (json?.type === 'GeometryCollection') {
+    return {
+      type: 'FeatureCollection',
+      features: json.geometries.map((geometry) => ({ type: 'Feature', properties: {}, geometry })),
+    }
+  }
+  throw new Error('The JSON file is not GeoJSON')
+}
+
+// Read every .shp in the archive together with its .dbf (attributes),
+// .cpg (attribute encoding) and .prj (CRS) siblings. An archive is expected to
+// hold a single CRS; the first .prj found declares it.
+async function shapefileZipToGeoJSON(buffer) {
+  const zip = await JSZip.loadAsync(buffer)
+  const entries = Object.values(zip.files).filter((entry) => !entry.dir)
+  const sibling = (base, ext) =>
+    entries.find((entry) => entry.name.toLowerCase() === `${base}.${ext}`)
+
+  const features = []
+  let crs = null
+  const shpEntries = entries.filter((entry) => entry.name.toLowerCase().endsWith('.shp'))
+
+  for (const shpEntry of shpEntries) {
+    const base = shpEntry.name.toLowerCase().slice(0, -4)
+    const dbfEntry = sibling(base, 'dbf')
+    const cpgEntry = sibling(base, 'cpg')
+    const prjEntry = sibling(base, 'prj')
+
+    const shpBuffer = await shpEntry.async('arraybuffer')
+    const dbfBuffer = dbfEntry ? await dbfEntry.async('arraybuffer') : undefined
+    const encoding = cpgEntry ? (await cpgEntry.async('string')).trim() : undefined
+    if (!crs && prjEntry) {
+      crs = crsFromPrj(await prjEntry.async('string'))
+    }
+
+    const collection = await readShapefile(shpBuffer, dbfBuffer, encoding ? { encoding } : undefined)
+    const layerName = shpEntry.name.replace(/^.*[/\\]/, '').slice(0, -4)
+    collection.features.forEach((feature) => {
+      feature.properties = { ...(feature.properties || {}) }
+      if (shpEntries.length > 1) {
+        feature.properties.layer = layerName
+      }
+      features.push(feature)
+    })
+  }
+
+  return { geojson: { type: 'FeatureCollection', features }, crs }
+}
+
+async function kmzToGeoJSON(buffer) {
+  const zip = await JSZip.loadAsync(buffer)
+  const kmlEntries = Object.values(zip.files).filter(
+    (entry) => !entry.dir && entry.name.toLowerCase().endsWith('.kml'),
+  )
+  // doc.kml is the conventional root document; otherwise take the first one
+  const root = kmlEntries.find((entry) => entry.name.toLowerCase() === 'doc.kml') || kmlEntries[0]
+  return kmlToGeoJSON(await root.async('string'))
+}
+
+// Import a geometry file of any supported format. Resolves to
+// `{ geojson, format, crs, attributes, folders, hiddenFolders }` where `crs`
+// is the CRS the file declares (KML and GPX are WGS84 by definition) or null
+// when it is unknown. The other fields describe KML files (see kmlToGeoJSON)
+// and are empty for other formats. Coordinates are returned as stored in the
+// file. `onProgress` receives (steps done, total steps) after reading and
+// after converting the file. Rejects with a readable message on failure.
+export async function importGeometryFile(file, { onProgress } = {}) {
+  const buffer = await file.arrayBuffer()
+  const format = await detectGeometryFormat(file.name, buffer)
+  onProgress?.(1, 3)
+  const text = () => new TextDecoder('utf-8').decode(buffer).replace(/^\ufeff/, '')
+
+  let geojson
+  let crs = WGS84
+  let kml = { attributes: [], folders: null, hiddenFolders: [] }
+  switch (format) {
+    case 'kml':
+      kml = kmlToGeoJSON(text())
+      geojson = kml.geojson
+      break
+    case 'kmz':
+      kml = await kmzToGeoJSON(buffer)
+      geojson = kml.geojson
+      break
+    case 'geojson': {
+      const json = JSON.parse(text())
+      geojson = normaliseGeoJSON(json)
+      crs = crsFromGeoJSON(json)
+      break
+    }
+    case 'shapefile':
+      ;({ geojson, crs } = await shapefileZipToGeoJSON(buffer))
+      break
+    case 'gpx':
+      geojson = toGeoJSON.gpx(parseXml(text()))
+      break
+    default:
+      throw new Error(`Unsupported format: ${format}`)
+  }
+
+  onProgress?.(2, 3)
+
+  // Features without geometry cannot be drawn or fitted
+  geojson.features = geojson.features.filter((feature) => feature && feature.geometry)
+  geojson.features.forEach((feature) => {
+    if (!feature.properties) {
+      feature.properties = {}
+    }
+  })
+
+  const { attributes, folders, hiddenFolders } = kml
+  return { geojson, format, crs, attributes, folders, hiddenFolders }
+}
+
+// Import a file and reproject it to WGS84 in one go, so a CRS that only the
+// file's .prj defines is known where the reprojection runs. An explicit `crs`
+// wins, then the one the file declares; undeclared longitude/latitude data is
+// taken as WGS84. When the CRS cannot be told the coordinates are left as
+// they are and the result has `crs: null` and a `suggestedCrs` for asking.
+export async function importGeometryFileToWgs84(file, { crs = 'auto', onProgress } = {}) {
+  const result = await importGeometryFile(file, { onProgress })
+  const { geojson } = result
+  const sourceCrs = crs !== 'auto' ? crs : result.crs || (looksGeographic(geojson) ? WGS84 : null)
+  if (!sourceCrs) {
+    return { ...result, crs: null, suggestedCrs: guessProjectedCrs(geojson) }
+  }
+  try {
+    reprojectGeoJSON(geojson, sourceCrs)
+  } catch (error) {
+    throw new Error(`Failed to reproject from ${sourceCrs}: ${error.message}`)
+  }
+  onProgress?.(3, 3)
+  return { ...result, crs: WGS84 }
+}
@@ -0,0 +1,110 @@
+import { describe, expect, it } from 'vitest'
+import JSZip from 'jszip'
+import './workerDom'
+import { detectGeometryFormat, importGeometryFile, importGeometryFileToWgs84 } from './geometryImport'
+
+const bytes = (text) => new TextEncoder().encode(text).buffer
+
+async function zipOf(names) {
+  const zip = new JSZip()
+  names.forEach((name) => zip.file(name, ''))
+  return zip.generateAsync({ type: 'arraybuffer' })
+}
+
+const gpx = `<?xml version="1.0"?>
+<gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1">
+  <wpt lat="47.5" lon="19.04"><name>Start</name></wpt>
+</gpx>`
+
+describe('detectGeometryFormat', () => {
+  it('reads the format from the contents before the extension', async () => {
+    expect(await detectGeometryFormat('data.kml', bytes('\ufeff  {"type": "FeatureCollection"}'))).toBe('geojson')
+    expect(await detectGeometryFormat('track.xml', bytes(gpx))).toBe('gpx')
+    expect(await detectGeometryFormat('doc', bytes('<?xml version="1.0"?><kml xmlns="x"></kml>'))).toBe('kml')
+  })
+
+  it('tells zipped Shapefiles from KMZ archives', async () => {
+    expect(await detectGeometryFormat('a.zip', await zipOf(['parcels.SHP', 'parcels.dbf']))).toBe('shapefile')
+    expect(await detectGeometryFormat('a.kmz', await zipOf(['doc.kml']))).toBe('kmz')
+    await expect(detectGeometryFormat('a.zip', await zipOf(['readme.txt']))).rejects.toThrow(/neither a .kml nor a .shp/)
+  })
+
+  it('falls back to the extension and rejects unknown files', async () => {
+    expect(await detectGeometryFormat('parcels.geojson', bytes(''))).toBe('geojson')
+    await expect(detectGeometryFormat('notes.txt', bytes('hello'))).rejects.toThrow('Unrecognised geometry file format')
+  })
+})
+
+describe('importGeometryFile', () => {
+  const point = { type: 'Point', coordinates: [19.04, 47.5] }
+
+  it('wraps single features and bare geometries in a collection', async () => {
+    const fromFeature = await importGeometryFile(new File([JSON.stringify({ type: 'Feature', geometry: point })], 'a.json'))
+    expect(fromFeature.format).toBe('geojson')
+    expect(fromFeature.geojson.features).toEqual([{ type: 'Feature', geometry: point, properties: {} }])
+
+    const fromGeometry = await importGeometryFile(new File([JSON.stringify(point)], 'b.geojson'))
+    expect(fromGeometry.geojson.features[0].geometry).toEqual(point)
+  })
+
+  it('drops features without geometry', async () => {
+    const json = {
+      type: 'FeatureCollection',
+      features: [{ type: 'Feature', properties: { id: 1 }, geometry: null }, { type: 'Feature', geometry: point }],
+    }
+    const { geojson } = await importGeometryFile(new File([JSON.stringify(json)], 'c.geojson'))
+    expect(geojson.features).toHaveLength(1)
+  })
+
+  it('imports GPX waypoints as WGS84 points', async () => {
+    const result = await importGeometryFile(new File([gpx], 'track.gpx'))
+    expect(result.format).toBe('gpx')
+    expect(result.crs).toBe('EPSG:4326')
+    expect(result.geojson.features[0]).toMatchObject({ geometry: point, properties: { name: 'Start' } })
+  })
+
+  it('rejects JSON that is not GeoJSON', async () => {
+    await expect(importGeometryFile(new File(['{"rows": []}'], 'd.json'))).rejects.toThrow('not GeoJSON')
+  })
+})
+
+describe('importGeometryFileToWgs84', () => {
+  const eov = (crs) =>
+    new File(
+      [
+        JSON.stringify({
+          type: 'FeatureCollection',
+          ...(crs ? { crs: { type: 'name', properties: { name: crs } } } : {}),
+          features: [{ type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: [650000, 240000] } }],
+        }),
+      ],
+      'parcels.geojson',
+    )
+  const position = (result) => result.geojson.features[0].geometry.coordinates
+
+  it('reprojects from the CRS the file declares', async () => {
+    const result = await importGeometryFileToWgs84(eov('urn:ogc:def:crs:EPSG::23700'))
+    expect(result.crs).toBe('EPSG:4326')
+    expect(position(result)[0]).toBeCloseTo(19.047445, 5)
+    expect(position(result)[1]).toBeCloseTo(47.503932, 5)
+  })
+
+  it('leaves undeclared projected data as it is and suggests a CRS', async () => {
+    const result = await importGeometryFileToWgs84(eov(null))
+    expect(result.crs).toBeNull()
+    expect(result.suggestedCrs).toBe('EPSG:23700')
+    expect(position(result)).toEqual([650000, 240000])
+  })
+
+  it('reprojects from a chosen CRS over the declared one', async () => {
+    const result = await importGeometryFileToWgs84(eov('EPSG:3857'), { crs: 'EPSG:23700' })
+    expect(position(result)[1]).toBeCloseTo(47.503932, 5)
+  })
+
+  it('takes undeclared longitude/latitude data as WGS84', async () => {
+    const file = new File([JSON.stringify({ type: 'Point', coordinates: [19.04, 47.5] })], 'point.json')
+    const result = await importGeometryFileToWgs84(file)
+    expect(result.crs).toBe('EPSG:4326')
+    expect(position(result)).toEqual([19.04, 47.5])
+  })
+})
@@ -0,0 +1,63 @@
+// Geodesic metrics of each feature's own geometry: area, perimeter (or line
+// length) and centroid. They are shown in popups and can be added to the
+// layer's table as columns, so per-hectare values can be computed from them.
+import { geometryArea, geometryLength, geometryCentroid } from './geometry'
+
+export const GEOMETRY_COLUMNS = {
+  area_ha: { label: 'Area (ha)', units: 'ha' },
+  area_m2: { label: 'Area (m²)', units: 'm²' },
+  perimeter_m: { label: 'Perimeter or length (m)', units: 'm' },
+  centroid_lat: { label: 'Centroid latitude', units: '°' },
+  centroid_lng: { label: 'Centroid longitude', units: '°' },
+}
+
+const round = (value, digits) => Number(value.toFixed(digits))
+
+// Column values for one geometry; measures that do not apply are empty
+export function geometryMetrics(geometry) {
+  const area = geometryArea(geometry)
+  const length = geometryLength(geometry)
+  const centroid = geometryCentroid(geometry)
+  return {
+    area_ha: area > 0 ? round(area / 10000, 4) : '',
+    area_m2: area > 0 ? round(area, 1) : '',
+    perimeter_m: length > 0 ? round(length, 1) : '',
+    centroid_lat: centroid ? round(centroid[1], 7) : '',
+    centroid_lng: centroid ? round(centroid[0], 7) : '',
+  }
+}
+
+export function formatArea(squareMetres) {
+  const hectares = (squareMetres / 10000).toLocaleString('en-US', { maximumFractionDigits: 4 })
+  return `${hectares} ha (${Math.round(squareMetres).toLocaleString('en-US')} m²)`
+}
+
+export function formatLength(metres) {
+  if (metres >= 1000) {
+    return `${(metres / 1000).toLocaleString('en-US', { maximumFractionDigits: 3 })} km`
+  }
+  return `${metres.toLocaleString('en-US', { maximumFractionDigits: 1 })} m`
+}
+
+const formatPosition = ([lng, lat]) => `${lat.toFixed(6)}, ${lng.toFixed(6)}`
+
+// Label/value pairs describing a geometry in a popup
+export function describeGeometry(geometry) {
+  const area = geometryArea(geometry)
+  const length = geometryLength(geometry)
+  const centroid = geometryCentroid(geometry)
+  if (area > 0) {
+    return [
+      ['Area', formatArea(area)],
+      ['Perimeter', formatLength(length)],
+      ['Centroid', formatPosition(centroid)],
+    ]
+  }
+  if (length > 0) {
+    return [
+      ['Length', formatLength(length)],
+      ['Centroid', formatPosition(centroid)],
+    ]
+  }
+  return centroid ? [['Coordinates', formatPosition(centroid)]] : []
+}
@@ -0,0 +1,72 @@
+import { describe, expect, it } from 'vitest'
+import { describeGeometry, formatArea, formatLength, geometryMetrics } from './geometryMetrics'
+
+// 1° square on the equator: 12,391.4 km², three sides of 111,319.5 m and one
+// of 111,302.5 m along the 1° parallel
+const square = {
+  type: 'Polygon',
+  coordinates: [
+    [
+      [0, 0],
+      [1, 0],
+      [1, 1],
+      [0, 1],
+      [0, 0],
+    ],
+  ],
+}
+
+describe('geometryMetrics', () => {
+  it('rounds the metrics of a polygon', () => {
+    expect(geometryMetrics(square)).toEqual({
+      area_ha: 1239139.9902,
+      area_m2: 12391399902.1,
+      perimeter_m: 445261,
+      centroid_lat: 0.5,
+      centroid_lng: 0.5,
+    })
+  })
+
+  it('leaves the measures that do not apply empty', () => {
+    expect(geometryMetrics({ type: 'LineString', coordinates: [[0, 0], [0, 0.001]] })).toEqual({
+      area_ha: '',
+      area_m2: '',
+      perimeter_m: 111.3,
+      centroid_lat: 0.0005,
+      centroid_lng: 0,
+    })
+    expect(geometryMetrics({ type: 'Point', coordinates: [19, 47] })).toMatchObject({
+      perimeter_m: '',
+      centroid_lat: 47,
+      centroid_lng: 19,
+    })
+    expect(geometryMetrics(null)).toEqual({ area_ha: '', area_m2: '', perimeter_m: '', centroid_lat: '', centroid_lng: '' })
+  })
+})
+
+describe('formatArea and formatLength', () => {
+  it('gives hectares with square metres', () => {
+    expect(formatArea(12345.678)).toBe('1.2346 ha (12,346 m²)')
+  })
+
+  it('switches from metres to kilometres at 1000 m', () => {
+    expect(formatLength(999.94)).toBe('999.9 m')
+    expect(formatLength(1234.5)).toBe('1.235 km')
+  })
+})
+
+describe('describeGeometry', () => {
+  it('describes polygons, lines and points', () => {
+    expect(describeGeometry(square)).toEqual([
+      ['Area', '1,239,139.9902 ha (12,391,399,902 m²)'],
+      ['Perimeter', '445.261 km'],
+      ['Centroid', '0.500000, 0.500000'],
+    ])
+    expect(describeGeometry({ type: 'LineString', coordinates: [[0, 0], [0, 0.001]] })).toEqual([
+      ['Length', '111.3 m'],
+      ['Centroid', '0.000500, 0.000000'],
+    ])
+    expect(describeGeometry({ type: 'Point', coordinates: [19.04, 47.5] })).toEqual([['Coordinates', '47.500000, 19.040000']])
+    expect(describeGeometry(null)).toEqual([])
+  })
+})
@@ -0,0 +1,39 @@
+// IndexedDB access shared by the stores kept in the browser (projects, tile
+// sources and offline tiles). Each store module describes its database once
+// and runs its reads and writes through the returned function.
+
+function openDatabase({ name, version, upgrade }) {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('This browser does not support IndexedDB'))
+      return
+    }
+    const request = indexedDB.open(name, version)
+    request.onupgradeneeded = () => upgrade(request.result)
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+// A function `(storeNames, mode, action)` that runs `action` on the named
+// object stores inside one transaction and resolves with the result of the
+// request it returns. `upgrade` creates the object stores of a new database.
+// The connection is opened for each transaction and closed after it.
+export function createDatabase({ name, version, upgrade }) {
+  return (storeNames, mode, action) =>
+    openDatabase({ name, version, upgrade }).then(
+      (db) =>
+        new Promise((resolve, reject) => {
+          const transaction = db.transaction(storeNames, mode)
+          const request = action(...storeNames.map((storeName) => transaction.objectStore(storeName)))
+          transaction.oncomplete = () => {
+            db.close()
+            resolve(request?.result)
+          }
+          transaction.onerror = () => {
+            db.close()
+            reject(transaction.error)
+          }
+        }),
+    )
+}
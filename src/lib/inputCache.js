@@ -0,0 +1,15 @@
+// Derived data kept per owner object (such as a layer's feature collection)
+// and reused while the inputs it was computed from are the same objects.
+// Layers are updated immutably, so identity tells when an input changed.
+export function createInputCache() {
+  const entries = new WeakMap()
+  return (owner, inputs, compute) => {
+    const entry = entries.get(owner)
+    if (entry && entry.inputs.length === inputs.length && entry.inputs.every((input, idx) => input === inputs[idx])) {
+      return entry.value
+    }
+    const value = compute()
+    entries.set(owner, { inputs, value })
+    return value
+  }
+}
@@ -0,0 +1,260 @@
+// Join helpers: how a KML/GeoJSON feature and a CSV row are keyed and how the
+// keys are normalised before they are compared.
+import { createInputCache } from './inputCache'
+
+export const FEATURE_KEY_PLACEMARK_ID = 'placemarkId'
+export const FEATURE_KEY_NAME = 'name'
+const PROPERTY_PREFIX = 'prop:'
+
+// Properties written by the importer itself; they are not offered as join keys
+const INTERNAL_PROPERTIES = new Set([
+  'id',
+  'placemarkId',
+  'name',
+  'Name',
+  'styleUrl',
+  'styleHash',
+  'styleMapHash',
+  'stroke',
+  'stroke-width',
+  'stroke-opacity',
+  'fill',
+  'fill-opacity',
+])
+
+export const DEFAULT_JOIN_CONFIG = {
+  csvKey: 'id',
+  featureKey: FEATURE_KEY_PLACEMARK_ID,
+  trim: true,
+  caseFold: false,
+  stripLeadingZeros: false,
+}
+
+export function propertyKeySource(property) {
+  return `${PROPERTY_PREFIX}${property}`
+}
+
+// Options for the KML key source selector: placemark id, name and every
+// ExtendedData/properties field found on at least one feature.
+export function listFeatureKeySources(geojson) {
+  const properties = new Set()
+  ;(geojson?.features || []).forEach((feature) => {
+    Object.entries(feature.properties || {}).forEach(([key, value]) => {
+      if (!INTERNAL_PROPERTIES.has(key) && (typeof value !== 'object' || value === null)) {
+        properties.add(key)
+      }
+    })
+  })
+
+  return [
+    { value: FEATURE_KEY_PLACEMARK_ID, label: 'Placemark ID' },
+    { value: FEATURE_KEY_NAME, label: 'Placemark name' },
+    ...Array.from(properties)
+      .sort()
+      .map((key) => ({ value: propertyKeySource(key), label: `Field: ${key}` })),
+  ]
+}
+
+// Raw (not yet normalised) key of a feature for the chosen key source
+export function getFeatureKey(feature, featureKey) {
+  const props = feature?.properties || {}
+  if (featureKey === FEATURE_KEY_NAME) {
+    return props.name ?? props.Name ?? null
+  }
+  if (featureKey?.startsWith(PROPERTY_PREFIX)) {
+    return props[featureKey.slice(PROPERTY_PREFIX.length)] ?? null
+  }
+  return props.placemarkId ?? props.id ?? props.Id ?? props.ID ?? feature?.id ?? null
+}
+
+// Properties giving a feature the key `value` under the chosen key source
+export function featureKeyProperties(featureKey, value) {
+  if (featureKey === FEATURE_KEY_NAME) {
+    return { name: value }
+  }
+  if (featureKey?.startsWith(PROPERTY_PREFIX)) {
+    return { [featureKey.slice(PROPERTY_PREFIX.length)]: value }
+  }
+  return { placemarkId: value }
+}
+
+// Apply the optional normalisation steps. Empty keys become null so they never
+// match each other.
+export function normaliseKey(value, { trim = true, caseFold = false, stripLeadingZeros = false } = {}) {
+  if (value === undefined || value === null) {
+    return null
+  }
+  let key = String(value)
+  if (trim) {
+    key = key.trim()
+  }
+  if (caseFold) {
+    key = key.toLocaleLowerCase()
+  }
+  if (stripLeadingZeros) {
+    key = key.replace(/^0+(?=.)/, '')
+  }
+  return key === '' ? null : key
+}
+
+// Index CSV rows by their normalised key
+export function buildCsvIndex(rows, joinConfig) {
+  const index = new Map()
+  rows.forEach((row) => {
+    const key = normaliseKey(row[joinConfig.csvKey], joinConfig)
+    if (key != null) {
+      index.set(key, row)
+    }
+  })
+  return index
+}
+
+export function findCsvRow(feature, csvIndex, joinConfig) {
+  const key = normaliseKey(getFeatureKey(feature, joinConfig.featureKey), joinConfig)
+  return key != null ? csvIndex.get(key) || null : null
+}
+
+// Levenshtein distance, used to suggest near-miss keys
+export function editDistance(a, b) {
+  if (a === b) return 0
+  if (!a.length) return b.length
+  if (!b.length) return a.length
+
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i)
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i]
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost)
+    }
+    prev = curr
+  }
+  return prev[b.length]
+}
+
+// Key comparisons a report may spend on near-miss suggestions; beyond that,
+// as when a whole cadastre fails to join, suggestions are left out
+const MAX_SUGGESTION_COMPARISONS = 2_000_000
+
+// Closest candidates within roughly a third of the key length
+function suggestKeys(key, candidates, limit = 3) {
+  if (key == null) {
+    return []
+  }
+  const maxDistance = Math.max(1, Math.floor(key.length / 3))
+  return candidates
+    // Keys differing in length by more than that cannot be close enough
+    .filter((candidate) => Math.abs(candidate.length - key.length) <= maxDistance)
+    .map((candidate) => ({ key: candidate, distance: editDistance(key, candidate) }))
+    .filter((s) => s.distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit)
+}
+
+function groupDuplicates(entries) {
+  const groups = new Map()
+  entries.forEach((entry) => {
+    if (entry.key == null) return
+    if (!groups.has(entry.key)) groups.set(entry.key, [])
+    groups.get(entry.key).push(entry)
+  })
+  return Array.from(groups.entries())
+    .filter(([, items]) => items.length > 1)
+    .map(([key, items]) => ({ key, items }))
+}
+
+// Summarise how well the features and CSV rows join under the given config.
+// `rowIndexes` limits the report to some of the rows, such as one period of a
+// long-format table; entries keep their index in the whole table. `lines`
+// gives each row's line in the CSV file, reported as `line` where known.
+export function buildJoinReport(geojson, rows, joinConfig, { rowIndexes = null, lines = null } = {}) {
+  const featureEntries = (geojson?.features || []).map((feature, featureIndex) => ({
+    featureIndex,
+    name: feature.properties?.name || feature.properties?.Name || 'Unnamed',
+    key: normaliseKey(getFeatureKey(feature, joinConfig.featureKey), joinConfig),
+  }))
+  const rowEntries = (rowIndexes ?? rows.map((_, rowIndex) => rowIndex)).map((rowIndex) => ({
+    rowIndex,
+    line: lines?.[rowIndex] ?? null,
+    key: normaliseKey(rows[rowIndex][joinConfig.csvKey], joinConfig),
+  }))
+
+  const featureKeys = new Set(featureEntries.map((e) => e.key).filter((k) => k != null))
+  const rowKeys = new Set(rowEntries.map((e) => e.key).filter((k) => k != null))
+
+  const matchedFeatures = featureEntries.filter((e) => e.key != null && rowKeys.has(e.key))
+  const unmatchedFeatures = featureEntries.filter((e) => e.key == null || !rowKeys.has(e.key))
+  const unmatchedRows = rowEntries.filter((e) => e.key == null || !featureKeys.has(e.key))
+
+  const spareRowKeys = Array.from(new Set(unmatchedRows.map((e) => e.key).filter((k) => k != null)))
+  const spareFeatureKeys = Array.from(new Set(unmatchedFeatures.map((e) => e.key).filter((k) => k != null)))
+  const suggests = spareRowKeys.length * spareFeatureKeys.length * 2 <= MAX_SUGGESTION_COMPARISONS
+  const suggestionsFor = (key, candidates) => (suggests ? suggestKeys(key, candidates) : [])
+
+  return {
+    featureCount: featureEntries.length,
+    rowCount: rowEntries.length,
+    matchedFeatures,
+    unmatchedFeatures: unmatchedFeatures.map((e) => ({ ...e, suggestions: suggestionsFor(e.key, spareRowKeys) })),
+    unmatchedRows: unmatchedRows.map((e) => ({ ...e, suggestions: suggestionsFor(e.key, spareFeatureKeys) })),
+    duplicateFeatureKeys: groupDuplicates(featureEntries),
+    duplicateRowKeys: groupDuplicates(rowEntries),
+  }
+}
+
+const joinReports = createInputCache()
+
+// The join report of a layer's collection, rebuilt only when the collection,
+// rows, join settings or reported rows change
+export function cachedJoinReport(geojson, rows, joinConfig, { rowIndexes = null, lines = null } = {}) {
+  const build = () => buildJoinReport(geojson, rows, joinConfig, { rowIndexes, lines })
+  return geojson ? joinReports(geojson, [rows, joinConfig, rowIndexes, lines], build) : build()
+}
+
+// Flatten a join report into CSV-ready rows. `csv_line` is the row's line in
+// the CSV file (the header is line 1), blank when not known.
+export function joinReportToRows(report) {
+  const suggestionText = (entry) => entry.suggestions.map((s) => s.key).join(' | ')
+  return [
+    ...report.matchedFeatures.map((e) => ({
+      category: 'matched',
+      key: e.key,
+      feature_index: e.featureIndex,
+      feature_name: e.name,
+      csv_line: '',
+      suggestions: '',
+    })),
+    ...report.unmatchedFeatures.map((e) => ({
+      category: 'feature without CSV row',
+      key: e.key ?? '',
+      feature_index: e.featureIndex,
+      feature_name: e.name,
+      csv_line: '',
+      suggestions: suggestionText(e),
+    })),
+    ...report.unmatchedRows.map((e) => ({
+      category: 'CSV row without feature',
+      key: e.key ?? '',
+      feature_index: '',
+      feature_name: '',
+      csv_line: e.line ?? '',
+      suggestions: suggestionText(e),
+    })),
+    ...report.duplicateFeatureKeys.flatMap((group) => group.items.map((e) => ({
+      category: 'duplicate feature key',
+      key: group.key,
+      feature_index: e.featureIndex,
+      feature_name: e.name,
+      csv_line: '',
+      suggestions: '',
+    }))),
+    ...report.duplicateRowKeys.flatMap((group) => group.items.map((e) => ({
+      category: 'duplicate CSV key',
+      key: group.key,
+      feature_index: '',
+      feature_name: '',
+      csv_line: e.line ?? '',
+      suggestions: '',
+    }))),
+  ]
+}
@@ -0,0 +1,108 @@
+import { describe, expect, it } from 'vitest'
+import {
+  DEFAULT_JOIN_CONFIG,
+  FEATURE_KEY_NAME,
+  buildCsvIndex,
+  buildJoinReport,
+  editDistance,
+  findCsvRow,
+  getFeatureKey,
+  joinReportToRows,
+  normaliseKey,
+  propertyKeySource,
+} from './join'
+import { periodRowIndexes } from './timeSeries'
+
+const feature = (id) => ({ type: 'Feature', properties: { id, name: `Area ${id}` }, geometry: null })
+const geojson = { type: 'FeatureCollection', features: [feature('a'), feature('b')] }
+const joinConfig = DEFAULT_JOIN_CONFIG
+
+describe('normaliseKey', () => {
+  it('trims by default and makes empty keys null', () => {
+    expect(normaliseKey('  K01 ')).toBe('K01')
+    expect(normaliseKey('   ')).toBeNull()
+    expect(normaliseKey(undefined)).toBeNull()
+  })
+
+  it('applies case folding and leading zero stripping when asked', () => {
+    expect(normaliseKey('ABC', { caseFold: true })).toBe('abc')
+    expect(normaliseKey('00123', { stripLeadingZeros: true })).toBe('123')
+    expect(normaliseKey('000', { stripLeadingZeros: true })).toBe('0')
+    expect(normaliseKey(42)).toBe('42')
+  })
+})
+
+describe('getFeatureKey', () => {
+  const kmlFeature = { properties: { placemarkId: 'p1', name: 'Szeged', code: '06' } }
+
+  it('reads the placemark id, the name or a property', () => {
+    expect(getFeatureKey(kmlFeature, DEFAULT_JOIN_CONFIG.featureKey)).toBe('p1')
+    expect(getFeatureKey(kmlFeature, FEATURE_KEY_NAME)).toBe('Szeged')
+    expect(getFeatureKey(kmlFeature, propertyKeySource('code'))).toBe('06')
+    expect(getFeatureKey(kmlFeature, propertyKeySource('missing'))).toBeNull()
+  })
+
+  it('falls back to common id properties and the feature id', () => {
+    expect(getFeatureKey({ properties: { ID: 7 } }, DEFAULT_JOIN_CONFIG.featureKey)).toBe(7)
+    expect(getFeatureKey({ id: 'f1', properties: {} }, DEFAULT_JOIN_CONFIG.featureKey)).toBe('f1')
+  })
+})
+
+describe('findCsvRow', () => {
+  it('matches features and rows through the normalised keys', () => {
+    const config = { ...joinConfig, caseFold: true, stripLeadingZeros: true }
+    const rows = [{ id: '007', value: 1 }, { id: 'B', value: 2 }]
+    const index = buildCsvIndex(rows, config)
+    expect(findCsvRow(feature('7'), index, config)).toBe(rows[0])
+    expect(findCsvRow(feature('b'), index, config)).toBe(rows[1])
+    expect(findCsvRow(feature('c'), index, config)).toBeNull()
+  })
+})
+
+describe('editDistance', () => {
+  it('counts insertions, deletions and substitutions', () => {
+    expect(editDistance('kitten', 'sitting')).toBe(3)
+    expect(editDistance('', 'abc')).toBe(3)
+    expect(editDistance('same', 'same')).toBe(0)
+  })
+})
+
+describe('buildJoinReport', () => {
+  it('lists matches, misses with suggestions and duplicates', () => {
+    const collection = { type: 'FeatureCollection', features: [feature('K001'), feature('K002'), feature('K002')] }
+    const rows = [{ id: 'K001' }, { id: 'K00Z' }]
+    const report = buildJoinReport(collection, rows, joinConfig)
+    expect(report.featureCount).toBe(3)
+    expect(report.rowCount).toBe(2)
+    expect(report.matchedFeatures.map((e) => e.featureIndex)).toEqual([0])
+    expect(report.unmatchedFeatures.map((e) => e.featureIndex)).toEqual([1, 2])
+    expect(report.unmatchedRows[0].suggestions.map((s) => s.key)).toEqual(['K002'])
+    expect(report.duplicateFeatureKeys.map((group) => [group.key, group.items.map((e) => e.featureIndex)])).toEqual([
+      ['K002', [1, 2]],
+    ])
+  })
+
+  it('reports one period of a long-format table without period duplicates', () => {
+    const rows = [
+      { id: 'a', year: 2023, value: 1 },
+      { id: 'b', year: 2023, value: 2 },
+      { id: 'a', year: 2024, value: 3 },
+      { id: 'c', year: 2024, value: 4 },
+    ]
+    const rowIndexes = periodRowIndexes(rows, { column: 'year', period: '2024' })
+    const report = buildJoinReport(geojson, rows, joinConfig, { rowIndexes })
+    expect(report.rowCount).toBe(2)
+    expect(report.duplicateRowKeys).toEqual([])
+    expect(report.matchedFeatures.map((e) => e.key)).toEqual(['a'])
+    expect(report.unmatchedFeatures.map((e) => e.key)).toEqual(['b'])
+    expect(report.unmatchedRows.map((e) => e.rowIndex)).toEqual([3])
+  })
+
+  it('exports the file line of each CSV row', () => {
+    const rows = [{ id: 'a' }, { id: 'x' }, { id: 'x' }]
+    const report = buildJoinReport(geojson, rows, joinConfig, { lines: [2, 4, 7] })
+    const exported = joinReportToRows(report)
+    expect(exported.filter((row) => row.category === 'CSV row without feature').map((row) => row.csv_line)).toEqual([4, 7])
+    expect(exported.filter((row) => row.category === 'duplicate CSV key').map((row) => row.csv_line)).toEqual([4, 7])
+  })
+})
@@ -0,0 +1,101 @@
+// Folder hierarchy of KML documents. A layer keeps the tree as
+// `kmlFolders` ({ id, name, children }, the root standing for the document)
+// and every feature names the folder holding it in `kmlFolder`, so edits that
+// reorder or add features keep their place in the tree. Folders listed in the
+// layer's `hiddenFolders` are hidden together with everything inside them.
+
+const CONTAINER_ELEMENTS = ['Document', 'Folder']
+
+const childElements = (element) => Array.from(element.childNodes).filter((node) => node.nodeType === 1)
+
+const childText = (element, localName) =>
+  childElements(element).find((node) => node.localName === localName)?.textContent.trim() || null
+
+// The Document/Folder tree of a parsed KML file. Returns `{ tree, folderOf,
+// hidden }`: `folderOf` maps each Placemark element to its folder id and
+// `hidden` lists the folders the file marks with <visibility>0</visibility>.
+export function readKmlFolders(kml) {
+  let nextFolderId = 1
+  const folderOf = new Map()
+  const hidden = []
+
+  const visit = (container, fallbackName) => {
+    const node = { id: `folder-${nextFolderId++}`, name: childText(container, 'name') || fallbackName, children: [] }
+    if (childText(container, 'visibility') === '0') {
+      hidden.push(node.id)
+    }
+    childElements(container).forEach((child) => {
+      if (CONTAINER_ELEMENTS.includes(child.localName)) {
+        node.children.push(visit(child, 'Untitled folder'))
+      } else if (child.localName === 'Placemark') {
+        folderOf.set(child, node.id)
+      }
+    })
+    return node
+  }
+
+  // Google Earth wraps everything in a single Document; bare files hold
+  // placemarks and folders directly under <kml>
+  const root = kml.documentElement
+  const containers = childElements(root).filter((child) => CONTAINER_ELEMENTS.includes(child.localName))
+  const tree = visit(containers.length === 1 ? containers[0] : root, 'Document')
+  return { tree, folderOf, hidden }
+}
+
+export function listFolderIds(tree) {
+  return tree ? [tree.id, ...tree.children.flatMap(listFolderIds)] : []
+}
+
+// Folders hidden directly or through a hidden ancestor
+export function hiddenFolderSet(tree, hiddenFolders = []) {
+  const hidden = new Set()
+  const visit = (node, ancestorHidden) => {
+    const isHidden = ancestorHidden || hiddenFolders.includes(node.id)
+    if (isHidden) {
+      hidden.add(node.id)
+    }
+    node.children.forEach((child) => visit(child, isHidden))
+  }
+  if (tree) {
+    visit(tree, false)
+  }
+  return hidden
+}
+
+// Ids of a folder and all folders below it
+function subtreeIds(tree, folderId) {
+  if (tree.id === folderId) {
+    return listFolderIds(tree)
+  }
+  for (const child of tree.children) {
+    const ids = subtreeIds(child, folderId)
+    if (ids.length > 0) {
+      return ids
+    }
+  }
+  return []
+}
+
+// Features inside a folder, its subfolders included. Features without a
+// folder, such as ones drawn after import, belong to the root.
+export function folderFeatures(tree, folderId, features) {
+  const ids = new Set(subtreeIds(tree, folderId))
+  return features.filter((feature) => ids.has(feature.kmlFolder ?? tree.id))
+}
+
+// Number of features in every folder, subfolders included, by folder id
+export function folderFeatureCounts(tree, features) {
+  const direct = new Map()
+  features.forEach((feature) => {
+    const id = feature.kmlFolder ?? tree.id
+    direct.set(id, (direct.get(id) || 0) + 1)
+  })
+  const counts = new Map()
+  const visit = (node) => {
+    const total = node.children.reduce((sum, child) => sum + visit(child), direct.get(node.id) || 0)
+    counts.set(node.id, total)
+    return total
+  }
+  visit(tree)
+  return counts
+}
@@ -0,0 +1,100 @@
+import { describe, expect, it } from 'vitest'
+import './workerDom'
+import { folderFeatureCounts, folderFeatures, hiddenFolderSet, listFolderIds, readKmlFolders } from './kmlFolders'
+import { kmlToGeoJSON } from './geometryImport'
+
+const point = (name) => `<Placemark><name>${name}</name><Point><coordinates>19,47</coordinates></Point></Placemark>`
+
+const KML = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>Farm</name>
+    ${point('gate')}
+    <Folder>
+      <name>Fields</name>
+      ${point('north')}
+      <Folder>
+        <name>Fallow</name>
+        <visibility>0</visibility>
+        ${point('east')}
+      </Folder>
+    </Folder>
+    <Folder>
+      ${point('well')}
+    </Folder>
+  </Document>
+</kml>`
+
+const parse = (text) => new DOMParser().parseFromString(text, 'text/xml')
+
+describe('readKmlFolders', () => {
+  it('reads the folder tree and the folder of each placemark', () => {
+    const doc = parse(KML)
+    const { tree, folderOf, hidden } = readKmlFolders(doc)
+    expect(tree).toEqual({
+      id: 'folder-1',
+      name: 'Farm',
+      children: [
+        { id: 'folder-2', name: 'Fields', children: [{ id: 'folder-3', name: 'Fallow', children: [] }] },
+        { id: 'folder-4', name: 'Untitled folder', children: [] },
+      ],
+    })
+    const names = Array.from(doc.getElementsByTagNameNS('*', 'Placemark')).map((placemark) => [
+      placemark.getElementsByTagNameNS('*', 'name')[0].textContent,
+      folderOf.get(placemark),
+    ])
+    expect(names).toEqual([
+      ['gate', 'folder-1'],
+      ['north', 'folder-2'],
+      ['east', 'folder-3'],
+      ['well', 'folder-4'],
+    ])
+    expect(hidden).toEqual(['folder-3'])
+  })
+
+  it('takes the kml element as the root of files without a single Document', () => {
+    const { tree } = readKmlFolders(
+      parse(`<kml xmlns="http://www.opengis.net/kml/2.2"><Folder><name>A</name></Folder><Folder><name>B</name></Folder></kml>`),
+    )
+    expect(tree.name).toBe('Document')
+    expect(tree.children.map((child) => child.name)).toEqual(['A', 'B'])
+  })
+})
+
+describe('folder tree helpers', () => {
+  const { geojson, folders, hiddenFolders } = kmlToGeoJSON(KML)
+  const drawn = { type: 'Feature', properties: { name: 'drawn' }, geometry: { type: 'Point', coordinates: [19, 47] } }
+  const features = [...geojson.features, drawn]
+  const names = (list) => list.map((feature) => feature.properties.name)
+
+  it('keeps the folder of each placemark on its feature', () => {
+    expect(geojson.features.map((feature) => feature.kmlFolder)).toEqual(['folder-1', 'folder-2', 'folder-3', 'folder-4'])
+    expect(hiddenFolders).toEqual(['folder-3'])
+  })
+
+  it('lists folder ids depth first', () => {
+    expect(listFolderIds(folders)).toEqual(['folder-1', 'folder-2', 'folder-3', 'folder-4'])
+    expect(listFolderIds(null)).toEqual([])
+  })
+
+  it('hides the folders below a hidden folder', () => {
+    expect([...hiddenFolderSet(folders, ['folder-2'])]).toEqual(['folder-2', 'folder-3'])
+    expect([...hiddenFolderSet(folders, hiddenFolders)]).toEqual(['folder-3'])
+    expect(hiddenFolderSet(null, ['folder-2']).size).toBe(0)
+  })
+
+  it('finds the features of a folder and its subfolders', () => {
+    expect(names(folderFeatures(folders, 'folder-2', features))).toEqual(['north', 'east'])
+    expect(names(folderFeatures(folders, 'folder-1', features))).toEqual(['gate', 'north', 'east', 'well', 'drawn'])
+    expect(folderFeatures(folders, 'folder-9', features)).toEqual([])
+  })
+
+  it('counts the features in every folder, drawn features in the root', () => {
+    expect(Object.fromEntries(folderFeatureCounts(folders, features))).toEqual({
+      'folder-1': 5,
+      'folder-2': 2,
+      'folder-3': 1,
+      'folder-4': 1,
+    })
+  })
+})
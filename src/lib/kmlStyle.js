@@ -0,0 +1,148 @@
+// KML styling as drawn by Google Earth: shared styles referenced through
+// `styleUrl` (plain `Style`, `gx:CascadingStyle` and normal/highlight
+// `StyleMap` pairs), a placemark's own inline style on top, and colors in
+// KML's aabbggrr order. Each placemark resolves to Leaflet path options for
+// its normal and highlight (hover) states.
+
+// Defaults from the KML reference: white 1 px lines and white filled polygons
+const KML_DEFAULT_STYLE = { color: '#ffffff', opacity: 1, weight: 1, fillColor: '#ffffff', fillOpacity: 1 }
+
+// Resolving stops after this many styleUrl hops, in case styles refer to each other
+const MAX_STYLE_DEPTH = 8
+
+const childElements = (element, localName) =>
+  Array.from(element?.childNodes || []).filter((node) => node.nodeType === 1 && node.localName === localName)
+
+const childText = (element, localName) => childElements(element, localName)[0]?.textContent.trim() ?? null
+
+const elementId = (element) => element.getAttribute('id') || element.getAttribute('kml:id') || null
+
+// "ff2dc0fb" (alpha, blue, green, red) as { color: '#fbc02d', opacity: 1 }
+export function parseKmlColor(value) {
+  const hex = (value || '').trim().replace(/^#/, '')
+  if (!/^[0-9a-f]{8}$/i.test(hex)) {
+    return null
+  }
+  return {
+    color: `#${hex.slice(6, 8)}${hex.slice(4, 6)}${hex.slice(2, 4)}`.toLowerCase(),
+    opacity: Math.round((parseInt(hex.slice(0, 2), 16) / 255) * 1000) / 1000,
+  }
+}
+
+// The path options a Style element sets; options it leaves out are absent
+function readStyle(style) {
+  const options = {}
+  const lineStyle = childElements(style, 'LineStyle')[0]
+  if (lineStyle) {
+    const color = parseKmlColor(childText(lineStyle, 'color'))
+    const width = parseFloat(childText(lineStyle, 'width'))
+    if (color) {
+      options.color = color.color
+      options.opacity = color.opacity
+    }
+    if (Number.isFinite(width)) {
+      options.weight = width
+    }
+  }
+  const polyStyle = childElements(style, 'PolyStyle')[0]
+  if (polyStyle) {
+    const color = parseKmlColor(childText(polyStyle, 'color'))
+    if (color) {
+      options.fillColor = color.color
+      options.fillOpacity = color.opacity
+    }
+    if (childText(polyStyle, 'fill') === '0') {
+      options.fill = false
+    }
+    if (childText(polyStyle, 'outline') === '0') {
+      options.stroke = false
+    }
+  }
+  return options
+}
+
+// `{ normal, highlight }` style references or inline styles of a StyleMap
+function readStyleMap(styleMap) {
+  const pairs = {}
+  childElements(styleMap, 'Pair').forEach((pair) => {
+    const key = childText(pair, 'key')
+    const inline = childElements(pair, 'Style')[0]
+    pairs[key] = { url: childText(pair, 'styleUrl'), options: inline ? readStyle(inline) : {} }
+  })
+  return pairs
+}
+
+// Shared styles of a KML document by id
+export function readKmlStyles(doc) {
+  const styles = new Map()
+  const styleMaps = new Map()
+  Array.from(doc.getElementsByTagNameNS('*', 'Style')).forEach((style) => {
+    const id = elementId(style)
+    if (id) {
+      styles.set(id, { url: null, options: readStyle(style) })
+    }
+  })
+  // A cascading style wraps a Style and may build on another through styleUrl
+  Array.from(doc.getElementsByTagNameNS('*', 'CascadingStyle')).forEach((cascading) => {
+    const id = elementId(cascading)
+    const style = childElements(cascading, 'Style')[0]
+    if (id) {
+      styles.set(id, { url: childText(cascading, 'styleUrl'), options: style ? readStyle(style) : {} })
+    }
+  })
+  Array.from(doc.getElementsByTagNameNS('*', 'StyleMap')).forEach((styleMap) => {
+    const id = elementId(styleMap)
+    if (id) {
+      styleMaps.set(id, readStyleMap(styleMap))
+    }
+  })
+  return { styles, styleMaps }
+}
+
+// Only references into the same document resolve; "#id" and "doc.kml#id"
+// both name the style "id"
+const localStyleId = (url) => {
+  const hash = (url || '').lastIndexOf('#')
+  return hash === -1 ? null : url.slice(hash + 1)
+}
+
+// Path options of a style reference in the given StyleMap state
+function resolveStyleUrl(index, url, state, depth = 0) {
+  const id = localStyleId(url)
+  if (!id || depth > MAX_STYLE_DEPTH) {
+    return {}
+  }
+  const styleMap = index.styleMaps.get(id)
+  if (styleMap) {
+    const pair = styleMap[state] || styleMap.normal
+    return pair ? { ...resolveStyleUrl(index, pair.url, state, depth + 1), ...pair.options } : {}
+  }
+  const style = index.styles.get(id)
+  return style ? { ...resolveStyleUrl(index, style.url, state, depth + 1), ...style.options } : {}
+}
+
+// A placemark's style for each state: the referenced style, then its inline
+// Style over it, on top of the KML defaults. Null when the placemark has no
+// style that resolves within the document.
+export function placemarkStyle(placemark, index) {
+  const url = childText(placemark, 'styleUrl')
+  const inlineStyle = childElements(placemark, 'Style')[0]
+  const inlineMap = childElements(placemark, 'StyleMap')[0]
+  const inline = inlineStyle ? readStyle(inlineStyle) : {}
+  const inlinePairs = inlineMap ? readStyleMap(inlineMap) : {}
+  const resolve = (state) => {
+    const pair = inlinePairs[state] || inlinePairs.normal
+    const fromMap = pair ? { ...resolveStyleUrl(index, pair.url, state), ...pair.options } : {}
+    return { ...resolveStyleUrl(index, url, state), ...fromMap, ...inline }
+  }
+  const normal = resolve('normal')
+  if (Object.keys(normal).length === 0) {
+    return null
+  }
+  const highlight = resolve('highlight')
+  const differs = Object.keys({ ...normal, ...highlight }).some((key) => highlight[key] !== normal[key])
+  return {
+    normal: { ...KML_DEFAULT_STYLE, ...normal },
+    highlight: differs ? { ...KML_DEFAULT_STYLE, ...highlight } : null,
+  }
+}
@@ -0,0 +1,107 @@
+import { describe, expect, it } from 'vitest'
+import './workerDom'
+import { parseKmlColor, placemarkStyle, readKmlStyles } from './kmlStyle'
+
+const KML = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">
+  <Document>
+    <Style id="field-normal">
+      <LineStyle><color>ff0000ff</color><width>2</width></LineStyle>
+      <PolyStyle><color>7f00ff00</color></PolyStyle>
+    </Style>
+    <Style id="field-highlight">
+      <LineStyle><color>ffff0000</color><width>4</width></LineStyle>
+    </Style>
+    <StyleMap id="field">
+      <Pair><key>normal</key><styleUrl>#field-normal</styleUrl></Pair>
+      <Pair><key>highlight</key><styleUrl>#field-highlight</styleUrl></Pair>
+    </StyleMap>
+    <gx:CascadingStyle kml:id="road" xmlns:kml="http://www.opengis.net/kml/2.2">
+      <styleUrl>#field-normal</styleUrl>
+      <Style><PolyStyle><fill>0</fill><outline>0</outline></PolyStyle></Style>
+    </gx:CascadingStyle>
+    <Placemark id="shared"><styleUrl>#field</styleUrl></Placemark>
+    <Placemark id="inline">
+      <styleUrl>doc.kml#field</styleUrl>
+      <Style><LineStyle><width>7</width></LineStyle></Style>
+    </Placemark>
+    <Placemark id="cascading"><styleUrl>#road</styleUrl></Placemark>
+    <Placemark id="plain"><styleUrl>#field-highlight</styleUrl></Placemark>
+    <Placemark id="external"><styleUrl>http://example.com/styles.kml#field</styleUrl></Placemark>
+    <Placemark id="missing"><styleUrl>#nowhere</styleUrl></Placemark>
+    <Placemark id="unstyled"><name>No style</name></Placemark>
+  </Document>
+</kml>`
+
+function placemarks() {
+  const doc = new DOMParser().parseFromString(KML, 'text/xml')
+  const index = readKmlStyles(doc)
+  const byId = new Map(Array.from(doc.getElementsByTagNameNS('*', 'Placemark')).map((p) => [p.getAttribute('id'), p]))
+  return (id) => placemarkStyle(byId.get(id), index)
+}
+
+describe('parseKmlColor', () => {
+  it('reads aabbggrr colors', () => {
+    expect(parseKmlColor('ff2dc0fb')).toEqual({ color: '#fbc02d', opacity: 1 })
+    expect(parseKmlColor('#7F00FF00')).toEqual({ color: '#00ff00', opacity: 0.498 })
+  })
+
+  it('returns null for other values', () => {
+    expect(parseKmlColor('#00ff00')).toBeNull()
+    expect(parseKmlColor('')).toBeNull()
+    expect(parseKmlColor(null)).toBeNull()
+  })
+})
+
+describe('placemarkStyle', () => {
+  const styleOf = placemarks()
+
+  it('resolves a shared StyleMap to its normal and highlight styles', () => {
+    expect(styleOf('shared')).toEqual({
+      normal: { color: '#ff0000', opacity: 1, weight: 2, fillColor: '#00ff00', fillOpacity: 0.498 },
+      highlight: { color: '#0000ff', opacity: 1, weight: 4, fillColor: '#ffffff', fillOpacity: 1 },
+    })
+  })
+
+  it('puts the inline style over the shared one in both states', () => {
+    const style = styleOf('inline')
+    expect(style.normal).toMatchObject({ color: '#ff0000', weight: 7 })
+    expect(style.highlight).toMatchObject({ color: '#0000ff', weight: 7 })
+  })
+
+  it('builds a cascading style on the style it refers to', () => {
+    expect(styleOf('cascading')).toEqual({
+      normal: { color: '#ff0000', opacity: 1, weight: 2, fillColor: '#00ff00', fillOpacity: 0.498, fill: false, stroke: false },
+      highlight: null,
+    })
+  })
+
+  it('has no highlight style when a plain Style is referenced', () => {
+    expect(styleOf('plain').highlight).toBeNull()
+    expect(styleOf('plain').normal).toMatchObject({ color: '#0000ff', weight: 4, fillColor: '#ffffff' })
+  })
+
+  it('takes references to other files by their local id', () => {
+    expect(styleOf('external')).toEqual(styleOf('shared'))
+  })
+
+  it('returns null when no style resolves', () => {
+    expect(styleOf('missing')).toBeNull()
+    expect(styleOf('unstyled')).toBeNull()
+  })
+
+  it('stops at styles that refer to each other', () => {
+    const doc = new DOMParser().parseFromString(
+      `<kml xmlns="http://www.opengis.net/kml/2.2"><Document>
+        <gx:CascadingStyle xmlns:gx="http://www.google.com/kml/ext/2.2" id="loop-b"><styleUrl>#loop-a</styleUrl></gx:CascadingStyle>
+        <gx:CascadingStyle xmlns:gx="http://www.google.com/kml/ext/2.2" id="loop-a"><styleUrl>#loop-b</styleUrl>
+          <Style><LineStyle><width>3</width></LineStyle></Style>
+        </gx:CascadingStyle>
+        <Placemark><styleUrl>#loop-a</styleUrl></Placemark>
+      </Document></kml>`,
+      'text/xml',
+    )
+    const style = placemarkStyle(doc.getElementsByTagNameNS('*', 'Placemark')[0], readKmlStyles(doc))
+    expect(style.normal.weight).toBe(3)
+  })
+})
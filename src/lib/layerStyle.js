@@ -0,0 +1,314 @@
+// Per-layer choropleth state shared by the map layer and its legend: the CSV
+// index, the color scale and which class every feature falls into.
+import { buildCsvIndex, findCsvRow, getFeatureKey, normaliseKey } from './join'
+import {
+  buildColorScale,
+  buildCategoryScale,
+  categoryOf,
+  OTHER_CATEGORY,
+  OTHER_CATEGORY_COLOR,
+} from './classify'
+import { DEFAULT_FEATURE_FILTER, isFilterActive, evaluateFilterGroup } from './featureFilter'
+import { hiddenFolderSet } from './kmlFolders'
+import { buildTimeIndex } from './timeSeries'
+import { createInputCache } from './inputCache'
+
+// Features with no CSV match or no value for the metric
+export const NO_DATA_COLOR = '#9ca3af'
+export const NO_DATA_CLASS = 'noData'
+
+// Outline of the features selected in the attribute table or on the map
+export const SELECTION_COLOR = '#f59e0b'
+// Opacity factor for features failing the attribute filter in dim mode
+const FILTERED_OUT_EMPHASIS = 0.15
+
+// Metric values for color scaling (only numeric cells count)
+export function metricValuesOf(rows, metric) {
+  if (rows.length === 0 || !metric) {
+    return []
+  }
+  return rows
+    .map((row) => {
+      const value = row[metric]
+      if (value === '' || value == null) return NaN
+      return typeof value === 'number' ? value : Number(value)
+    })
+    .filter((v) => Number.isFinite(v))
+}
+
+// `filteredOut` in the classification marks features whose row fails the
+// layer's attribute filter; the scale can optionally ignore those rows.
+// `isHidden` tells which features stay off the map: those in hidden KML
+// folders and, in the filter's hide mode, those failing the filter.
+// For a time series (see timeSeries.js) features join the rows of the shown
+// period, while the scale spans all periods so colors compare across them;
+// `time` then holds the periods and `history(feature)` a feature's row for
+// each period.
+export function buildLayerStyle(layer) {
+  const { joinConfig, selectedMetric, classification } = layer
+  const filter = layer.filter || DEFAULT_FEATURE_FILTER
+  const filterActive = isFilterActive(filter)
+  const passesFilter = (row) => !filterActive || evaluateFilterGroup(filter.root, row)
+  const hideFiltered = filterActive && filter.mode === 'hide'
+  const hiddenFolders = hiddenFolderSet(layer.kmlFolders, layer.hiddenFolders)
+  // Placemarks outside any folder belong to the document's root folder
+  const rootFolder = layer.kmlFolders?.id
+  const hiddenBy = (classify) => (feature) =>
+    hiddenFolders.has(feature.kmlFolder ?? rootFolder) || (hideFiltered && classify(feature).filteredOut)
+
+  const timeColumn = layer.timeSeries?.column
+  const time = timeColumn ? buildTimeIndex(layer.csv.rows, joinConfig, timeColumn) : null
+  const period = time ? layer.timeSeries.period : null
+  const history = (feature) => {
+    const rows = time?.byKey.get(normaliseKey(getFeatureKey(feature, joinConfig.featureKey), joinConfig))
+    return time ? time.periods.map((key) => rows?.get(key) || null) : []
+  }
+
+  // Create a map of normalised CSV keys to rows for faster lookup
+  const csvIndex = time
+    ? new Map(
+        [...time.byKey]
+          .filter(([, rows]) => rows.has(period))
+          .map(([key, rows]) => [key, rows.get(period)]),
+      )
+    : buildCsvIndex(layer.csv.rows, joinConfig)
+  const csvRows =
+    filterActive && filter.scaleToFiltered ? layer.csv.rows.filter(passesFilter) : layer.csv.rows
+  const metricValues = metricValuesOf(csvRows, selectedMetric)
+
+  // Text columns (no numeric cells at all) can only be rendered by category
+  const categorical =
+    classification.method === 'categorical' ||
+    (metricValues.length === 0 && csvRows.some((row) => categoryOf(row[selectedMetric]) != null))
+
+  // Every feature is classified for its style, the legend counts and its
+  // popup, so each result is kept for the life of this style
+  const classified = new WeakMap()
+  const memoized = (classifyFeature) => (feature) => {
+    if (!classified.has(feature)) {
+      classified.set(feature, classifyFeature(feature))
+    }
+    return classified.get(feature)
+  }
+
+  if (categorical) {
+    const scale = buildCategoryScale(csvRows.map((row) => row[selectedMetric]), classification)
+    const active = Boolean(selectedMetric) && scale.categories.length > 0
+
+    const classify = memoized((feature) => {
+      const row = findCsvRow(feature, csvIndex, joinConfig)
+      const raw = row ? row[selectedMetric] : undefined
+      const filteredOut = !passesFilter(row)
+      if (!active || categoryOf(raw) == null) {
+        return { row, value: null, classKey: NO_DATA_CLASS, color: NO_DATA_COLOR, filteredOut }
+      }
+      return {
+        row,
+        value: categoryOf(raw),
+        classKey: scale.classOf(raw),
+        color: scale.colorFor(raw),
+        filteredOut,
+      }
+    })
+
+    return {
+      csvIndex,
+      metricValues,
+      scale,
+      active,
+      categorical,
+      filter,
+      filterActive,
+      classify,
+      isHidden: hiddenBy(classify),
+      time,
+      history,
+    }
+  }
+
+  const scale = buildColorScale(metricValues, classification)
+  const active = metricValues.length > 0
+
+  // Where a feature sits on the scale: its row, value, class and color
+  const classify = memoized((feature) => {
+    const row = findCsvRow(feature, csvIndex, joinConfig)
+    const raw = row ? row[selectedMetric] : undefined
+    const value = raw === '' || raw == null ? NaN : Number(raw)
+    const filteredOut = !passesFilter(row)
+    if (!active || !Number.isFinite(value)) {
+      return { row, value: null, classKey: NO_DATA_CLASS, color: NO_DATA_COLOR, filteredOut }
+    }
+    const classKey = scale.method === 'continuous' ? 0 : scale.classOf(value)
+    return { row, value, classKey, color: scale.colorFor(value), filteredOut }
+  })
+
+  return {
+    csvIndex,
+    metricValues,
+    scale,
+    active,
+    categorical,
+    filter,
+    filterActive,
+    classify,
+    isHidden: hiddenBy(classify),
+    time,
+    history,
+  }
+}
+
+const layerStyles = createInputCache()
+
+// The layer's style, rebuilt only when a setting it derives from changes and
+// not, say, when only the opacity does
+export function cachedLayerStyle(layer) {
+  const { csv, joinConfig, selectedMetric, classification, filter, kmlFolders, hiddenFolders, timeSeries } = layer
+  return layerStyles(
+    layer.geojson,
+    [csv, joinConfig, selectedMetric, classification, filter, kmlFolders, hiddenFolders, timeSeries],
+    () => buildLayerStyle(layer),
+  )
+}
+
+// Look of features when the layer has no style of its own
+const DEFAULT_PATH_STYLE = { color: '#3388ff', opacity: 0.8, weight: 3, fillColor: '#3388ff', fillOpacity: 0.2 }
+
+// A feature's own look: its resolved KML style (the highlight state while
+// `hovered`), else simplestyle properties such as `fill` and `stroke-width`
+function originalPathStyle(feature, hovered) {
+  const { kmlStyle } = feature
+  if (kmlStyle) {
+    return (hovered && kmlStyle.highlight) || kmlStyle.normal
+  }
+  const props = feature?.properties || {}
+  return {
+    color: props.stroke || DEFAULT_PATH_STYLE.color,
+    opacity: props['stroke-opacity'] ?? DEFAULT_PATH_STYLE.opacity,
+    weight: props['stroke-width'] ?? DEFAULT_PATH_STYLE.weight,
+    fillColor: props.fill || DEFAULT_PATH_STYLE.fillColor,
+    fillOpacity: props['fill-opacity'] ?? DEFAULT_PATH_STYLE.fillOpacity,
+  }
+}
+
+// Leaflet path options for a feature, shared by the map layer and the image
+// export. With the layer's `originalStyle` on, features keep the styling of
+// their source file, otherwise they are drawn in the default blue; a
+// choropleth replaces the colors either way. `hovered` switches to the KML
+// highlight style, `highlightClass` emphasises one legend class and
+// `selected` outlines the feature.
+export function featurePathStyle(
+  feature,
+  layer,
+  layerStyle,
+  { highlightClass = null, selected = false, hovered = false } = {},
+) {
+  const { classKey, color, filteredOut } = layerStyle.classify(feature)
+  const { opacity } = layer
+  const base = layer.originalStyle ? originalPathStyle(feature, hovered) : DEFAULT_PATH_STYLE
+
+  let fillColor = base.fillColor
+  let strokeColor = base.color
+
+  if (layerStyle.active) {
+    fillColor = color
+    strokeColor = color
+  }
+
+  let weight = base.weight
+  let emphasis = 1
+  // An unfilled KML polygon still shows its choropleth color
+  let fillOpacity = base.fill === false && !layerStyle.active ? 0 : base.fillOpacity
+  if (highlightClass != null) {
+    if (classKey === highlightClass) {
+      weight += 2
+      fillOpacity = Math.max(fillOpacity, 0.6)
+    } else {
+      emphasis = 0.25
+    }
+  }
+  if (filteredOut) {
+    emphasis = Math.min(emphasis, FILTERED_OUT_EMPHASIS)
+  }
+
+  if (selected) {
+    return {
+      color: SELECTION_COLOR,
+      weight: weight + 3,
+      opacity: 1,
+      fillColor,
+      fillOpacity: Math.max(fillOpacity, 0.5) * opacity,
+    }
+  }
+
+  return {
+    color: strokeColor,
+    weight,
+    opacity: (base.stroke === false ? 0 : base.opacity) * opacity * emphasis,
+    fillColor,
+    fillOpacity: fillOpacity * opacity * emphasis,
+  }
+}
+
+// Legend rows: one per class (the ramp for a continuous scale, one per value
+// for categories) with the number of features in it, plus the no-data bucket.
+// Features removed by the attribute filter are not counted.
+export function buildLegendEntries(layer, layerStyle) {
+  const { scale, classify } = layerStyle
+  const counts = new Map()
+  ;(layer.geojson?.features || []).forEach((feature) => {
+    const { classKey, filteredOut } = classify(feature)
+    if (!filteredOut) {
+      counts.set(classKey, (counts.get(classKey) || 0) + 1)
+    }
+  })
+
+  if (layerStyle.categorical) {
+    const entries = scale.categories.map((category) => ({
+      key: category.value,
+      kind: 'category',
+      label: category.value,
+      color: category.color,
+      count: counts.get(category.value) || 0,
+    }))
+    if (scale.otherValues.length > 0) {
+      entries.push({
+        key: OTHER_CATEGORY,
+        kind: 'category',
+        label: `Other (${scale.otherValues.length} values)`,
+        color: OTHER_CATEGORY_COLOR,
+        count: counts.get(OTHER_CATEGORY) || 0,
+      })
+    }
+    entries.push({ key: NO_DATA_CLASS, kind: 'noData', color: NO_DATA_COLOR, count: counts.get(NO_DATA_CLASS) || 0 })
+    return entries
+  }
+
+  const entries =
+    scale.method === 'continuous'
+      ? [{ key: 0, kind: 'ramp', colors: scale.colors, min: scale.breaks[0], max: scale.breaks[1], count: counts.get(0) || 0 }]
+      : scale.colors.map((color, idx) => ({
+          key: idx,
+          kind: 'class',
+          color,
+          min: scale.breaks[idx],
+          max: scale.breaks[idx + 1],
+          count: counts.get(idx) || 0,
+        }))
+
+  entries.push({
+    key: NO_DATA_CLASS,
+    kind: 'noData',
+    color: NO_DATA_COLOR,
+    count: counts.get(NO_DATA_CLASS) || 0,
+  })
+  return entries
+}
+
+// Numbers for legends and labels: grouped thousands, at most two decimals
+export function formatMetricValue(value, units) {
+  if (!Number.isFinite(value)) {
+    return ''
+  }
+  const formatted = value.toLocaleString('en-US', { maximumFractionDigits: 2 })
+  return units ? `${formatted} ${units}` : formatted
+}
@@ -0,0 +1,88 @@
+// Data layers: each geometry collection carries its own attached table, join
+// settings and display options. The layers array is in draw order, the first
+// entry being drawn at the bottom.
+import { DEFAULT_JOIN_CONFIG } from './join'
+import { DEFAULT_CLASSIFICATION } from './classify'
+import { DEFAULT_FEATURE_FILTER, cloneFilterGroup } from './featureFilter'
+
+let nextLayerId = 1
+
+export const EMPTY_TABLE = { header: [], rows: [], lines: [], errors: [] }
+
+// Layers with this many features start in performance mode: drawn on a
+// canvas and simplified for each zoom level, see FeatureLayer
+export const LARGE_LAYER_FEATURES = 5000
+
+// `attributes` names the fields the file carries as feature properties (KML
+// ExtendedData), which the layer's table takes up even without a CSV.
+// `folders` is a KML file's folder tree, see kmlFolders.js.
+export function createLayer({ name, geojson, format, attributes = [], folders = null, hiddenFolders = [] }) {
+  return {
+    id: `layer-${nextLayerId++}`,
+    name,
+    format,
+    geojson,
+    visible: true,
+    opacity: 1,
+    csv: EMPTY_TABLE,
+    joinConfig: DEFAULT_JOIN_CONFIG,
+    selectedMetric: '',
+    selectedPopupColumns: attributes,
+    classification: DEFAULT_CLASSIFICATION,
+    columnUnits: {},
+    columnFormats: {}, // Display formats by column, see columnFormat.js
+    popupTemplate: '', // Empty for the list of popup columns, see popupTemplate.js
+    featureLabel: { column: '', permanent: false }, // Column shown on hover, or always when permanent
+    computedColumns: [],
+    geometryColumns: [], // Geometry metrics added to the table, see geometryMetrics.js
+    spatialAggregates: [], // Point-in-polygon columns, see spatial.js
+    filter: DEFAULT_FEATURE_FILTER,
+    featureAttributes: attributes,
+    kmlFolders: folders,
+    hiddenFolders,
+    originalStyle: true, // Draw features with their file's own styling, see layerStyle.js
+    timeSeries: null, // { column, period } of a long-format table, see timeSeries.js
+    performanceMode: (geojson?.features.length || 0) >= LARGE_LAYER_FEATURES,
+  }
+}
+
+// File name without its extension, used as the default layer name
+export function layerNameFromFile(fileName) {
+  return (fileName || 'Layer').replace(/\.[^.]+$/, '')
+}
+
+// One collection holding the features of all given layers, for fitting bounds
+export function combineLayerFeatures(layers) {
+  return {
+    type: 'FeatureCollection',
+    features: layers.flatMap((layer) => layer.geojson?.features || []),
+  }
+}
+
+export function moveLayer(layers, layerId, offset) {
+  const index = layers.findIndex((layer) => layer.id === layerId)
+  const target = index + offset
+  if (index === -1 || target < 0 || target >= layers.length) {
+    return layers
+  }
+  const next = [...layers]
+  const [moved] = next.splice(index, 1)
+  next.splice(target, 0, moved)
+  return next
+}
+
+// A layer saved in a project, with a fresh id and defaults for settings that
+// did not exist when it was saved
+export function restoreLayer(saved) {
+  const layer = createLayer({ name: saved.name, geojson: saved.geojson, format: saved.format })
+  const restored = { ...layer, ...saved, id: layer.id }
+  return {
+    ...restored,
+    csv: { ...EMPTY_TABLE, ...saved.csv },
+    joinConfig: { ...layer.joinConfig, ...saved.joinConfig },
+    classification: { ...layer.classification, ...saved.classification },
+    filter: saved.filter
+      ? { ...layer.filter, ...saved.filter, root: cloneFilterGroup(saved.filter.root) }
+      : layer.filter,
+  }
+}
@@ -0,0 +1,5 @@
+// Leaflet plugins shipped as browser scripts extend the global `L`; import
+// this module before such a plugin so it finds the bundled Leaflet.
+import L from 'leaflet'
+
+window.L = L
@@ -0,0 +1,408 @@
+// Map export: the current view redrawn onto a canvas (basemap and overlay
+// tiles, styled features, legend, title, north arrow, scale bar and
+// attribution), saved as PNG or placed on an A4/A3 PDF page.
+import { featurePathStyle, formatMetricValue } from './layerStyle'
+import { downloadFile } from './download'
+import { resolveTile } from './tileLayers'
+import { attributionText } from './tileSources'
+
+export const PAPER_SIZES = {
+  a4: { label: 'A4', width: 210, height: 297 },
+  a3: { label: 'A3', width: 297, height: 420 },
+}
+
+export const EXPORT_DPI_OPTIONS = [96, 150, 200, 300]
+
+// Screen pixels are taken as 1/96 inch, as in CSS
+const CSS_DPI = 96
+const MM_PER_INCH = 25.4
+const PAGE_MARGIN_MM = 10
+const TITLE_HEIGHT = 44
+const TILE_SIZE = 256
+const EARTH_CIRCUMFERENCE = 40075016.686
+const FONT = 'system-ui, -apple-system, sans-serif'
+
+// A tile from resolveTile (a URL or an image Blob) as a loaded image
+function loadImage(tile) {
+  return new Promise((resolve) => {
+    const image = new Image()
+    const url = typeof tile === 'string' ? tile : URL.createObjectURL(tile)
+    const release = () => {
+      if (url !== tile) URL.revokeObjectURL(url)
+    }
+    // Tile servers must allow CORS, otherwise the canvas cannot be exported
+    image.crossOrigin = 'anonymous'
+    image.onload = () => {
+      release()
+      resolve(image)
+    }
+    image.onerror = () => {
+      release()
+      resolve(null)
+    }
+    image.src = url
+  })
+}
+
+// Tiles of one source covering the view. Returns the number of tiles that
+// failed; tiles a local archive does not hold are left blank, as on the map.
+async function drawTiles(ctx, view, source, { retina, cached, opacity = 1 }) {
+  if (Math.round(view.zoom) < source.minZoom) {
+    return 0
+  }
+  const tileZoom = Math.min(source.maxZoom, Math.round(view.zoom))
+  const tileScale = 2 ** (view.zoom - tileZoom)
+  const drawnSize = TILE_SIZE * tileScale
+  const tileCount = 2 ** tileZoom
+  const minX = Math.floor(view.origin.x / drawnSize)
+  const maxX = Math.floor((view.origin.x + view.width) / drawnSize)
+  const minY = Math.max(0, Math.floor(view.origin.y / drawnSize))
+  const maxY = Math.min(tileCount - 1, Math.floor((view.origin.y + view.height) / drawnSize))
+
+  const tiles = []
+  for (let x = minX; x <= maxX; x++) {
+    for (let y = minY; y <= maxY; y++) {
+      const wrappedX = ((x % tileCount) + tileCount) % tileCount
+      tiles.push({ x, y, coords: { x: wrappedX, y, z: tileZoom } })
+    }
+  }
+
+  const images = await Promise.all(
+    tiles.map((tile) =>
+      resolveTile(source, tile.coords, { cached, retina })
+        .then((resolved) => (resolved ? loadImage(resolved) : undefined))
+        .catch(() => null),
+    ),
+  )
+  ctx.save()
+  ctx.globalAlpha = opacity
+  images.forEach((image, idx) => {
+    if (image) {
+      const { x, y } = tiles[idx]
+      // Overlap by a hair to avoid seams between scaled tiles
+      ctx.drawImage(
+        image,
+        x * drawnSize - view.origin.x,
+        y * drawnSize - view.origin.y,
+        drawnSize + 0.5,
+        drawnSize + 0.5,
+      )
+    }
+  })
+  ctx.restore()
+  return images.filter((image) => image === null).length
+}
+
+function tracePositions(ctx, positions, project, close) {
+  positions.forEach((position, idx) => {
+    const point = project(position)
+    if (idx === 0) ctx.moveTo(point.x, point.y)
+    else ctx.lineTo(point.x, point.y)
+  })
+  if (close) ctx.closePath()
+}
+
+function drawGeometry(ctx, geometry, style, project) {
+  if (!geometry) {
+    return
+  }
+  const paint = (fill) => {
+    if (fill) {
+      ctx.globalAlpha = style.fillOpacity
+      ctx.fillStyle = style.fillColor
+      ctx.fill('evenodd')
+    }
+    ctx.globalAlpha = style.opacity
+    ctx.strokeStyle = style.color
+    ctx.lineWidth = style.weight
+    ctx.stroke()
+  }
+  const polygon = (rings) => {
+    ctx.beginPath()
+    rings.forEach((ring) => tracePositions(ctx, ring, project, true))
+    paint(true)
+  }
+  const line = (positions) => {
+    ctx.beginPath()
+    tracePositions(ctx, positions, project, false)
+    paint(false)
+  }
+  // Points are drawn as dots; the on-screen marker icons are not reproduced
+  const point = (position) => {
+    const { x, y } = project(position)
+    ctx.beginPath()
+    ctx.arc(x, y, 6, 0, Math.PI * 2)
+    paint(true)
+  }
+
+  switch (geometry.type) {
+    case 'Polygon':
+      polygon(geometry.coordinates)
+      break
+    case 'MultiPolygon':
+      geometry.coordinates.forEach(polygon)
+      break
+    case 'LineString':
+      line(geometry.coordinates)
+      break
+    case 'MultiLineString':
+      geometry.coordinates.forEach(line)
+      break
+    case 'Point':
+      point(geometry.coordinates)
+      break
+    case 'MultiPoint':
+      geometry.coordinates.forEach(point)
+      break
+    case 'GeometryCollection':
+      geometry.geometries.forEach((part) => drawGeometry(ctx, part, style, project))
+      break
+    default:
+      break
+  }
+}
+
+function drawFeatures(ctx, view, layers, layerStyles) {
+  const project = ([lng, lat]) => {
+    const point = view.crs.latLngToPoint({ lat, lng }, view.zoom)
+    return { x: point.x - view.origin.x, y: point.y - view.origin.y }
+  }
+  ctx.lineJoin = 'round'
+  ctx.lineCap = 'round'
+  layers.forEach((layer) => {
+    const layerStyle = layerStyles.get(layer.id)
+    layer.geojson.features.forEach((feature) => {
+      if (layerStyle.isHidden(feature)) {
+        return
+      }
+      drawGeometry(ctx, feature.geometry, featurePathStyle(feature, layer, layerStyle), project)
+    })
+  })
+  ctx.globalAlpha = 1
+}
+
+function roundedRect(ctx, x, y, width, height, radius) {
+  ctx.beginPath()
+  ctx.roundRect(x, y, width, height, radius)
+}
+
+function legendLabel(entry, units) {
+  if (entry.kind === 'noData') return 'No data'
+  if (entry.kind === 'category') return entry.label
+  return `${formatMetricValue(entry.min, units)} – ${formatMetricValue(entry.max, units)}`
+}
+
+// Same look as the on-screen legend control, anchored bottom right
+function drawLegend(ctx, legend, right, bottom) {
+  const padding = 10
+  const rowHeight = 20
+  const swatch = 14
+  ctx.font = `12px ${FONT}`
+  const title = legend.units ? `${legend.title} (${legend.units})` : legend.title
+  const rows = legend.entries.map((entry) => ({ entry, label: legendLabel(entry, legend.units), count: String(entry.count) }))
+  const swatchWidth = (entry) => (entry.kind === 'ramp' ? 60 : swatch)
+  const contentWidth = Math.max(
+    ctx.measureText(title).width,
+    ...rows.map(({ entry, label, count }) => swatchWidth(entry) + 8 + ctx.measureText(label).width + 16 + ctx.measureText(count).width),
+  )
+  const width = Math.max(180, contentWidth + padding * 2)
+  const height = padding * 2 + 20 + rows.length * rowHeight
+  const x = right - width
+  const y = bottom - height
+
+  ctx.fillStyle = 'rgba(17, 24, 39, 0.9)'
+  roundedRect(ctx, x, y, width, height, 6)
+  ctx.fill()
+
+  ctx.fillStyle = '#f9fafb'
+  ctx.textBaseline = 'middle'
+  ctx.font = `500 12px ${FONT}`
+  ctx.fillText(title, x + padding, y + padding + 8)
+  ctx.font = `12px ${FONT}`
+  rows.forEach(({ entry, label, count }, idx) => {
+    const rowY = y + padding + 20 + idx * rowHeight + rowHeight / 2
+    if (entry.kind === 'ramp') {
+      const gradient = ctx.createLinearGradient(x + padding, 0, x + padding + 60, 0)
+      entry.colors.forEach((color, i) => gradient.addColorStop(i / Math.max(1, entry.colors.length - 1), color))
+      ctx.fillStyle = gradient
+    } else {
+      ctx.fillStyle = entry.color
+    }
+    roundedRect(ctx, x + padding, rowY - swatch / 2, swatchWidth(entry), swatch, 3)
+    ctx.fill()
+    ctx.fillStyle = '#f9fafb'
+    ctx.textAlign = 'left'
+    ctx.fillText(label, x + padding + swatchWidth(entry) + 8, rowY)
+    ctx.textAlign = 'right'
+    ctx.fillText(count, x + width - padding, rowY)
+  })
+  ctx.textAlign = 'left'
+}
+
+function drawNorthArrow(ctx, x, y) {
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.85)'
+  ctx.beginPath()
+  ctx.arc(x, y, 20, 0, Math.PI * 2)
+  ctx.fill()
+  ctx.fillStyle = '#111827'
+  ctx.beginPath()
+  ctx.moveTo(x, y - 14)
+  ctx.lineTo(x + 7, y + 6)
+  ctx.lineTo(x, y + 2)
+  ctx.lineTo(x - 7, y + 6)
+  ctx.closePath()
+  ctx.fill()
+  ctx.font = `bold 10px ${FONT}`
+  ctx.textAlign = 'center'
+  ctx.textBaseline = 'top'
+  ctx.fillText('N', x, y + 7)
+  ctx.textAlign = 'left'
+}
+
+// Longest 1/2/5 x 10^n distance that fits in `maxWidth` pixels
+function niceScaleLength(metresPerPixel, maxWidth) {
+  const maxMetres = metresPerPixel * maxWidth
+  const magnitude = 10 ** Math.floor(Math.log10(maxMetres))
+  const step = [5, 2, 1].find((n) => n * magnitude <= maxMetres) || 1
+  return step * magnitude
+}
+
+function drawScaleBar(ctx, view, x, bottom) {
+  const metresPerPixel =
+    (EARTH_CIRCUMFERENCE * Math.cos((view.center.lat * Math.PI) / 180)) / (TILE_SIZE * 2 ** view.zoom)
+  const metres = niceScaleLength(metresPerPixel, 120)
+  const width = metres / metresPerPixel
+  const label = metres >= 1000 ? `${metres / 1000} km` : `${metres} m`
+
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.8)'
+  ctx.fillRect(x, bottom - 22, width + 2, 22)
+  ctx.strokeStyle = '#111827'
+  ctx.lineWidth = 2
+  ctx.beginPath()
+  ctx.moveTo(x + 1, bottom - 12)
+  ctx.lineTo(x + 1, bottom - 3)
+  ctx.lineTo(x + 1 + width, bottom - 3)
+  ctx.lineTo(x + 1 + width, bottom - 12)
+  ctx.stroke()
+  ctx.fillStyle = '#111827'
+  ctx.font = `11px ${FONT}`
+  ctx.textBaseline = 'alphabetic'
+  ctx.fillText(label, x + 6, bottom - 8)
+}
+
+function drawAttribution(ctx, text, right, bottom) {
+  ctx.font = `10px ${FONT}`
+  const width = ctx.measureText(text).width + 8
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.8)'
+  ctx.fillRect(right - width, bottom - 14, width, 14)
+  ctx.fillStyle = '#374151'
+  ctx.textBaseline = 'middle'
+  ctx.fillText(text, right - width + 4, bottom - 7)
+}
+
+// Render the map at `width` x `height` CSS pixels, `pixelRatio` output pixels
+// each. The current view is kept centred and scaled to fit the map area.
+// Resolves to { canvas, failedTiles }.
+// `basemap` and `overlays` ({ source, opacity }) are tile sources; tiles of
+// sources with an entry in `tileCaches` come from the offline cache first.
+export async function renderMapCanvas(
+  map,
+  { width, height, pixelRatio = 1, title, basemap, overlays = [], tileCaches = {}, layers, layerStyles, legend },
+) {
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.round(width * pixelRatio)
+  canvas.height = Math.round(height * pixelRatio)
+  const ctx = canvas.getContext('2d')
+  ctx.scale(pixelRatio, pixelRatio)
+  ctx.fillStyle = '#ffffff'
+  ctx.fillRect(0, 0, width, height)
+
+  const titleHeight = title ? TITLE_HEIGHT : 0
+  const mapHeight = height - titleHeight
+  const size = map.getSize()
+  const center = map.getCenter()
+  const zoom = map.getZoom() + Math.log2(Math.min(width / size.x, mapHeight / size.y))
+  const crs = map.options.crs
+  const centerPoint = crs.latLngToPoint(center, zoom)
+  const view = {
+    crs,
+    center,
+    zoom,
+    width,
+    height: mapHeight,
+    origin: { x: centerPoint.x - width / 2, y: centerPoint.y - mapHeight / 2 },
+  }
+
+  if (title) {
+    ctx.fillStyle = '#111827'
+    ctx.font = `600 20px ${FONT}`
+    ctx.textBaseline = 'middle'
+    ctx.fillText(title, 12, titleHeight / 2)
+  }
+
+  ctx.save()
+  ctx.translate(0, titleHeight)
+  ctx.beginPath()
+  ctx.rect(0, 0, width, mapHeight)
+  ctx.clip()
+  const retina = pixelRatio >= 1.5
+  let failedTiles = 0
+  for (const { source, opacity } of [{ source: basemap, opacity: 1 }, ...overlays]) {
+    failedTiles += await drawTiles(ctx, view, source, { retina, cached: Boolean(tileCaches[source.id]), opacity })
+  }
+  drawFeatures(ctx, view, layers, layerStyles)
+  const attribution = [basemap, ...overlays.map(({ source }) => source)]
+    .map(attributionText)
+    .filter(Boolean)
+    .join(' | ')
+  drawAttribution(ctx, attribution, width, mapHeight)
+  if (legend) {
+    drawLegend(ctx, legend, width - 10, mapHeight - 24)
+  }
+  drawNorthArrow(ctx, width - 34, 34)
+  drawScaleBar(ctx, view, 10, mapHeight - 10)
+  ctx.restore()
+
+  return { canvas, failedTiles }
+}
+
+const canvasToBlob = (canvas, type, quality) =>
+  new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('The map image could not be created'))), type, quality)
+  })
+
+// Current map size at the chosen DPI
+export async function exportMapPng(map, { dpi, fileName, ...options }) {
+  const size = map.getSize()
+  const { canvas, failedTiles } = await renderMapCanvas(map, {
+    ...options,
+    width: size.x,
+    height: size.y + (options.title ? TITLE_HEIGHT : 0),
+    pixelRatio: dpi / CSS_DPI,
+  })
+  downloadFile(await canvasToBlob(canvas, 'image/png'), `${fileName}.png`, 'image/png')
+  return { failedTiles }
+}
+
+// One page with the map filling the area inside the margins
+export async function exportMapPdf(map, { dpi, paper, orientation, fileName, ...options }) {
+  const { jsPDF } = await import('jspdf')
+  const sheet = PAPER_SIZES[paper]
+  const [pageWidth, pageHeight] =
+    orientation === 'landscape' ? [sheet.height, sheet.width] : [sheet.width, sheet.height]
+  const contentWidth = pageWidth - PAGE_MARGIN_MM * 2
+  const contentHeight = pageHeight - PAGE_MARGIN_MM * 2
+  const toCssPixels = (mm) => (mm / MM_PER_INCH) * CSS_DPI
+
+  const { canvas, failedTiles } = await renderMapCanvas(map, {
+    ...options,
+    width: toCssPixels(contentWidth),
+    height: toCssPixels(contentHeight),
+    pixelRatio: dpi / CSS_DPI,
+  })
+
+  const pdf = new jsPDF({ orientation, unit: 'mm', format: paper })
+  pdf.addImage(canvas.toDataURL('image/jpeg', 0.92), 'JPEG', PAGE_MARGIN_MM, PAGE_MARGIN_MM, contentWidth, contentHeight)
+  downloadFile(pdf.output('blob'), `${fileName}.pdf`, 'application/pdf')
+  return { failedTiles }
+}
@@ -0,0 +1,193 @@
+// Color ramps for choropleth styling. Anchors are interpolated to the number
+// of classes needed. Sequential and diverging ramps follow ColorBrewer; the
+// perceptually uniform ramps follow matplotlib's viridis family. Qualitative
+// palettes are used as-is, one color per category.
+
+export const PALETTES = {
+  violet: {
+    label: 'Violet (default)',
+    type: 'sequential',
+    colorblindSafe: true,
+    colors: ['#ede9fe', '#581c87'],
+  },
+  blues: {
+    label: 'Blues',
+    type: 'sequential',
+    colorblindSafe: true,
+    colors: ['#f7fbff', '#deebf7', '#c6dbef', '#9ecae1', '#6baed6', '#4292c6', '#2171b5', '#08519c', '#08306b'],
+  },
+  greens: {
+    label: 'Greens',
+    type: 'sequential',
+    colorblindSafe: true,
+    colors: ['#f7fcf5', '#e5f5e0', '#c7e9c0', '#a1d99b', '#74c476', '#41ab5d', '#238b45', '#006d2c', '#00441b'],
+  },
+  oranges: {
+    label: 'Oranges',
+    type: 'sequential',
+    colorblindSafe: true,
+    colors: ['#fff5eb', '#fee6ce', '#fdd0a2', '#fdae6b', '#fd8d3c', '#f16913', '#d94801', '#a63603', '#7f2704'],
+  },
+  reds: {
+    label: 'Reds',
+    type: 'sequential',
+    colorblindSafe: true,
+    colors: ['#fff5f0', '#fee0d2', '#fcbba1', '#fc9272', '#fb6a4a', '#ef3b2c', '#cb181d', '#a50f15', '#67000d'],
+  },
+  ylOrRd: {
+    label: 'Yellow-Orange-Red',
+    type: 'sequential',
+    colorblindSafe: true,
+    colors: ['#ffffcc', '#ffeda0', '#fed976', '#feb24c', '#fd8d3c', '#fc4e2a', '#e31a1c', '#bd0026', '#800026'],
+  },
+  ylGnBu: {
+    label: 'Yellow-Green-Blue',
+    type: 'sequential',
+    colorblindSafe: true,
+    colors: ['#ffffd9', '#edf8b1', '#c7e9b4', '#7fcdbb', '#41b6c4', '#1d91c0', '#225ea8', '#253494', '#081d58'],
+  },
+  viridis: {
+    label: 'Viridis',
+    type: 'sequential',
+    colorblindSafe: true,
+    colors: ['#440154', '#482878', '#3e4989', '#31688e', '#26828e', '#1f9e89', '#35b779', '#6ece58', '#b5de2b', '#fde725'],
+  },
+  magma: {
+    label: 'Magma',
+    type: 'sequential',
+    colorblindSafe: true,
+    colors: ['#000004', '#180f3d', '#440f76', '#721f81', '#9e2f7f', '#cd4071', '#f1605d', '#fd9668', '#feca8d', '#fcfdbf'],
+  },
+  cividis: {
+    label: 'Cividis',
+    type: 'sequential',
+    colorblindSafe: true,
+    colors: ['#00224e', '#123570', '#3b496c', '#575d6d', '#707173', '#8a8779', '#a69d75', '#c4b56c', '#e4cf5b', '#fee838'],
+  },
+  rdBu: {
+    label: 'Red-Blue',
+    type: 'diverging',
+    colorblindSafe: true,
+    colors: ['#b2182b', '#d6604d', '#f4a582', '#fddbc7', '#f7f7f7', '#d1e5f0', '#92c5de', '#4393c3', '#2166ac'],
+  },
+  brBG: {
+    label: 'Brown-Teal',
+    type: 'diverging',
+    colorblindSafe: true,
+    colors: ['#8c510a', '#bf812d', '#dfc27d', '#f6e8c3', '#f5f5f5', '#c7eae5', '#80cdc1', '#35978f', '#01665e'],
+  },
+  puOr: {
+    label: 'Purple-Orange',
+    type: 'diverging',
+    colorblindSafe: true,
+    colors: ['#b35806', '#e08214', '#fdb863', '#fee0b6', '#f7f7f7', '#d8daeb', '#b2abd2', '#8073ac', '#542788'],
+  },
+  rdYlGn: {
+    label: 'Red-Yellow-Green',
+    type: 'diverging',
+    colorblindSafe: false,
+    colors: ['#d73027', '#f46d43', '#fdae61', '#fee08b', '#ffffbf', '#d9ef8b', '#a6d96a', '#66bd63', '#1a9850'],
+  },
+  spectral: {
+    label: 'Spectral',
+    type: 'diverging',
+    colorblindSafe: false,
+    colors: ['#d53e4f', '#f46d43', '#fdae61', '#fee08b', '#ffffbf', '#e6f598', '#abdda4', '#66c2a5', '#3288bd'],
+  },
+  okabeIto: {
+    label: 'Okabe-Ito',
+    type: 'qualitative',
+    colorblindSafe: true,
+    colors: ['#e69f00', '#56b4e9', '#009e73', '#f0e442', '#0072b2', '#d55e00', '#cc79a7', '#000000'],
+  },
+  set2: {
+    label: 'Set 2',
+    type: 'qualitative',
+    colorblindSafe: false,
+    colors: ['#66c2a5', '#fc8d62', '#8da0cb', '#e78ac3', '#a6d854', '#ffd92f', '#e5c494', '#b3b3b3'],
+  },
+  dark2: {
+    label: 'Dark 2',
+    type: 'qualitative',
+    colorblindSafe: false,
+    colors: ['#1b9e77', '#d95f02', '#7570b3', '#e7298a', '#66a61e', '#e6ab02', '#a6761d', '#666666'],
+  },
+  tableau10: {
+    label: 'Tableau 10',
+    type: 'qualitative',
+    colorblindSafe: false,
+    colors: ['#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f', '#edc948', '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac'],
+  },
+  paired: {
+    label: 'Paired',
+    type: 'qualitative',
+    colorblindSafe: false,
+    colors: ['#a6cee3', '#1f78b4', '#b2df8a', '#33a02c', '#fb9a99', '#e31a1c', '#fdbf6f', '#ff7f00', '#cab2d6', '#6a3d9a', '#ffff99', '#b15928'],
+  },
+}
+
+export const DEFAULT_PALETTE = 'violet'
+export const DEFAULT_QUALITATIVE_PALETTE = 'okabeIto'
+
+function paletteGroup(type, label) {
+  return {
+    label,
+    options: Object.entries(PALETTES)
+      .filter(([, palette]) => palette.type === type)
+      .map(([value, palette]) => ({
+        value,
+        label: palette.colorblindSafe ? `${palette.label} (colorblind safe)` : palette.label,
+      })),
+  }
+}
+
+// Grouped options for a palette selector; colorblind-safe ramps are marked
+export const PALETTE_OPTIONS = [
+  paletteGroup('sequential', 'Sequential'),
+  paletteGroup('diverging', 'Diverging'),
+]
+
+export const QUALITATIVE_PALETTE_OPTIONS = [paletteGroup('qualitative', 'Qualitative')]
+
+// Color for the n-th category; qualitative palettes cycle, ramps are sampled
+export function categoryColor(paletteKey, index, count, reverse = false) {
+  const palette = PALETTES[paletteKey] || PALETTES[DEFAULT_QUALITATIVE_PALETTE]
+  if (palette.type === 'qualitative') {
+    const colors = reverse ? [...palette.colors].reverse() : palette.colors
+    return colors[index % colors.length]
+  }
+  return interpolatePalette(paletteKey, count > 1 ? index / (count - 1) : 1, reverse)
+}
+
+function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16)
+  return { r: (n >> 16) & 255, g: (n >> 8) & 255, b: n & 255 }
+}
+
+function rgbToHex({ r, g, b }) {
+  return `#${[r, g, b].map((c) => Math.round(c).toString(16).padStart(2, '0')).join('')}`
+}
+
+// Color at position t (0..1) along the palette's anchors
+export function interpolatePalette(paletteKey, t, reverse = false) {
+  const colors = (PALETTES[paletteKey] || PALETTES[DEFAULT_PALETTE]).colors
+  const clamped = Math.min(1, Math.max(0, reverse ? 1 - t : t))
+  const scaled = clamped * (colors.length - 1)
+  const i = Math.min(colors.length - 2, Math.floor(scaled))
+  const local = scaled - i
+  const a = hexToRgb(colors[i])
+  const b = hexToRgb(colors[i + 1])
+  return rgbToHex({
+    r: a.r + (b.r - a.r) * local,
+    g: a.g + (b.g - a.g) * local,
+    b: a.b + (b.b - a.b) * local,
+  })
+}
+
+// `count` evenly spaced colors from the palette
+export function getRampColors(paletteKey, count, reverse = false) {
+  if (count <= 1) {
+    return [interpolatePalette(paletteKey, 1, reverse)]
+  }
+  return Array.from({ length: count }, (_, i) => interpolatePalette(paletteKey, i / (count - 1), reverse))
+}
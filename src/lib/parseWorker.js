@@ -0,0 +1,22 @@
+// Worker entry for reading files off the main thread. Receives
+// `{ task, file, options }`, posts `{ type: 'progress', done, total }` while
+// working and finally `{ type: 'result', result }` or `{ type: 'error', message }`.
+import './workerDom'
+import { parseCsvBuffer } from './csv'
+import { importGeometryFileToWgs84 } from './geometryImport'
+
+const TASKS = {
+  csv: async (file, options, onProgress) => parseCsvBuffer(await file.arrayBuffer(), { ...options, onProgress }),
+  geometry: (file, options, onProgress) => importGeometryFileToWgs84(file, { ...options, onProgress }),
+}
+
+self.onmessage = async ({ data }) => {
+  const { task, file, options } = data
+  const onProgress = (done, total) => self.postMessage({ type: 'progress', done, total })
+  try {
+    const result = await TASKS[task](file, options, onProgress)
+    self.postMessage({ type: 'result', result })
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message })
+  }
+}
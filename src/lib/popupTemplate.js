@@ -0,0 +1,35 @@
+// Popup templates: plain text in which `{column}` stands for a feature's
+// formatted value of that column. The text and the values are escaped, so
+// neither a template from a shared project nor a CSV or KML cell can add
+// markup; line breaks are kept.
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }
+
+// Text made safe for HTML content and attribute values
+export function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (char) => HTML_ESCAPES[char])
+}
+
+const PLACEHOLDER = /\{([^{}]+)\}/g
+
+// A placeholder for a column, as inserted from the column list
+export const placeholderFor = (column) => `{${column}}`
+
+// Columns a template refers to
+export function templateColumns(template) {
+  return [...(template || '').matchAll(PLACEHOLDER)].map((match) => match[1].trim())
+}
+
+// The template as HTML. `valueOf(column)` gives a column's display text;
+// unknown columns and empty values leave their placeholder blank.
+export function renderPopupTemplate(template, valueOf) {
+  let html = ''
+  let last = 0
+  for (const match of template.matchAll(PLACEHOLDER)) {
+    html += escapeHtml(template.slice(last, match.index))
+    html += escapeHtml(valueOf(match[1].trim()) ?? '')
+    last = match.index + match[0].length
+  }
+  html += escapeHtml(template.slice(last))
+  return html.trim().replace(/\r?\n/g, '<br>')
+}
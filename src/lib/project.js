@@ -0,0 +1,86 @@
+// Projects: everything needed to reopen a map (layers with their tables and
+// styling, the basemap and the view) as one JSON document.
+import { restoreLayer } from './layers'
+import { isBuiltInSource } from './tileSources'
+
+export const PROJECT_FORMAT = 'react-map-project'
+export const PROJECT_VERSION = 1
+export const PROJECT_FILE_ACCEPT = '.json'
+
+export function serializeProject({ name, layers, activeLayerId, mapTheme, overlays = [], tileSources = [], view }) {
+  // Custom tile sources in use travel with the project, local files without their data
+  const usedSourceIds = [mapTheme, ...overlays.map((overlay) => overlay.sourceId)]
+  const savedSources = tileSources
+    .filter((source) => !isBuiltInSource(source.id) && usedSourceIds.includes(source.id))
+    .map((source) => {
+      const { file: _file, ...saved } = source
+      return saved
+    })
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    name,
+    savedAt: new Date().toISOString(),
+    view,
+    mapTheme,
+    overlays,
+    tileSources: savedSources,
+    activeLayerIndex: layers.findIndex((layer) => layer.id === activeLayerId),
+    // Layer ids are session-local and reassigned on load, so references to
+    // other layers are saved as positions
+    layers: layers.map((layer) => {
+      const { id: _id, ...saved } = layer
+      return {
+        ...saved,
+        spatialAggregates: (layer.spatialAggregates || []).map((aggregate) => {
+          const { sourceLayerId, ...rest } = aggregate
+          return { ...rest, sourceLayerIndex: layers.findIndex((source) => source.id === sourceLayerId) }
+        }),
+      }
+    }),
+  }
+}
+
+// Validate a parsed project document and rebuild its layers
+export function restoreProject(document) {
+  if (!document || document.format !== PROJECT_FORMAT) {
+    throw new Error('The file is not a map project')
+  }
+  if (document.version > PROJECT_VERSION) {
+    throw new Error(`The project was saved by a newer version (format ${document.version})`)
+  }
+  if (!Array.isArray(document.layers)) {
+    throw new Error('The project has no layers')
+  }
+  const restored = document.layers.map(restoreLayer)
+  const layers = restored.map((layer) => ({
+    ...layer,
+    spatialAggregates: layer.spatialAggregates.map((aggregate) => {
+      const { sourceLayerIndex, ...rest } = aggregate
+      return { ...rest, sourceLayerId: restored[sourceLayerIndex]?.id ?? null }
+    }),
+  }))
+  return {
+    name: document.name || 'Untitled project',
+    view: document.view || null,
+    mapTheme: document.mapTheme,
+    overlays: Array.isArray(document.overlays) ? document.overlays : [],
+    tileSources: Array.isArray(document.tileSources) ? document.tileSources : [],
+    layers,
+    activeLayerId: layers[document.activeLayerIndex]?.id ?? layers[layers.length - 1]?.id ?? null,
+  }
+}
+
+export function parseProjectFile(text) {
+  let document
+  try {
+    document = JSON.parse(text)
+  } catch {
+    throw new Error('The project file is not valid JSON')
+  }
+  return restoreProject(document)
+}
+
+export function projectFileName(name) {
+  return `${(name || 'project').replace(/[\\/:*?"<>|]+/g, '_')}.mapproject.json`
+}
@@ -0,0 +1,53 @@
+// Recently saved or opened projects, kept in IndexedDB so they survive a
+// reload. Only the newest few are kept; saving under an existing name
+// replaces that entry.
+import { createDatabase } from './indexedDb'
+
+const STORE = 'projects'
+export const MAX_RECENT_PROJECTS = 10
+
+const withStores = createDatabase({
+  name: 'react-map',
+  version: 1,
+  upgrade: (db) => db.createObjectStore(STORE, { keyPath: 'name' }),
+})
+
+const withStore = (mode, action) => withStores([STORE], mode, action)
+
+const byNewest = (a, b) => (a.savedAt < b.savedAt ? 1 : a.savedAt > b.savedAt ? -1 : 0)
+
+// Summaries of the stored projects, newest first
+export function listRecentProjects() {
+  return withStore('readonly', (store) => store.getAll()).then((projects) =>
+    projects
+      .map((project) => ({ name: project.name, savedAt: project.savedAt, layerCount: project.layers.length }))
+      .sort(byNewest),
+  )
+}
+
+export function loadRecentProject(name) {
+  return withStore('readonly', (store) => store.get(name)).then((project) => {
+    if (!project) {
+      throw new Error(`Project "${name}" is no longer stored`)
+    }
+    return project
+  })
+}
+
+export function saveRecentProject(project) {
+  return withStore('readwrite', (store) => store.put(project))
+    .then(listRecentProjects)
+    .then((recent) => {
+      const stale = recent.slice(MAX_RECENT_PROJECTS)
+      if (stale.length > 0) {
+        return withStore('readwrite', (store) => {
+          stale.forEach((entry) => store.delete(entry.name))
+        })
+      }
+      return undefined
+    })
+}
+
+export function deleteRecentProject(name) {
+  return withStore('readwrite', (store) => store.delete(name))
+}
@@ -0,0 +1,108 @@
+// Per-zoom simplification of lines and polygons, for drawing large layers.
+// Positions are projected to Web Mercator and thinned with Douglas-Peucker to
+// within a screen pixel at the zoom level, so each level only draws the detail
+// it can show. Results are kept per geometry and zoom level.
+
+// Largest shift of a line allowed, in screen pixels
+const TOLERANCE_PIXELS = 1
+const TILE_SIZE = 256
+const MAX_LATITUDE = 85.0511287798
+
+// A [lng, lat] position as a fraction of the Web Mercator world
+function project([lng, lat]) {
+  const sin = Math.sin((Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat)) * Math.PI) / 180)
+  return [(lng + 180) / 360, 0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)]
+}
+
+// Squared distance from p to the segment a-b
+function segmentDistanceSq([px, py], [ax, ay], [bx, by]) {
+  const dx = bx - ax
+  const dy = by - ay
+  const lengthSq = dx * dx + dy * dy
+  const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq))
+  const x = ax + t * dx - px
+  const y = ay + t * dy - py
+  return x * x + y * y
+}
+
+// Douglas-Peucker on a list of positions, keeping the first and the last.
+// `tolerance` is in projected units (a fraction of the world's width).
+export function simplifyPositions(positions, tolerance) {
+  const last = positions.length - 1
+  if (last < 2) {
+    return positions
+  }
+  const projected = positions.map(project)
+  const toleranceSq = tolerance * tolerance
+  const keep = new Uint8Array(positions.length)
+  keep[0] = 1
+  keep[last] = 1
+  // Iterative, as rings can have far more positions than the call stack allows
+  const stack = [[0, last]]
+  while (stack.length > 0) {
+    const [first, end] = stack.pop()
+    let farthest = -1
+    let farthestSq = toleranceSq
+    for (let i = first + 1; i < end; i++) {
+      const distanceSq = segmentDistanceSq(projected[i], projected[first], projected[end])
+      if (distanceSq > farthestSq) {
+        farthest = i
+        farthestSq = distanceSq
+      }
+    }
+    if (farthest !== -1) {
+      keep[farthest] = 1
+      stack.push([first, farthest], [farthest, end])
+    }
+  }
+  return positions.filter((_, i) => keep[i])
+}
+
+// A closed ring keeps at least a triangle; one smaller than the tolerance
+// shrinks to a triangle of its own positions rather than disappearing
+function simplifyRing(ring, tolerance) {
+  const simplified = simplifyPositions(ring, tolerance)
+  if (simplified.length >= 4) {
+    return simplified
+  }
+  if (ring.length <= 4) {
+    return ring
+  }
+  const third = Math.floor((ring.length - 1) / 3)
+  return [ring[0], ring[third], ring[third * 2], ring[0]]
+}
+
+function simplifyGeometry(geometry, tolerance) {
+  const lines = (coordinates) => coordinates.map((line) => simplifyPositions(line, tolerance))
+  const rings = (coordinates) => coordinates.map((ring) => simplifyRing(ring, tolerance))
+  switch (geometry.type) {
+    case 'LineString':
+      return { ...geometry, coordinates: simplifyPositions(geometry.coordinates, tolerance) }
+    case 'MultiLineString':
+      return { ...geometry, coordinates: lines(geometry.coordinates) }
+    case 'Polygon':
+      return { ...geometry, coordinates: rings(geometry.coordinates) }
+    case 'MultiPolygon':
+      return { ...geometry, coordinates: geometry.coordinates.map(rings) }
+    default:
+      return geometry
+  }
+}
+
+const simplified = new WeakMap()
+
+// The geometry as drawn at a whole zoom level. Points and geometry
+// collections are returned as they are.
+export function geometryAtZoom(geometry, zoom) {
+  if (!geometry) {
+    return geometry
+  }
+  if (!simplified.has(geometry)) {
+    simplified.set(geometry, new Map())
+  }
+  const levels = simplified.get(geometry)
+  if (!levels.has(zoom)) {
+    levels.set(zoom, simplifyGeometry(geometry, TOLERANCE_PIXELS / (TILE_SIZE * 2 ** zoom)))
+  }
+  return levels.get(zoom)
+}
@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest'
+import { geometryAtZoom, simplifyPositions } from './simplify'
+
+// A wiggly line along the equator: one degree east per step, 0.001° off axis
+const wiggle = Array.from({ length: 101 }, (_, i) => [i, i % 2 === 0 ? 0 : 0.001])
+
+describe('simplifyPositions', () => {
+  it('keeps the ends and drops positions within the tolerance', () => {
+    expect(simplifyPositions(wiggle, 0.001)).toEqual([wiggle[0], wiggle[100]])
+  })
+
+  it('keeps positions beyond the tolerance', () => {
+    expect(simplifyPositions([[0, 0], [1, 10], [2, 0]], 0.001)).toHaveLength(3)
+  })
+})
+
+describe('geometryAtZoom', () => {
+  it('keeps more detail at higher zoom levels', () => {
+    const geometry = { type: 'LineString', coordinates: wiggle }
+    const counts = [2, 10, 16].map((zoom) => geometryAtZoom(geometry, zoom).coordinates.length)
+    expect(counts[0]).toBe(2)
+    expect(counts[2]).toBe(wiggle.length)
+    expect(counts[1]).toBeGreaterThanOrEqual(counts[0])
+  })
+
+  it('reuses the result for a zoom level', () => {
+    const geometry = { type: 'LineString', coordinates: wiggle }
+    expect(geometryAtZoom(geometry, 4)).toBe(geometryAtZoom(geometry, 4))
+  })
+
+  it('keeps polygon rings closed with at least a triangle', () => {
+    const ring = Array.from({ length: 40 }, (_, i) => {
+      const angle = (i / 40) * 2 * Math.PI
+      return [19 + 0.0001 * Math.cos(angle), 47 + 0.0001 * Math.sin(angle)]
+    })
+    ring.push(ring[0])
+    const [simplified] = geometryAtZoom({ type: 'Polygon', coordinates: [ring] }, 3).coordinates
+    expect(simplified).toHaveLength(4)
+    expect(simplified.at(-1)).toEqual(simplified[0])
+  })
+
+  it('leaves points alone', () => {
+    const point = { type: 'Point', coordinates: [19, 47] }
+    expect(geometryAtZoom(point, 5)).toBe(point)
+  })
+})
@@ -0,0 +1,208 @@
+// Spatial operations between features: selection by a drawn shape or a
+// radius, point-in-polygon aggregation of point values onto polygons, and
+// buffers. Intersection tests are planar in degrees, which is exact enough
+// for shapes drawn at parcel and district scale.
+import turfBuffer from '@turf/buffer'
+import { buildCsvIndex, findCsvRow } from './join'
+import { geometryParts, geometryBounds, pointInPolygon } from './geometry'
+
+export const AGGREGATE_STATS = {
+  count: 'Count',
+  sum: 'Sum',
+  mean: 'Mean',
+}
+
+export const SELECTION_MODES = {
+  replace: 'New',
+  add: 'Add',
+  remove: 'Remove',
+}
+
+const METRES_PER_DEGREE = 111320
+
+const boundsOverlap = (a, b) => a[0] <= b[2] && b[0] <= a[2] && a[1] <= b[3] && b[1] <= a[3]
+
+const inBounds = ([x, y], bounds) => x >= bounds[0] && x <= bounds[2] && y >= bounds[1] && y <= bounds[3]
+
+// Orientation of c relative to the line a-b
+const orientation = (a, b, c) => Math.sign((b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]))
+
+function segmentsCross(a, b, c, d) {
+  return orientation(a, b, c) !== orientation(a, b, d) && orientation(c, d, a) !== orientation(c, d, b)
+}
+
+function pathsCross(path, other) {
+  for (let i = 1; i < path.length; i++) {
+    for (let j = 1; j < other.length; j++) {
+      if (segmentsCross(path[i - 1], path[i], other[j - 1], other[j])) {
+        return true
+      }
+    }
+  }
+  return false
+}
+
+// Whether any part of a geometry lies inside or crosses a polygon (rings)
+export function geometryIntersectsPolygon(geometry, rings) {
+  const { points, lines, polygons } = geometryParts(geometry)
+  if (points.some((point) => pointInPolygon(point, rings))) {
+    return true
+  }
+  if (lines.some((line) => line.some((p) => pointInPolygon(p, rings)) || rings.some((ring) => pathsCross(line, ring)))) {
+    return true
+  }
+  return polygons.some(
+    (polygon) =>
+      polygon[0].some((p) => pointInPolygon(p, rings)) ||
+      rings[0].some((p) => pointInPolygon(p, polygon)) ||
+      polygon.some((ring) => rings.some((other) => pathsCross(ring, other))),
+  )
+}
+
+// Metres east and north of `origin` on a local equirectangular projection
+function localProjection([lng0, lat0]) {
+  const cosLat = Math.cos((lat0 * Math.PI) / 180)
+  return ([lng, lat]) => [(lng - lng0) * cosLat * METRES_PER_DEGREE, (lat - lat0) * METRES_PER_DEGREE]
+}
+
+// Distance from the origin to the segment a-b, in projected metres
+function originSegmentDistance(a, b) {
+  const dx = b[0] - a[0]
+  const dy = b[1] - a[1]
+  const lengthSquared = dx * dx + dy * dy
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(a[0] * dx + a[1] * dy) / lengthSquared))
+  return Math.hypot(a[0] + t * dx, a[1] + t * dy)
+}
+
+// Whether any part of a geometry comes within `radius` metres of `center`
+export function geometryWithinDistance(geometry, center, radius) {
+  const { points, lines, polygons } = geometryParts(geometry)
+  if (polygons.some((polygon) => pointInPolygon(center, polygon))) {
+    return true
+  }
+  const project = localProjection(center)
+  if (points.some((point) => Math.hypot(...project(point)) <= radius)) {
+    return true
+  }
+  return [...lines, ...polygons.flat()].some((path) => {
+    const projected = path.map(project)
+    return projected.some((p, idx) => idx > 0 && originSegmentDistance(projected[idx - 1], p) <= radius)
+  })
+}
+
+// Indexes of the features touched by a drawn shape: { type: 'polygon', rings }
+// or { type: 'circle', center, radius } with the radius in metres
+export function featuresInShape(features, shape) {
+  let shapeBounds
+  let test
+  if (shape.type === 'circle') {
+    const [lng, lat] = shape.center
+    const dLat = shape.radius / METRES_PER_DEGREE
+    const dLng = dLat / Math.max(0.01, Math.cos((lat * Math.PI) / 180))
+    shapeBounds = [lng - dLng, lat - dLat, lng + dLng, lat + dLat]
+    test = (geometry) => geometryWithinDistance(geometry, shape.center, shape.radius)
+  } else {
+    shapeBounds = geometryBounds({ type: 'Polygon', coordinates: shape.rings })
+    test = (geometry) => geometryIntersectsPolygon(geometry, shape.rings)
+  }
+  const indexes = []
+  features.forEach((feature, idx) => {
+    const bounds = geometryBounds(feature.geometry)
+    if (bounds && shapeBounds && boundsOverlap(bounds, shapeBounds) && test(feature.geometry)) {
+      indexes.push(idx)
+    }
+  })
+  return indexes
+}
+
+// Combine a new spatial selection with the current one
+export function combineSelection(current, found, mode) {
+  if (mode === 'add') {
+    return Array.from(new Set([...current, ...found]))
+  }
+  if (mode === 'remove') {
+    const removed = new Set(found)
+    return current.filter((idx) => !removed.has(idx))
+  }
+  return found
+}
+
+// Buffer polygons around features, `distance` in metres
+export function bufferFeatures(features, distance) {
+  return {
+    type: 'FeatureCollection',
+    features: features
+      .filter((feature) => feature.geometry)
+      .map((feature) => turfBuffer(feature, distance, { units: 'meters' }))
+      .filter(Boolean),
+  }
+}
+
+// Indexes of the features touching any polygon of `areas`
+export function featuresInAreas(features, areas) {
+  const found = new Set()
+  areas.features.forEach((area) => {
+    geometryParts(area.geometry).polygons.forEach((rings) => {
+      featuresInShape(features, { type: 'polygon', rings }).forEach((idx) => found.add(idx))
+    })
+  })
+  return Array.from(found).sort((a, b) => a - b)
+}
+
+// Points of a layer with the numeric value of `column` in their joined row
+function layerPoints(layer, column) {
+  const csvIndex = buildCsvIndex(layer.csv.rows, layer.joinConfig)
+  return (layer.geojson?.features || []).flatMap((feature) => {
+    const { points } = geometryParts(feature.geometry)
+    if (points.length === 0) {
+      return []
+    }
+    const row = findCsvRow(feature, csvIndex, layer.joinConfig)
+    const raw = column && row ? row[column] : ''
+    const value = raw === '' || raw == null ? null : Number(raw)
+    return points.map((position) => ({ position, value: Number.isFinite(value) ? value : null }))
+  })
+}
+
+// Values of a layer's point-in-polygon columns, by feature. Each definition
+// ({ name, sourceLayerId, column, stat }) counts the points of the source
+// layer inside every polygon of this layer, or sums or averages the numeric
+// `column` of their joined rows. The source may be the layer itself.
+export function spatialAggregateValues(layer, resolvedLayers) {
+  const targets = (layer.geojson?.features || [])
+    .map((feature) => ({
+      feature,
+      polygons: geometryParts(feature.geometry).polygons,
+      bounds: geometryBounds(feature.geometry),
+    }))
+    .filter(({ polygons }) => polygons.length > 0)
+  const values = new Map(targets.map(({ feature }) => [feature, {}]))
+
+  ;(layer.spatialAggregates || []).forEach(({ name, sourceLayerId, column, stat }) => {
+    const source = resolvedLayers.find((candidate) => candidate.id === sourceLayerId)
+    const points = source ? layerPoints(source, column) : []
+    targets.forEach(({ feature, polygons, bounds }) => {
+      let count = 0
+      let sum = 0
+      let valueCount = 0
+      points.forEach(({ position, value }) => {
+        if (!inBounds(position, bounds) || !polygons.some((rings) => pointInPolygon(position, rings))) {
+          return
+        }
+        count += 1
+        if (value != null) {
+          sum += value
+          valueCount += 1
+        }
+      })
+      if (stat === 'count') {
+        values.get(feature)[name] = count
+      } else if (stat === 'sum') {
+        values.get(feature)[name] = sum
+      } else {
+        values.get(feature)[name] = valueCount > 0 ? sum / valueCount : ''
+      }
+    })
+  })
+  return values
+}
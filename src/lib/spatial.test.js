@@ -0,0 +1,125 @@
+import { describe, expect, it } from 'vitest'
+import { createLayer } from './layers'
+import { combineSelection, featuresInAreas, featuresInShape, spatialAggregateValues } from './spatial'
+
+const ring = (minLng, minLat, maxLng, maxLat) => [
+  [minLng, minLat],
+  [maxLng, minLat],
+  [maxLng, maxLat],
+  [minLng, maxLat],
+  [minLng, minLat],
+]
+
+const feature = (geometry, properties = {}) => ({ type: 'Feature', properties, geometry })
+const point = (id, lng, lat) => feature({ type: 'Point', coordinates: [lng, lat] }, { placemarkId: id })
+const collection = (features) => ({ type: 'FeatureCollection', features })
+
+describe('featuresInShape', () => {
+  const features = [
+    point('inside', 0.5, 0.5),
+    point('outside', 3, 3),
+    feature({ type: 'LineString', coordinates: [[-1, 0.5], [2, 0.5]] }), // Crosses without a vertex inside
+    feature({ type: 'Polygon', coordinates: [ring(-1, -1, 2, 2)] }), // Contains the shape
+    feature({ type: 'Polygon', coordinates: [ring(5, 5, 6, 6)] }),
+    feature(null),
+  ]
+
+  it('selects what a drawn polygon touches', () => {
+    expect(featuresInShape(features, { type: 'polygon', rings: [ring(0, 0, 1, 1)] })).toEqual([0, 2, 3])
+  })
+
+  it('does not select points in a hole of the drawn polygon', () => {
+    const rings = [ring(0, 0, 1, 1), ring(0.25, 0.25, 0.75, 0.75)]
+    expect(featuresInShape(features, { type: 'polygon', rings })).toEqual([2, 3])
+  })
+
+  it('selects what comes within the radius of a circle', () => {
+    // A degree of latitude is 111,320 m
+    const near = [point('a', 0, 0.008), point('b', 0, 0.01), feature({ type: 'LineString', coordinates: [[-1, 0.005], [1, 0.005]] })]
+    expect(featuresInShape(near, { type: 'circle', center: [0, 0], radius: 1000 })).toEqual([0, 2])
+    expect(featuresInShape(features, { type: 'circle', center: [5.5, 5.5], radius: 10 })).toEqual([4])
+  })
+
+  it('shrinks degrees of longitude away from the equator', () => {
+    // At 60° a degree of longitude is half as long: 0.015° is about 835 m
+    const points = [point('a', 0.015, 60), point('b', 0.025, 60)]
+    expect(featuresInShape(points, { type: 'circle', center: [0, 60], radius: 1000 })).toEqual([0])
+  })
+})
+
+describe('featuresInAreas', () => {
+  it('selects the features touching any polygon of the areas', () => {
+    const features = [point('a', 0.5, 0.5), point('b', 3.5, 3.5), point('c', 9, 9)]
+    const areas = collection([
+      feature({ type: 'MultiPolygon', coordinates: [[ring(3, 3, 4, 4)], [ring(0, 0, 1, 1)]] }),
+      feature({ type: 'Point', coordinates: [9, 9] }),
+    ])
+    expect(featuresInAreas(features, areas)).toEqual([0, 1])
+  })
+})
+
+describe('combineSelection', () => {
+  it('replaces, adds to or removes from the selection', () => {
+    expect(combineSelection([1, 2], [2, 3], 'replace')).toEqual([2, 3])
+    expect(combineSelection([1, 2], [2, 3], 'add')).toEqual([1, 2, 3])
+    expect(combineSelection([1, 2], [2, 3], 'remove')).toEqual([1])
+  })
+})
+
+describe('spatialAggregateValues', () => {
+  const west = feature({ type: 'Polygon', coordinates: [ring(0, 0, 1, 1)] }, { placemarkId: 'west' })
+  const east = feature({ type: 'Polygon', coordinates: [ring(1, 0, 2, 1), ring(1.6, 0.6, 1.9, 0.9)] }, { placemarkId: 'east' })
+
+  function setup(aggregates) {
+    const points = {
+      ...createLayer({
+        name: 'Wells',
+        geojson: collection([
+          point('w1', 0.2, 0.2),
+          point('w2', 0.8, 0.8),
+          point('e1', 1.5, 0.5),
+          point('edge', 1, 0.5), // On the edge the two polygons share
+          point('hole', 1.75, 0.75),
+          point('far', 5, 5),
+        ]),
+      }),
+      csv: {
+        header: ['id', 'depth'],
+        rows: [
+          { id: 'w1', depth: '10' },
+          { id: 'w2', depth: '20' },
+          { id: 'e1', depth: 'n/a' },
+          { id: 'edge', depth: '6' },
+          { id: 'hole', depth: '100' },
+        ],
+        lines: [],
+        errors: [],
+      },
+    }
+    const areas = {
+      ...createLayer({ name: 'Areas', geojson: collection([west, east, point('lone', 0, 0)]) }),
+      spatialAggregates: aggregates.map((definition) => ({ sourceLayerId: points.id, ...definition })),
+    }
+    return spatialAggregateValues(areas, [points, areas])
+  }
+
+  it('counts, sums and averages the points in each polygon', () => {
+    const values = setup([
+      { name: 'wells', column: '', stat: 'count' },
+      { name: 'total', column: 'depth', stat: 'sum' },
+      { name: 'average', column: 'depth', stat: 'mean' },
+    ])
+    // The edge point falls to the east polygon only; the point in its hole to neither
+    expect(values.get(west)).toEqual({ wells: 2, total: 30, average: 15 })
+    expect(values.get(east)).toEqual({ wells: 2, total: 6, average: 6 })
+    expect(values.size).toBe(2)
+  })
+
+  it('leaves the mean empty without numeric values and ignores missing sources', () => {
+    const values = setup([
+      { name: 'average', column: 'missing', stat: 'mean' },
+      { name: 'gone', column: '', stat: 'count', sourceLayerId: 'layer-none' },
+    ])
+    expect(values.get(west)).toEqual({ average: '', gone: 0 })
+  })
+})
@@ -0,0 +1,131 @@
+// Local tile archives: MBTiles (SQLite, read with sql.js) and PMTiles files.
+// Only raster archives can be drawn by Leaflet; vector tile archives are
+// refused with an error. An MBTiles file is read into memory as a whole.
+import { PMTiles, FileSource, TileType } from 'pmtiles'
+
+const PMTILES_IMAGE_TYPES = {
+  [TileType.Png]: 'image/png',
+  [TileType.Jpeg]: 'image/jpeg',
+  [TileType.Webp]: 'image/webp',
+  [TileType.Avif]: 'image/avif',
+}
+
+const MBTILES_IMAGE_TYPES = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', webp: 'image/webp' }
+
+const VECTOR_ERROR = 'Only raster (PNG, JPEG or WebP) archives can be shown; this one holds vector tiles'
+
+async function openPmtiles(file) {
+  const archive = new PMTiles(new FileSource(file))
+  let header
+  try {
+    header = await archive.getHeader()
+  } catch {
+    throw new Error('The file is not a PMTiles archive')
+  }
+  const type = PMTILES_IMAGE_TYPES[header.tileType]
+  if (!type) {
+    throw new Error(VECTOR_ERROR)
+  }
+  const metadata = (await archive.getMetadata().catch(() => null)) || {}
+  return {
+    info: {
+      name: metadata.name || '',
+      attribution: metadata.attribution || '',
+      minZoom: header.minZoom,
+      maxZoom: header.maxZoom,
+      bounds: [
+        [header.minLat, header.minLon],
+        [header.maxLat, header.maxLon],
+      ],
+    },
+    getTile: async ({ x, y, z }) => {
+      const tile = await archive.getZxy(z, x, y)
+      return tile ? new Blob([tile.data], { type }) : null
+    },
+    close: () => {},
+  }
+}
+
+// sql.js and its WebAssembly build are only loaded for the first MBTiles file
+let sqlPromise = null
+function loadSql() {
+  if (!sqlPromise) {
+    sqlPromise = Promise.all([import('sql.js'), import('sql.js/dist/sql-wasm-browser.wasm?url')]).then(
+      ([{ default: initSqlJs }, { default: wasmUrl }]) => initSqlJs({ locateFile: () => wasmUrl }),
+    )
+  }
+  return sqlPromise
+}
+
+async function openMbtiles(file) {
+  const [SQL, buffer] = await Promise.all([loadSql(), file.arrayBuffer()])
+  const db = new SQL.Database(new Uint8Array(buffer))
+  const metadata = {}
+  let zooms
+  try {
+    db.exec('SELECT name, value FROM metadata')[0]?.values.forEach(([name, value]) => {
+      metadata[name] = value
+    })
+    zooms = db.exec('SELECT MIN(zoom_level), MAX(zoom_level) FROM tiles')[0]?.values[0] || []
+  } catch {
+    db.close()
+    throw new Error('The file is not an MBTiles archive')
+  }
+  const type = MBTILES_IMAGE_TYPES[(metadata.format || 'png').toLowerCase()]
+  if (!type) {
+    db.close()
+    throw new Error(VECTOR_ERROR)
+  }
+  // Bounds are stored as "west,south,east,north"
+  const [west, south, east, north] = (metadata.bounds || '-180,-85.0511,180,85.0511').split(',').map(Number)
+  const statement = db.prepare('SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?')
+  return {
+    info: {
+      name: metadata.name || '',
+      attribution: metadata.attribution || '',
+      minZoom: Number(zooms[0] ?? metadata.minzoom ?? 0),
+      maxZoom: Number(zooms[1] ?? metadata.maxzoom ?? 18),
+      bounds: [
+        [south, west],
+        [north, east],
+      ],
+    },
+    // Rows are counted from the bottom, as in TMS
+    getTile: async ({ x, y, z }) => {
+      statement.bind([z, x, 2 ** z - 1 - y])
+      const data = statement.step() ? statement.get()[0] : null
+      statement.reset()
+      return data ? new Blob([data], { type }) : null
+    },
+    close: () => {
+      statement.free()
+      db.close()
+    },
+  }
+}
+
+// Open an archive as { info: { name, attribution, minZoom, maxZoom, bounds }, getTile(coords), close() }
+export function openTileArchive(file, type) {
+  return type === 'mbtiles' ? openMbtiles(file) : openPmtiles(file)
+}
+
+// Archives of the local sources in use, opened once per source
+const openArchives = new Map()
+
+export function archiveForSource(source) {
+  if (!openArchives.has(source.id)) {
+    const opening = openTileArchive(source.file, source.type)
+    // A failed open is retried on the next request
+    opening.catch(() => openArchives.delete(source.id))
+    openArchives.set(source.id, opening)
+  }
+  return openArchives.get(source.id)
+}
+
+export function closeArchive(sourceId) {
+  const opening = openArchives.get(sourceId)
+  if (opening) {
+    openArchives.delete(sourceId)
+    opening.then((archive) => archive.close()).catch(() => {})
+  }
+}
@@ -0,0 +1,73 @@
+// Leaflet layers for tile sources. Remote sources use Leaflet's own tile and
+// WMS layers; local archives and remote sources with cached tiles read their
+// tiles asynchronously, cached tiles first and the network as a fallback.
+import L from 'leaflet'
+import { MAX_MAP_ZOOM, attributionHtml, isLocalSource, tileRequestUrl } from './tileSources'
+import { archiveForSource } from './tileArchives'
+import { getCachedTile } from './tileStore'
+
+// A tile as a Blob, a URL to load, or null when the source has none
+export function resolveTile(source, coords, { cached = false, retina = false } = {}) {
+  if (isLocalSource(source)) {
+    return archiveForSource(source).then((archive) => archive.getTile(coords))
+  }
+  if (cached) {
+    return getCachedTile(source.id, coords)
+      .catch(() => null)
+      .then((blob) => blob || tileRequestUrl(source, coords, retina))
+  }
+  return Promise.resolve(tileRequestUrl(source, coords, retina))
+}
+
+const AsyncTileLayer = L.TileLayer.extend({
+  createTile(coords, done) {
+    const tile = document.createElement('img')
+    tile.alt = ''
+    tile.setAttribute('role', 'presentation')
+    resolveTile(this.options.source, coords, { cached: this.options.cached, retina: L.Browser.retina })
+      .then((result) => {
+        if (!result) {
+          done(null, tile)
+          return
+        }
+        const url = typeof result === 'string' ? result : URL.createObjectURL(result)
+        const release = () => {
+          if (url !== result) URL.revokeObjectURL(url)
+        }
+        tile.onload = () => {
+          release()
+          done(null, tile)
+        }
+        tile.onerror = (error) => {
+          release()
+          done(error, tile)
+        }
+        tile.src = url
+      })
+      .catch((error) => done(error, tile))
+    return tile
+  },
+})
+
+// `cached` marks a remote source with tiles in the offline cache
+export function createTileLayer(source, { opacity = 1, zIndex = 1, cached = false } = {}) {
+  const options = {
+    attribution: attributionHtml(source),
+    minZoom: source.minZoom,
+    maxZoom: MAX_MAP_ZOOM,
+    // Beyond its own maximum the source's tiles are stretched
+    maxNativeZoom: source.maxZoom,
+    opacity,
+    zIndex,
+    // Archives only request tiles inside their extent
+    bounds: source.bounds ? L.latLngBounds(source.bounds) : undefined,
+  }
+  if (isLocalSource(source) || cached) {
+    return new AsyncTileLayer('', { ...options, source, cached })
+  }
+  if (source.type === 'wms') {
+    const { layers, styles, format, transparent, version } = source.wms
+    return L.tileLayer.wms(source.url, { ...options, layers, styles, format, transparent, version })
+  }
+  return L.tileLayer(source.url, { ...options, subdomains: source.subdomains, tms: source.type === 'tms' })
+}
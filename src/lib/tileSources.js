@@ -0,0 +1,192 @@
+// Tile sources for basemaps and overlays: the built-in themes, custom XYZ,
+// TMS and WMS services, and local MBTiles or PMTiles archives. Custom sources
+// are kept in the browser (see tileStore.js) and referenced by id.
+import { escapeHtml } from './popupTemplate'
+
+const OSM_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+const CARTO_ATTRIBUTION = `${OSM_ATTRIBUTION} &copy; <a href="https://carto.com/attributions">CARTO</a>`
+
+export const TILE_SOURCE_TYPES = {
+  xyz: 'XYZ',
+  tms: 'TMS',
+  wms: 'WMS',
+  mbtiles: 'MBTiles file',
+  pmtiles: 'PMTiles file',
+}
+
+export const LOCAL_TILE_TYPES = ['mbtiles', 'pmtiles']
+
+export const TILE_SIZE = 256
+// Tiles are stretched beyond a source's own maximum zoom up to this level
+export const MAX_MAP_ZOOM = 22
+export const MAX_SOURCE_ZOOM = 24
+
+const WORLD_HALF_SIZE = 20037508.342789244
+
+export const DEFAULT_WMS = { layers: '', styles: '', format: 'image/png', transparent: true, version: '1.1.1' }
+
+export const DEFAULT_TILE_SOURCE = {
+  name: '',
+  type: 'xyz',
+  url: '',
+  attribution: '',
+  minZoom: 0,
+  maxZoom: 19,
+  subdomains: 'abc',
+  wms: DEFAULT_WMS,
+}
+
+// Free basemap themes, always available
+export const BUILT_IN_TILE_SOURCES = [
+  {
+    ...DEFAULT_TILE_SOURCE,
+    id: 'positron',
+    name: 'Positron (Light)',
+    url: 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png',
+    attribution: CARTO_ATTRIBUTION,
+  },
+  {
+    ...DEFAULT_TILE_SOURCE,
+    id: 'darkMatter',
+    name: 'Dark Matter',
+    url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
+    attribution: CARTO_ATTRIBUTION,
+  },
+  {
+    ...DEFAULT_TILE_SOURCE,
+    id: 'voyager',
+    name: 'Voyager',
+    url: 'https://{s}.basemaps.cartocdn.com/rastertiles/voyager/{z}/{x}/{y}{r}.png',
+    attribution: CARTO_ATTRIBUTION,
+  },
+  {
+    ...DEFAULT_TILE_SOURCE,
+    id: 'osm',
+    name: 'OpenStreetMap',
+    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: OSM_ATTRIBUTION,
+  },
+]
+
+export const DEFAULT_BASEMAP_ID = BUILT_IN_TILE_SOURCES[0].id
+
+export const isLocalSource = (source) => LOCAL_TILE_TYPES.includes(source.type)
+
+export const isBuiltInSource = (sourceId) => BUILT_IN_TILE_SOURCES.some((source) => source.id === sourceId)
+
+// HTML as plain text. Parsed into an inert document, so markup never runs.
+export function htmlToText(html) {
+  return new DOMParser().parseFromString(html || '', 'text/html').body.textContent || ''
+}
+
+// Attributions of custom sources come from users, archives and shared
+// projects, so they are kept as plain text; only the built-in ones are HTML.
+export function withPlainAttribution(source) {
+  return isBuiltInSource(source.id) ? source : { ...source, attribution: htmlToText(source.attribution).trim() }
+}
+
+// A source's attribution as HTML for Leaflet's attribution control
+export function attributionHtml(source) {
+  return isBuiltInSource(source.id) ? source.attribution : escapeHtml(source.attribution)
+}
+
+// A source's attribution as plain text
+export function attributionText(source) {
+  return isBuiltInSource(source.id) ? htmlToText(source.attribution) : source.attribution || ''
+}
+
+export function createTileSource(fields) {
+  return withPlainAttribution({
+    ...DEFAULT_TILE_SOURCE,
+    ...fields,
+    wms: { ...DEFAULT_WMS, ...fields.wms },
+    id: `source-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+  })
+}
+
+// Check a source definition. Returns the error message, or null when usable.
+export function validateTileSource(source) {
+  if (!source.name || !source.name.trim()) {
+    return 'The source needs a name'
+  }
+  const { minZoom, maxZoom } = source
+  if (![minZoom, maxZoom].every(Number.isInteger) || minZoom < 0 || maxZoom > MAX_SOURCE_ZOOM || minZoom > maxZoom) {
+    return `Zoom levels must be whole numbers from 0 to ${MAX_SOURCE_ZOOM}, the minimum not above the maximum`
+  }
+  if (isLocalSource(source)) {
+    return source.file ? null : 'Choose the tile file'
+  }
+  if (!/^https?:\/\//i.test(source.url || '')) {
+    return 'The URL must start with http:// or https://'
+  }
+  if (source.type === 'wms') {
+    return source.wms.layers.trim() ? null : 'Name the WMS layers to request'
+  }
+  if (!['{z}', '{x}'].every((part) => source.url.includes(part)) || !/\{-?y\}/.test(source.url)) {
+    return 'The URL template needs {z}, {x} and {y} placeholders'
+  }
+  if (source.url.includes('{s}') && !source.subdomains) {
+    return 'The URL uses {s}, so list the subdomains'
+  }
+  return null
+}
+
+// Web Mercator bounds of a tile as minX,minY,maxX,maxY
+function tileBBox({ x, y, z }) {
+  const size = (WORLD_HALF_SIZE * 2) / 2 ** z
+  const minX = -WORLD_HALF_SIZE + x * size
+  const maxY = WORLD_HALF_SIZE - y * size
+  return [minX, maxY - size, minX + size, maxY].join(',')
+}
+
+// URL of one tile of a remote source, with y counted from the top as in XYZ
+export function tileRequestUrl(source, { x, y, z }, retina = false) {
+  const flippedY = 2 ** z - 1 - y
+  if (source.type === 'wms') {
+    const { layers, styles, format, transparent, version } = source.wms
+    const params = new URLSearchParams({
+      SERVICE: 'WMS',
+      REQUEST: 'GetMap',
+      VERSION: version,
+      LAYERS: layers,
+      STYLES: styles,
+      FORMAT: format,
+      TRANSPARENT: transparent ? 'TRUE' : 'FALSE',
+      WIDTH: TILE_SIZE,
+      HEIGHT: TILE_SIZE,
+      [version === '1.3.0' ? 'CRS' : 'SRS']: 'EPSG:3857',
+      BBOX: tileBBox({ x, y, z }),
+    })
+    return `${source.url}${source.url.includes('?') ? '&' : '?'}${params}`
+  }
+  const subdomains = source.subdomains || ''
+  return source.url
+    .replace('{s}', subdomains ? subdomains[Math.abs(x + y) % subdomains.length] : '')
+    .replace('{z}', z)
+    .replace('{x}', x)
+    .replace('{-y}', flippedY)
+    .replace('{y}', source.type === 'tms' ? flippedY : y)
+    .replace('{r}', retina ? '@2x' : '')
+}
+
+// Tile coordinates covering [[south, west], [north, east]] at one zoom level
+export function tileRange([[south, west], [north, east]], z) {
+  const count = 2 ** z
+  const clamp = (value) => Math.max(0, Math.min(count - 1, value))
+  const column = (lng) => clamp(Math.floor(((lng + 180) / 360) * count))
+  const row = (lat) => {
+    const rad = (Math.max(-85.0511, Math.min(85.0511, lat)) * Math.PI) / 180
+    return clamp(Math.floor(((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * count))
+  }
+  return { minX: column(west), maxX: column(east), minY: row(north), maxY: row(south) }
+}
+
+// Number of tiles covering the bounds over a zoom range
+export function countTiles(bounds, minZoom, maxZoom) {
+  let total = 0
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const { minX, maxX, minY, maxY } = tileRange(bounds, z)
+    total += (maxX - minX + 1) * (maxY - minY + 1)
+  }
+  return total
+}
@@ -0,0 +1,117 @@
+// Custom tile sources and offline tiles, kept in IndexedDB so basemaps work
+// after a reload and without a connection. Local MBTiles and PMTiles files are
+// stored with their source; remote sources can have the tiles of an area
+// cached, which the map then prefers over the network.
+import { createDatabase } from './indexedDb'
+import { tileRange, tileRequestUrl, withPlainAttribution } from './tileSources'
+
+const SOURCES = 'sources'
+const TILES = 'tiles'
+const CACHES = 'caches'
+
+// Bulk downloads beyond this are refused; tile servers limit them too
+export const MAX_CACHED_TILES = 5000
+const DOWNLOAD_BATCH = 6
+
+const withStores = createDatabase({
+  name: 'react-map-tiles',
+  version: 1,
+  upgrade: (db) => {
+    db.createObjectStore(SOURCES, { keyPath: 'id' })
+    db.createObjectStore(TILES, { keyPath: 'key' }).createIndex('sourceId', 'sourceId')
+    db.createObjectStore(CACHES, { keyPath: 'sourceId' })
+  },
+})
+
+const tileKey = (sourceId, { x, y, z }) => `${sourceId}/${z}/${x}/${y}`
+
+export function listTileSources() {
+  return withStores([SOURCES], 'readonly', (store) => store.getAll())
+}
+
+// The attribution is stored as plain text, see withPlainAttribution
+export function saveTileSource(source) {
+  return withStores([SOURCES], 'readwrite', (store) => store.put(withPlainAttribution(source)))
+}
+
+// Remove a source with its cached tiles
+export function deleteTileSource(sourceId) {
+  return clearTileCache(sourceId).then(() => withStores([SOURCES], 'readwrite', (store) => store.delete(sourceId)))
+}
+
+// Summaries of the cached areas by source: { sourceId, tileCount, bounds, minZoom, maxZoom, cachedAt }
+export function listTileCaches() {
+  return withStores([CACHES], 'readonly', (store) => store.getAll())
+}
+
+// The cached image of a tile, or undefined
+export function getCachedTile(sourceId, coords) {
+  return withStores([TILES], 'readonly', (store) => store.get(tileKey(sourceId, coords))).then((entry) => entry?.blob)
+}
+
+export function clearTileCache(sourceId) {
+  return withStores([TILES, CACHES], 'readwrite', (tiles, caches) => {
+    tiles.index('sourceId').openKeyCursor(IDBKeyRange.only(sourceId)).onsuccess = (e) => {
+      const cursor = e.target.result
+      if (cursor) {
+        tiles.delete(cursor.primaryKey)
+        cursor.continue()
+      }
+    }
+    caches.delete(sourceId)
+  })
+}
+
+// Download the tiles of a remote source covering `bounds` ([[south, west],
+// [north, east]]) from `minZoom` to `maxZoom` into the cache. `onProgress`
+// receives (done, total); aborting `signal` stops between batches. Resolves
+// to the number of tiles that failed to download.
+export async function cacheTiles(source, bounds, minZoom, maxZoom, { onProgress, signal } = {}) {
+  const tiles = []
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const { minX, maxX, minY, maxY } = tileRange(bounds, z)
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) {
+        tiles.push({ x, y, z })
+      }
+    }
+  }
+  if (tiles.length > MAX_CACHED_TILES) {
+    throw new Error(`The area needs ${tiles.length} tiles; zoom in or lower the maximum zoom (limit ${MAX_CACHED_TILES})`)
+  }
+
+  let failed = 0
+  for (let start = 0; start < tiles.length; start += DOWNLOAD_BATCH) {
+    if (signal?.aborted) {
+      throw new DOMException('Tile download cancelled', 'AbortError')
+    }
+    const batch = tiles.slice(start, start + DOWNLOAD_BATCH)
+    const blobs = await Promise.all(
+      batch.map((coords) =>
+        fetch(tileRequestUrl(source, coords), { signal })
+          .then((response) => (response.ok ? response.blob() : null))
+          .catch((error) => {
+            if (error.name === 'AbortError') throw error
+            return null
+          }),
+      ),
+    )
+    failed += blobs.filter((blob) => !blob).length
+    await withStores([TILES], 'readwrite', (store) => {
+      batch.forEach((coords, idx) => {
+        if (blobs[idx]) {
+          store.put({ key: tileKey(source.id, coords), sourceId: source.id, blob: blobs[idx] })
+        }
+      })
+    })
+    onProgress?.(Math.min(start + DOWNLOAD_BATCH, tiles.length), tiles.length)
+  }
+
+  await withStores([TILES, CACHES], 'readwrite', (tileStore, caches) => {
+    const countRequest = tileStore.index('sourceId').count(IDBKeyRange.only(source.id))
+    countRequest.onsuccess = () => {
+      caches.put({ sourceId: source.id, tileCount: countRequest.result, bounds, minZoom, maxZoom, cachedAt: new Date().toISOString() })
+    }
+  })
+  return failed
+}
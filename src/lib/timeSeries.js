@@ -0,0 +1,146 @@
+// Long-format tables: several rows per join key, one per period, told apart
+// by a time column. A layer's `timeSeries` ({ column, period }) names that
+// column and the period the map shows; the rows of the other periods feed
+// the color scale (fixed across periods) and the popup sparklines.
+import { createInputCache } from './inputCache'
+import { normaliseKey } from './join'
+
+// Column names that suggest a time column, checked before the others
+const TIME_COLUMN_NAMES = /^(date|period|month|time|year|quarter|d[aá]tum|id[oő]szak|h[oó]nap|[eé]v|negyed[eé]v)$/i
+
+// Share of a column's filled cells that must read as periods
+const MIN_PERIOD_SHARE = 0.9
+
+const pad = (value) => String(value).padStart(2, '0')
+
+// A time cell as a sortable period key: "2024", "2024-Q1", "2024-03" or
+// "2024-03-15". Accepts ISO dates (a time of day is dropped), "2024/03",
+// "2024. 03.", day-first "15.03.2024" and whole-number years. Returns null
+// for anything else.
+export function periodKey(value) {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) && value >= 1000 && value <= 9999 ? String(value) : null
+  }
+  const text = String(value ?? '').trim()
+  let match = /^(\d{4})\.?$/.exec(text)
+  if (match) {
+    return match[1]
+  }
+  match = /^(\d{4})[-/. ]*Q([1-4])$/i.exec(text)
+  if (match) {
+    return `${match[1]}-Q${match[2]}`
+  }
+  match = /^(\d{4})[-/.]\s*(\d{1,2})\.?$/.exec(text)
+  if (match && match[2] >= 1 && match[2] <= 12) {
+    return `${match[1]}-${pad(match[2])}`
+  }
+  match = /^(\d{4})[-/.]\s*(\d{1,2})[-/.]\s*(\d{1,2})\.?(?:[T\s].*)?$/.exec(text)
+  if (match && match[2] >= 1 && match[2] <= 12 && match[3] >= 1 && match[3] <= 31) {
+    return `${match[1]}-${pad(match[2])}-${pad(match[3])}`
+  }
+  match = /^(\d{1,2})[./](\d{1,2})[./](\d{4})$/.exec(text)
+  if (match && match[2] >= 1 && match[2] <= 12 && match[1] >= 1 && match[1] <= 31) {
+    return `${match[3]}-${pad(match[2])}-${pad(match[1])}`
+  }
+  return null
+}
+
+// A cell that reads as a period only as a whole-number year
+const isBareYear = (value) => typeof value === 'number' || /^\d{4}\.?$/.test(String(value).trim())
+
+// Columns other than the key whose cells read as periods. Bare years count
+// only in a column named like a time column, so that four-digit amounts such
+// as costs are not taken for years.
+export function listTimeColumns(header, rows, csvKey) {
+  return header.filter((col) => {
+    if (col === csvKey) {
+      return false
+    }
+    const yearsAllowed = TIME_COLUMN_NAMES.test(col)
+    const filled = rows.map((row) => row[col]).filter((value) => value !== '' && value != null)
+    const periods = filled.filter((value) => periodKey(value) != null && (yearsAllowed || !isBareYear(value)))
+    return filled.length > 0 && periods.length >= filled.length * MIN_PERIOD_SHARE
+  })
+}
+
+// The time column of a long-format table, or null when every key has a
+// single row or no column reads as periods
+export function detectTimeColumn(header, rows, joinConfig) {
+  const keys = rows.map((row) => normaliseKey(row[joinConfig.csvKey], joinConfig)).filter((key) => key != null)
+  if (new Set(keys).size === keys.length) {
+    return null
+  }
+  const candidates = listTimeColumns(header, rows, joinConfig.csvKey).filter(
+    (col) => new Set(rows.map((row) => periodKey(row[col]))).size > 1,
+  )
+  return candidates.find((col) => TIME_COLUMN_NAMES.test(col)) || candidates[0] || null
+}
+
+// Periods in order and each key's rows by period. Where a key has several
+// rows for one period the last one counts, as with a plain table.
+export function buildTimeIndex(rows, joinConfig, column) {
+  const periods = new Set()
+  const byKey = new Map()
+  rows.forEach((row) => {
+    const key = normaliseKey(row[joinConfig.csvKey], joinConfig)
+    const period = periodKey(row[column])
+    if (key == null || period == null) {
+      return
+    }
+    periods.add(period)
+    if (!byKey.has(key)) {
+      byKey.set(key, new Map())
+    }
+    byKey.get(key).set(period, row)
+  })
+  return { periods: [...periods].sort(), byKey }
+}
+
+const periodRows = createInputCache()
+
+// Indexes of the rows of the period the map shows
+export function periodRowIndexes(rows, { column, period }) {
+  return periodRows(rows, [column, period], () =>
+    rows.flatMap((row, rowIndex) => (periodKey(row[column]) === period ? [rowIndex] : [])),
+  )
+}
+
+// Inline SVG line of a series, with a dot on the active point. Gaps in the
+// data break the line.
+export function sparklineSvg(values, activeIndex, { width = 180, height = 36, color = '#7c3aed' } = {}) {
+  const numbers = values.filter(Number.isFinite)
+  if (numbers.length < 2) {
+    return ''
+  }
+  const min = Math.min(...numbers)
+  const max = Math.max(...numbers)
+  const x = (idx) => 3 + (idx * (width - 6)) / (values.length - 1)
+  const y = (value) => (max === min ? height / 2 : height - 3 - ((value - min) * (height - 6)) / (max - min))
+
+  const segments = []
+  let current = []
+  values.forEach((value, idx) => {
+    if (Number.isFinite(value)) {
+      current.push(`${x(idx).toFixed(1)},${y(value).toFixed(1)}`)
+    } else if (current.length > 0) {
+      segments.push(current)
+      current = []
+    }
+  })
+  if (current.length > 0) {
+    segments.push(current)
+  }
+
+  const lines = segments
+    .map((points) =>
+      points.length > 1
+        ? `<polyline points="${points.join(' ')}" fill="none" stroke="${color}" stroke-width="1.5" />`
+        : `<circle cx="${points[0].split(',')[0]}" cy="${points[0].split(',')[1]}" r="1.5" fill="${color}" />`,
+    )
+    .join('')
+  const active = values[activeIndex]
+  const dot = Number.isFinite(active)
+    ? `<circle cx="${x(activeIndex).toFixed(1)}" cy="${y(active).toFixed(1)}" r="3" fill="${color}" stroke="#ffffff" />`
+    : ''
+  return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${lines}${dot}</svg>`
+}
@@ -0,0 +1,124 @@
+import { describe, expect, it } from 'vitest'
+import { DEFAULT_JOIN_CONFIG } from './join'
+import { buildTimeIndex, detectTimeColumn, listTimeColumns, periodKey, periodRowIndexes, sparklineSvg } from './timeSeries'
+
+describe('periodKey', () => {
+  it('reads years, quarters, months and dates as sortable keys', () => {
+    expect(periodKey('2024')).toBe('2024')
+    expect(periodKey('2024.')).toBe('2024')
+    expect(periodKey(2024)).toBe('2024')
+    expect(periodKey('2024 Q1')).toBe('2024-Q1')
+    expect(periodKey('2024-q4')).toBe('2024-Q4')
+    expect(periodKey('2024/3')).toBe('2024-03')
+    expect(periodKey('2024. 03.')).toBe('2024-03')
+    expect(periodKey('2024-03-15T10:30:00Z')).toBe('2024-03-15')
+    expect(periodKey('2024. 03. 15.')).toBe('2024-03-15')
+    expect(periodKey('15.03.2024')).toBe('2024-03-15')
+  })
+
+  it('returns null for anything else', () => {
+    expect(periodKey('2024-13')).toBeNull()
+    expect(periodKey('2024-02-32')).toBeNull()
+    expect(periodKey('12.5')).toBeNull()
+    expect(periodKey(2024.5)).toBeNull()
+    expect(periodKey('')).toBeNull()
+    expect(periodKey(null)).toBeNull()
+  })
+})
+
+describe('listTimeColumns', () => {
+  const rows = [
+    { id: '1', year: '2023', cost: '1250', date: '2023-05-01', name: 'North' },
+    { id: '1', year: '2024', cost: '1980', date: '2024-05-01', name: 'North' },
+    { id: '2', year: '2024', cost: 2100, date: '', name: 'South' },
+  ]
+
+  it('offers columns named like a time column and dated columns, not four-digit amounts', () => {
+    expect(listTimeColumns(['id', 'year', 'cost', 'date', 'name'], rows, 'id')).toEqual(['year', 'date'])
+  })
+
+  it('takes bare years in a column with a Hungarian time name', () => {
+    const hungarian = rows.map(({ id, year }) => ({ id, Év: year }))
+    expect(listTimeColumns(['id', 'Év'], hungarian, 'id')).toEqual(['Év'])
+  })
+
+  it('needs nine in ten filled cells to read as periods', () => {
+    const mixed = Array.from({ length: 10 }, (_, idx) => ({ id: String(idx), month: idx < 9 ? `2024-0${idx + 1}` : 'n/a' }))
+    expect(listTimeColumns(['id', 'month'], mixed, 'id')).toEqual(['month'])
+    mixed[8].month = 'n/a'
+    expect(listTimeColumns(['id', 'month'], mixed, 'id')).toEqual([])
+  })
+})
+
+describe('detectTimeColumn', () => {
+  const joinConfig = { ...DEFAULT_JOIN_CONFIG, csvKey: 'id' }
+
+  it('finds the time column of a long-format table', () => {
+    const rows = [
+      { id: 'a', cost: '1500', year: '2023' },
+      { id: 'a', cost: '1600', year: '2024' },
+      { id: 'b', cost: '1700', year: '2023' },
+    ]
+    expect(detectTimeColumn(['id', 'cost', 'year'], rows, joinConfig)).toBe('year')
+  })
+
+  it('does not take four-digit amounts for years', () => {
+    const rows = [
+      { id: 'a', cost: '1500' },
+      { id: 'a', cost: '1600' },
+    ]
+    expect(detectTimeColumn(['id', 'cost'], rows, joinConfig)).toBeNull()
+  })
+
+  it('prefers a time name over another dated column and skips single-period columns', () => {
+    const rows = [
+      { id: 'a', surveyed: '2024-01-05', period: '2023-Q4', created: '2020-01-01' },
+      { id: 'a', surveyed: '2024-04-02', period: '2024-Q1', created: '2020-01-01' },
+    ]
+    expect(detectTimeColumn(['id', 'created', 'surveyed', 'period'], rows, joinConfig)).toBe('period')
+    expect(detectTimeColumn(['id', 'created', 'surveyed'], rows, joinConfig)).toBe('surveyed')
+  })
+
+  it('returns null when every key has one row', () => {
+    expect(detectTimeColumn(['id', 'year'], [{ id: 'a', year: '2023' }, { id: 'b', year: '2024' }], joinConfig)).toBeNull()
+  })
+})
+
+describe('buildTimeIndex and periodRowIndexes', () => {
+  const joinConfig = { ...DEFAULT_JOIN_CONFIG, csvKey: 'id' }
+  const rows = [
+    { id: 'a', month: '2024/2', value: '1' },
+    { id: 'a', month: '2024-01', value: '2' },
+    { id: 'b', month: '2024-01', value: '3' },
+    { id: 'b', month: '2024-01', value: '4' },
+    { id: 'c', month: 'later', value: '5' },
+  ]
+
+  it('orders the periods and keeps the last row per key and period', () => {
+    const { periods, byKey } = buildTimeIndex(rows, joinConfig, 'month')
+    expect(periods).toEqual(['2024-01', '2024-02'])
+    expect(byKey.get('a').get('2024-02')).toBe(rows[0])
+    expect(byKey.get('b').get('2024-01')).toBe(rows[3])
+    expect(byKey.has('c')).toBe(false)
+  })
+
+  it('lists the rows of the shown period and reuses the list', () => {
+    const indexes = periodRowIndexes(rows, { column: 'month', period: '2024-01' })
+    expect(indexes).toEqual([1, 2, 3])
+    expect(periodRowIndexes(rows, { column: 'month', period: '2024-01' })).toBe(indexes)
+  })
+})
+
+describe('sparklineSvg', () => {
+  it('draws nothing for fewer than two values', () => {
+    expect(sparklineSvg([1, null], 0)).toBe('')
+  })
+
+  it('breaks the line at gaps and marks the active value', () => {
+    const svg = sparklineSvg([1, 2, null, 3], 3, { width: 66, height: 26 })
+    expect(svg.match(/<polyline /g)).toHaveLength(1)
+    expect(svg).toContain('points="3.0,23.0 23.0,13.0"')
+    expect(svg).toContain('<circle cx="63.0" cy="3.0" r="1.5"')
+    expect(svg).toContain('<circle cx="63.0" cy="3.0" r="3"')
+  })
+})
@@ -0,0 +1,30 @@
+// Lightweight view state in the URL hash, e.g.
+// #map=13/47.53160/21.62730&theme=positron&metric=revenue
+// so a link opens the same view. Data is not included; see projects for that.
+
+export function readViewHash(hash) {
+  const params = new URLSearchParams((hash || '').replace(/^#/, ''))
+  const state = {}
+  const [zoom, lat, lng] = (params.get('map') || '').split('/').map(Number)
+  if ([zoom, lat, lng].every(Number.isFinite) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180) {
+    state.zoom = zoom
+    state.center = [lat, lng]
+  }
+  if (params.get('theme')) {
+    state.theme = params.get('theme')
+  }
+  if (params.get('metric')) {
+    state.metric = params.get('metric')
+  }
+  return state
+}
+
+export function writeViewHash({ center, zoom, theme, metric }) {
+  const params = new URLSearchParams()
+  // Five decimals is about a metre, plenty for a shared view
+  params.set('map', `${Math.round(zoom * 100) / 100}/${center[0].toFixed(5)}/${center[1].toFixed(5)}`)
+  if (theme) params.set('theme', theme)
+  if (metric) params.set('metric', metric)
+  // Keep the slashes readable
+  return `#${params.toString().replace(/%2F/g, '/')}`
+}
@@ -0,0 +1,31 @@
+// Workers have no DOMParser or XMLSerializer, which the KML and GPX import
+// relies on; import this module first in a worker so the XML libraries find
+// the ones from xmldom.
+import { DOMImplementation, DOMParser as XmlDomParser, XMLSerializer as XmlDomSerializer } from '@xmldom/xmldom'
+
+// Report malformed XML the way browsers do, as a <parsererror> element
+class WorkerDOMParser {
+  parseFromString(text, mimeType) {
+    let failure = null
+    const parser = new XmlDomParser({
+      // Browsers reject what xmldom only warns about, such as mismatched tags
+      errorHandler: (level, message) => {
+        failure ??= message
+      },
+    })
+    try {
+      const doc = parser.parseFromString(text, mimeType)
+      if (!failure) {
+        return doc
+      }
+    } catch (error) {
+      failure ??= error.message
+    }
+    const doc = new DOMImplementation().createDocument(null, 'parsererror', null)
+    doc.documentElement.appendChild(doc.createTextNode(failure))
+    return doc
+  }
+}
+
+globalThis.DOMParser ??= WorkerDOMParser
+globalThis.XMLSerializer ??= XmlDomSerializer